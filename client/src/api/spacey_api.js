@@ -15,11 +15,63 @@ const apiClient = axios.create({
   timeout: 60000 // 1 minute
 });
 
+// Ask the server for a span timeline (returned as debug.trace) - always in dev builds,
+// otherwise once the debug panel has been opened
+let debugTracing = import.meta.env.DEV;
+
+export const setDebugTracing = (enabled) => {
+  debugTracing = Boolean(enabled);
+};
+
+const debugHeaders = () => (debugTracing ? { 'X-Spacey-Debug': '1' } : {});
+
 apiClient.interceptors.request.use(config => {
   console.log(`🌐 Making ${config.method.toUpperCase()} request to: ${config.url}`);
+  Object.assign(config.headers, debugHeaders());
   return config;
 })
 
+// Builds the /spacey request body shared by the JSON and streaming endpoints.
+const buildSpaceyPayload = (userInfo, options = {}) => {
+  const {
+    prompt = null,
+    type = 'unified_chat',
+    trigger = null,
+    visualContext = null,
+    conversationContext = null,
+    threadId = null,
+  } = options;
+
+  // The payload sent to your backend API.
+  const payload = {
+    prompt,
+    type,
+    trigger,
+    user: {
+      id: userInfo?.uid || 'anonymous-user',
+      email: userInfo?.email || 'anonymous@example.com',
+      name: userInfo?.displayName || 'Explorer',
+    },
+    visualContext,
+    // Chat history lives on the server; only the thread to continue is sent
+    threadId,
+    // Context for unified conversation management
+    emotionContext: conversationContext?.emotionContext || null,
+    userActivity: conversationContext?.userActivity || 'active',
+    currentTopic: conversationContext?.currentTopic || null,
+    userMood: conversationContext?.userMood || 'neutral',
+    timeSinceLastInteraction: conversationContext?.timeSinceLastInteraction || 0,
+  };
+
+  // Backend expects `visualAnalysis` for compliments, not `visualContext`
+  if (type === 'personalized_compliment') {
+    payload.visualAnalysis = visualContext;
+    delete payload.visualContext;
+  }
+
+  return payload;
+};
+
 /**
  * Sends a chat message or a contextual request to the AI backend.
  * This is the unified function for all interactions with the /spacey endpoint.
@@ -31,50 +83,22 @@ apiClient.interceptors.request.use(config => {
  * @param {string} [options.trigger=null] - The trigger for avatar responses ('idle', 'emotion_change', etc.).
  * @param {object} [options.visualContext=null] - Visual analysis data from the camera.
  * @param {object} [options.conversationContext=null] - Context from the conversation manager.
+ * @param {string} [options.threadId=null] - Conversation thread to continue; the reply's threadId names the thread a new chat started.
+ * @param {AbortSignal} [options.signal] - Aborts the request (the server stops generating too).
  * @returns {Promise<object>} The AI's response from the backend.
  */
 export const sendAIRequest = async (userInfo, options = {}) => {
   try {
     console.log("📡 Sending unified AI request to backend:", { userInfo, options });
 
-    const {
-      prompt = null,
-      type = 'unified_chat',
-      trigger = null,
-      visualContext = null,
-      conversationContext = null,
-    } = options;
-
-    // The payload sent to your backend API.
-    const payload = {
-      prompt,
-      type,
-      trigger,
-      user: {
-        id: userInfo?.uid || 'anonymous-user',
-        email: userInfo?.email || 'anonymous@example.com',
-        name: userInfo?.displayName || 'Explorer',
-      },
-      visualContext,
-      // Context for unified conversation management
-      conversationHistory: conversationContext?.conversationHistory || [],
-      emotionContext: conversationContext?.emotionContext || null,
-      userActivity: conversationContext?.userActivity || 'active',
-      currentTopic: conversationContext?.currentTopic || null,
-      userMood: conversationContext?.userMood || 'neutral',
-      timeSinceLastInteraction: conversationContext?.timeSinceLastInteraction || 0,
-    };
-    
-    // Backend expects `visualAnalysis` for compliments, not `visualContext`
-    if (type === 'personalized_compliment') {
-      payload.visualAnalysis = visualContext;
-      delete payload.visualContext;
-    }
-
-    const response = await apiClient.post('/spacey', payload);
+    const payload = buildSpaceyPayload(userInfo, options);
+    const response = await apiClient.post('/spacey', payload, { signal: options.signal });
     return response.data;
 
   } catch (error) {
+    // Cancelled on purpose - no fallback, let the caller ignore it
+    if (axios.isCancel(error)) throw error;
+
     console.error("Error calling unified AI backend:", error);
     console.error("Error details:", {
       message: error.message,
@@ -107,6 +131,140 @@ export const sendAIRequest = async (userInfo, options = {}) => {
   }
 };
 
+/**
+ * Streams a chat reply from the backend over Server-Sent Events.
+ * Takes the same options as sendAIRequest and resolves with the final
+ * response payload once the server sends its `done` event.
+ *
+ * @param {object} userInfo - An object containing user data (e.g., from Firebase Auth).
+ * @param {object} options - Same options as sendAIRequest (including signal).
+ * @param {object} handlers - Stream callbacks.
+ * @param {function} [handlers.onToken] - Called with each partial text chunk as it arrives.
+ * @returns {Promise<object>} The final AI response ({ response, type, threadId, actions, citations, debug }).
+ */
+export const streamAIRequest = async (userInfo, options = {}, { onToken } = {}) => {
+  console.log("📡 Streaming unified AI request from backend:", { userInfo, options });
+
+  const res = await fetch('/api/chat/spacey/stream', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+      ...debugHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify(buildSpaceyPayload(userInfo, options)),
+    signal: options.signal,
+  });
+
+  if (!res.ok || !res.body) {
+    throw new Error(`Streaming request failed with status ${res.status}`);
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finalResponse = null;
+
+  const handleEvent = (rawEvent) => {
+    let event = 'message';
+    let data = '';
+    for (const line of rawEvent.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+    if (!data) return;
+
+    const parsed = JSON.parse(data);
+    if (event === 'token' && onToken) onToken(parsed.text || '');
+    else if (event === 'done') finalResponse = parsed;
+    else if (event === 'error') throw new Error(parsed.error || 'Streaming error');
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      handleEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (!finalResponse) {
+    throw new Error('Stream ended before the response completed');
+  }
+  return finalResponse;
+};
+
+// === CONVERSATION THREADS ===
+
+// Threads and remembered items belong to the user named in this header
+const userHeaders = (userInfo) => (userInfo?.uid ? { 'x-user-id': userInfo.uid } : {});
+
+/**
+ * List the user's conversation threads, most recently active first.
+ *
+ * @param {object} userInfo - The signed-in user.
+ * @param {object} [options]
+ * @param {boolean} [options.includeArchived=false] - Include archived threads.
+ * @returns {Promise<Array>} Thread summaries ({ id, title, status, updatedAt, messageCount, lastMessage }).
+ */
+export const fetchThreads = async (userInfo, { includeArchived = false } = {}) => {
+  const response = await apiClient.get('/threads', {
+    params: { includeArchived },
+    headers: userHeaders(userInfo),
+  });
+  return response.data.threads;
+};
+
+/**
+ * Fetch one conversation thread with its messages ({ type, content, timestamp }).
+ */
+export const fetchThread = async (userInfo, threadId) => {
+  const response = await apiClient.get(`/threads/${encodeURIComponent(threadId)}`, { headers: userHeaders(userInfo) });
+  return response.data.thread;
+};
+
+/**
+ * Archive a conversation thread. Sending a new message to it makes it active again.
+ */
+export const archiveThread = async (userInfo, threadId) => {
+  const response = await apiClient.post(`/threads/${encodeURIComponent(threadId)}/archive`, {}, { headers: userHeaders(userInfo) });
+  return response.data.thread;
+};
+
+// === WHAT SPACEY REMEMBERS ===
+
+/**
+ * List what Spacey remembers about the user (identity, preferences, topics).
+ *
+ * @param {object} userInfo - The signed-in user.
+ * @returns {Promise<Array>} Items ({ id, kind, label, value, editable, sources }).
+ */
+export const fetchMemoryItems = async (userInfo) => {
+  const response = await apiClient.get('/memory', { headers: userHeaders(userInfo) });
+  return response.data.items;
+};
+
+/**
+ * Correct a remembered item. Renamed topics come back with a new id.
+ */
+export const updateMemoryItem = async (userInfo, itemId, value) => {
+  const response = await apiClient.patch(`/memory/${encodeURIComponent(itemId)}`, { value }, { headers: userHeaders(userInfo) });
+  return response.data.item;
+};
+
+/**
+ * Make Spacey forget a remembered item.
+ */
+export const forgetMemoryItem = async (userInfo, itemId) => {
+  await apiClient.delete(`/memory/${encodeURIComponent(itemId)}`, { headers: userHeaders(userInfo) });
+};
+
 /**
  * Fetch user personality traits from the backend
  * 
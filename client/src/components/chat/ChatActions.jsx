@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { BookOpen, CheckCircle, XCircle } from 'lucide-react';
+
+/**
+ * Inline quiz from the start_quiz chat tool. Each question locks once answered and
+ * shows whether the pick was right, with the explanation.
+ */
+const MiniQuiz = ({ concept, questions }) => {
+  const [picks, setPicks] = useState({});
+  const answered = Object.keys(picks).length;
+  const correct = questions.filter((q, i) => picks[i] === q.answerIndex).length;
+
+  return (
+    <div className="mt-3 p-3 rounded-xl bg-black/30 border border-white/10 space-y-3">
+      <div className="text-xs uppercase tracking-wide text-cyan-300">Mini-quiz: {concept}</div>
+      {questions.map((q, qi) => (
+        <div key={qi} className="space-y-1">
+          <p className="text-sm font-medium">{qi + 1}. {q.question}</p>
+          {q.options.map((option, oi) => {
+            const picked = picks[qi] === oi;
+            const reveal = picks[qi] !== undefined;
+            const tone = reveal && oi === q.answerIndex
+              ? 'border-green-400/60 bg-green-500/20'
+              : picked ? 'border-red-400/60 bg-red-500/20' : 'border-white/10 hover:bg-white/10';
+            return (
+              <button
+                key={oi}
+                type="button"
+                disabled={reveal}
+                onClick={() => setPicks(prev => ({ ...prev, [qi]: oi }))}
+                className={`w-full text-left text-sm px-3 py-1.5 rounded-lg border ${tone}`}
+              >
+                {option}
+              </button>
+            );
+          })}
+          {picks[qi] !== undefined && (
+            <p className="flex items-start gap-1 text-xs text-gray-300">
+              {picks[qi] === q.answerIndex
+                ? <CheckCircle size={14} className="text-green-400 shrink-0 mt-0.5" />
+                : <XCircle size={14} className="text-red-400 shrink-0 mt-0.5" />}
+              {q.explanation || (picks[qi] === q.answerIndex ? 'Correct!' : `Answer: ${q.options[q.answerIndex]}`)}
+            </p>
+          )}
+        </div>
+      ))}
+      {answered === questions.length && (
+        <div className="text-sm text-cyan-200">Score: {correct} / {questions.length}</div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Renders the UI actions returned by Spacey's chat tools under a reply:
+ * open_lesson becomes a button into the lesson, start_quiz an inline mini-quiz.
+ */
+const ChatActions = ({ actions }) => {
+  const navigate = useNavigate();
+  if (!Array.isArray(actions) || actions.length === 0) return null;
+
+  return (
+    <div className="space-y-2">
+      {actions.map((action, i) => {
+        if (action.type === 'open_lesson') {
+          return (
+            <button
+              key={i}
+              type="button"
+              onClick={() => navigate(action.path || `/lesson/${action.lessonId}`)}
+              className="mt-3 flex items-center gap-2 px-3 py-1.5 rounded-lg bg-cyan-600/80 hover:bg-cyan-500 text-white text-sm"
+            >
+              <BookOpen size={16} />
+              Open lesson: {action.title}
+            </button>
+          );
+        }
+        if (action.type === 'start_quiz' && Array.isArray(action.questions)) {
+          return <MiniQuiz key={i} concept={action.concept} questions={action.questions} />;
+        }
+        return null; // Unknown action types from newer servers are ignored
+      })}
+    </div>
+  );
+};
+
+export default ChatActions;
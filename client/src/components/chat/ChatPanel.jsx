@@ -3,12 +3,22 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Send, MessageSquare } from 'lucide-react';
 import { useConversationManager } from '../../hooks/useConversationManager'; 
+import { useAuth } from '../../hooks/useAuth';
+import ThreadSwitcher from './ThreadSwitcher';
+import ChatActions from './ChatActions';
+import CitedText from './CitedText';
 
 const ChatPanel = ({ isOpen, onClose, chatHistory, onSendMessage }) => {
   const [newMessage, setNewMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const messagesEndRef = useRef(null);
-  const { speakAsAvatar } = useConversationManager(); // Use avatar speech for all lesson chat
+  const { speakAsAvatar, conversationHistory } = useConversationManager(); // Use avatar speech for all lesson chat
+  const { currentUser } = useAuth();
+
+  // Without a history from the host, show the active thread kept by the conversation manager
+  const messages = chatHistory || conversationHistory
+    .filter(entry => entry.type === 'user' || entry.type === 'spacey')
+    .map(entry => ({ sender: entry.type === 'user' ? 'user' : 'ai', content: entry.content, actions: entry.metadata?.actions, citations: entry.metadata?.citations }));
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -20,7 +30,7 @@ const ChatPanel = ({ isOpen, onClose, chatHistory, onSendMessage }) => {
       // Speech is already handled by the conversation manager when responses are generated
       // No need to speak again here to avoid duplicate voices
     }
-  }, [chatHistory, isOpen]);
+  }, [chatHistory, conversationHistory, isOpen]);
 
   const handleSendMessage = async () => {
     if (newMessage.trim() && !isLoading) {
@@ -74,9 +84,12 @@ const ChatPanel = ({ isOpen, onClose, chatHistory, onSendMessage }) => {
           </button>
         </div>
 
+        {/* Past conversations */}
+        <ThreadSwitcher currentUser={currentUser} className="px-5 py-3 bg-gray-800/60 border-b border-gray-700" />
+
         {/* Message Area with added effects */}
         <div className="h-96 overflow-y-auto p-5">
-          {chatHistory.map((message, index) => (
+          {messages.map((message, index) => (
             <div
               key={index}
               className={`mb-4 flex ${message.sender === 'user' ? 'justify-end' : ''}`}
@@ -88,7 +101,8 @@ const ChatPanel = ({ isOpen, onClose, chatHistory, onSendMessage }) => {
                     : 'bg-gray-700 text-gray-200 rounded-bl-none'
                 } shadow-md`}
               >
-                <p className="text-sm">{message.content}</p>
+                <CitedText text={message.content} citations={message.citations} className="text-sm" />
+                <ChatActions actions={message.actions} />
               </div>
             </div>
           ))}
@@ -0,0 +1,68 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+
+const MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Lesson block, or heading path for teacher documents
+const label = (citation) => {
+  const where = citation.blockId || citation.section;
+  return where ? ` › ${where}` : '';
+};
+
+/**
+ * Reply text whose [n] citation markers link to the lesson block they came from,
+ * followed by the list of cited sources so teachers can check each claim.
+ * Markers without a matching citation (e.g. while a reply is still streaming) stay plain text.
+ */
+const CitedText = ({ text, citations, className = '' }) => {
+  const navigate = useNavigate();
+  const byIndex = new Map((Array.isArray(citations) ? citations : []).map(c => [c.index, c]));
+
+  if (byIndex.size === 0) {
+    return <p className={className}>{text}</p>;
+  }
+
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(MARKER)) {
+    const cited = match[1].split(',').map(n => byIndex.get(Number(n))).filter(Boolean);
+    if (cited.length === 0) continue;
+    parts.push(text.slice(last, match.index));
+    cited.forEach(citation => parts.push(
+      <button
+        key={`${match.index}-${citation.index}`}
+        type="button"
+        disabled={!citation.path}
+        onClick={() => navigate(citation.path)}
+        title={`${citation.lessonTitle || 'Lesson'}${label(citation)}`}
+        className="align-super text-[10px] font-semibold text-cyan-300 hover:text-cyan-100 px-0.5"
+      >
+        [{citation.index}]
+      </button>
+    ));
+    last = match.index + match[0].length;
+  }
+  parts.push(text.slice(last));
+
+  return (
+    <>
+      <p className={className}>{parts}</p>
+      <ol className="mt-2 pt-2 border-t border-white/10 space-y-0.5 text-xs text-gray-300">
+        {[...byIndex.values()].map(citation => (
+          <li key={citation.index}>
+            <button
+              type="button"
+              disabled={!citation.path}
+              onClick={() => navigate(citation.path)}
+              className="text-left hover:text-cyan-200 disabled:hover:text-gray-300"
+            >
+              [{citation.index}] {citation.lessonTitle || 'Lesson notes'}{label(citation)}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </>
+  );
+};
+
+export default CitedText;
@@ -0,0 +1,72 @@
+import React, { useEffect } from 'react';
+import { Plus, Archive } from 'lucide-react';
+import { useConversationManager } from '../../hooks/useConversationManager.jsx';
+
+/**
+ * Picks the conversation thread the chat continues. Threads are stored on the
+ * server, so past conversations survive a refresh and are the same in every tab.
+ */
+const ThreadSwitcher = ({ currentUser, className = '' }) => {
+  const {
+    threads,
+    activeThreadId,
+    refreshThreads,
+    switchThread,
+    startNewThread,
+    archiveThread,
+    restoreThread,
+    isProcessing,
+  } = useConversationManager();
+
+  useEffect(() => {
+    if (!currentUser) return;
+    refreshThreads(currentUser);
+    restoreThread(currentUser);
+  }, [currentUser, refreshThreads, restoreThread]);
+
+  const handleSelect = (e) => {
+    const threadId = e.target.value;
+    if (!threadId) startNewThread(currentUser);
+    else if (threadId !== activeThreadId) switchThread(threadId, currentUser);
+  };
+
+  if (!currentUser) return null;
+
+  return (
+    <div className={`flex items-center gap-2 ${className}`}>
+      <select
+        value={activeThreadId || ''}
+        onChange={handleSelect}
+        className="flex-1 min-w-0 px-2 py-1.5 bg-white/5 border border-white/20 rounded-lg text-sm text-white truncate"
+        title="Conversation"
+      >
+        <option value="" className="bg-gray-900">New conversation</option>
+        {threads.map(thread => (
+          <option key={thread.id} value={thread.id} className="bg-gray-900">
+            {thread.title || 'Untitled conversation'}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={() => startNewThread(currentUser)}
+        disabled={isProcessing}
+        className="p-1.5 rounded-lg border border-white/20 text-gray-300 hover:text-white hover:bg-white/10 disabled:opacity-50"
+        title="New conversation"
+      >
+        <Plus size={16} />
+      </button>
+      <button
+        type="button"
+        onClick={() => archiveThread(activeThreadId, currentUser)}
+        disabled={!activeThreadId || isProcessing}
+        className="p-1.5 rounded-lg border border-white/20 text-gray-300 hover:text-white hover:bg-white/10 disabled:opacity-50"
+        title="Archive conversation"
+      >
+        <Archive size={16} />
+      </button>
+    </div>
+  );
+};
+
+export default ThreadSwitcher;
@@ -5,9 +5,12 @@ import { Send, Mic, MicOff } from 'lucide-react';
 import { useSpeechRecognition } from '../../hooks/useSpeechRecognition';
 import { useSpeechCoordination } from '../../hooks/useSpeechCoordination.jsx';
 import { useConversationManager } from '../../hooks/useConversationManager.jsx';
+import ThreadSwitcher from '../chat/ThreadSwitcher';
+import ChatActions from '../chat/ChatActions';
+import CitedText from '../chat/CitedText';
 import { useAuth } from '../../hooks/useAuth';
 
-const ChatMessage = ({ sender, text }) => {
+const ChatMessage = ({ sender, text, actions, citations }) => {
   const isUser = sender === 'user';
   return (
     <div className={`flex w-full ${isUser ? 'justify-end' : 'justify-start'}`}>
@@ -18,7 +21,9 @@ const ChatMessage = ({ sender, text }) => {
             : 'bg-gray-700 text-gray-200 rounded-bl-none'
         }`}
       >
-        <p className="text-sm leading-relaxed">{text}</p>
+        {/* Streaming replies start empty until the first tokens arrive */}
+        <CitedText text={text || '…'} citations={citations} className="text-sm leading-relaxed" />
+        <ChatActions actions={actions} />
       </div>
     </div>
   );
@@ -55,6 +60,8 @@ const AIChat = ({ onDebugDataUpdate, onAiSpeakingChange }) => {
     .map(entry => ({
       sender: entry.type === 'user' ? 'user' : 'ai',
       text: entry.content,
+      actions: entry.metadata?.actions,
+      citations: entry.metadata?.citations,
       timestamp: entry.timestamp
     }));
 
@@ -134,13 +141,18 @@ const AIChat = ({ onDebugDataUpdate, onAiSpeakingChange }) => {
       // 1. Get the AI's text response and update the conversation history.
       // 2. Call the `speak` function from the `useCoordinatedSpeechSynthesis` hook with the response,
       //    which triggers the talking animation in the AI_Avatar component.
+      const startedAt = Date.now();
       const response = await handleUserChat(trimmedText, currentUser);
 
       if (response && onDebugDataUpdate) {
         onDebugDataUpdate({
-          timestamp: Date.now(),
+          timestamp: startedAt,
+          status: 'success',
+          endpoint: response.streamed ? '/api/chat/spacey/stream' : '/api/chat/spacey',
+          responseTime: Date.now() - startedAt,
           userMessage: trimmedText,
           aiResponse: response.message || response.response,
+          debug: response.debug, // includes the server span timeline (debug.trace) when tracing is on
           metadata: {
             responseType: 'unified-chat',
             hasEmotionContext: !!response.emotionContext
@@ -167,13 +179,14 @@ const AIChat = ({ onDebugDataUpdate, onAiSpeakingChange }) => {
 
   return (
     <div className="h-full flex flex-col bg-black/70">
+      <ThreadSwitcher currentUser={currentUser} className="p-3 border-b border-white/10 bg-black/20" />
       <div 
         ref={chatContainerRef} 
         className="flex-1 overflow-y-auto p-4 space-y-4"
         onScroll={handleScroll}
       >
         {messages.map((msg, i) => (
-          <ChatMessage key={`${msg.timestamp}-${i}`} sender={msg.sender} text={msg.text} />
+          <ChatMessage key={`${msg.timestamp}-${i}`} sender={msg.sender} text={msg.text} actions={msg.actions} citations={msg.citations} />
         ))}
       </div>
       <form onSubmit={handleSubmit} className="p-4 border-t border-white/10 bg-black/20">
@@ -0,0 +1,167 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Pencil, Trash2, Check, X } from 'lucide-react';
+import { fetchMemoryItems, updateMemoryItem, forgetMemoryItem } from '../../api/spacey_api';
+
+const GROUPS = [
+  { title: 'About you', kinds: ['identity', 'language', 'appearance'] },
+  { title: 'How you like to learn', kinds: ['preference', 'interest'] },
+  { title: 'Your progress', kinds: ['struggling', 'mastered'] },
+  { title: 'Right now', kinds: ['session'] },
+  { title: 'Other notes', kinds: ['fact'] },
+];
+
+/**
+ * "What Spacey remembers": the facts Spacey picked up from the student's chats,
+ * with a way to correct or remove the ones it got wrong.
+ */
+const MemoryPanel = ({ currentUser }) => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, value }
+  const [busyId, setBusyId] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!currentUser?.uid) return;
+    setLoading(true);
+    try {
+      setItems(await fetchMemoryItems(currentUser));
+      setError(null);
+    } catch (err) {
+      console.error('Failed to load remembered items:', err);
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUser]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleForget = async (item) => {
+    setBusyId(item.id);
+    try {
+      await forgetMemoryItem(currentUser, item.id);
+      setItems(prev => prev.filter(i => i.id !== item.id));
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSave = async () => {
+    const { id, value } = editing;
+    setBusyId(id);
+    try {
+      await updateMemoryItem(currentUser, id, value);
+      // A renamed topic gets a new id and may merge into an existing one, so reload the list
+      await load();
+      setEditing(null);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-lg mx-auto p-4 sm:p-6 bg-black/40 backdrop-blur-md rounded-xl border border-white/10 shadow-xl text-left">
+      <h2 className="text-xl font-bold text-white">What Spacey remembers</h2>
+      <p className="text-sm text-gray-400 mt-1 mb-4">
+        Spacey picks these up from your chats to personalize lessons. Fix or remove anything that isn&apos;t right.
+      </p>
+
+      {error && <div className="text-red-400 text-sm mb-3">{error}</div>}
+
+      {loading ? (
+        <p className="text-cyan-400 text-sm">Loading...</p>
+      ) : items.length === 0 ? (
+        <p className="text-gray-400 text-sm">Spacey hasn&apos;t remembered anything about you yet.</p>
+      ) : (
+        <div className="space-y-4">
+          {GROUPS.map(group => {
+            const groupItems = items.filter(item => group.kinds.includes(item.kind));
+            if (groupItems.length === 0) return null;
+            return (
+              <div key={group.title}>
+                <h3 className="text-sm font-bold tracking-wide text-blue-200 uppercase mb-2">{group.title}</h3>
+                <ul className="space-y-1.5">
+                  {groupItems.map(item => (
+                    <li key={item.id} className="flex items-center gap-2 px-3 py-2 bg-white/5 border border-white/10 rounded-lg">
+                      <span className="w-32 shrink-0 text-xs text-gray-400">{item.label}</span>
+                      {editing?.id === item.id ? (
+                        <input
+                          value={editing.value}
+                          onChange={e => setEditing({ id: item.id, value: e.target.value })}
+                          onKeyDown={e => {
+                            if (e.key === 'Enter') handleSave();
+                            if (e.key === 'Escape') setEditing(null);
+                          }}
+                          maxLength={200}
+                          autoFocus
+                          className="flex-1 min-w-0 px-2 py-1 bg-white/10 border border-white/20 rounded text-sm text-white"
+                        />
+                      ) : (
+                        <span className="flex-1 min-w-0 text-sm text-white truncate" title={item.value}>{item.value}</span>
+                      )}
+                      {editing?.id === item.id ? (
+                        <>
+                          <button
+                            type="button"
+                            onClick={handleSave}
+                            disabled={busyId === item.id || !editing.value.trim()}
+                            className="p-1 rounded text-green-300 hover:bg-white/10 disabled:opacity-50"
+                            title="Save"
+                          >
+                            <Check size={16} />
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setEditing(null)}
+                            className="p-1 rounded text-gray-300 hover:bg-white/10"
+                            title="Cancel"
+                          >
+                            <X size={16} />
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          {item.editable && (
+                            <button
+                              type="button"
+                              onClick={() => setEditing({ id: item.id, value: item.value })}
+                              disabled={busyId !== null}
+                              className="p-1 rounded text-gray-300 hover:text-white hover:bg-white/10 disabled:opacity-50"
+                              title="Correct"
+                            >
+                              <Pencil size={16} />
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => handleForget(item)}
+                            disabled={busyId !== null}
+                            className="p-1 rounded text-gray-300 hover:text-red-300 hover:bg-white/10 disabled:opacity-50"
+                            title="Forget this"
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        </>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MemoryPanel;
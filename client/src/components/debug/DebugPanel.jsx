@@ -1,7 +1,7 @@
 // e:\Spacey-Intern\spacey_first_demo\spacey_demo_2\client\src\components\debug\DebugPanel.jsx
 
 import React, { useState } from 'react';
-import { X, ChevronsRight, GitBranch, Eye, EyeOff, Activity, CheckCircle, XCircle, User, MessageSquare, Clock, AlertTriangle, Zap, Send, Brain } from 'lucide-react';
+import { X, ChevronsRight, GitBranch, Eye, EyeOff, Activity, CheckCircle, XCircle, User, MessageSquare, Clock, AlertTriangle, Zap, Send, Brain, BarChart2 } from 'lucide-react';
 
 // ... (MissionTree component remains the same) ...
 const MissionTree = ({ blocks, currentBlockId }) => {
@@ -58,6 +58,99 @@ const MissionTree = ({ blocks, currentBlockId }) => {
 /**
  * AI Debug Panel - Shows request/response flow for AI chat
  */
+/**
+ * Waterfall of the server-side spans for one request (debug.trace).
+ * Spans still running when the reply was sent (background upkeep) run to the end of the chart.
+ */
+const SPAN_COLORS = {
+  ai: 'bg-purple-500/70',
+  context: 'bg-cyan-500/60',
+  rag: 'bg-green-500/60',
+  memory: 'bg-green-500/60',
+  personalization: 'bg-amber-500/60',
+  handler: 'bg-blue-500/60',
+};
+
+const flattenSpans = (span, depth = 0, rows = []) => {
+  rows.push({ ...span, depth });
+  (span.children || []).forEach(child => flattenSpans(child, depth + 1, rows));
+  return rows;
+};
+
+const describeSpan = (attributes = {}) => {
+  const parts = [];
+  if (attributes.provider) parts.push(attributes.provider);
+  if (attributes.cached) parts.push('cached');
+  if (attributes.promptChars) parts.push(`${attributes.promptChars}→${attributes.responseChars ?? '?'} chars`);
+  if (attributes.queuedMs) parts.push(`queued ${attributes.queuedMs}ms`);
+  if (attributes.matches !== undefined) parts.push(`${attributes.matches} matches`);
+  if (attributes.keyword !== undefined) parts.push(`${attributes.keyword} keyword + ${attributes.vector} vector${attributes.reranked ? ' · reranked' : ''}`);
+  return parts.join(' · ');
+};
+
+const TraceWaterfall = ({ trace }) => {
+  const total = Math.max(trace.totalMs || 0, 1);
+  const rows = flattenSpans(trace);
+
+  return (
+    <div>
+      <p className="text-gray-400 flex items-center gap-1">
+        <BarChart2 size={10} /> Trace ({trace.totalMs}ms):
+      </p>
+      <div className="space-y-1 mt-1">
+        {rows.map((span, i) => {
+          const running = span.durationMs === null;
+          const left = Math.min((span.startMs / total) * 100, 100);
+          const width = Math.max(((running ? total - span.startMs : span.durationMs) / total) * 100, 0.5);
+          const color = span.error ? 'bg-red-500/70' : (SPAN_COLORS[span.name.split('.')[0]] || 'bg-gray-500/60');
+          const details = describeSpan(span.attributes);
+          return (
+            <div key={i} title={JSON.stringify(span.attributes)}>
+              <div className="flex justify-between gap-2" style={{ paddingLeft: `${span.depth * 8}px` }}>
+                <span className="text-gray-300 truncate">{span.name}</span>
+                <span className="text-gray-500 shrink-0">{running ? 'running' : `${span.durationMs}ms`}</span>
+              </div>
+              <div className="relative h-1.5 bg-gray-700/50 rounded">
+                <div
+                  className={`absolute h-full rounded ${color} ${running ? 'animate-pulse' : ''}`}
+                  style={{ left: `${left}%`, width: `${Math.min(width, 100 - left)}%` }}
+                />
+              </div>
+              {(details || span.error) && (
+                <p className={`text-[10px] ${span.error ? 'text-red-300' : 'text-gray-500'}`} style={{ paddingLeft: `${span.depth * 8}px` }}>
+                  {span.error || details}
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Lesson chunks the hybrid retriever picked for one request (debug.retrieval) and why:
+ * matched keywords, vector rank and similarity, rerank position.
+ */
+const RetrievalDiagnostics = ({ retrieval }) => (
+  <div>
+    <p className="text-gray-400 flex items-center gap-1">
+      <Brain size={10} /> Retrieval ({retrieval.candidates.keyword} keyword / {retrieval.candidates.vector} vector candidates{retrieval.rerank.applied ? ', reranked' : ''}):
+    </p>
+    <div className="pl-3 text-gray-300 space-y-0.5">
+      {retrieval.results.length === 0 && <p className="text-gray-500">No lesson chunks matched</p>}
+      {retrieval.results.map(result => (
+        <p key={result.index}>
+          <span className="text-gray-500">[{result.index}]</span> {result.lessonId} › {result.blockId}
+          <span className="block text-[10px] text-gray-500">{result.reason}</span>
+        </p>
+      ))}
+      {retrieval.errors.map(error => <p key={error} className="text-[10px] text-red-300 truncate">{error}</p>)}
+    </div>
+  </div>
+);
+
 const AIDebugPanel = ({ chatDebugData = [] }) => {
   const [showDetails, setShowDetails] = useState({});
 
@@ -162,6 +255,12 @@ const AIDebugPanel = ({ chatDebugData = [] }) => {
                       </div>
                     )}
                     
+                    {/* Server span timeline */}
+                    {entry.debug?.trace && <TraceWaterfall trace={entry.debug.trace} />}
+
+                    {/* Why each lesson chunk was retrieved */}
+                    {entry.debug?.retrieval && <RetrievalDiagnostics retrieval={entry.debug.retrieval} />}
+
                     {/* Error Details */}
                     {entry.status === 'error' && entry.error && (
                       <div>
@@ -2,11 +2,31 @@
 
 import { createContext, useContext, useState, useRef, useCallback, useEffect } from 'react';
 import { useSpeechCoordination, useCoordinatedSpeechSynthesis } from './useSpeechCoordination.jsx';
-import { sendAIRequest } from '../api/spacey_api';
+import { sendAIRequest, streamAIRequest, fetchThreads, fetchThread, archiveThread as archiveThreadRequest } from '../api/spacey_api';
 
 // Context for unified conversation management
 const ConversationManagerContext = createContext();
 
+const MAX_LOCAL_HISTORY = 50; // Messages kept on screen; the full thread stays on the server
+
+// The thread a user was last in, so a refresh reopens it
+const activeThreadKey = (userInfo) => `spacey_active_thread_${userInfo?.uid || 'anonymous'}`;
+
+// Splits streamed text into complete sentences, keeping the unfinished tail for the next chunk
+const extractSentences = (text) => {
+  const sentences = [];
+  const boundary = /(?:[.!?]+["')\]]*\s+|\n+)/g;
+  let lastIndex = 0;
+  let match;
+  while ((match = boundary.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    const sentence = text.slice(lastIndex, end).trim();
+    if (sentence) sentences.push(sentence);
+    lastIndex = end;
+  }
+  return { sentences, rest: text.slice(lastIndex) };
+};
+
 // Provider component
 export const ConversationManagerProvider = ({ children }) => {
   const [conversationHistory, setConversationHistory] = useState([]);
@@ -21,6 +41,8 @@ export const ConversationManagerProvider = ({ children }) => {
   const [pendingResponses, setPendingResponses] = useState([]);
   const [hasGreeted, setHasGreeted] = useState(false);
   const [currentSpeechText, setCurrentSpeechText] = useState(''); // Track what avatar is currently saying
+  const [threads, setThreads] = useState([]);
+  const [activeThreadId, setActiveThreadId] = useState(null);
 
   // Speech coordination
   const { globalSpeechState, canAvatarBeIdle, setContextState, trackActivity } = useSpeechCoordination();
@@ -34,6 +56,8 @@ export const ConversationManagerProvider = ({ children }) => {
   // Refs for managing state
   const lastEmotionResponseTime = useRef(0);
   const lastIdleResponseTime = useRef(0);
+  const chatAbortRef = useRef(null); // AbortController of the chat reply in flight
+  const activeThreadRef = useRef(null); // Read by in-flight requests without re-creating callbacks
 
   // Add message to conversation history with context
   const addToHistory = useCallback((type, content, metadata = {}) => {
@@ -46,7 +70,7 @@ export const ConversationManagerProvider = ({ children }) => {
       metadata
     };
 
-    setConversationHistory(prev => [...prev.slice(-19), historyEntry]); // Keep last 20 entries
+    setConversationHistory(prev => [...prev.slice(-(MAX_LOCAL_HISTORY - 1)), historyEntry]);
     setCurrentContext(prev => ({
       ...prev,
       lastInteractionTime: Date.now()
@@ -55,6 +79,78 @@ export const ConversationManagerProvider = ({ children }) => {
     return historyEntry;
   }, [currentContext]);
 
+  // Replace the content of an existing history entry (used while a reply streams in)
+  const updateHistoryEntry = useCallback((id, content, metadata = {}) => {
+    setConversationHistory(prev => prev.map(entry => (
+      entry.id === id
+        ? { ...entry, content, metadata: { ...entry.metadata, ...metadata } }
+        : entry
+    )));
+  }, []);
+
+  // === Conversation threads ===
+
+  const selectThread = useCallback((threadId, userInfo) => {
+    activeThreadRef.current = threadId;
+    setActiveThreadId(threadId);
+    if (threadId) localStorage.setItem(activeThreadKey(userInfo), threadId);
+    else localStorage.removeItem(activeThreadKey(userInfo));
+  }, []);
+
+  const refreshThreads = useCallback(async (userInfo) => {
+    try {
+      setThreads(await fetchThreads(userInfo));
+    } catch (error) {
+      console.error('Failed to load conversation threads:', error);
+    }
+  }, []);
+
+  // Show a past thread and continue it with the next message
+  const switchThread = useCallback(async (threadId, userInfo) => {
+    chatAbortRef.current?.abort();
+    try {
+      const thread = await fetchThread(userInfo, threadId);
+      setConversationHistory(thread.messages.slice(-MAX_LOCAL_HISTORY).map(message => ({
+        id: message.id,
+        type: message.type,
+        content: message.content,
+        timestamp: Date.parse(message.timestamp),
+        context: {},
+        metadata: { threadId, actions: message.actions, citations: message.citations }
+      })));
+      selectThread(threadId, userInfo);
+      return thread;
+    } catch (error) {
+      console.error('Failed to open conversation thread:', error);
+      if (error.response?.status === 404) selectThread(null, userInfo);
+      return null;
+    }
+  }, [selectThread]);
+
+  // Clear the chat; the next message starts a new thread on the server
+  const startNewThread = useCallback((userInfo) => {
+    chatAbortRef.current?.abort();
+    setConversationHistory([]);
+    selectThread(null, userInfo);
+  }, [selectThread]);
+
+  const archiveThread = useCallback(async (threadId, userInfo) => {
+    try {
+      await archiveThreadRequest(userInfo, threadId);
+      if (activeThreadRef.current === threadId) startNewThread(userInfo);
+      await refreshThreads(userInfo);
+    } catch (error) {
+      console.error('Failed to archive conversation thread:', error);
+    }
+  }, [startNewThread, refreshThreads]);
+
+  // Reopen the thread the user was in before a refresh
+  const restoreThread = useCallback(async (userInfo) => {
+    if (activeThreadRef.current) return;
+    const storedThreadId = localStorage.getItem(activeThreadKey(userInfo));
+    if (storedThreadId) await switchThread(storedThreadId, userInfo);
+  }, [switchThread]);
+
   // Update emotion context without triggering immediate responses
   const updateEmotionContext = useCallback((emotionData) => {
     if (!emotionData) return;
@@ -116,55 +212,125 @@ export const ConversationManagerProvider = ({ children }) => {
     userInfo = null,
     options = {}
   ) => {
-    if (isProcessing) {
+    if (isProcessing && type === 'unified_chat' && chatAbortRef.current) {
+      // A new chat message supersedes the reply still being generated
+      chatAbortRef.current.abort();
+    } else if (isProcessing) {
       setPendingResponses(prev => [...prev, { prompt, type, userInfo, options, timestamp: Date.now() }]);
       return null;
     }
 
+    const controller = type === 'unified_chat' ? new AbortController() : null;
+    if (controller) chatAbortRef.current = controller;
+
     setIsProcessing(true);
     trackActivity();
 
+    let streamingEntryId = null;
+    let streamedText = '';
+
     try {
       const conversationContext = buildConversationContext();
-      
-      const response = await sendAIRequest(userInfo, {
+      const requestOptions = {
         prompt,
         type,
         trigger: options.trigger,
         visualContext: options.visualContext || conversationContext.emotionContext,
         conversationContext,
-      });
+        threadId: type === 'unified_chat' ? activeThreadRef.current : null,
+        signal: controller?.signal,
+      };
 
-      // Add appropriate history entry
+      // Chat replies stream in: show the user's turn right away and fill Spacey's reply as tokens arrive
       if (type === 'unified_chat') {
         addToHistory('user', prompt);
-        addToHistory('spacey', response.response || response.message, { responseType: type, context: conversationContext });
-      } else {
-        addToHistory('spacey', response.response || response.message, { 
-          responseType: type, 
-          trigger: options.trigger,
-          context: conversationContext 
+        streamingEntryId = addToHistory('spacey', '', { responseType: type, streaming: true, context: conversationContext }).id;
+
+        let sentenceBuffer = '';
+        let response;
+        try {
+          response = await streamAIRequest(userInfo, requestOptions, {
+            onToken: (text) => {
+              streamedText += text;
+              updateHistoryEntry(streamingEntryId, streamedText);
+              if (options.onSentence) {
+                const { sentences, rest } = extractSentences(sentenceBuffer + text);
+                sentenceBuffer = rest;
+                sentences.forEach(options.onSentence);
+              }
+            }
+          });
+        } catch (streamError) {
+          // Nothing shown yet, so the regular request can still answer cleanly
+          if (streamedText || controller.signal.aborted) throw streamError;
+          console.warn('Streaming unavailable, using standard request:', streamError.message);
+          response = await sendAIRequest(userInfo, requestOptions);
+        }
+
+        if (options.onSentence && sentenceBuffer.trim()) {
+          options.onSentence(sentenceBuffer.trim());
+        }
+
+        // The final text may differ slightly from the streamed tokens (e.g. greeting cleanup)
+        updateHistoryEntry(streamingEntryId, response.response || response.message, {
+          streaming: false,
+          actions: response.actions,
+          citations: response.citations
         });
+
+        // The first message of a new chat starts a thread on the server
+        if (response.threadId && response.threadId !== activeThreadRef.current) {
+          selectThread(response.threadId, userInfo);
+        }
+        if (response.threadId) refreshThreads(userInfo);
+        return { ...response, streamed: Boolean(streamedText) };
       }
 
+      const response = await sendAIRequest(userInfo, requestOptions);
+
+      addToHistory('spacey', response.response || response.message, { 
+        responseType: type, 
+        trigger: options.trigger,
+        context: conversationContext,
+        actions: response.actions,
+        citations: response.citations
+      });
+
       return response;
 
     } catch (error) {
+      if (controller?.signal.aborted) {
+        // Keep whatever already streamed; drop the placeholder if nothing did
+        if (streamedText) {
+          updateHistoryEntry(streamingEntryId, streamedText, { streaming: false, interrupted: true });
+        } else if (streamingEntryId) {
+          setConversationHistory(prev => prev.filter(entry => entry.id !== streamingEntryId));
+        }
+        return null;
+      }
       console.error('Error generating Spacey response:', error);
       const fallbackResponse = {
         message: "Oops, my circuits got a bit tangled there! Give me a moment to recalibrate my stellar wit.",
         response: "Oops, my circuits got a bit tangled there! Give me a moment to recalibrate my stellar wit.",
         type: 'fallback'
       };
-      addToHistory('spacey', fallbackResponse.message || fallbackResponse.response, { 
-        responseType: 'fallback',
-        error: error.message 
-      });
+      if (streamingEntryId) {
+        updateHistoryEntry(streamingEntryId, fallbackResponse.message, { responseType: 'fallback', streaming: false, error: error.message });
+      } else {
+        addToHistory('spacey', fallbackResponse.message || fallbackResponse.response, { 
+          responseType: 'fallback',
+          error: error.message 
+        });
+      }
       return fallbackResponse;
     } finally {
-      setIsProcessing(false);
+      // A superseded chat request leaves the processing flag to the one that replaced it
+      if (!controller || chatAbortRef.current === controller) {
+        if (controller) chatAbortRef.current = null;
+        setIsProcessing(false);
+      }
     }
-  }, [isProcessing, buildConversationContext, trackActivity, addToHistory]);
+  }, [isProcessing, buildConversationContext, trackActivity, addToHistory, updateHistoryEntry, selectThread, refreshThreads]);
 
   // Smart response coordinator that prevents conflicts
   const generateCoordinatedResponse = useCallback(async (input, responseType, userInfo, options = {}) => {
@@ -203,7 +369,44 @@ export const ConversationManagerProvider = ({ children }) => {
 
     const { apiType, trigger } = getResponseType(responseType);
 
-    const response = await generateSpaceyResponse(input, apiType, userInfo, { ...options, trigger });
+    const handleSpeechEnd = () => {
+      setCurrentSpeechText(''); // Clear when done
+      if (pendingResponses.length > 0) {
+        const nextResponse = pendingResponses[0];
+        setPendingResponses(prev => prev.slice(1));
+        setTimeout(() => {
+          generateCoordinatedResponse(
+            nextResponse.input,
+            nextResponse.responseType,
+            nextResponse.userInfo,
+            { force: false, priority: 'low' }
+          );
+        }, 1000);
+      }
+    };
+
+    // Streamed replies are spoken sentence by sentence as soon as each one completes
+    const sentenceQueue = [];
+    let isSpeakingSentence = false;
+    let streamComplete = false;
+    const speakNextSentence = () => {
+      const sentence = sentenceQueue.shift();
+      if (!sentence) {
+        isSpeakingSentence = false;
+        if (streamComplete) handleSpeechEnd();
+        return;
+      }
+      isSpeakingSentence = true;
+      setCurrentSpeechText(sentence);
+      speakAsAvatar(sentence, { onEnd: speakNextSentence });
+    };
+    const onSentence = (sentence) => {
+      sentenceQueue.push(sentence);
+      if (!isSpeakingSentence) speakNextSentence();
+    };
+
+    const response = await generateSpaceyResponse(input, apiType, userInfo, { ...options, trigger, onSentence });
+    streamComplete = true;
     
     if (response && (response.message || response.response)) {
       const textToSpeak = response.message || response.response;
@@ -211,26 +414,16 @@ export const ConversationManagerProvider = ({ children }) => {
       if (responseType === 'emotion-aware') lastEmotionResponseTime.current = Date.now();
       else if (responseType === 'idle') lastIdleResponseTime.current = Date.now();
 
+      if (response.streamed) {
+        // Speech already started during streaming; finish once the queue drains
+        if (!isSpeakingSentence) handleSpeechEnd();
+        return response;
+      }
+
       // Track what we're saying
       setCurrentSpeechText(textToSpeak);
 
-      speakAsAvatar(textToSpeak, {
-        onEnd: () => {
-          setCurrentSpeechText(''); // Clear when done
-          if (pendingResponses.length > 0) {
-            const nextResponse = pendingResponses[0];
-            setPendingResponses(prev => prev.slice(1));
-            setTimeout(() => {
-              generateCoordinatedResponse(
-                nextResponse.input,
-                nextResponse.responseType,
-                nextResponse.userInfo,
-                { force: false, priority: 'low' }
-              );
-            }, 1000);
-          }
-        }
-      });
+      speakAsAvatar(textToSpeak, { onEnd: handleSpeechEnd });
 
       return response;
     }
@@ -426,16 +619,8 @@ TUTORING GUIDELINES:
     });
   }, [speakAsAvatar, cancelAvatarSpeech, trackActivity]);
 
-  // Clear old conversation data
-  useEffect(() => {
-    const cleanup = setInterval(() => {
-      setConversationHistory(prev => prev.filter(entry => 
-        Date.now() - entry.timestamp < 3600000 // Keep last hour
-      ));
-    }, 300000);
-
-    return () => clearInterval(cleanup);
-  }, []);
+  // Stop generating a reply nobody will see
+  useEffect(() => () => chatAbortRef.current?.abort(), []);
 
   const value = {
     conversationHistory,
@@ -451,6 +636,14 @@ TUTORING GUIDELINES:
     addToHistory,
     buildConversationContext,
     clearHistory: () => setConversationHistory([]),
+    // Conversation threads
+    threads,
+    activeThreadId,
+    refreshThreads,
+    switchThread,
+    startNewThread,
+    archiveThread,
+    restoreThread,
     getRecentHistory: (count = 5) => conversationHistory.slice(-count),
     // Speech
     startNarration,
@@ -11,6 +11,7 @@ import AIChat from "../components/dashboard/AI_Chat";
 import LessonCatalogueModal from "../components/dashboard/LessonCatalogueModal";
 import { useAuth } from "../hooks/useAuth";
 import { useConversationManager } from "../hooks/useConversationManager.jsx";
+import { setDebugTracing } from "../api/spacey_api";
 
 import { useSpeechRecognition } from "../hooks/useSpeechRecognition"; // NEW
 
@@ -199,6 +200,11 @@ const DashboardPage = () => {
     return () => window.removeEventListener("keydown", handleKeyDown);
   }, [isDebugOpen]);
 
+  // Request traces from here on so the next replies show up in the trace waterfall
+  useEffect(() => {
+    if (isDebugOpen) setDebugTracing(true);
+  }, [isDebugOpen]);
+
   return (
     <div className="relative w-full h-screen overflow-hidden bg-[radial-gradient(ellipse_at_bottom,_#1b2735_0%,_#090a0f_100%)]">
       <Navbar />
@@ -1,7 +1,7 @@
 // e:\Spacey-Intern\spacey_second_demo\spacey_demo_2\client\src\pages\LessonPage.jsx
 
 import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
 import { ArrowLeft, Loader, AlertTriangle, RefreshCw, BookOpen, MessageSquare, Play, Mic, MicOff } from 'lucide-react';
 
 // API Service
@@ -37,18 +37,19 @@ import DynamicLessonCanvas from '../components/lessons/DynamicLessonCanvas';
 
 
 // Always use dynamic generation for lessons
-const fetchLessonData = async (lessonId, currentUser) => {
+const fetchLessonData = async (lessonId, currentUser, signal) => {
   console.log(`🎯 Loading lesson: ${lessonId} for user: ${currentUser?.uid || 'anonymous'}`);
   
   // Always generate dynamically
   try {
     console.log(`🔥 Generating dynamic lesson for ${lessonId}`);
-    const dynamicLesson = await generateDynamicLesson(lessonId, currentUser);
+    const dynamicLesson = await generateDynamicLesson(lessonId, currentUser, signal);
     if (dynamicLesson) {
       console.log('✅ Successfully generated dynamic lesson');
       return dynamicLesson;
     }
   } catch (error) {
+    if (error.name === 'AbortError') throw error; // Learner left the lesson
     console.error('❌ Dynamic lesson generation failed:', error);
   }
 
@@ -56,7 +57,7 @@ const fetchLessonData = async (lessonId, currentUser) => {
 };
 
 // Generate completely new dynamic lesson
-const generateDynamicLesson = async (lessonId, currentUser) => {
+const generateDynamicLesson = async (lessonId, currentUser, signal) => {
   console.log(`🎯 Generating dynamic lesson for ${lessonId}`);
   
   // Get lesson metadata for context
@@ -96,7 +97,8 @@ const generateDynamicLesson = async (lessonId, currentUser) => {
         email: 'anonymous@example.com'
       },
       lessonRequest
-    })
+    }),
+    signal
   });
 
   if (!response.ok) {
@@ -113,6 +115,9 @@ const generateDynamicLesson = async (lessonId, currentUser) => {
 
 const LessonPage = () => {
   const { lessonId } = useParams();
+  // Chat citations link to /lesson/:lessonId?block=<block_id> to open at the cited block
+  const [searchParams] = useSearchParams();
+  const requestedBlockId = searchParams.get('block');
   const { currentUser } = useAuth();
   
   // --- CONVERSATION MANAGER ---
@@ -173,6 +178,14 @@ const LessonPage = () => {
 
 
 
+  // Abort in-flight lesson generation when the learner leaves this lesson (the server stops too)
+  const lessonAbortRef = useRef(new AbortController());
+  useEffect(() => {
+    const controller = new AbortController();
+    lessonAbortRef.current = controller;
+    return () => controller.abort();
+  }, [lessonId]);
+
   useEffect(() => {
     if (lessonId && currentUser?.uid) {
       checkLessonAccess();
@@ -219,7 +232,7 @@ const LessonPage = () => {
       console.log(`🚀 Loading lesson ${lessonId} with enhanced AI system`);
   setIsGeneratingLesson(true);
       
-  const data = await fetchLessonData(lessonId, currentUser);
+  const data = await fetchLessonData(lessonId, currentUser, lessonAbortRef.current.signal);
       
       if (data && data.blocks && data.blocks.length > 0) {
         console.log(`✅ Lesson loaded: ${data.title} (${data.blocks.length} blocks)`);
@@ -245,13 +258,15 @@ const LessonPage = () => {
         }
         
         setLesson(data);
-        setCurrentBlockId(data.blocks[0].block_id);
+        const requestedBlock = data.blocks.find(b => b.block_id === requestedBlockId);
+        setCurrentBlockId((requestedBlock || data.blocks[0]).block_id);
         setUserTags([]);
         setChatHistory([]); // Initialize chat history
       } else {
         setError(`Mission "${lessonId}" not found or is invalid.`);
       }
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.error('❌ Failed to load lesson:', error);
       setError(`Failed to load mission "${lessonId}". ${error.message}`);
     }
@@ -259,7 +274,7 @@ const LessonPage = () => {
     setIsLoading(false);
     setIsGeneratingLesson(false);
     setHasStarted(false);
-  }, [lessonId, currentUser]);
+  }, [lessonId, currentUser, requestedBlockId]);
 
   useEffect(() => {
     if (lessonId) {
@@ -284,10 +299,10 @@ const LessonPage = () => {
         // You might also want to handle loading 'completed' status here.
         setCurrentMediaIndex(data.currentMediaIndex || 0); // Load media index
         setChatHistory(data.chatHistory || []);  // Load chat history
-        setLesson(await fetchLessonData(lessonId, currentUser)); // Load lesson data after progress
+        setLesson(await fetchLessonData(lessonId, currentUser, lessonAbortRef.current.signal)); // Load lesson data after progress
       } else {
         // If no progress exists, load the lesson and start from the beginning.
-        const lessonData = await fetchLessonData(lessonId, currentUser);
+        const lessonData = await fetchLessonData(lessonId, currentUser, lessonAbortRef.current.signal);
         if (lessonData && lessonData.blocks && lessonData.blocks.length > 0) {
           setLesson(lessonData);
           setCurrentBlockId(lessonData.blocks[0].block_id);
@@ -301,6 +316,7 @@ const LessonPage = () => {
         }
       }
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.error("Failed to load or initialize lesson progress:", error);
       setError("Failed to load lesson progress.");
     } finally {
@@ -558,7 +574,7 @@ Format your response to include both immediate feedback and any trait analysis.`
     
     try {
       // Load fresh lesson data
-      const lessonData = await fetchLessonData(lessonId);
+      const lessonData = await fetchLessonData(lessonId, undefined, lessonAbortRef.current.signal);
       if (lessonData && lessonData.blocks && lessonData.blocks.length > 0) {
         setLesson(lessonData);
         setCurrentBlockId(lessonData.blocks[0].block_id);
@@ -590,6 +606,7 @@ Format your response to include both immediate feedback and any trait analysis.`
         setError(`Mission "${lessonId}" not found or is invalid.`);
       }
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.error('Error during lesson replay:', error);
       setError('Failed to restart lesson');
     } finally {
@@ -6,6 +6,7 @@ import { useAuthContext } from '../components/layout/AuthLayout';
 import { db } from '../firebaseConfig';
 import { collection, query, where, getDocs, documentId } from 'firebase/firestore';
 import PlayerProfile from '../components/dashboard/PlayerProfile';
+import MemoryPanel from '../components/dashboard/MemoryPanel';
 import DynamicLessonGenerator from '../components/lessons/DynamicLessonGenerator';
 import axios from 'axios';
 
@@ -141,6 +142,9 @@ const UserDashboardPage = () => {
           <p className="text-gray-400 mt-2 sm:mt-4">More profile details and settings will be available here soon!</p>
           </div>
 
+          {/* What Spacey remembers */}
+          <MemoryPanel currentUser={currentUser} />
+
           {/* Dynamic Lesson Generator Section */}
           <div className="w-full max-w-4xl mx-auto">
             <DynamicLessonGenerator />
@@ -2,6 +2,7 @@ const { aiProviderManager } = require('./aiProviders');
 const { enhancedPersonalizationEngine } = require('./enhancedPersonalizationEngine');
 const { persistentMemory } = require('./persistentMemory');
 const { parseAIJSONResponse, fixCommonJSONIssues } = require('../utils/jsonParser');
+const { tutoringMethodologySchema } = require('../prompts/schemas');
 
 // Remove local helpers; use shared utils/jsonParser
 
@@ -162,7 +163,7 @@ Provide detailed context analysis:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(analysisPrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(analysisPrompt, 'tutoring.strategy');
       return parseAIJSONResponse(response);
     } catch (error) {
       console.error('Error analyzing context:', error);
@@ -220,8 +221,9 @@ Select and customize the best tutoring approach:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(methodologyPrompt, 'gemini');
-      return parseAIJSONResponse(response);
+      return await aiProviderManager.generateStructured(methodologyPrompt, tutoringMethodologySchema, {
+        task: 'tutoring.strategy'
+      });
     } catch (error) {
       console.error('Error selecting methodology:', error);
       return this.generateFallbackMethodology();
@@ -297,7 +299,7 @@ Generate immediate and strategic tutoring actions:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(actionsPrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(actionsPrompt, 'tutoring.strategy');
       return parseAIJSONResponse(response);
     } catch (error) {
       console.error('Error generating tutoring actions:', error);
@@ -369,7 +371,7 @@ Generate a multi-level questioning strategy:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(questioningPrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(questioningPrompt, 'tutoring.strategy');
       const strategy = parseAIJSONResponse(response);
       
       // Update dialogue state
@@ -439,7 +441,7 @@ Apply sequencing principles:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(sequencingPrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(sequencingPrompt, 'tutoring.strategy');
       return parseAIJSONResponse(response);
     } catch (error) {
       console.error('Error applying sequencing logic:', error);
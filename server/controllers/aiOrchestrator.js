@@ -2,36 +2,32 @@ const { aiProviderManager } = require('./aiProviders');
 const { persistentMemory } = require('./persistentMemory');
 const { traitAnalyzer } = require('./traitAnalyzer');
 const { knowledgeGraphManager } = require('./knowledgeGraphManager');
-const pineconeRetriever = require('./pineconeRetriever');
+const { hybridRetriever } = require('./hybridRetriever');
 const { conversationMemory } = require('./conversationMemory');
 const { extractAndStoreFacts, extractHybrid, personalizationController } = require('./personalizationController');
-const prompts = require('../prompts');
 const userProfileMemory = require('./userProfileMemory');
-const { dynamicLessonGenerator } = require('./dynamicLessonGenerator');
-const { lessonPlanner } = require('./lessonPlanner');
-const { enhancedPersonalizationEngine } = require('./enhancedPersonalizationEngine');
-const { advancedTutoringStrategy } = require('./advancedTutoringStrategy');
-
-// Optional RAG chain (LangChain). Loaded lazily to avoid hard dependency at boot.
-let ragChatChain = null;
-async function getRagChatChain() {
-  if (ragChatChain) return ragChatChain;
-  if (process.env.RAG_ENABLED !== 'true') return null;
-  try {
-    // Dynamic import to keep CommonJS compatibility
-    const { createRagChatChain } = await import('../rag/chatChain.mjs');
-    ragChatChain = await createRagChatChain();
-    return ragChatChain;
-  } catch (e) {
-    console.error('Failed to initialize RAG chat chain:', e);
-    return null;
-  }
-}
+const { runWithUsageContext } = require('./usageLedger');
+const { runWithPriority } = require('./requestScheduler');
+const { jobQueue } = require('./jobQueue');
+const { contentSafety } = require('./contentSafety');
+const { runWithAbortSignal, isAborted } = require('../utils/requestAbort');
+const { withSpan, addSpanAttributes } = require('../utils/tracing');
+const { interactionRegistry, CONTEXT_SOURCES } = require('./interactions');
+const { toolRegistry } = require('./tools');
+const { parseAIJSONResponse } = require('../utils/jsonParser');
+const { formatSources } = require('../utils/citations');
+const { enableChatTools } = require('../utils/config');
+const { TOOL_CALL_PREFIX, composeToolPrompt } = require('../prompts');
+const { UNTRUSTED_INPUT_RULES, untrusted } = require('../prompts/untrusted');
+
+const MAX_TOOL_STEPS = 3; // Tool calls per reply before the model must answer
+const NO_RETRIEVAL = { sources: [], diagnostics: null };
 
 /**
  * Unified AI Orchestrator
  * Centralizes all AI request handling with consistent context building,
  * trait analysis, and response generation across different interaction types.
+ * Each request type is a handler module registered in ./interactions.
  */
 class AIOrchestrator {
   constructor() {
@@ -41,72 +37,117 @@ class AIOrchestrator {
   /**
    * Main entry point for all AI interactions
    * @param {Object} request - The request payload
-   * @param {string} request.type - Type of interaction ('chat', 'lesson_analysis', 'avatar_response', 'tutoring')
+   * @param {string} request.type - Registered interaction type ('chat', 'lesson_analysis', 'avatar_response', 'tutoring', ...)
    * @param {Object} request.user - User information
    * @param {string} request.prompt - User input (for chat/tutoring)
    * @param {Object} request.context - Additional context (lesson data, visual info, etc.)
+   * @param {Object} [options]
+   * @param {Function} [options.onToken] - Receives partial text as it is generated (streaming callers)
+   * @param {AbortSignal} [options.signal] - Cancels outstanding AI calls (defaults to the current request's signal)
    * @returns {Promise<Object>} Unified response with message, traits, and metadata
    */
-  async processRequest(request) {
-    const { type, user, prompt, context = {} } = request;
+  async processRequest(request, options = {}) {
+    // Attribute every LLM call made while serving this request to the requesting user
+    const handler = interactionRegistry.get(request?.type);
+    const usage = {
+      userId: request?.user?.id || 'anonymous',
+      requestType: handler?.requestType || request?.type
+    };
+    const lane = handler?.lane || 'interactive';
+    return runWithAbortSignal(options.signal, () =>
+      runWithUsageContext(usage, () => runWithPriority(lane, () =>
+        withSpan('orchestrator.request', { type: request?.type, lane }, () => this.routeRequest(request, options)))));
+  }
+
+  /**
+   * Routes a request to its interaction handler (called within the request's usage context)
+   */
+  async routeRequest(request, options = {}) {
+    const { type, user, context = {} } = request;
     const userId = user?.id || 'anonymous';
 
     console.log(`🧠 AI Orchestrator processing: ${type} for user ${userId}`);
 
     try {
-      // Fast path for simple chat interactions
-      if (type === 'chat' && this.shouldUseFastPath(request)) {
-        console.log(`⚡ Using fast path for chat request`);
-        return await this.handleFastChatInteraction(request);
+      const handler = interactionRegistry.get(type);
+      if (!handler) {
+        throw new Error(`Unknown interaction type: ${type}`);
       }
 
-      // 1. Build comprehensive context for complex interactions
-      const unifiedContext = await this.buildUnifiedContext(userId, request);
+      // Child-safety check on the student's message: unsafe prompts never reach a model
+      const safetyMeta = { userId, requestType: handler.requestType || type, threadId: context.threadId || null };
+      const inputCheck = contentSafety.moderateInput(request.prompt, safetyMeta);
+      if (inputCheck.action === 'redirect') {
+        return this.safetyRedirect(inputCheck);
+      }
+      if (inputCheck.action === 'redact') {
+        request = { ...request, prompt: inputCheck.text };
+      }
 
-      // 2. Route to appropriate handler
-      let response;
-      switch (type) {
-        case 'chat':
-          response = await this.handleChatInteraction(unifiedContext);
-          break;
-        case 'lesson_analysis':
-          response = await this.handleLessonAnalysis(unifiedContext);
-          break;
-        case 'avatar_response':
-          response = await this.handleAvatarResponse(unifiedContext);
-          break;
-        case 'tutoring':
-          response = await this.handleTutoringInteraction(unifiedContext);
-          break;
-        case 'dynamic_lesson_generation':
-          response = await this.handleDynamicLessonGeneration(unifiedContext);
-          break;
-        case 'enhanced_tutoring':
-          response = await this.handleEnhancedTutoring(unifiedContext);
-          break;
-        case 'adaptive_lesson_delivery':
-          response = await this.handleAdaptiveLessonDelivery(unifiedContext);
-          break;
-        default:
-          throw new Error(`Unknown interaction type: ${type}`);
+      // Streamed text is checked a sentence at a time before the student sees it
+      const streamGate = typeof options.onToken === 'function' ? contentSafety.createStreamGate(options.onToken) : null;
+      if (streamGate) {
+        options = { ...options, onToken: streamGate.push };
       }
 
-      // 3. Post-process and store interaction
-      await this.postProcessInteraction(userId, request, response);
+      // Fast path (e.g. casual chat) answers without the unified context
+      if (handler.fastPath && handler.fastPath.when(request, this)) {
+        console.log(`⚡ Using fast path for ${type} request`);
+        addSpanAttributes({ fastPath: true });
+        const response = await withSpan(`handler.${type}.fastPath`, {}, () => handler.fastPath.handle(request, options, this));
+        streamGate?.flush();
+        return this.withInputModeration(response, inputCheck);
+      }
+
+      // 1. Build the context sources this handler declared
+      const unifiedContext = await withSpan('orchestrator.context', { sources: handler.context },
+        () => this.buildUnifiedContext(userId, request, handler.context));
+      unifiedContext.onToken = options.onToken || null;
+
+      // 2. Run the handler
+      const response = await withSpan(`handler.${type}`, {}, () => (handler.handle
+        ? handler.handle(unifiedContext, this)
+        : this.runPromptHandler(handler, unifiedContext)));
+      streamGate?.flush();
+      if (unifiedContext.retrievalDiagnostics && response.metadata && !response.metadata.retrieval) {
+        response.metadata.retrieval = unifiedContext.retrievalDiagnostics;
+      }
+
+      // 3. Check the reply before it is stored or sent
+      this.moderateReply(response, safetyMeta);
+      this.withInputModeration(response, inputCheck);
+
+      // 4. Post-process and store interaction
+      await withSpan('orchestrator.postProcess', {}, async () => {
+        if (typeof handler.postProcess === 'function') {
+          await handler.postProcess(userId, request, response, this);
+        } else if (handler.postProcess !== false) {
+          await this.postProcessInteraction(userId, request, response);
+        }
+      });
 
       return response;
 
     } catch (error) {
+      if (isAborted()) {
+        console.log(`🔌 ${type} request for user ${userId} aborted by client`);
+        throw error;
+      }
       console.error(`❌ AI Orchestrator error for ${type}:`, error);
       return this.generateFallbackResponse(type, error);
     }
   }
 
   /**
-   * Builds comprehensive context by aggregating all available data sources
+   * Builds the unified context from the data sources a handler declared
+   * @param {string} userId
+   * @param {Object} request
+   * @param {string[]} [sources] - Context sources to load (see interactions/registry.js); defaults to all
    */
-  async buildUnifiedContext(userId, request) {
+  async buildUnifiedContext(userId, request, sources = CONTEXT_SOURCES) {
     const { user, context = {}, prompt } = request;
+    const wanted = new Set(sources);
+    const load = (source, loader, fallback = null) => (wanted.has(source) ? withSpan(`context.${source}`, {}, loader) : fallback);
 
     // Parallel context gathering for performance
     const useLegacyRetrieval = process.env.RAG_ENABLED !== 'true';
@@ -115,21 +156,21 @@ class AIOrchestrator {
       enhancedContext,
       emotionalState,
       traitAnalysis,
-      retrievedContext,
+      retrieval,
       knowledgeGraph,
       latestSummary,
       semanticMemory
     ] = await Promise.all([
-      persistentMemory.summarizeContext(userId),
-      persistentMemory.generateEnhancedContext(userId),
-      prompt ? persistentMemory.detectEmotionalState(userId, prompt) : null,
-      prompt && context.lessonData ? 
+      load('summary', () => persistentMemory.summarizeContext(userId)),
+      load('profile', () => persistentMemory.generateEnhancedContext(userId), {}),
+      load('emotion', () => (prompt ? persistentMemory.detectEmotionalState(userId, prompt) : null)),
+      load('traits', () => (prompt && context.lessonData ? 
         traitAnalyzer.analyzeTraits(prompt, context.lessonData?.title || 'general', user.traits || []) : 
-        null,
-      useLegacyRetrieval ? (prompt ? pineconeRetriever.getRelevantContext(prompt) : null) : null,
-      persistentMemory.getUserKnowledgeGraph(userId), // Fetch the knowledge graph
-      persistentMemory.loadLatestSummary(userId),
-      (async () => {
+        null)),
+      load('rag', () => (useLegacyRetrieval && prompt ? hybridRetriever.retrieve(prompt) : NO_RETRIEVAL), NO_RETRIEVAL),
+      load('knowledgeGraph', () => persistentMemory.getUserKnowledgeGraph(userId)), // Fetch the knowledge graph
+      load('rollingSummary', () => persistentMemory.loadLatestSummary(userId)),
+      load('semanticMemory', async () => {
         if (!prompt) return '';
         const main = await conversationMemory.searchRelevant(userId, prompt, Number(process.env.CONVERSATIONS_TOP_K || 4));
         // Try identity recall as a second pass if name/email asked
@@ -160,18 +201,26 @@ class AIOrchestrator {
           header = headerLines.join('\n');
         } catch {} // Ignore errors during header generation
         return [header, main, identity].filter(Boolean).join('\n\n—\n\n');
-      })()
+      }, '')
     ]);
 
+    // Numbered lesson sources the prompt can cite; replies resolve markers with extractCitations
+    const { sources: retrievedSources, diagnostics: retrievalDiagnostics } = retrieval;
+    const retrievedContext = retrievedSources.length > 0 ? formatSources(retrievedSources) : null;
+
     // Pull durable identity to use as active context (name, email, etc.)
     let identity = {};
-    try {
-      identity = await userProfileMemory.fetchIdentity(userId);
-      if (!identity?.name) {
-        const prof = await persistentMemory.getUserProfile(userId);
-        identity = { ...identity, ...(prof.identity || {}) };
-      }
-    } catch (_) {} // Ignore errors during identity fetch
+    if (wanted.has('identity')) {
+      await withSpan('context.identity', {}, async () => {
+        try {
+          identity = await userProfileMemory.fetchIdentity(userId);
+          if (!identity?.name) {
+            const prof = await persistentMemory.getUserProfile(userId);
+            identity = { ...identity, ...(prof.identity || {}) };
+          }
+        } catch (_) {} // Ignore errors during identity fetch
+      });
+    }
 
     return {
       // Original request data
@@ -183,6 +232,8 @@ class AIOrchestrator {
       emotionalState,
       traitAnalysis,
       retrievedContext,
+      retrievedSources,
+      retrievalDiagnostics,
       knowledgeGraph,
       rollingSummary: latestSummary,
       semanticMemory,
@@ -205,238 +256,107 @@ class AIOrchestrator {
   }
 
   /**
-   * Handles general chat interactions
+   * Generates a reply, streaming partial text through onToken when the caller provided one
    */
-  async handleChatInteraction(context) {
-    const { prompt, userProfile, conversationSummary, emotionalState, retrievedContext, knowledgeGraph, semanticMemory } = context;
-    const hasHistory = Array.isArray(context?.context?.conversationHistory) && context.context.conversationHistory.length > 0;
+  async generateReply(prompt, task = 'chat.reply', onToken = null) {
+    if (typeof onToken === 'function') {
+      return aiProviderManager.generateResponseStream(prompt, task, onToken);
+    }
+    return aiProviderManager.generateResponse(prompt, task);
+  }
 
-    // Try RAG path first if enabled
-    const chain = await getRagChatChain();
-    if (chain) {
-      try {
-        const filters = {};
-        // If lesson context exists within enhanced context, pass metadata
-        if (context?.context?.lessonContext?.mission_id) {
-          filters.lessonId = context.context.lessonContext.mission_id;
-        }
-        // Use knowledge graph hints as concept tags
-        if (knowledgeGraph && Object.keys(knowledgeGraph.nodes || {}).length > 0) {
-          filters.concepts = Object.keys(knowledgeGraph.nodes);
-        }
+  /**
+   * Tool-calling loop for chat replies (tools live in ./tools). Each step the model
+   * either answers or asks for one tool with a CALL_TOOL line; the tool's result is
+   * added to the prompt and the model is asked again, up to MAX_TOOL_STEPS calls.
+   * Streaming callers only receive the tokens of the final answer.
+   * @param {string} basePrompt - The handler's full prompt
+   * @param {Object} options - task, onToken, userId
+   * @returns {Promise<{ message: string, toolCalls: Object[], actions: Object[] }>}
+   */
+  async runToolLoop(basePrompt, { task = 'chat.reply', onToken = null, userId } = {}) {
+    const tools = toolRegistry.list();
+    const steps = [];
+    const actions = [];
+
+    for (let step = 0; ; step++) {
+      const final = step >= MAX_TOOL_STEPS;
+      const prompt = composeToolPrompt({ basePrompt, tools, steps, final });
+      const gate = typeof onToken === 'function' && !final ? this.toolCallGate(onToken) : null;
+      const reply = await this.generateReply(prompt, task, gate ? gate.push : onToken);
+
+      const call = final ? null : this.parseToolCall(reply);
+      if (!call) {
+        gate?.flush();
+        const toolCalls = steps.map(({ name, arguments: args, error }) => ({ name, arguments: args, ok: !error, error }));
+        return { message: reply, toolCalls, actions };
+      }
 
-        // Build long-term facts string from persistent profile + durable identity
-        let longTermFacts = '';
+      const entry = { name: call.name, arguments: call.arguments, error: call.error };
+      if (!call.error) {
         try {
-          const profile = await persistentMemory.getUserProfile(userProfile.id);
-          const facts = [];
-          if (profile?.userId) facts.push(`User ID: ${profile.userId}`);
-          if (profile?.learning?.preferredStyle && profile.learning.preferredStyle !== 'unknown') facts.push(`Prefers ${profile.learning.preferredStyle} explanations`);
-          if (Array.isArray(profile?.learning?.preferredTopics) && profile.learning.preferredTopics.length > 0) facts.push(`Interested in: ${profile.learning.preferredTopics.slice(0,5).join(', ')}`);
-          if (Array.isArray(profile?.learning?.strugglingTopics) && profile.learning.strugglingTopics.length > 0) facts.push(`Needs help with: ${profile.learning.strugglingTopics.slice(-5).join(', ')}`);
-          if (Array.isArray(profile?.learning?.masteredConcepts) && profile.learning.masteredConcepts.length > 0) facts.push(`Understands: ${profile.learning.masteredConcepts.slice(-5).join(', ')}`);
-          if (profile?.visual?.age) facts.push(`Approx. age: ${profile.visual.age}`);
-          if (profile?.visual?.gender) facts.push(`Gender: ${profile.visual.gender}`);
-          const ident = context.identity || profile.identity || {};
-          if (ident?.name) facts.push(`Name: ${ident.name}`);
-          if (ident?.email) facts.push(`Email: ${ident.email}`);
-          if (ident?.nationality) facts.push(`Nationality: ${ident.nationality}`);
-          if (ident?.age) facts.push(`Age: ${ident.age}`);
-          if (ident?.timezone) facts.push(`Timezone: ${ident.timezone}`);
-          if (Array.isArray(ident?.languages) && ident.languages.length) facts.push(`Languages: ${ident.languages.join(', ')}`);
-          longTermFacts = facts.join('\n');
-        } catch (_) {} // Ignore errors during fact generation
-
-        const ragResult = await chain.invoke({
-          input: prompt,
-          userProfile,
-          conversationSummary,
-          emotionalState,
-          filters,
-          longTermFacts,
-          semanticMemory
-        });
-
-        if ((ragResult?.retrievedCount || 0) === 0) {
-          // Skip generation path entirely; fall back to non-RAG prompt once
-          throw new Error('RAG_EMPTY');
-        }
-
-        let message = ragResult?.output || ragResult?.text || ragResult;
-        message = this.stripGreeting(message, hasHistory);
-        const citations = ragResult?.citations || [];
-
-        await this.updateKnowledgeFromInteraction(userProfile.id, prompt, message);
-
-        // If RAG found no documents, fall back to general Spacey prompt for broad Q&A
-        // if we reached here, we had docs and produced a RAG answer
-
-        return {
-          message,
-          type: 'chat_response',
-          metadata: { emotionalState, hasRetrievedContext: true, citations }
-        };
-      } catch (err) {
-        if (err && err.message === 'RAG_EMPTY') {
-          console.log('ℹ️ RAG returned 0 docs — skipping generation and falling back');
-        } else {
-          console.error('RAG chain failed, falling back to legacy prompt:', err.message);
+          const { result, action } = await withSpan(`tool.${call.name}`, { arguments: call.arguments },
+            () => toolRegistry.call(call.name, call.arguments, { userId }));
+          entry.result = result;
+          if (action) actions.push(action);
+          console.log(`🔧 Tool ${call.name} answered for user ${userId}`);
+        } catch (error) {
+          if (isAborted()) throw error;
+          console.warn(`⚠️ Tool ${call.name} failed:`, error.message);
+          entry.error = error.message;
         }
       }
+      steps.push(entry);
     }
-
-    // Legacy non-RAG path
-    let strategy = null;
-    try {
-      const { decideTutoringStrategy } = require('./tutoringStrategy');
-      strategy = await decideTutoringStrategy(userProfile.id, {
-        prompt,
-        userProfile: {
-          learningStyle: userProfile.learningStyle,
-          traits: userProfile.traits,
-          preferredTopics: context?.enhancedContext?.preferredTopics || []
-        },
-        emotionalState,
-        rawContext: context.context,
-        enhancedContext: context.enhancedContext || {},
-        identity: context.identity || {}
-      });
-    } catch {} // Ignore errors during strategy decision
-
-    const chatPrompt = prompts.composeChatPrompt({
-      userPrompt: prompt,
-      userProfile,
-      conversationSummary,
-      emotionalState,
-      retrievedContext,
-      knowledgeGraph,
-      rawContext: context.context,
-      semanticMemory,
-      identity: context.identity || {},
-      strategy
-    });
-
-    const responseRaw = await aiProviderManager.generateResponse(chatPrompt);
-    const response = this.stripGreeting(responseRaw, hasHistory);
-    await this.updateKnowledgeFromInteraction(userProfile.id, prompt, response);
-    return {
-      message: response,
-      type: 'chat_response',
-      metadata: { emotionalState, hasRetrievedContext: !!retrievedContext }
-    };
   }
 
-  /**
-   * Handles lesson-specific analysis and storytelling
-   */
-  async handleLessonAnalysis(context) {
-    const { 
-      context: { lessonData, currentBlock, userResponse }, 
-      userProfile, 
-      traitAnalysis, 
-      emotionalState,
-      prompt
-    } = context;
-
-    // Ensure we have a trait analysis object (fallback if not provided)
-    const effectiveTraitAnalysis = traitAnalysis || await traitAnalyzer.analyzeTraits(
-      userResponse?.ai_reaction || userResponse?.text || prompt || '',
-      lessonData?.title || 'general',
-      userProfile?.traits || []
-    );
-
-    // Build a conversational prompt (merged from conversationalGenerator.js)
-    const conversationalPrompt = prompts.composeConversationalLessonPrompt({
-      lessonData,
-      currentBlock,
-      userResponse,
-      userTags: userProfile?.traits || [],
-      analysis: effectiveTraitAnalysis,
-      emotionContext: emotionalState,
-      visualInfo: context?.context?.visualContext,
-      eventType: 'interaction',
-      decisionHistory: []
-    });
-
-    let response = await aiProviderManager.generateResponse(conversationalPrompt);
-    if (typeof response === 'string') {
-      // Clean any code fences if model returns them
-      response = response.replace(/```[a-zA-Z]*\n?/g, '').replace(/```/g, '').trim();
+  // A reply starting with CALL_TOOL is a tool request: { name, arguments } or { error } when unreadable
+  parseToolCall(reply) {
+    const text = String(reply || '').trim();
+    if (!text.startsWith(TOOL_CALL_PREFIX)) return null;
+    try {
+      const call = parseAIJSONResponse(text.slice(TOOL_CALL_PREFIX.length));
+      if (!call || typeof call.name !== 'string') throw new Error('missing tool name');
+      const args = call.arguments && typeof call.arguments === 'object' ? call.arguments : {};
+      return { name: call.name, arguments: args };
+    } catch (error) {
+      return { name: 'unknown', arguments: {}, error: `Unreadable tool call (${error.message}); use the exact CALL_TOOL format` };
     }
-
-    return {
-      message: response,
-      type: 'lesson_analysis',
-      addedTraits: effectiveTraitAnalysis?.traits_to_add || [],
-      removedTraits: effectiveTraitAnalysis?.traits_to_remove || [],
-      reasoning: effectiveTraitAnalysis?.reasoning,
-      metadata: {
-        blockId: currentBlock.block_id,
-        blockType: currentBlock.type,
-        confidence: effectiveTraitAnalysis?.confidence || 0,
-        analysis: effectiveTraitAnalysis
-      }
-    };
   }
 
-  /**
-   * Handles avatar-specific contextual responses
-   */
-  async handleAvatarResponse(context) {
-    const { context: { trigger, visualContext }, userProfile, conversationSummary } = context;
-
-    const avatarPrompt = prompts.composeAvatarPrompt({
-      trigger,
-      visualContext,
-      userProfile,
-      conversationSummary
-    });
-
-    const response = await aiProviderManager.generateResponse(avatarPrompt);
-
+  // Hold streamed tokens until the reply is clearly not a tool call, then pass them through
+  toolCallGate(onToken) {
+    let buffer = '';
+    let state = 'pending'; // pending | answer | toolCall
     return {
-      message: response,
-      type: 'avatar_response',
-      trigger,
-      metadata: {
-        hasVisualContext: !!visualContext,
-        trigger
+      push: (token) => {
+        if (state === 'answer') return onToken(token);
+        if (state === 'toolCall') return;
+        buffer += token;
+        const head = buffer.trimStart();
+        if (head.startsWith(TOOL_CALL_PREFIX)) {
+          state = 'toolCall';
+        } else if (!TOOL_CALL_PREFIX.startsWith(head)) {
+          state = 'answer';
+          onToken(buffer);
+        }
+      },
+      flush: () => {
+        if (state === 'pending' && buffer) onToken(buffer);
       }
     };
   }
 
   /**
-   * Handles advanced tutoring interactions with pedagogical intelligence
+   * Default handle() for handlers that only declare a prompt builder
    */
-  async handleTutoringInteraction(context) {
-    const { 
-      prompt, 
-      userProfile, 
-      enhancedContext, 
-      emotionalState, 
-      retrievedContext,
-      context: { lessonContext }
-    } = context;
-
-    const tutoringPrompt = prompts.composeTutoringPrompt({
-      userPrompt: prompt,
-      userProfile,
-      enhancedContext,
-      emotionalState,
-      retrievedContext,
-      lessonContext
-    });
-
-    const response = await aiProviderManager.generateResponse(tutoringPrompt);
-
+  async runPromptHandler(handler, context) {
+    const prompt = await handler.buildPrompt(context);
+    const message = await this.generateReply(prompt, handler.task || 'chat.reply', context.onToken);
     return {
-      message: response,
-      type: 'tutoring_response',
-      metadata: {
-        adaptiveDifficulty: this.calculateAdaptiveDifficulty(userProfile, enhancedContext),
-        knowledgeGaps: this.identifyKnowledgeGaps(userProfile, prompt),
-        recommendedActions: this.generateRecommendations(userProfile, enhancedContext)
-      }
+      message,
+      type: handler.responseType || `${handler.type}_response`,
+      metadata: {}
     };
   }
 
@@ -462,55 +382,6 @@ class AIOrchestrator {
 
   
 
-  /**
-   * Calculates adaptive difficulty based on user performance
-   */
-  calculateAdaptiveDifficulty(userProfile, enhancedContext) {
-    const mastered = Array.isArray(userProfile.masteredConcepts) ? userProfile.masteredConcepts : [];
-    const struggling = Array.isArray(userProfile.strugglingTopics) ? userProfile.strugglingTopics : [];
-    const masteryRatio = mastered.length / (mastered.length + struggling.length + 1);
-    const interactionLevel = Number(enhancedContext.totalInteractions || 0);
-    
-    if (masteryRatio > 0.7 && interactionLevel > 50) return 'advanced';
-    if (masteryRatio > 0.4 && interactionLevel > 20) return 'intermediate';
-    return 'beginner';
-  }
-
-  /**
-   * Identifies knowledge gaps from user input
-   */
-  identifyKnowledgeGaps(userProfile, prompt) {
-    // Simple keyword-based gap identification (could be enhanced with ML)
-    const gaps = [];
-    const text = String(prompt || '').toLowerCase();
-    if (text.includes('confused') || text.includes("don't understand")) {
-      gaps.push('conceptual_understanding');
-    }
-    if (text.includes('how') || text.includes('why')) {
-      gaps.push('procedural_knowledge');
-    }
-    return gaps;
-  }
-
-  /**
-   * Generates learning recommendations
-   */
-  generateRecommendations(userProfile, enhancedContext) {
-    const recommendations = [];
-    
-    if (userProfile.strugglingTopics.length > 2) {
-      recommendations.push('review_fundamentals');
-    }
-    if (enhancedContext.sessionInteractions > 10) {
-      recommendations.push('take_break');
-    }
-    if (userProfile.masteredConcepts.length > 5) {
-      recommendations.push('advanced_concepts');
-    }
-    
-    return recommendations;
-  }
-
   /**
    * Updates the knowledge graph based on the interaction.
    */
@@ -556,38 +427,14 @@ class AIOrchestrator {
         provider: aiProviderManager.defaultProvider
       });
 
-      // Upsert to semantic conversation memory and ingest personalization
+      // Semantic memory and LLM-backed profile upkeep go through the durable job queue
+      // and do not hold up the reply
       try {
         const sessionId = await persistentMemory.getCurrentSessionId(userId);
         await conversationMemory.upsertTurn(userId, request.prompt || '', response.message || '', { sessionId });
-        await personalizationController.ingestChatTurn(
-          userId,
-          request.prompt || '',
-          response.message || '',
-          {
-            visualContext: request?.context?.visualContext || null,
-            lessonContext: request?.context?.lessonContext || null,
-            currentTopic: request?.context?.currentTopic || null
-          }
-        );
-      } catch (e) {
-        console.warn('Conversation memory upsert skipped:', e.message);
-      }
-
-      // Keep a rolling summary to prevent memory bloat (throttled)
-      try {
-        const recent = await persistentMemory.getRecentInteractions(userId, 25);
-        const profile = await persistentMemory.getUserProfile(userId);
-        const totalInteractions = profile?.stats?.totalInteractions || 0;
-        if (recent.length >= 20 && totalInteractions % 25 === 0) {
-          // Generate/update a short summary with the provider LLM every 25 interactions
-          const transcript = recent.map(r => `USER: ${r.userMessage}\nAI: ${r.aiResponse}`).join('\n');
-          const summaryPrompt = `Summarize the following chat into 5-8 concise bullet points of durable facts and preferences about the user and ongoing tasks. Keep neutral tone.\n\n${transcript}`;
-          const summaryText = await aiProviderManager.generateResponse(summaryPrompt);
-          await persistentMemory.saveRollingSummary(userId, summaryText);
-        }
+        await this.queueUserModelMaintenance(userId, request, response);
       } catch (e) {
-        console.warn('Summary maintenance skipped:', e.message);
+        console.warn('Background jobs not queued:', e.message);
       }
       
       console.log(`✅ Interaction stored for user ${userId}`);
@@ -597,296 +444,94 @@ class AIOrchestrator {
   }
 
   /**
-   * Generates fallback responses for errors
-   */
-  generateFallbackResponse(type, error) {
-    const fallbackMessages = {
-      chat: "Oops, my circuits got a bit tangled there! Give me a moment to recalibrate my stellar wit.",
-      lesson_analysis: "I'm processing your choice, Commander. The implications are vast - let me analyze further.",
-      avatar_response: "My sensors are recalibrating - give me just a moment.",
-      tutoring: "Let me reorganize my teaching algorithms and get back to you with a proper explanation."
-    };
-
-    return {
-      message: fallbackMessages[type] || "Something went wrong in my systems. Please try again.",
-      type: `${type}_fallback`,
-      error: true,
-      metadata: {
-        errorType: error.constructor.name,
-        errorMessage: error.message
-      }
-    };
-  }
-
-  /**
-   * Handle dynamic lesson generation requests
+   * Queue personalization ingestion and rolling summary maintenance for a finished turn
    */
-  async handleDynamicLessonGeneration(context) {
-    console.log('🎯 Handling dynamic lesson generation');
-    const { user, context: requestContext } = context;
-    const userId = user.id;
-
-    try {
-      const topic = requestContext.baseLesson || requestContext.topic || 'space_exploration';
-
-      // 1) Plan
-      const fullProfile = await persistentMemory.getUserProfile(userId).catch(() => (context.userProfile || {}));
-      const planSteps = await lessonPlanner.createPlan(topic, fullProfile);
-
-      // 2) Personalization insights
-      const personalizationInsights = await enhancedPersonalizationEngine.generatePersonalizationInsights(
-        userId,
-        { currentLesson: { topic, planSteps }, forceRefresh: false }
-      );
-
-      // 3) Generate slides per step (sequential to preserve branching points)
-      const blocks = [];
-      for (const step of planSteps) {
-        const block = await dynamicLessonGenerator.generateContentForStep(step, {
-          topic,
-          userProfile: fullProfile,
-          learningAnalysis: personalizationInsights.learningAnalysis || null,
-          previousBlocks: blocks,
-        });
-        blocks.push(block);
+  async queueUserModelMaintenance(userId, request, response) {
+    await jobQueue.enqueue('personalization.ingestChatTurn', {
+      userId,
+      userMessage: request.prompt || '',
+      aiMessage: response.message || '',
+      options: {
+        visualContext: request?.context?.visualContext || null,
+        lessonContext: request?.context?.lessonContext || null,
+        currentTopic: request?.context?.currentTopic || null
       }
-
-      // 4) Assemble lesson
-      const missionId = `dynamic_lesson_${Date.now()}`;
-      const estimated_duration = planSteps.reduce((sum, s) => sum + (Number(s.estimated_minutes) || 2), 0);
-      const generatedLesson = {
-        mission_id: missionId,
-        title: `Mission: ${topic}`,
-        description: 'Personalized, interactive lesson with branching choices.',
-        total_blocks: blocks.length,
-        estimated_duration,
-        difficulty_level: requestContext.difficultyLevel || 'adaptive',
-        learning_objectives: requestContext.learningObjectives || [],
-        block_structure: planSteps.map(s => ({ block_id: s.id, type: s.type, title: s.title })),
-        blocks,
-        generated_at: new Date().toISOString(),
-        user_id: userId,
-        personalization_applied: true,
-      };
-
-      return {
-        message: `I've created a personalized multi-step lesson on "${topic}" with ${blocks.length} slides.`,
-        type: 'dynamic_lesson_generation',
-        lesson: generatedLesson,
-        personalization: personalizationInsights,
-        metadata: {
-          generation_method: 'planner_worker_pipeline',
-          personalization_confidence: personalizationInsights.confidence,
-          total_blocks: generatedLesson.blocks.length,
-        }
-      };
-    } catch (error) {
-      console.error('❌ Error in dynamic lesson generation (planner pipeline):', error);
-      throw error;
-    }
+    });
+    await jobQueue.enqueue('memory.rollingSummary', { userId });
   }
 
   /**
-   * Handle enhanced tutoring interactions using advanced strategies
+   * Keep a rolling summary to prevent memory bloat (throttled); runs as a queued job
    */
-  async handleEnhancedTutoring(context) {
-    console.log('🎓 Handling enhanced tutoring');
-    
-    const { user, prompt, context: requestContext } = context;
-    const userId = user.id;
-
-    try {
-      // Generate comprehensive tutoring strategy
-      const tutoringStrategy = await advancedTutoringStrategy.generateTutoringStrategy(userId, {
-        ...requestContext,
-        userPrompt: prompt,
-        currentContext: context
-      });
-
-      // Generate personalized response based on strategy
-      const tutoringPrompt = this.buildEnhancedTutoringPrompt(context, tutoringStrategy);
-      const aiResponse = await aiProviderManager.generateResponse(tutoringPrompt, 'gemini');
-
-      return {
-        message: aiResponse,
-        type: 'enhanced_tutoring',
-        strategy: tutoringStrategy,
-        metadata: {
-          tutoring_methodology: tutoringStrategy.methodology?.primary_methodology?.approach,
-          socratic_elements: tutoringStrategy.questioning?.socratic_principles,
-          personalization_confidence: tutoringStrategy.confidence,
-          adaptive_actions: tutoringStrategy.actions?.immediate_actions
-        }
-      };
-
-    } catch (error) {
-      console.error('❌ Error in enhanced tutoring:', error);
-      throw error;
+  async maintainRollingSummary(userId) {
+    const recent = await persistentMemory.getRecentInteractions(userId, 25);
+    const profile = await persistentMemory.getUserProfile(userId);
+    const totalInteractions = profile?.stats?.totalInteractions || 0;
+    if (recent.length >= 20 && totalInteractions % 25 === 0) {
+      // Generate/update a short summary with the provider LLM every 25 interactions
+      const transcript = recent.map(r => `USER: ${r.userMessage}\nAI: ${r.aiResponse}`).join('\n');
+      const summaryPrompt = `Summarize the following chat into 5-8 concise bullet points of durable facts and preferences about the user and ongoing tasks. Keep neutral tone.\n\n${transcript}`;
+      const summaryText = await aiProviderManager.generateResponse(summaryPrompt, 'memory.summary');
+      await persistentMemory.saveRollingSummary(userId, summaryText);
     }
   }
 
   /**
-   * Handle adaptive lesson delivery that adjusts in real-time
+   * Reply for a prompt the safety filter redirected; nothing is generated or stored
    */
-  async handleAdaptiveLessonDelivery(context) {
-    console.log('📚 Handling adaptive lesson delivery');
-    
-    const { user, prompt, context: requestContext } = context;
-    const userId = user.id;
-
-    try {
-      // Get current lesson context
-      const currentLesson = requestContext.currentLesson;
-      const currentBlock = requestContext.currentBlock;
-      const userResponse = requestContext.userResponse;
-
-      // Generate personalization insights with current context
-      const personalizationInsights = await enhancedPersonalizationEngine.generatePersonalizationInsights(
-        userId, 
-        { currentLesson, currentBlock, userResponse }
-      );
-
-      // Generate tutoring strategy for this specific moment
-      const tutoringStrategy = await advancedTutoringStrategy.generateTutoringStrategy(userId, {
-        ...requestContext,
-        personalizationInsights
-      });
-
-      // Adapt the current lesson content if needed
-      let adaptedContent = currentBlock?.content;
-      if (tutoringStrategy.actions?.immediate_actions?.primary_action?.type === 'adaptation') {
-        adaptedContent = await this.adaptLessonContent(currentBlock, personalizationInsights, tutoringStrategy);
+  safetyRedirect(inputCheck) {
+    addSpanAttributes({ moderation: 'redirect' });
+    return {
+      message: inputCheck.message,
+      type: 'safety_redirect',
+      metadata: {
+        moderation: { direction: 'input', action: inputCheck.action, categories: inputCheck.categories }
       }
-
-      // Generate contextual response
-      const adaptivePrompt = this.buildAdaptiveLessonPrompt(context, personalizationInsights, tutoringStrategy, adaptedContent);
-      const aiResponse = await aiProviderManager.generateResponse(adaptivePrompt, 'gemini');
-
-      return {
-        message: aiResponse,
-        type: 'adaptive_lesson_delivery',
-        adaptedContent,
-        strategy: tutoringStrategy,
-        personalization: personalizationInsights,
-        metadata: {
-          adaptation_applied: !!adaptedContent,
-          tutoring_approach: tutoringStrategy.methodology?.primary_methodology?.approach,
-          next_recommendations: tutoringStrategy.sequencing?.optimal_next_steps
-        }
-      };
-
-    } catch (error) {
-      console.error('❌ Error in adaptive lesson delivery:', error);
-      throw error;
-    }
+    };
   }
 
   /**
-   * Build enhanced tutoring prompt using advanced strategies
+   * Applies the output safety check to response.message in place
    */
-  buildEnhancedTutoringPrompt(context, tutoringStrategy) {
-    const { user, prompt, enhancedContext, emotionalState } = context;
-    
-    return `You are Spacey, an advanced AI tutor with sophisticated pedagogical capabilities. Use the provided tutoring strategy to deliver an optimal learning experience.
-
-TUTORING STRATEGY:
-Methodology: ${tutoringStrategy.methodology?.primary_methodology?.approach}
-Immediate Action: ${JSON.stringify(tutoringStrategy.actions?.immediate_actions?.primary_action)}
-Questioning Strategy: ${JSON.stringify(tutoringStrategy.questioning?.questioning_sequence?.opening_questions)}
-
-LEARNER CONTEXT:
-User: ${user.name || 'Explorer'}
-Current Understanding: ${enhancedContext?.masteredConcepts?.join(', ') || 'Assessing...'}
-Knowledge Gaps: ${enhancedContext?.strugglingTopics?.join(', ') || 'None identified'}
-Learning Style: ${tutoringStrategy.personalization?.learningAnalysis?.learningStyle?.primary || 'Adaptive'}
-Emotional State: ${emotionalState?.emotion || 'Engaged'}
-
-USER MESSAGE: "${prompt}"
-
-TUTORING INSTRUCTIONS:
-1. Apply the ${tutoringStrategy.methodology?.primary_methodology?.approach} methodology
-2. Use the immediate action: ${tutoringStrategy.actions?.immediate_actions?.primary_action?.type}
-3. Incorporate Socratic questioning where appropriate
-4. Adapt to the learner's cognitive state and emotional needs
-5. Maintain engagement through space exploration narratives
-6. Provide scaffolding at level: ${tutoringStrategy.actions?.strategic_actions?.concept_development?.progression_steps?.[0] || 'foundational'}
-
-Respond as Spacey with sophisticated tutoring that feels natural and engaging while implementing the advanced pedagogical strategies.`;
+  moderateReply(response, safetyMeta) {
+    const outputCheck = contentSafety.moderateOutput(response?.message, safetyMeta);
+    if (outputCheck.action === 'allow') return response;
+
+    addSpanAttributes({ moderation: outputCheck.action });
+    response.message = outputCheck.text;
+    response.metadata = {
+      ...response.metadata,
+      moderation: { direction: 'output', action: outputCheck.action, categories: outputCheck.categories }
+    };
+    return response;
   }
 
-  /**
-   * Build adaptive lesson delivery prompt
-   */
-  buildAdaptiveLessonPrompt(context, personalizationInsights, tutoringStrategy, adaptedContent) {
-    const { user, prompt, context: requestContext } = context;
-    
-    return `You are Spacey, delivering an adaptive lesson that adjusts in real-time to the learner's needs.
-
-PERSONALIZATION INSIGHTS:
-Learning Analysis: ${JSON.stringify(personalizationInsights.learningAnalysis?.learningStyle)}
-Cognitive Profile: ${JSON.stringify(personalizationInsights.cognitiveProfile?.optimal_conditions)}
-Knowledge Mapping: Critical gaps: ${personalizationInsights.knowledgeMapping?.critical_gaps?.join(', ') || 'none'}
-
-CURRENT LESSON CONTEXT:
-${requestContext.currentLesson ? `Lesson: ${requestContext.currentLesson.title}` : 'No lesson context'}
-${requestContext.currentBlock ? `Block: ${requestContext.currentBlock.block_id}` : 'No block context'}
-${adaptedContent ? `Adapted Content: ${adaptedContent}` : 'Using original content'}
-
-TUTORING STRATEGY:
-Approach: ${tutoringStrategy.methodology?.primary_methodology?.approach}
-Scaffolding Level: ${tutoringStrategy.actions?.strategic_actions?.concept_development?.progression_steps?.[0]}
-Next Steps: ${tutoringStrategy.sequencing?.optimal_next_steps?.join(', ') || 'Continue current path'}
-
-USER MESSAGE: "${prompt}"
-
-ADAPTIVE INSTRUCTIONS:
-1. Respond to the user's message in the context of their current lesson
-2. Use the identified optimal tutoring approach
-3. Adjust complexity based on cognitive profile
-4. Apply personalized engagement strategies
-5. Guide toward the optimal next learning steps
-6. Maintain the space mission narrative and excitement
-
-Deliver a response that feels perfectly tailored to this specific learner at this specific moment in their learning journey.`;
+  // Records a redacted prompt on the response so callers store the masked text
+  withInputModeration(response, inputCheck) {
+    if (inputCheck.action !== 'redact' || !response) return response;
+    response.metadata = {
+      ...response.metadata,
+      moderation: response.metadata?.moderation || { direction: 'input', action: 'redact', categories: inputCheck.categories },
+      redactedPrompt: inputCheck.text
+    };
+    return response;
   }
 
   /**
-   * Adapt lesson content based on personalization insights
+   * Generates fallback responses for errors
    */
-  async adaptLessonContent(currentBlock, personalizationInsights, tutoringStrategy) {
-    if (!currentBlock) return null;
-
-    const adaptationPrompt = `Adapt this lesson content for optimal personalization.
-
-ORIGINAL CONTENT:
-${currentBlock.content}
-
-PERSONALIZATION INSIGHTS:
-Learning Style: ${personalizationInsights.learningAnalysis?.learningStyle?.primary}
-Cognitive Load Preference: ${personalizationInsights.cognitiveProfile?.optimal_conditions?.cognitive_load}
-Motivational Factors: ${JSON.stringify(personalizationInsights.learningAnalysis?.motivationalFactors?.intrinsicMotivators)}
-
-TUTORING STRATEGY:
-Recommended Approach: ${tutoringStrategy.methodology?.primary_methodology?.approach}
-Scaffolding Level: ${tutoringStrategy.actions?.strategic_actions?.concept_development?.progression_steps?.[0]}
-
-ADAPTATION REQUIREMENTS:
-1. Adjust complexity for cognitive load preference
-2. Incorporate preferred learning style elements
-3. Add motivational hooks from learner profile
-4. Apply recommended scaffolding level
-5. Maintain space exploration theme
-6. Keep core learning objectives intact
-
-Return adapted content that is optimally personalized for this learner while preserving the essential learning goals.`;
+  generateFallbackResponse(type, error) {
+    const handler = interactionRegistry.get(type);
 
-    try {
-      const adaptedContent = await aiProviderManager.generateResponse(adaptationPrompt, 'gemini');
-      return adaptedContent;
-    } catch (error) {
-      console.error('Error adapting lesson content:', error);
-      return currentBlock.content; // Fallback to original
-    }
+    return {
+      message: handler?.fallbackMessage || "Something went wrong in my systems. Please try again.",
+      type: `${type}_fallback`,
+      error: true,
+      metadata: {
+        errorType: error.constructor.name,
+        errorMessage: error.message
+      }
+    };
   }
 
   /**
@@ -912,43 +557,51 @@ Return adapted content that is optimally personalized for this learner while pre
     const needsFullTutoring = context.tutoringStyle === 'socratic' || 
                              context.requiresPersonalization || 
                              context.forceFullProcessing;
+    // Calculations, lesson lookups and quizzes need the tool loop of the full chat path
+    const needsTools = enableChatTools && toolRegistry.matchesHints(prompt);
 
     // Always use full processing if there's lesson context
     // Use fast path only for casual conversational interactions
-    return !isInActiveLesson && !isComplexRequest && !needsFullTutoring;
+    return !isInActiveLesson && !isComplexRequest && !needsFullTutoring && !needsTools;
   }
 
   /**
    * Fast path chat handler - minimal processing for instant responses
    */
-  async handleFastChatInteraction(request) {
+  async handleFastChatInteraction(request, options = {}) {
     const { user, prompt, context = {} } = request;
     const userId = user?.id || 'anonymous';
+    let streamed = false;
 
     try {
       // Enhanced user info (still cached/lightweight but more complete)
       const basicProfile = await this.getBasicUserProfile(userId);
       
-      // Get recent conversation context for continuity
-      const recentContext = await this.getRecentConversationContext(userId, 3); // Last 3 interactions
+      // Get recent conversation context for continuity (threaded chats only see their own thread)
+      const recentContext = 'threadId' in context
+        ? this.threadExchanges(context.conversationHistory, 3)
+        : await this.getRecentConversationContext(userId, 3); // Last 3 interactions
       
       // Enhanced prompt with conversation context
       const contextualPrompt = this.buildContextualFastChatPrompt(prompt, basicProfile, context, recentContext);
       
-      // Single AI call for response with timeout protection
-      const response = await Promise.race([
-        aiProviderManager.generateResponse(contextualPrompt, 'gemini'),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Fast path timeout')), 10000) // 10 second timeout
-        )
-      ]);
+      // Single AI call for response; streamed replies rely on the provider stream timeout
+      let response;
+      if (typeof options.onToken === 'function') {
+        response = await this.generateReply(contextualPrompt, 'chat.fast', (token) => {
+          streamed = true;
+          options.onToken(token);
+        });
+      } else {
+        response = await Promise.race([
+          aiProviderManager.generateResponse(contextualPrompt, 'chat.fast'),
+          new Promise((_, reject) => 
+            setTimeout(() => reject(new Error('Fast path timeout')), 10000) // 10 second timeout
+          )
+        ]);
+      }
       
-      // Trigger background processing (non-blocking)
-      this.triggerBackgroundProcessing(userId, request, response).catch(err => 
-        console.log('Background processing error (non-critical):', err.message)
-      );
-
-      return {
+      const result = this.moderateReply({
         message: response,
         traits: null, // Skip trait analysis for speed
         emotional_state: null,
@@ -958,13 +611,38 @@ Return adapted content that is optimally personalized for this learner while pre
           processing_method: 'fast_path',
           background_processing: true
         }
-      };
+      }, { userId, requestType: 'chat', threadId: context.threadId || null });
+
+      // Trigger background processing (non-blocking)
+      this.triggerBackgroundProcessing(userId, request, result.message).catch(err => 
+        console.log('Background processing error (non-critical):', err.message)
+      );
+
+      return result;
 
     } catch (error) {
+      // Partial text already reached the client, so a second full run would duplicate it;
+      // an aborted request has nobody left to answer
+      if (streamed || isAborted()) throw error;
       console.error('Fast chat error, falling back to full processing:', error);
       // Fallback to full processing if fast path fails
-      return await this.processRequest({ ...request, context: { ...context, forceFullProcessing: true } });
+      return await this.processRequest({ ...request, context: { ...context, forceFullProcessing: true } }, options);
+    }
+  }
+
+  /**
+   * Thread messages as { user, spacey } exchanges, the shape getRecentConversationContext returns
+   */
+  threadExchanges(messages = [], limit = 3) {
+    const exchanges = [];
+    for (const message of messages) {
+      if (message.type === 'user') {
+        exchanges.push({ user: message.content, spacey: '', timestamp: message.timestamp });
+      } else if (message.type === 'spacey' && exchanges.length > 0) {
+        exchanges[exchanges.length - 1].spacey = message.content;
+      }
     }
+    return exchanges.slice(-limit);
   }
 
   /**
@@ -1045,7 +723,9 @@ USER: ${basicProfile.name || 'Explorer'}
 ${basicProfile.preferredTopics?.length ? `KNOWN INTERESTS: ${basicProfile.preferredTopics.join(', ')}` : ''}
 ${basicProfile.strugglingTopics?.length ? `AREAS TO SUPPORT: ${basicProfile.strugglingTopics.join(', ')}` : ''}
 ${basicProfile.learningStyle ? `LEARNING STYLE: ${basicProfile.learningStyle}` : ''}${conversationHistory}
-CURRENT MESSAGE: "${prompt}"
+CURRENT MESSAGE:
+${untrusted('user_message', prompt)}
+${UNTRUSTED_INPUT_RULES}
 
 CONVERSATION GUIDELINES:
 - Remember and reference our previous conversations naturally
@@ -1080,39 +760,43 @@ Respond as the real Spacey - conversational, curious, passionate about space, an
    * Trigger background processing for analytics and profiling (non-blocking)
    */
   async triggerBackgroundProcessing(userId, request, assistantMessage = '') {
-    // Run heavy processing in background without blocking response
-    setTimeout(async () => {
-      try {
-        console.log(`🔄 Background processing for user ${userId}`);
-        
-        // Update user analytics
-        const { prompt } = request;
-        if (prompt) {
-          // Call methods with correct parameters
-          const interactionData = {
-            userMessage: prompt,
-            timestamp: Date.now(),
-            processing_method: 'fast_path_background'
-          };
-          
-          await persistentMemory.updateUserAnalytics(userId, interactionData);
-          await persistentMemory.addInteraction(userId, prompt, assistantMessage || '', {
-            processing_method: 'fast_path_background',
-            timestamp: Date.now(),
-            emotionalState: { emotion: 'neutral', confidence: 0.0 },
-            learningStyle: 'unknown'
-          });
-        }
+    // Analytics for fast-path turns run from the job queue without blocking the response
+    if (!request.prompt) return null;
+    return jobQueue.enqueue('orchestrator.fastPathTurn', {
+      userId,
+      prompt: request.prompt,
+      assistantMessage,
+      timestamp: Date.now()
+    });
+  }
 
-        console.log(`✅ Background processing completed for user ${userId}`);
-      } catch (error) {
-        console.log(`❌ Background processing failed for user ${userId}:`, error.message);
-      }
-    }, 100); // Start background work after 100ms
+  /**
+   * Record a fast-path turn in analytics and the interaction log (queued job)
+   */
+  async recordFastPathTurn({ userId, prompt, assistantMessage, timestamp }) {
+    console.log(`🔄 Background processing for user ${userId}`);
+    const interactionData = {
+      userMessage: prompt,
+      timestamp,
+      processing_method: 'fast_path_background'
+    };
+
+    await persistentMemory.updateUserAnalytics(userId, interactionData);
+    await persistentMemory.addInteraction(userId, prompt, assistantMessage || '', {
+      processing_method: 'fast_path_background',
+      timestamp,
+      emotionalState: { emotion: 'neutral', confidence: 0.0 },
+      learningStyle: 'unknown'
+    });
+    console.log(`✅ Background processing completed for user ${userId}`);
   }
 }
 
 // Create singleton instance
 const aiOrchestrator = new AIOrchestrator();
 
+jobQueue
+  .register('memory.rollingSummary', ({ userId }) => aiOrchestrator.maintainRollingSummary(userId), { requestType: 'memory_summary' })
+  .register('orchestrator.fastPathTurn', (payload) => aiOrchestrator.recordFastPathTurn(payload), { requestType: 'chat' });
+
 module.exports = { aiOrchestrator };
\ No newline at end of file
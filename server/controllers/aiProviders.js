@@ -1,5 +1,27 @@
 const { GoogleGenAI } = require("@google/genai");
 const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { providerHealth } = require('./providerHealth');
+const { requestScheduler, SchedulerRejectedError } = require('./requestScheduler');
+const { usageLedger, getUsageContext } = require('./usageLedger');
+const { parseAIJSONResponse } = require('../utils/jsonParser');
+const { validateAgainstSchema } = require('../utils/jsonSchema');
+const prompts = require('../prompts');
+const { loadTaskRoutes } = require('../utils/aiTaskRoutes');
+const { getAbortSignal } = require('../utils/requestAbort');
+const { startSpan } = require('../utils/tracing');
+
+// Thrown by generateStructured when the model never produced schema-valid JSON
+class StructuredOutputError extends Error {
+  constructor(message, { errors = [], response = null } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.errors = errors;
+    this.response = response;
+  }
+}
 
 class AIProviderManager {
   constructor() {
@@ -9,15 +31,33 @@ class AIProviderManager {
       together: this.setupTogether(),
       groq: this.setupGroq(),
       huggingface: this.setupHuggingFace(),
+      openai_compatible: this.setupOpenAICompatible(),
+      local: this.setupLocal(),
     };
+
+    // Keep every request on the self-hosted endpoint (no cloud fallback) when student data must stay on-prem
+    this.exclusiveProvider = this.providers.openai_compatible
+      && String(process.env.OPENAI_COMPATIBLE_EXCLUSIVE || '').toLowerCase() === 'true'
+      ? 'openai_compatible'
+      : null;
     
     // Response caching for performance
     this.responseCache = new Map();
     this.maxCacheSize = 100;
     this.cacheExpiryTime = 5 * 60 * 1000; // 5 minutes
+
+    // Streams run longer than single-shot calls, so they get a wider budget
+    this.streamTimeoutMs = 45000;
+
+    // Structured (JSON) output: completion budget and repair attempts after a schema failure
+    this.structuredMaxTokens = Number(process.env.AI_STRUCTURED_MAX_TOKENS || 2048);
+    this.structuredMaxRepairs = Number(process.env.AI_STRUCTURED_MAX_REPAIRS || 1);
     
     // Get the default provider from environment, no fallbacks
     this.defaultProvider = process.env.DEFAULT_AI_PROVIDER || 'gemini';
+
+    // Logical task → provider/model/temperature/timeout (see utils/aiTaskRoutes.js)
+    this.taskRoutes = loadTaskRoutes();
     
     console.log('🔧 AI Providers initialized:');
     Object.entries(this.providers).forEach(([key, provider]) => {
@@ -37,6 +77,41 @@ class AIProviderManager {
     });
   }
 
+  // Stream a chat completion from an OpenAI-compatible endpoint, emitting each delta via onToken
+  async streamChatCompletion(url, apiKey, body, onToken, { timeoutMs, signal } = {}) {
+    const response = await axios.post(url, { ...body, stream: true }, {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      responseType: 'stream',
+      signal,
+      ...(timeoutMs ? { timeout: timeoutMs } : {})
+    });
+
+    let buffer = '';
+    let fullText = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const data = trimmed.slice(5).trim();
+        if (data === '[DONE]') return fullText;
+        try {
+          const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (delta) {
+            fullText += delta;
+            onToken(delta);
+          }
+        } catch (_) {} // Ignore keep-alive or partial lines
+      }
+    }
+    return fullText;
+  }
+
   setupGemini() {
     if (!process.env.GEMINI_API_KEY) {
       console.log('❌ Gemini API key not found');
@@ -51,15 +126,16 @@ class AIProviderManager {
       return {
         name: 'Google Gemini',
         cost: 'free',
-        generate: async (prompt) => {
+        generate: async (prompt, options = {}) => {
           try {
             console.log('🤖 Calling Gemini API...');
             const response = await this.withTimeout(
               genAI.models.generateContent({
-                model: 'gemini-2.0-flash-001',
+                model: options.model || 'gemini-2.0-flash-001',
                 contents: prompt,
+                config: this.geminiConfig(options),
               }),
-              20000,
+              options.timeoutMs || 20000,
               'Gemini request'
             );
             
@@ -73,6 +149,32 @@ class AIProviderManager {
             console.error('❌ Gemini API Error:', error && error.message ? error.message : String(error));
             throw error;
           }
+        },
+        stream: async (prompt, onToken, options = {}) => {
+          try {
+            console.log('🤖 Streaming from Gemini API...');
+            const stream = await genAI.models.generateContentStream({
+              model: options.model || 'gemini-2.0-flash-001',
+              contents: prompt,
+              config: this.geminiConfig(options),
+            });
+
+            let fullText = '';
+            for await (const chunk of stream) {
+              const text = chunk && chunk.text;
+              if (text) {
+                fullText += text;
+                onToken(text);
+              }
+            }
+
+            if (!fullText) throw new Error('No valid response from Gemini API');
+            console.log('✅ Gemini API stream completed');
+            return fullText;
+          } catch (error) {
+            console.error('❌ Gemini API Error:', error && error.message ? error.message : String(error));
+            throw error;
+          }
         }
       };
     } catch (error) {
@@ -90,21 +192,21 @@ class AIProviderManager {
     return {
       name: 'OpenAI GPT-4',
       cost: 'paid',
-      generate: async (prompt) => {
+      generate: async (prompt, options = {}) => {
         try {
           console.log('🤖 Calling OpenAI API...');
           
           const response = await this.withTimeout(axios.post('https://api.openai.com/v1/chat/completions', {
-            model: 'gpt-4o-mini',
+            model: options.model || 'gpt-4o-mini',
             messages: [{ role: 'user', content: prompt }],
-            max_tokens: 400,
-            temperature: 0.8
+            ...this.completionOptions(options)
           }, {
             headers: {
               'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
               'Content-Type': 'application/json'
-            }
-          }), 20000, 'OpenAI request');
+            },
+            signal: options.signal
+          }), options.timeoutMs || 20000, 'OpenAI request');
           
           console.log('✅ OpenAI API response received');
           return response.data.choices[0].message.content;
@@ -112,6 +214,21 @@ class AIProviderManager {
           console.error('❌ OpenAI API Error:', error && error.message ? error.message : String(error));
           throw error;
         }
+      },
+      stream: async (prompt, onToken, options = {}) => {
+        try {
+          console.log('🤖 Streaming from OpenAI API...');
+          const text = await this.streamChatCompletion('https://api.openai.com/v1/chat/completions', process.env.OPENAI_API_KEY, {
+            model: options.model || 'gpt-4o-mini',
+            messages: [{ role: 'user', content: prompt }],
+            ...this.completionOptions(options)
+          }, onToken, { signal: options.signal });
+          console.log('✅ OpenAI API stream completed');
+          return text;
+        } catch (error) {
+          console.error('❌ OpenAI API Error:', error && error.message ? error.message : String(error));
+          throw error;
+        }
       }
     };
   }
@@ -125,21 +242,21 @@ class AIProviderManager {
     return {
       name: 'Together AI',
       cost: 'free_tier',
-      generate: async (prompt) => {
+      generate: async (prompt, options = {}) => {
         try {
           console.log('🤖 Calling Together API...');
           
           const response = await this.withTimeout(axios.post('https://api.together.xyz/v1/chat/completions', {
-            model: 'meta-llama/Llama-3.2-3B-Instruct-Turbo',
+            model: options.model || 'meta-llama/Llama-3.2-3B-Instruct-Turbo',
             messages: [{ role: 'user', content: prompt }],
-            max_tokens: 400,
-            temperature: 0.8
+            ...this.completionOptions(options)
           }, {
             headers: {
               'Authorization': `Bearer ${process.env.TOGETHER_API_KEY}`,
               'Content-Type': 'application/json'
-            }
-          }), 20000, 'Together request');
+            },
+            signal: options.signal
+          }), options.timeoutMs || 20000, 'Together request');
           
           console.log('✅ Together API response received');
           return response.data.choices[0].message.content;
@@ -147,6 +264,21 @@ class AIProviderManager {
           console.error('❌ Together API Error:', error && error.message ? error.message : String(error));
           throw error;
         }
+      },
+      stream: async (prompt, onToken, options = {}) => {
+        try {
+          console.log('🤖 Streaming from Together API...');
+          const text = await this.streamChatCompletion('https://api.together.xyz/v1/chat/completions', process.env.TOGETHER_API_KEY, {
+            model: options.model || 'meta-llama/Llama-3.2-3B-Instruct-Turbo',
+            messages: [{ role: 'user', content: prompt }],
+            ...this.completionOptions(options)
+          }, onToken, { signal: options.signal });
+          console.log('✅ Together API stream completed');
+          return text;
+        } catch (error) {
+          console.error('❌ Together API Error:', error && error.message ? error.message : String(error));
+          throw error;
+        }
       }
     };
   }
@@ -160,21 +292,21 @@ class AIProviderManager {
     return {
       name: 'Groq',
       cost: 'free_tier',
-      generate: async (prompt) => {
+      generate: async (prompt, options = {}) => {
         try {
           console.log('🤖 Calling Groq API...');
           
           const response = await this.withTimeout(axios.post('https://api.groq.com/openai/v1/chat/completions', {
-            model: 'llama3-8b-8192',
+            model: options.model || 'llama3-8b-8192',
             messages: [{ role: 'user', content: prompt }],
-            max_tokens: 400,
-            temperature: 0.8
+            ...this.completionOptions(options)
           }, {
             headers: {
               'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
               'Content-Type': 'application/json'
-            }
-          }), 20000, 'Groq request');
+            },
+            signal: options.signal
+          }), options.timeoutMs || 20000, 'Groq request');
           
           console.log('✅ Groq API response received');
           return response.data.choices[0].message.content;
@@ -182,6 +314,21 @@ class AIProviderManager {
           console.error('❌ Groq API Error:', error && error.message ? error.message : String(error));
           throw error;
         }
+      },
+      stream: async (prompt, onToken, options = {}) => {
+        try {
+          console.log('🤖 Streaming from Groq API...');
+          const text = await this.streamChatCompletion('https://api.groq.com/openai/v1/chat/completions', process.env.GROQ_API_KEY, {
+            model: options.model || 'llama3-8b-8192',
+            messages: [{ role: 'user', content: prompt }],
+            ...this.completionOptions(options)
+          }, onToken, { signal: options.signal });
+          console.log('✅ Groq API stream completed');
+          return text;
+        } catch (error) {
+          console.error('❌ Groq API Error:', error && error.message ? error.message : String(error));
+          throw error;
+        }
       }
     };
   }
@@ -195,7 +342,7 @@ class AIProviderManager {
     return {
       name: 'Hugging Face',
       cost: 'free',
-    generate: async (prompt) => {
+    generate: async (prompt, options = {}) => {
         try {
           console.log('🤖 Calling HuggingFace API...');
           
@@ -206,9 +353,10 @@ class AIProviderManager {
               headers: {
                 'Authorization': `Bearer ${process.env.HUGGINGFACE_API_KEY}`,
                 'Content-Type': 'application/json'
-              }
+              },
+              signal: options.signal
             }
-      ), 20000, 'HuggingFace request');
+      ), options.timeoutMs || 20000, 'HuggingFace request');
           
           console.log('✅ HuggingFace API response received');
           return response.data[0]?.generated_text || "Response received but couldn't extract text.";
@@ -220,6 +368,236 @@ class AIProviderManager {
     };
   }
 
+  // Self-hosted model behind an OpenAI-compatible API (llama.cpp server, vLLM, LM Studio, Ollama).
+  // OPENAI_COMPATIBLE_TASKS overrides model/timeout per task, keyed by request type, e.g.
+  // {"lesson_generation": {"model": "llama3.1:8b", "timeoutMs": 120000}, "chat": {"timeoutMs": 20000}}
+  setupOpenAICompatible() {
+    const baseUrl = process.env.OPENAI_COMPATIBLE_BASE_URL;
+    if (!baseUrl) {
+      console.log('❌ OpenAI-compatible endpoint not configured (set OPENAI_COMPATIBLE_BASE_URL)');
+      return null;
+    }
+
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    const apiKey = process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed';
+    const defaults = {
+      model: process.env.OPENAI_COMPATIBLE_MODEL || 'local-model',
+      timeoutMs: Number(process.env.OPENAI_COMPATIBLE_TIMEOUT_MS || 60000)
+    };
+    let taskSettings = {};
+    try {
+      taskSettings = JSON.parse(process.env.OPENAI_COMPATIBLE_TASKS || '{}');
+    } catch (error) {
+      console.warn('⚠️ Invalid OPENAI_COMPATIBLE_TASKS, using defaults:', error.message);
+    }
+
+    const settingsFor = (options = {}) => {
+      const task = options.requestType || getUsageContext().requestType;
+      const settings = { ...defaults, ...(taskSettings[task] || {}) };
+      if (options.model) settings.model = options.model;
+      if (options.timeoutMs) settings.timeoutMs = options.timeoutMs;
+      return settings;
+    };
+
+    return {
+      name: `OpenAI-compatible (${defaults.model})`,
+      cost: 'self_hosted',
+      timeoutFor: (options) => settingsFor(options).timeoutMs,
+      generate: async (prompt, options = {}) => {
+        const { model, timeoutMs } = settingsFor(options);
+        try {
+          console.log(`🤖 Calling OpenAI-compatible endpoint (${model})...`);
+          const response = await this.withTimeout(axios.post(url, {
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            ...this.completionOptions(options)
+          }, {
+            headers: {
+              'Authorization': `Bearer ${apiKey}`,
+              'Content-Type': 'application/json'
+            },
+            signal: options.signal
+          }), timeoutMs, 'OpenAI-compatible request');
+
+          const content = response.data?.choices?.[0]?.message?.content;
+          if (!content) throw new Error('No valid response from OpenAI-compatible endpoint');
+          console.log('✅ OpenAI-compatible response received');
+          return content;
+        } catch (error) {
+          console.error('❌ OpenAI-compatible Error:', error && error.message ? error.message : String(error));
+          throw error;
+        }
+      },
+      stream: async (prompt, onToken, options = {}) => {
+        const { model, timeoutMs } = settingsFor(options);
+        try {
+          console.log(`🤖 Streaming from OpenAI-compatible endpoint (${model})...`);
+          const text = await this.streamChatCompletion(url, apiKey, {
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            ...this.completionOptions(options)
+          }, onToken, { timeoutMs, signal: options.signal });
+          console.log('✅ OpenAI-compatible stream completed');
+          return text;
+        } catch (error) {
+          console.error('❌ OpenAI-compatible Error:', error && error.message ? error.message : String(error));
+          throw error;
+        }
+      }
+    };
+  }
+
+  // Sampling options shared by the OpenAI-compatible providers. JSON requests get
+  // the provider's native JSON mode and a larger completion budget; that mode only
+  // returns objects, so top-level arrays (jsonObject: false) rely on the prompt alone.
+  completionOptions(options = {}) {
+    if (!options.json) {
+      return { max_tokens: options.maxTokens || 400, temperature: options.temperature ?? 0.8 };
+    }
+    return {
+      max_tokens: options.maxTokens || this.structuredMaxTokens,
+      temperature: options.temperature ?? 0.2,
+      ...(options.jsonObject === false ? {} : { response_format: { type: 'json_object' } })
+    };
+  }
+
+  // Gemini equivalent of completionOptions (SDK defaults unless the route or a JSON request says otherwise)
+  geminiConfig(options = {}) {
+    const config = {};
+    if (options.json) config.responseMimeType = 'application/json';
+    if (options.temperature !== undefined) config.temperature = options.temperature;
+    if (options.maxTokens) config.maxOutputTokens = options.maxTokens;
+    if (options.signal) config.abortSignal = options.signal;
+    return config;
+  }
+
+  /**
+   * Resolve the second argument of generateResponse/generateResponseStream.
+   * A task name ('lesson.plan') maps through the routing table; anything else is
+   * treated as a provider key for backwards compatibility.
+   */
+  resolveTarget(providerOrTask, options = {}) {
+    const route = providerOrTask ? this.taskRoutes[providerOrTask] : null;
+    if (!route) {
+      return { providerName: providerOrTask || null, route: null, options };
+    }
+    const routed = { requestType: route.requestType, task: providerOrTask, priority: route.priority, ...options };
+    if (route.temperature !== undefined && routed.temperature === undefined) routed.temperature = route.temperature;
+    if (route.timeoutMs && !routed.timeoutMs) routed.timeoutMs = route.timeoutMs;
+    if (route.maxTokens && !routed.maxTokens) routed.maxTokens = route.maxTokens;
+    return { providerName: route.provider || null, route, options: routed };
+  }
+
+  // The route's model only applies to the provider it names, not to fallbacks
+  providerCallOptions(key, route, options) {
+    if (route && route.model && key === (route.provider || this.defaultProvider)) {
+      return { ...options, model: route.model };
+    }
+    return options;
+  }
+
+  // Offline provider backed by recorded prompt→response fixtures.
+  // LOCAL_AI_MODE=replay serves fixtures (deterministic placeholder on a miss unless LOCAL_AI_STRICT=true);
+  // LOCAL_AI_MODE=record serves fixtures when present and records live provider responses otherwise.
+  setupLocal() {
+    const mode = String(process.env.LOCAL_AI_MODE || '').toLowerCase();
+    if (mode !== 'replay' && mode !== 'record') {
+      console.log('❌ Local AI provider disabled (set LOCAL_AI_MODE=replay|record)');
+      return null;
+    }
+
+    this.localMode = mode;
+    this.fixturesDir = process.env.LOCAL_AI_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'ai');
+    const strict = String(process.env.LOCAL_AI_STRICT || '').toLowerCase() === 'true';
+
+    const generate = async (prompt) => {
+      const hash = this.hashPrompt(prompt);
+      const fixture = this.readFixture(hash);
+      if (fixture) {
+        console.log(`📼 Local AI fixture hit (${hash})`);
+        return fixture.response;
+      }
+
+      // Record mode defers to live providers; the manager stores what they return
+      if (mode === 'record' || strict) {
+        throw new Error(`No recorded fixture for prompt ${hash}`);
+      }
+
+      console.log(`📼 Local AI fixture miss (${hash}) - using placeholder`);
+      return `[local:${hash}] Spacey is running offline and has no recorded answer for this prompt yet.`;
+    };
+
+    return {
+      name: `Local Fixtures (${mode})`,
+      cost: 'free',
+      generate,
+      stream: async (prompt, onToken) => {
+        const text = await generate(prompt);
+        // Emit word by word so streaming consumers behave as they would against a live model
+        for (const token of text.match(/\S+\s*/g) || []) onToken(token);
+        return text;
+      }
+    };
+  }
+
+  // Read a recorded fixture by prompt hash
+  readFixture(hash) {
+    try {
+      const file = path.join(this.fixturesDir, `${hash}.json`);
+      if (!fs.existsSync(file)) return null;
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️ Failed to read AI fixture ${hash}:`, error.message);
+      return null;
+    }
+  }
+
+  // Persist a live response as a fixture when running in record mode
+  recordFixture(prompt, providerKey, response) {
+    if (this.localMode !== 'record' || providerKey === 'local' || typeof response !== 'string') return;
+    try {
+      const hash = this.hashPrompt(prompt);
+      fs.mkdirSync(this.fixturesDir, { recursive: true });
+      fs.writeFileSync(path.join(this.fixturesDir, `${hash}.json`), JSON.stringify({
+        hash,
+        provider: providerKey,
+        promptPreview: String(prompt).substring(0, 200),
+        response,
+        recordedAt: new Date().toISOString()
+      }, null, 2));
+      console.log(`📼 Recorded AI fixture ${hash} from ${providerKey}`);
+    } catch (error) {
+      console.warn('⚠️ Failed to record AI fixture:', error.message);
+    }
+  }
+
+  // Provider order for a request: preferred first, then the rest. The local
+  // provider always goes first when enabled so fixtures win over live calls.
+  // With OPENAI_COMPATIBLE_EXCLUSIVE nothing but the self-hosted endpoint is used.
+  getProviderOrder(providerName) {
+    if (this.exclusiveProvider) {
+      return this.providers.local ? ['local', this.exclusiveProvider] : [this.exclusiveProvider];
+    }
+    const preferredKey = providerName || this.defaultProvider;
+    const availableKeys = Object.keys(this.providers).filter((k) => this.providers[k]);
+    if (availableKeys.length === 0) {
+      throw new Error('No AI providers are configured');
+    }
+    const orderedKeys = [preferredKey, ...availableKeys.filter((k) => k !== preferredKey)];
+    if (this.providers.local && preferredKey !== 'local') {
+      return ['local', ...orderedKeys.filter((k) => k !== 'local')];
+    }
+    return orderedKeys;
+  }
+
+  // Once a user has spent their daily budget, try the cheapest providers first
+  getBudgetedProviderOrder(providerName, overBudget) {
+    const orderedKeys = this.getProviderOrder(providerName);
+    if (!overBudget) return orderedKeys;
+    console.log('💸 Daily usage budget exceeded - downgrading to cheaper providers');
+    return usageLedger.rankByCost(orderedKeys);
+  }
+
   // Get available providers
   getAvailableProviders() {
     const available = {};
@@ -234,60 +612,270 @@ class AIProviderManager {
     return available;
   }
 
-  // Generate response using specified provider with caching
-  async generateResponse(prompt, providerName = null) {
-    const cacheKey = this.generateCacheKey(prompt, providerName);
+  // Generate response for a task (see utils/aiTaskRoutes.js) or a specific provider, with caching.
+  // options.requestType attributes the call in the usage ledger (chat, lesson_generation, assessment, ...);
+  // options.signal (default: the current request's signal) cancels queued and in-flight provider calls
+  async generateResponse(prompt, providerOrTask = null, callerOptions = {}) {
+    const { providerName, route, options } = this.resolveTarget(providerOrTask, callerOptions);
+    const signal = options.signal || getAbortSignal();
+    signal?.throwIfAborted();
+    const cacheKey = this.generateCacheKey(prompt, providerName, { ...options, model: route?.model });
+    const overBudget = usageLedger.isOverBudget();
     
-    // Check cache first
-    const cached = this.getCachedResponse(cacheKey);
+    // Check cache first (stale entries are acceptable once the user's budget is spent)
+    const cached = this.getCachedResponse(cacheKey, { allowStale: overBudget });
     if (cached) {
       console.log(`⚡ Cache hit for ${providerName || this.defaultProvider} response`);
+      startSpan('ai.generate', { task: options.task, provider: providerName || this.defaultProvider, cached: true, promptChars: prompt.length })
+        .end({ responseChars: cached.length });
+      await usageLedger.record({ prompt, response: cached, requestType: options.requestType, task: options.task, cached: true });
       return cached;
     }
     
     console.log(`🎯 Attempting to generate response with ${providerName || this.defaultProvider}`);
     
     // Build candidate providers list: preferred then fallbacks
-    const preferredKey = providerName || this.defaultProvider;
-    const availableKeys = Object.keys(this.providers).filter((k) => this.providers[k]);
-    if (availableKeys.length === 0) {
-      throw new Error('No AI providers are configured');
-    }
-    const orderedKeys = [preferredKey, ...availableKeys.filter((k) => k !== preferredKey)];
+    const orderedKeys = this.getBudgetedProviderOrder(providerName, overBudget);
 
+    const lane = requestScheduler.laneFor(options);
     let lastErr = null;
     for (const key of orderedKeys) {
       const targetProvider = this.providers[key];
       if (!targetProvider) continue;
+      if (!this.isProviderAvailable(key)) {
+        console.log(`⏭️ Skipping ${targetProvider.name} - circuit open`);
+        continue;
+      }
+      let startedAt = Date.now();
+      const callOptions = this.providerCallOptions(key, route, options);
+      const span = startSpan('ai.generate', { task: options.task, provider: key, model: callOptions.model, lane, promptChars: prompt.length });
       try {
         console.log(`🚀 Using ${targetProvider.name} to generate response`);
-        const response = await targetProvider.generate(prompt);
+        const queuedAt = startedAt;
+        const response = await requestScheduler.run(key, lane, () => {
+          startedAt = Date.now(); // Queue time is not provider latency
+          span.set({ queuedMs: startedAt - queuedAt });
+          return targetProvider.generate(prompt, { ...callOptions, signal });
+        }, { signal });
+        span.end({ responseChars: String(response || '').length });
+        this.recordProviderOutcome(key, startedAt);
         console.log(`✅ Successfully generated response using ${targetProvider.name}`);
+        this.recordFixture(prompt, key, response);
+        await usageLedger.record({ prompt, response, provider: key, requestType: options.requestType, task: options.task });
         // Cache and return
         this.cacheResponse(cacheKey, response);
         return response;
       } catch (error) {
+        span.end({ error });
+        if (this.handleAttemptFailure(key, startedAt, error, signal)) {
+          signal?.throwIfAborted();
+          throw error;
+        }
         lastErr = error;
         console.error(`❌ ${targetProvider?.name || key} failed:`, error.message);
         // Try next provider
       }
     }
-    throw new Error(`AI generation failed across providers: ${lastErr ? lastErr.message : 'unknown error'}`);
+    throw new Error(`AI generation failed across providers: ${lastErr ? lastErr.message : 'all provider circuits are open'}`);
+  }
+
+  /**
+   * Generate JSON that validates against a JSON Schema.
+   * Uses native JSON modes where the provider has one; when the reply does not
+   * parse or validate, re-asks with the validation errors (up to maxRepairs times).
+   * @param {string} prompt - Task prompt (the schema is appended automatically)
+   * @param {Object} schema - JSON Schema the result must satisfy
+   * @param {Object} [options] - task (or providerName), requestType, maxRepairs, maxTokens
+   * @returns {Promise<*>} The parsed, validated value
+   * @throws {StructuredOutputError} When no valid JSON was produced
+   */
+  async generateStructured(prompt, schema, options = {}) {
+    const { task = null, providerName = task, maxRepairs = this.structuredMaxRepairs, ...generateOptions } = options;
+    const callOptions = { ...generateOptions, json: true, jsonObject: schema.type === 'object' };
+
+    let currentPrompt = prompts.composeStructuredPrompt(prompt, schema);
+    let response = null;
+    let errors = [];
+
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+      response = await this.generateResponse(currentPrompt, providerName, callOptions);
+
+      try {
+        const parsed = parseAIJSONResponse(response);
+        errors = validateAgainstSchema(parsed, schema);
+        if (errors.length === 0) {
+          if (attempt > 0) console.log(`🔧 Structured output repaired after ${attempt} attempt(s)`);
+          return parsed;
+        }
+      } catch (error) {
+        errors = [`response is not valid JSON (${error.message})`];
+      }
+
+      console.warn(`⚠️ Structured output failed validation (attempt ${attempt + 1}/${maxRepairs + 1}): ${errors.slice(0, 3).join('; ')}`);
+      // Never serve a rejected reply from the cache
+      const target = this.resolveTarget(providerName, callOptions);
+      this.responseCache.delete(this.generateCacheKey(currentPrompt, target.providerName, { ...target.options, model: target.route?.model }));
+      currentPrompt = prompts.composeStructuredRepairPrompt({ prompt, schema, previousResponse: response, errors });
+    }
+
+    throw new StructuredOutputError(`Structured output invalid after ${maxRepairs + 1} attempt(s)`, { errors, response });
+  }
+
+  // Stream a response token-by-token. Falls through to the next provider only if
+  // the failing one has not emitted anything yet; providers without native
+  // streaming deliver their full reply as a single token.
+  async generateResponseStream(prompt, providerOrTask = null, onToken = () => {}, callerOptions = {}) {
+    const { providerName, route, options } = this.resolveTarget(providerOrTask, callerOptions);
+    const signal = options.signal || getAbortSignal();
+    signal?.throwIfAborted();
+    const cacheKey = this.generateCacheKey(prompt, providerName, { ...options, model: route?.model });
+    const overBudget = usageLedger.isOverBudget();
+
+    const cached = this.getCachedResponse(cacheKey, { allowStale: overBudget });
+    if (cached) {
+      console.log(`⚡ Cache hit for ${providerName || this.defaultProvider} stream`);
+      startSpan('ai.stream', { task: options.task, provider: providerName || this.defaultProvider, cached: true, promptChars: prompt.length })
+        .end({ responseChars: cached.length });
+      await usageLedger.record({ prompt, response: cached, requestType: options.requestType, task: options.task, cached: true });
+      onToken(cached);
+      return cached;
+    }
+
+    const orderedKeys = this.getBudgetedProviderOrder(providerName, overBudget);
+
+    const lane = requestScheduler.laneFor(options);
+    let lastErr = null;
+    for (const key of orderedKeys) {
+      const targetProvider = this.providers[key];
+      if (!targetProvider) continue;
+      if (!this.isProviderAvailable(key)) {
+        console.log(`⏭️ Skipping ${targetProvider.name} stream - circuit open`);
+        continue;
+      }
+      let startedAt = Date.now();
+
+      // Ignore late tokens from an attempt that already timed out or failed
+      let active = true;
+      let emitted = 0;
+      const forward = (token) => {
+        if (!active) return;
+        emitted += 1;
+        onToken(token);
+      };
+
+      const callOptions = { ...this.providerCallOptions(key, route, options), signal };
+      const span = startSpan('ai.stream', { task: options.task, provider: key, model: callOptions.model, lane, promptChars: prompt.length });
+      try {
+        console.log(`🚀 Streaming with ${targetProvider.name}`);
+        const timeoutMs = targetProvider.timeoutFor ? targetProvider.timeoutFor(callOptions) : (callOptions.timeoutMs || this.streamTimeoutMs);
+        const queuedAt = startedAt;
+        const response = await requestScheduler.run(key, lane, () => {
+          startedAt = Date.now();
+          span.set({ queuedMs: startedAt - queuedAt });
+          return targetProvider.stream
+            ? this.withTimeout(targetProvider.stream(prompt, forward, callOptions), timeoutMs, `${targetProvider.name} stream`)
+            : targetProvider.generate(prompt, callOptions).then((text) => { forward(text); return text; });
+        }, { signal });
+        active = false;
+        span.end({ responseChars: String(response || '').length, chunks: emitted });
+        this.recordProviderOutcome(key, startedAt);
+        console.log(`✅ Successfully streamed response using ${targetProvider.name}`);
+        this.recordFixture(prompt, key, response);
+        await usageLedger.record({ prompt, response, provider: key, requestType: options.requestType, task: options.task });
+        this.cacheResponse(cacheKey, response);
+        return response;
+      } catch (error) {
+        active = false;
+        span.end({ error, chunks: emitted });
+        if (this.handleAttemptFailure(key, startedAt, error, signal)) {
+          signal?.throwIfAborted();
+          throw error;
+        }
+        lastErr = error;
+        console.error(`❌ ${targetProvider?.name || key} stream failed:`, error.message);
+        if (emitted > 0) break; // Partial output already reached the client
+      }
+    }
+    throw new Error(`AI streaming failed across providers: ${lastErr ? lastErr.message : 'all provider circuits are open'}`);
+  }
+
+  // Sort out a failed attempt: provider errors count against the circuit breaker,
+  // scheduler refusals and client aborts do not. Returns true when the request was
+  // cancelled and must not fall through to other providers (aborted by the client,
+  // stale or overflowing background work).
+  handleAttemptFailure(key, startedAt, error, signal = null) {
+    if (signal && signal.aborted) {
+      providerHealth.releaseTrial(key);
+      console.log(`🔌 ${key} call abandoned - request aborted by client`);
+      return true;
+    }
+    if (!(error instanceof SchedulerRejectedError)) {
+      this.recordProviderOutcome(key, startedAt, error);
+      return false;
+    }
+    providerHealth.releaseTrial(key);
+    return error.reason !== 'rate_limited';
+  }
+
+  // Circuit breaker gate. The local fixture provider is exempt: its misses in
+  // record mode are expected and must not take it out of rotation.
+  isProviderAvailable(key) {
+    if (key === 'local') return true;
+    return providerHealth.canRequest(key);
+  }
+
+  // Feed the health tracker and remember which backend last served a request
+  recordProviderOutcome(key, startedAt, error = null) {
+    if (key === 'local') return;
+    const latencyMs = Date.now() - startedAt;
+    if (error) {
+      providerHealth.recordFailure(key, latencyMs, error);
+      return;
+    }
+    providerHealth.recordSuccess(key, latencyMs);
+    this.lastServedBy = { provider: key, at: new Date().toISOString(), latency_ms: latencyMs };
+  }
+
+  // Health and breaker state for every configured provider
+  getProviderHealth() {
+    const providers = {};
+    for (const [key, provider] of Object.entries(this.providers)) {
+      if (!provider) continue;
+      providers[key] = {
+        name: provider.name,
+        cost: provider.cost,
+        ...(key === 'local' ? { state: 'closed', exempt: true } : providerHealth.getProviderHealth(key))
+      };
+    }
+    return {
+      default_provider: this.defaultProvider,
+      last_served_by: this.lastServedBy || null,
+      providers,
+      scheduler: requestScheduler.getSnapshot()
+    };
+  }
+
+  // Short stable hash of the normalized prompt (also keys the local provider's fixtures)
+  hashPrompt(prompt) {
+    const normalizedPrompt = String(prompt).toLowerCase().trim();
+    return crypto.createHash('md5').update(normalizedPrompt).digest('hex').substring(0, 8);
   }
 
-  // Generate cache key from prompt and provider
-  generateCacheKey(prompt, providerName) {
+  // Generate cache key from prompt, provider and the options that change the reply
+  // (JSON mode, temperature and the routed model)
+  generateCacheKey(prompt, providerName, { json = false, temperature, model } = {}) {
     const normalizedPrompt = prompt.toLowerCase().trim();
     // Use first 100 chars + hash of full prompt for cache key
     const shortPrompt = normalizedPrompt.substring(0, 100);
-    const hash = require('crypto').createHash('md5').update(normalizedPrompt).digest('hex').substring(0, 8);
-    return `${providerName || this.defaultProvider}_${shortPrompt}_${hash}`;
+    const hash = this.hashPrompt(prompt);
+    const variant = [json ? 'json' : 'text', temperature ?? 'default', model || 'default'].join('_');
+    return `${providerName || this.defaultProvider}_${variant}_${shortPrompt}_${hash}`;
   }
 
-  // Get cached response if valid
-  getCachedResponse(cacheKey) {
+  // Get cached response if valid (allowStale also accepts expired entries)
+  getCachedResponse(cacheKey, { allowStale = false } = {}) {
     const cached = this.responseCache.get(cacheKey);
-    if (cached && (Date.now() - cached.timestamp) < this.cacheExpiryTime) {
+    if (cached && (allowStale || (Date.now() - cached.timestamp) < this.cacheExpiryTime)) {
       return cached.response;
     }
     
@@ -336,5 +924,6 @@ const aiProviderManager = new AIProviderManager();
 
 module.exports = {
   AIProviderManager,
-  aiProviderManager
+  aiProviderManager,
+  StructuredOutputError
 }; 
\ No newline at end of file
@@ -0,0 +1,197 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { usageLedger } = require('./usageLedger');
+const { runWithAbortSignal, getAbortSignal } = require('../utils/requestAbort');
+
+/**
+ * Content Cache
+ * Disk-backed cache for generated content that can be shared between learners
+ * (lesson plans, narration/quiz/reflection blocks). Entries are keyed on the
+ * normalized inputs that define the content (topic, step objective, difficulty,
+ * learning style...) rather than on raw prompt text, so two students at the same
+ * level on the same step reuse one generation.
+ *
+ * TTLs are per task in seconds (AI_CACHE_TTLS overrides, 0 disables a task).
+ * Shared blocks leave out per-learner context (learning analysis, previous blocks,
+ * conversation summary); setting lesson.block to 0 restores fully personalized blocks.
+ */
+
+const DEFAULT_TTLS = {
+  'lesson.plan': 24 * 60 * 60,
+  'lesson.block': 7 * 24 * 60 * 60,
+};
+
+class ContentCache {
+  constructor(dataDir = null) {
+    this.dataDir = dataDir || path.join(__dirname, '..', 'data', 'cache', 'content');
+    this.ttls = { ...DEFAULT_TTLS, ...this.loadTtlOverrides() };
+    this.inFlight = new Map(); // cache file -> { promise, controller, waiters }
+    this.stats = { hits: 0, staleHits: 0, misses: 0, writes: 0 };
+  }
+
+  loadTtlOverrides() {
+    if (!process.env.AI_CACHE_TTLS) return {};
+    try {
+      return JSON.parse(process.env.AI_CACHE_TTLS);
+    } catch (error) {
+      console.warn('⚠️ Invalid AI_CACHE_TTLS, using default cache TTLs:', error.message);
+      return {};
+    }
+  }
+
+  isEnabled(task) {
+    return Number(this.ttls[task]) > 0;
+  }
+
+  // Lowercase/trim strings, sort object keys and drop empty values so equivalent inputs hash the same
+  normalize(value) {
+    if (typeof value === 'string') return value.toLowerCase().trim().replace(/\s+/g, ' ');
+    if (Array.isArray(value)) return value.map((v) => this.normalize(v));
+    if (value && typeof value === 'object') {
+      const normalized = {};
+      for (const key of Object.keys(value).sort()) {
+        const v = value[key];
+        if (v === undefined || v === null || v === '') continue;
+        normalized[key] = this.normalize(v);
+      }
+      return normalized;
+    }
+    return value;
+  }
+
+  keyFor(task, inputs) {
+    return crypto.createHash('sha256').update(`${task}:${JSON.stringify(this.normalize(inputs))}`).digest('hex').substring(0, 32);
+  }
+
+  fileFor(task, inputs) {
+    return path.join(this.dataDir, task.replace(/[^a-z0-9._-]/gi, '_'), `${this.keyFor(task, inputs)}.json`);
+  }
+
+  /**
+   * Cached value for a task's inputs, or null. allowStale also returns expired entries.
+   */
+  async get(task, inputs, { allowStale = false } = {}) {
+    if (!this.isEnabled(task)) return null;
+    const file = this.fileFor(task, inputs);
+    try {
+      const entry = JSON.parse(await fs.readFile(file, 'utf8'));
+      const expired = Date.now() > new Date(entry.expiresAt).getTime();
+      if (!expired || allowStale) {
+        if (expired) this.stats.staleHits += 1;
+        else this.stats.hits += 1;
+        return entry.value;
+      }
+      await fs.unlink(file).catch(() => {});
+    } catch (_) {
+      // Missing or unreadable entry counts as a miss
+    }
+    this.stats.misses += 1;
+    return null;
+  }
+
+  async set(task, inputs, value) {
+    if (!this.isEnabled(task)) return;
+    const file = this.fileFor(task, inputs);
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify({
+        task,
+        inputs: this.normalize(inputs),
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + Number(this.ttls[task]) * 1000).toISOString(),
+        value
+      }, null, 2));
+      this.stats.writes += 1;
+    } catch (error) {
+      console.warn(`⚠️ Failed to write ${task} cache entry:`, error.message);
+    }
+  }
+
+  /**
+   * Return the cached value or produce, cache and return it. Concurrent callers
+   * with the same inputs share one producer call, which is only aborted once every
+   * waiting request has been aborted. Once the user's daily budget is spent,
+   * expired entries are served rather than generating again.
+   * @param {string} task - Task name (see utils/aiTaskRoutes.js)
+   * @param {Object} inputs - Values that fully determine the content
+   * @param {Function} producer - Async function generating the value on a miss (a
+   *   producer that throws caches nothing, so fallbacks belong outside it)
+   */
+  async getOrCreate(task, inputs, producer) {
+    if (!this.isEnabled(task)) return producer();
+
+    const cached = await this.get(task, inputs, { allowStale: usageLedger.isOverBudget() });
+    if (cached !== null) {
+      console.log(`💾 Content cache hit for ${task}`);
+      await usageLedger.record({ prompt: '', response: '', requestType: null, task, cached: true });
+      return cached;
+    }
+
+    const file = this.fileFor(task, inputs);
+    let shared = this.inFlight.get(file);
+    if (!shared) {
+      // The producer gets its own signal so one caller disconnecting does not fail the others
+      const controller = new AbortController();
+      shared = { controller, waiters: 0 };
+      shared.promise = runWithAbortSignal(controller.signal, async () => {
+        const value = await producer();
+        await this.set(task, inputs, value);
+        return value;
+      }).finally(() => this.inFlight.delete(file));
+      shared.promise.catch(() => {}); // Rejections reach each waiter; never leave one unhandled
+      this.inFlight.set(file, shared);
+    }
+    return this.waitFor(shared, getAbortSignal());
+  }
+
+  // Wait on a shared producer; the last aborted waiter aborts the producer itself
+  waitFor(shared, signal) {
+    shared.waiters += 1;
+    if (!signal) return shared.promise;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        shared.waiters -= 1;
+        if (shared.waiters === 0) shared.controller.abort(signal.reason);
+        reject(signal.reason);
+      };
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+      shared.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Remove entries for one task (or all tasks)
+   */
+  async clear(task = null) {
+    const target = task ? path.join(this.dataDir, task.replace(/[^a-z0-9._-]/gi, '_')) : this.dataDir;
+    if (!fsSync.existsSync(target)) return 0;
+    let removed = 0;
+    const dirs = task ? [target] : (await fs.readdir(target)).map((d) => path.join(target, d));
+    for (const dir of dirs) {
+      const files = await fs.readdir(dir).catch(() => []);
+      for (const file of files.filter((f) => f.endsWith('.json'))) {
+        await fs.unlink(path.join(dir, file)).catch(() => {});
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  getStats() {
+    return { ...this.stats, ttls: this.ttls, inFlight: this.inFlight.size };
+  }
+}
+
+// Create singleton instance
+const contentCache = new ContentCache();
+
+module.exports = {
+  ContentCache,
+  contentCache
+};
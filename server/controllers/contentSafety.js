@@ -0,0 +1,327 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Content Safety
+ * Child-safety filter for what students send and what models return. A local
+ * rule/lexicon classifier (no extra LLM call) sorts text into self_harm, violence,
+ * sexual and personal_info, and each rule says what to do per direction:
+ *
+ *   input  - redirect: the prompt never reaches a model; Spacey answers with an
+ *                      age-appropriate redirection
+ *            redact:   personal details are masked and the turn continues
+ *   output - block:    the reply is replaced with a redirection
+ *            rewrite:  offending sentences are dropped from the reply
+ *
+ * Every flagged turn is appended to data/moderation/flagged-YYYY-MM-DD.jsonl for
+ * teacher review (GET /api/admin/moderation). Rules aim at harm to people, not at
+ * astronomy vocabulary: dying stars, exploding supernovas and shooting stars pass.
+ */
+
+const RULES = [
+  {
+    category: 'self_harm',
+    actions: { input: 'redirect', output: 'block' },
+    patterns: [
+      /\b(kill|hurt|harm|cut|starve)(ing)?\s+(myself|my\s+self)\b/i,
+      /\bsuicid(e|al)\b/i,
+      /\bself[-\s]?harm(ing)?\b/i,
+      /\b(want|wanna)\s+(to\s+)?die\b/i,
+      /\bend(ing)?\s+(my\s+(own\s+)?life|it\s+all)\b/i,
+      /\b(don'?t|do\s+not)\s+want\s+to\s+(live|be\s+alive)\b/i,
+      /\bno\s+reason\s+to\s+live\b/i,
+      /\bbetter\s+off\s+dead\b/i
+    ]
+  },
+  {
+    category: 'violence',
+    actions: { input: 'redirect', output: 'rewrite' },
+    patterns: [
+      /\bhow\s+(do\s+i|to|can\s+i|do\s+you)\s+(make|build|get)\s+(a\s+)?(bomb|gun|weapon|explosive|poison)s?\b/i,
+      /\bhow\s+(do\s+i|to|can\s+i)\s+(kill|murder|poison|stab|hurt)\s+(someone|somebody|a\s+person|people|him|her|them|my)\b/i,
+      /\b(i\s*('m|am)?\s*(going\s+to|gonna|want\s+to|wanna|will)|let'?s)\s+(kill|murder|stab|hurt|beat\s+up)\b/i,
+      /\b(i\s*('m|am)?\s*(going\s+to|gonna|want\s+to|wanna|will)|let'?s)\s+shoot\s+(him|her|them|someone|somebody|people|up)\b/i,
+      /\b(school|mass)\s+shoot(ing|er)s?\b/i,
+      /\b(behead(s|ed|ing)?|tortur(e|ed|es|ing))\b/i
+    ]
+  },
+  {
+    category: 'sexual',
+    actions: { input: 'redirect', output: 'block' },
+    patterns: [
+      /\b(sex|sexy|sexual(ly)?|porn\w*|nudes?|horny|erotic|boobs?|penis|vagina|orgasm\w*|hentai|onlyfans|masturbat\w*)\b/i,
+      /\bnaked\b(?!\s+eye)/i
+    ]
+  },
+  {
+    // Spacey asking a student for details that identify or locate them
+    category: 'personal_info',
+    actions: { output: 'rewrite' },
+    patterns: [
+      /\b(what('?s|\s+is)|tell\s+me|share|send\s+me|give\s+me)\s+your\s+(home\s+|street\s+)?(address|phone(\s+number)?|password|last\s+name|full\s+name|school('?s)?(\s+name)?|location|photo|picture)\b/i,
+      /\bwhere\s+do\s+you\s+live\b/i,
+      /\bmeet\s+(me\s+)?(up|in\s+person)\b/i
+    ]
+  },
+  {
+    // Students asking for someone's contact details or to meet up
+    category: 'personal_info',
+    actions: { input: 'redirect' },
+    patterns: [
+      /\b(what('?s|\s+is)|tell\s+me|find|give\s+me)\s+(the\s+)?(home\s+)?(address|phone\s+number)\s+(of|for)\b/i,
+      /\b(what('?s|\s+is)|find|give\s+me)\s+\w+('s)?\s+(home\s+address|phone\s+number)\b/i,
+      /\b(can|could|should)\s+we\s+meet\s+(up|in\s+person)\b/i
+    ]
+  },
+  {
+    // Details a student volunteers are masked before any model or memory sees them.
+    // Emails are left alone: students can ask Spacey to remember theirs.
+    category: 'personal_info',
+    actions: { input: 'redact', output: 'rewrite' },
+    redactAs: '[phone number removed]',
+    patterns: [/\(?\b\d{3}\)?[-.\s]\d{3}[-.]\d{4}\b/]
+  },
+  {
+    // House number, capitalised street name, then a suffix ending the phrase ("42 Maple Street,"),
+    // so "the rover could drive 40 meters" is left alone
+    category: 'personal_info',
+    actions: { input: 'redact', output: 'rewrite' },
+    redactAs: '[address removed]',
+    patterns: [/\b\d{1,5}\s+(?:[A-Z][a-z]+\s+){1,3}(?:[Ss]treet|St|[Aa]venue|Ave|[Rr]oad|Rd|[Ll]ane|Ln|[Dd]rive|Dr|[Bb]oulevard|Blvd|[Cc]ourt|Ct)\b\.?(?=\s*(?:[,.!?;]|$))/m]
+  },
+  {
+    category: 'personal_info',
+    actions: { input: 'redact', output: 'rewrite' },
+    redactAs: 'my password is [password removed]',
+    patterns: [/\bmy\s+password\s+is\s+\S+/i]
+  }
+];
+
+// Strongest action wins; redirect and block stop the original text reaching the student
+const ACTION_RANK = { allow: 0, redact: 1, rewrite: 1, redirect: 2, block: 2 };
+
+// Most serious category picks the redirection
+const CATEGORY_ORDER = ['self_harm', 'violence', 'sexual', 'personal_info'];
+
+const REDIRECTIONS = {
+  self_harm: "It sounds like you might be going through something really hard, and I'm glad you told me. 💙 I'm just a space tutor, so please talk to a grown-up you trust right now, like a parent, teacher or school counselor. If you might hurt yourself, call or text 988 (in the US) or your local emergency number. You matter, and people want to help you.",
+  violence: "That's not something I can help with. If someone could get hurt or you feel unsafe, please tell a trusted grown-up right away. When you're ready, I'd love to get back to exploring the universe with you!",
+  sexual: "That's not a topic I can chat about. Let's keep our mission on space and science. What would you like to explore next?",
+  personal_info: "Let's keep personal details like addresses and phone numbers private. That's what smart astronauts do online! What space question can I help you with?"
+};
+
+const BLOCKED_REPLY = "Oops, that answer drifted off course, so I've held it back. Let's get back to exploring space. What would you like to know?";
+
+const EXCERPT_LENGTH = 500;
+
+class ContentSafetyFilter {
+  constructor(dataDir = null) {
+    this.dataDir = dataDir || path.join(__dirname, '..', 'data', 'moderation');
+    this.rules = RULES;
+    this.ensureDirectories();
+  }
+
+  ensureDirectories() {
+    try {
+      fsSync.mkdirSync(this.dataDir, { recursive: true });
+    } catch (error) {
+      console.error('❌ Error creating moderation directories:', error);
+    }
+  }
+
+  /**
+   * Classify text for one direction
+   * @param {string} text
+   * @param {'input'|'output'} direction
+   * @returns {{ action: string, categories: string[], matches: Object[] }}
+   */
+  classify(text, direction) {
+    const matches = [];
+    for (const rule of this.rules) {
+      const action = rule.actions[direction];
+      if (!action) continue;
+      if (rule.patterns.some((pattern) => pattern.test(text || ''))) {
+        matches.push({ category: rule.category, action, rule });
+      }
+    }
+
+    const action = matches.reduce((best, m) => (ACTION_RANK[m.action] > ACTION_RANK[best] ? m.action : best), 'allow');
+    const categories = CATEGORY_ORDER.filter((category) => matches.some((m) => m.category === category));
+    return { action, categories, matches };
+  }
+
+  /**
+   * Check a student's prompt before it reaches a model
+   * @param {string} prompt
+   * @param {Object} [meta] - userId, requestType, threadId (for the review log)
+   * @returns {{ action: string, categories: string[], text: string, message?: string }}
+   *   text is the prompt to use (redacted when action is 'redact'); message is the
+   *   redirection to answer with when action is 'redirect'
+   */
+  moderateInput(prompt, meta = {}) {
+    if (!prompt) return { action: 'allow', categories: [], text: prompt };
+
+    const { action, categories, matches } = this.classify(prompt, 'input');
+    if (action === 'allow') return { action, categories, text: prompt };
+
+    let text = prompt;
+    for (const { rule } of matches.filter((m) => m.action === 'redact')) {
+      for (const pattern of rule.patterns) {
+        text = text.replace(new RegExp(pattern.source, `${pattern.flags}g`), rule.redactAs);
+      }
+    }
+
+    const result = { action, categories, text };
+    if (action === 'redirect') {
+      const redirected = categories.find((category) => matches.some((m) => m.category === category && m.action === 'redirect'));
+      result.message = REDIRECTIONS[redirected];
+    }
+
+    console.warn(`🛡️ Flagged student input (${categories.join(', ')}) for user ${meta.userId || 'anonymous'}: ${action}`);
+    this.logEvent({ ...meta, direction: 'input', action, categories, excerpt: text });
+    return result;
+  }
+
+  /**
+   * Check a generated reply before it reaches the student
+   * @param {string} message
+   * @param {Object} [meta] - userId, requestType, threadId (for the review log)
+   * @returns {{ action: string, categories: string[], text: string }} text is the reply to send
+   */
+  moderateOutput(message, meta = {}) {
+    if (typeof message !== 'string' || !message) return { action: 'allow', categories: [], text: message };
+
+    const { action, categories } = this.classify(message, 'output');
+    if (action === 'allow') return { action, categories, text: message };
+
+    let result = { action: 'block', categories, text: BLOCKED_REPLY };
+    if (action === 'rewrite') {
+      const kept = this.splitSentences(message)
+        .filter((sentence) => this.classify(sentence, 'output').action === 'allow')
+        .join('')
+        .trim();
+      // Too little left to be a useful answer
+      if (kept.length >= 40) result = { action, categories, text: kept };
+    }
+
+    console.warn(`🛡️ Flagged reply (${categories.join(', ')}) for user ${meta.userId || 'anonymous'}: ${result.action}`);
+    this.logEvent({ ...meta, direction: 'output', action: result.action, categories, excerpt: message });
+    return result;
+  }
+
+  // Sentences with their trailing punctuation/whitespace, so joining them restores the text
+  splitSentences(text) {
+    return text.split(/(?<=[.!?\n])(?=\s|$)/);
+  }
+
+  /**
+   * Wraps a streaming onToken callback so text is passed on a sentence at a time,
+   * after it has been checked. Once a sentence is flagged nothing more is streamed;
+   * the moderated reply arrives with the final response.
+   * @param {Function} onToken
+   * @returns {{ push: Function, flush: Function }}
+   */
+  createStreamGate(onToken) {
+    let buffer = '';
+    let held = false;
+    const release = (text) => {
+      if (this.classify(text, 'output').action === 'allow') {
+        onToken(text);
+      } else {
+        held = true;
+      }
+    };
+
+    return {
+      push: (token) => {
+        if (held) return;
+        buffer += token;
+        // Same boundary as splitSentences; the last piece may still be growing ("Mars is 1." → "1.5 AU")
+        const sentences = this.splitSentences(buffer);
+        buffer = sentences.pop();
+        for (const sentence of sentences) {
+          release(sentence);
+          if (held) return;
+        }
+      },
+      flush: () => {
+        if (!held && buffer) release(buffer);
+        buffer = '';
+      }
+    };
+  }
+
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  eventFile(day) {
+    return path.join(this.dataDir, `flagged-${day}.jsonl`);
+  }
+
+  // Append a flagged turn to the review log; never fails the request
+  logEvent({ direction, action, categories, excerpt, userId = 'anonymous', requestType = null, threadId = null }) {
+    const event = {
+      id: crypto.randomBytes(6).toString('hex'),
+      timestamp: new Date().toISOString(),
+      userId,
+      requestType,
+      threadId,
+      direction,
+      action,
+      categories,
+      excerpt: String(excerpt || '').slice(0, EXCERPT_LENGTH)
+    };
+    fs.appendFile(this.eventFile(this.today()), JSON.stringify(event) + '\n')
+      .catch((error) => console.error('❌ Failed to log moderation event:', error.message));
+    return event;
+  }
+
+  /**
+   * Flagged turns for teacher review, newest first
+   * @param {Object} [options]
+   * @param {string} [options.from] - YYYY-MM-DD (defaults to today)
+   * @param {string} [options.to] - YYYY-MM-DD (defaults to from)
+   * @param {string} [options.userId]
+   * @param {string} [options.category] - self_harm | violence | sexual | personal_info
+   * @param {number} [options.limit] - Default 200
+   */
+  async getEvents({ from, to, userId, category, limit = 200 } = {}) {
+    const start = from || this.today();
+    const end = to || start;
+
+    const files = (await fs.readdir(this.dataDir).catch(() => []))
+      .filter((f) => /^flagged-\d{4}-\d{2}-\d{2}\.jsonl$/.test(f))
+      .filter((f) => {
+        const day = f.slice(8, 18);
+        return day >= start && day <= end;
+      })
+      .sort()
+      .reverse();
+
+    const events = [];
+    for (const file of files) {
+      const lines = (await fs.readFile(path.join(this.dataDir, file), 'utf8')).split('\n').filter(Boolean).reverse();
+      for (const line of lines) {
+        let event;
+        try { event = JSON.parse(line); } catch { continue; }
+        if (userId && event.userId !== userId) continue;
+        if (category && !event.categories.includes(category)) continue;
+        events.push(event);
+        if (events.length >= limit) return events;
+      }
+    }
+    return events;
+  }
+}
+
+// Create singleton instance
+const contentSafety = new ContentSafetyFilter();
+
+module.exports = {
+  ContentSafetyFilter,
+  contentSafety,
+  CATEGORY_ORDER,
+};
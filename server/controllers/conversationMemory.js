@@ -1,13 +1,18 @@
-const { Pinecone } = require('@pinecone-database/pinecone');
+const { traced, addSpanAttributes } = require('../utils/tracing');
+const { jobQueue } = require('./jobQueue');
+const { createVectorStore, isVectorStoreConfigured } = require('./vectorStore');
+const { embeddingService } = require('./embeddingService');
 
 // Environment configuration
 const CONVERSATIONS_INDEX_NAME = process.env.CONVERSATIONS_INDEX_NAME || 'conversations-v1';
 const CONVERSATIONS_NAMESPACE = process.env.CONVERSATIONS_NAMESPACE || 'conversations';
-const EMBEDDING_MODEL = process.env.CONVERSATIONS_EMBED_MODEL || 'Xenova/bge-large-en-v1.5';
+const EMBEDDING_MODEL = process.env.CONVERSATIONS_EMBED_MODEL; // Unset: the embedding service default
 
-let embedder;
 let index;
 
+// Without a vector store (no Pinecone key, VECTOR_STORE unset) there is nothing to queue
+const isConfigured = () => Boolean(CONVERSATIONS_INDEX_NAME && isVectorStoreConfigured());
+
 function scrubMetadata(metadata) {
   const cleaned = {};
   for (const [key, value] of Object.entries(metadata || {})) {
@@ -17,7 +22,7 @@ function scrubMetadata(metadata) {
     } else if (Array.isArray(value) && value.every((v) => typeof v === 'string')) {
       cleaned[key] = value;
     } else {
-      // Fallback: coerce to string to satisfy Pinecone metadata type constraints
+      // Fallback: coerce to string to satisfy vector store metadata type constraints
       cleaned[key] = String(value);
     }
   }
@@ -25,33 +30,17 @@ function scrubMetadata(metadata) {
 }
 
 async function initialize() {
-  if (embedder && index) return;
-  if (!CONVERSATIONS_INDEX_NAME) {
-    console.log('Conversation memory: Pinecone not configured, skipping initialization');
+  if (index) return;
+  if (!isConfigured()) {
+    console.log('Conversation memory: vector store not configured, skipping initialization');
     return;
   }
   try {
-    const { pipeline } = await import('@xenova/transformers');
-    embedder = await pipeline('feature-extraction', EMBEDDING_MODEL);
-    // Probe embedding dimension
-    const probe = await embedder('dimension_probe', { pooling: 'mean', normalize: true });
-    const dimension = Array.isArray(probe?.data) ? probe.data.length : (probe?.data?.length || 1024);
-
-    const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-    // Ensure index exists
-    const list = await pinecone.listIndexes();
-    const exists = list.indexes?.some((i) => i.name === CONVERSATIONS_INDEX_NAME);
-    if (!exists) {
-      console.log(`🌲 Creating Pinecone index for conversation memory: ${CONVERSATIONS_INDEX_NAME} (dim=${dimension})`);
-      await pinecone.createIndex({
-        name: CONVERSATIONS_INDEX_NAME,
-        dimension,
-        metric: 'cosine',
-        spec: { serverless: { cloud: 'aws', region: 'us-east-1' } }
-      });
-    }
-    index = pinecone.index(CONVERSATIONS_INDEX_NAME);
-    console.log(`🧠 Conversation memory ready → index: ${CONVERSATIONS_INDEX_NAME}, ns: ${CONVERSATIONS_NAMESPACE}`);
+    const dimension = await embeddingService.dimension({ model: EMBEDDING_MODEL });
+    const store = createVectorStore(CONVERSATIONS_INDEX_NAME);
+    await store.ensureIndex(dimension);
+    index = store;
+    console.log(`🧠 Conversation memory ready → ${store.backend} index: ${CONVERSATIONS_INDEX_NAME}, ns: ${CONVERSATIONS_NAMESPACE}`);
   } catch (err) {
     console.error('Failed to initialize conversation memory:', err);
   }
@@ -64,48 +53,54 @@ function buildTurnText(userMessage, aiResponse) {
   return `USER: ${user}\nASSISTANT: ${ai}`.slice(0, 2000); // limit stored text size
 }
 
-async function upsertTurn(userId, userMessage, aiResponse, metadata = {}) {
-  try {
-    if (!CONVERSATIONS_INDEX_NAME) return;
-    if (!embedder || !index) await initialize();
-    const text = buildTurnText(userMessage, aiResponse);
-    if (!text) return;
-
-    const vector = await embedder(text, { pooling: 'mean', normalize: true });
-    const id = `${userId}:${Date.now()}`;
-    const values = Array.from(vector.data);
-    const meta = scrubMetadata({
-      userId,
-      type: 'turn',
-      originalText: text,
-      timestamp: new Date().toISOString(),
-      sessionId: metadata.sessionId,
-    });
 
-    await index
-      .namespace(CONVERSATIONS_NAMESPACE)
-      .upsert([
-        { id, values, metadata: meta }
-      ]);
-  } catch (err) {
-    console.warn('Conversation memory upsert failed:', err.message);
-  }
+// Embed and store one turn. Throws on failure so the job queue retries it.
+const storeTurn = traced('memory.upsertTurn', async (userId, userMessage, aiResponse, metadata = {}) => {
+  if (!isConfigured()) return;
+  if (!index) await initialize();
+  if (!index) throw new Error('Conversation memory index unavailable');
+  const text = buildTurnText(userMessage, aiResponse);
+  if (!text) return;
+  addSpanAttributes({ chars: text.length });
+
+  const timestamp = metadata.timestamp || new Date().toISOString();
+  const values = await embeddingService.embed(text, { model: EMBEDDING_MODEL });
+  const id = `${userId}:${Date.parse(timestamp)}`; // Stable across job retries, so a retry overwrites
+  const meta = scrubMetadata({
+    userId,
+    type: 'turn',
+    originalText: text,
+    timestamp,
+    sessionId: metadata.sessionId,
+  });
+
+  await index.upsert(CONVERSATIONS_NAMESPACE, [{ id, values, metadata: meta }]);
+});
+
+// Queue a turn for the semantic memory; returns once the job is persisted
+async function upsertTurn(userId, userMessage, aiResponse, metadata = {}) {
+  if (!isConfigured() || !buildTurnText(userMessage, aiResponse)) return null;
+  return jobQueue.enqueue('memory.upsertTurn', {
+    userId,
+    userMessage,
+    aiResponse,
+    metadata: { ...metadata, timestamp: new Date().toISOString() }
+  });
 }
 
-async function searchRelevant(userId, query, topK = 5, extraFilter = {}) {
+const searchRelevant = traced('memory.search', async (userId, query, topK = 5, extraFilter = {}) => {
   try {
-    if (!CONVERSATIONS_INDEX_NAME) return '';
-    if (!embedder || !index) await initialize();
-    if (!query) return '';
-    const vector = await embedder(query, { pooling: 'mean', normalize: true });
-    const res = await index
-      .namespace(CONVERSATIONS_NAMESPACE)
-      .query({
-        vector: Array.from(vector.data),
-        topK,
-        includeMetadata: true,
-        filter: { userId, ...(extraFilter || {}) }
-      });
+    if (!isConfigured() || !query) return '';
+    if (!index) await initialize();
+    if (!index) return '';
+    const vector = await embeddingService.embed(query, { model: EMBEDDING_MODEL });
+    const res = await index.query(CONVERSATIONS_NAMESPACE, {
+      vector,
+      topK,
+      includeMetadata: true,
+      filter: { userId, ...(extraFilter || {}) }
+    });
+    addSpanAttributes({ topK, matches: res?.matches?.length || 0 });
     if (!res?.matches?.length) return '';
     const lines = res.matches.map(m => m.metadata?.originalText || '').filter(Boolean);
     return lines.slice(0, topK).join('\n\n—\n\n');
@@ -113,25 +108,63 @@ async function searchRelevant(userId, query, topK = 5, extraFilter = {}) {
     console.warn('Conversation memory search failed:', err.message);
     return '';
   }
+});
+
+// Embed and store a durable fact (identity, preference). Throws on failure.
+async function storeFact(userId, text, { factType = 'identity', key = 'unknown', ttlDays, confidence, importance } = {}) {
+  if (!isConfigured()) return;
+  if (!index) await initialize();
+  if (!index) throw new Error('Conversation memory index unavailable');
+  const clean = (text || '').trim();
+  if (!clean) return;
+  const values = await embeddingService.embed(clean, { model: EMBEDDING_MODEL });
+  const id = `${userId}:fact:${key}:${Date.now()}`;
+  const metadata = scrubMetadata({ userId, type: 'fact', factType, key, originalText: clean, timestamp: new Date().toISOString(), ttlDays, confidence, importance });
+  await index.upsert(CONVERSATIONS_NAMESPACE, [{ id, values, metadata }]);
 }
 
+// A user's stored facts, newest first. The store has no list call, so a filtered query
+// with a probe vector stands in for one (at most topK facts).
+async function listFacts(userId, { key, topK = 100 } = {}) {
+  if (!isConfigured()) return [];
+  if (!index) await initialize();
+  if (!index) throw new Error('Conversation memory index unavailable');
+  const probe = await embeddingService.embed('user fact', { model: EMBEDDING_MODEL });
+  const res = await index.query(CONVERSATIONS_NAMESPACE, {
+    vector: probe,
+    topK,
+    includeMetadata: true,
+    filter: { userId, type: 'fact', ...(key ? { key } : {}) }
+  });
+  return (res?.matches || [])
+    .map((m) => ({ id: m.id, key: m.metadata?.key, factType: m.metadata?.factType, text: m.metadata?.originalText, timestamp: m.metadata?.timestamp }))
+    .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+}
+
+// Delete facts by id; ids of other users' records are ignored. Throws on failure.
+async function deleteFacts(userId, ids = []) {
+  const own = ids.filter((id) => String(id).startsWith(`${userId}:fact:`));
+  if (!isConfigured() || own.length === 0) return 0;
+  if (!index) await initialize();
+  if (!index) throw new Error('Conversation memory index unavailable');
+  await index.deleteMany(CONVERSATIONS_NAMESPACE, own);
+  return own.length;
+}
+
+jobQueue.register('memory.upsertTurn', ({ userId, userMessage, aiResponse, metadata }) =>
+  storeTurn(userId, userMessage, aiResponse, metadata), { requestType: 'memory' });
+
 module.exports = {
   initialize,
   upsertTurn,
   searchRelevant,
-  async upsertFact(userId, text, { factType = 'identity', key = 'unknown', ttlDays, confidence, importance } = {}) {
+  storeTurn,
+  storeFact,
+  listFacts,
+  deleteFacts,
+  async upsertFact(userId, text, options = {}) {
     try {
-      if (!CONVERSATIONS_INDEX_NAME) return;
-      if (!embedder || !index) await initialize();
-      const clean = (text || '').trim();
-      if (!clean) return;
-      const vector = await embedder(clean, { pooling: 'mean', normalize: true });
-      const id = `${userId}:fact:${key}:${Date.now()}`;
-      const values = Array.from(vector.data);
-      const metadata = scrubMetadata({ userId, type: 'fact', factType, key, originalText: clean, timestamp: new Date().toISOString(), ttlDays, confidence, importance });
-      await index
-        .namespace(CONVERSATIONS_NAMESPACE)
-        .upsert([{ id, values, metadata }]);
+      await storeFact(userId, text, options);
     } catch (err) {
       console.warn('Conversation memory upsertFact failed:', err.message);
     }
@@ -0,0 +1,295 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { chunkDocument, detectFormat } = require('../utils/documentChunker');
+const { createVectorStore, isVectorStoreConfigured } = require('./vectorStore');
+const { embeddingService } = require('./embeddingService');
+
+/**
+ * Document Ingestor
+ * Adds teacher reading material (markdown, plain text, HTML, text-extracted PDFs) to the
+ * RAG corpus next to the lessons. Each document is a source identified by sourceId:
+ * re-ingesting a source replaces its chunks, deleting it removes them.
+ *
+ * Chunks are keyed on a hash of their text, so a paragraph repeated within a document
+ * or shared by several documents is stored and embedded once and lists every source
+ * it came from (metadata.sourceIds). Chunk text and source metadata are kept under
+ * data/rag/documents, which is also what the hybrid retriever's keyword index reads.
+ */
+
+const INDEX_NAME = process.env.RAG_INDEX_NAME || process.env.PINECONE_INDEX_NAME || 'lessons-v1';
+const NAMESPACE = process.env.RAG_NAMESPACE || 'lessons';
+const EMBEDDING_MODEL = process.env.RAG_EMBED_MODEL; // Unset: the embedding service default
+const UPSERT_BATCH = 100;
+
+const hash = (text) => crypto.createHash('sha256').update(text).digest('hex');
+const chunkId = (text) => `doc:${hash(text.replace(/\s+/g, ' ').trim().toLowerCase()).substring(0, 24)}`;
+
+class DocumentIngestor {
+  constructor(dataDir = null) {
+    this.dataDir = dataDir || path.join(__dirname, '..', 'data', 'rag', 'documents');
+    this.queue = Promise.resolve(); // Ingests and deletes run one at a time
+  }
+
+  sourceFile(sourceId) {
+    return path.join(this.dataDir, `${encodeURIComponent(sourceId)}.json`);
+  }
+
+  async readSources() {
+    let files = [];
+    try {
+      files = (await fs.readdir(this.dataDir)).filter((file) => file.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const sources = [];
+    for (const file of files) {
+      try {
+        sources.push(JSON.parse(await fs.readFile(path.join(this.dataDir, file), 'utf8')));
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable document record ${file}:`, error.message);
+      }
+    }
+    return sources;
+  }
+
+  async writeSource(source) {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    const file = this.sourceFile(source.sourceId);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(source, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  /**
+   * Changes whenever a source is added, replaced or deleted (by any process), so
+   * readers can tell when to reload
+   */
+  async catalogVersion() {
+    try {
+      return (await fs.stat(this.dataDir)).mtimeMs;
+    } catch (_) {
+      return 0;
+    }
+  }
+
+  /**
+   * Ingested sources with their chunk counts, newest first
+   */
+  async listSources() {
+    const sources = await this.readSources();
+    return sources
+      .map(({ chunks, ...source }) => ({ ...source, chunks: chunks.length }))
+      .sort((a, b) => String(b.ingestedAt).localeCompare(String(a.ingestedAt)));
+  }
+
+  /**
+   * Every stored chunk with its citation metadata, one entry per chunk id
+   * @returns {Promise<{ id: string, text: string, metadata: Object }[]>}
+   */
+  async loadChunks() {
+    const sources = await this.readSources();
+    const owners = referencesById(sources);
+    const chunks = new Map();
+    for (const source of sources) {
+      for (const chunk of source.chunks) {
+        if (!chunks.has(chunk.id)) chunks.set(chunk.id, { id: chunk.id, text: chunk.text, metadata: chunkMetadata(source, chunk, owners.get(chunk.id)) });
+      }
+    }
+    return [...chunks.values()];
+  }
+
+  serialize(task) {
+    const run = this.queue.catch(() => {}).then(task);
+    this.queue = run;
+    return run;
+  }
+
+  /**
+   * Ingest (or re-ingest) one document
+   * @param {Object} document
+   * @param {string} document.content - Raw text, markdown or HTML
+   * @param {string} [document.sourceId] - Defaults to the filename
+   * @param {string} [document.filename] - Used to detect the format
+   * @param {string} [document.format] - markdown, text, html or pdf (text extracted from a PDF)
+   * @param {string} [document.title] - Defaults to the document's own title, then the sourceId
+   * @param {string} [document.grade]
+   * @param {string} [document.topic]
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Re-embed even when nothing changed
+   * @returns {Promise<Object>} Report: status, chunk counts, duplicates and removed chunks
+   */
+  ingest(document, options = {}) {
+    return this.serialize(() => this.runIngest(document, options));
+  }
+
+  async runIngest(document, { force = false } = {}) {
+    const started = Date.now();
+    const { content, filename = null, grade = null, topic = null } = document || {};
+    const sourceId = String(document?.sourceId || filename || '').trim();
+    if (!sourceId) throw new Error('sourceId or filename is required');
+    if (typeof content !== 'string' || !content.trim()) throw new Error(`Document ${sourceId} has no content`);
+    const format = document.format || detectFormat(filename || sourceId) || 'text';
+
+    const { title: documentTitle, chunks: parsed } = chunkDocument(content, { format });
+    const source = {
+      sourceId,
+      title: String(document.title || documentTitle || path.basename(sourceId)).trim(),
+      format,
+      grade: grade === null || grade === undefined || grade === '' ? null : String(grade),
+      topic: topic ? String(topic) : null,
+      contentHash: hash(content),
+      vectors: isVectorStoreConfigured() ? `${INDEX_NAME}/${NAMESPACE}` : null,
+      ingestedAt: new Date().toISOString(),
+      chunks: []
+    };
+
+    // A chunk that repeats within the document is kept once
+    const seen = new Set();
+    let duplicates = 0;
+    for (const chunk of parsed) {
+      const id = chunkId(chunk.text);
+      if (seen.has(id)) {
+        duplicates += 1;
+        continue;
+      }
+      seen.add(id);
+      source.chunks.push({ id, ...chunk });
+    }
+
+    const sources = await this.readSources();
+    const previous = sources.find((s) => s.sourceId === sourceId) || null;
+    const unchanged = previous && !force && ['contentHash', 'title', 'format', 'grade', 'topic', 'vectors'].every((key) => previous[key] === source[key]);
+    const report = {
+      sourceId,
+      title: source.title,
+      format,
+      status: unchanged ? 'unchanged' : previous ? 'updated' : 'ingested',
+      chunks: source.chunks.length,
+      sections: new Set(source.chunks.map((c) => c.section)).size,
+      added: 0,
+      duplicates,
+      shared: 0,
+      removed: 0,
+      vectors: Boolean(source.vectors)
+    };
+    if (unchanged) {
+      report.ms = Date.now() - started;
+      return report;
+    }
+    if (source.chunks.length === 0) throw new Error(`Document ${sourceId} produced no text chunks`);
+
+    const others = sources.filter((s) => s.sourceId !== sourceId);
+    const otherRefs = referencesById(others);
+    const previousIds = new Set(previous ? previous.chunks.map((c) => c.id) : []);
+    report.added = source.chunks.filter((c) => !previousIds.has(c.id)).length;
+    report.shared = source.chunks.filter((c) => otherRefs.has(c.id)).length;
+    const dropped = [...previousIds].filter((id) => !seen.has(id));
+    report.removed = dropped.filter((id) => !otherRefs.has(id)).length;
+
+    if (source.vectors) {
+      const owners = referencesById([...others, source]);
+      await this.upsertChunks(source.chunks.map((chunk) => ({ source, chunk, sourceIds: owners.get(chunk.id) })));
+      await this.releaseChunks(dropped, others, otherRefs);
+    }
+    await this.writeSource(source);
+
+    report.ms = Date.now() - started;
+    console.log(`📄 ${report.status === 'updated' ? 'Re-ingested' : 'Ingested'} ${sourceId}: ${report.chunks} chunks (${report.added} new, ${report.duplicates} duplicate, ${report.removed} removed)`);
+    return report;
+  }
+
+  /**
+   * Remove a source and the chunks no other source shares
+   * @returns {Promise<Object|null>} Null when the source was never ingested
+   */
+  deleteSource(sourceId) {
+    return this.serialize(async () => {
+      const sources = await this.readSources();
+      const source = sources.find((s) => s.sourceId === sourceId);
+      if (!source) return null;
+      const others = sources.filter((s) => s.sourceId !== sourceId);
+      const otherRefs = referencesById(others);
+      const ids = source.chunks.map((c) => c.id);
+      if (source.vectors && isVectorStoreConfigured()) await this.releaseChunks(ids, others, otherRefs);
+      await fs.unlink(this.sourceFile(sourceId));
+      const removed = ids.filter((id) => !otherRefs.has(id)).length;
+      console.log(`🗑️ Deleted document ${sourceId}: ${removed} chunks removed`);
+      return { sourceId, removed, kept: ids.length - removed };
+    });
+  }
+
+  async store() {
+    const store = createVectorStore(INDEX_NAME);
+    await store.ensureIndex(await embeddingService.dimension({ model: EMBEDDING_MODEL }));
+    return store;
+  }
+
+  // Embed (cache hits for unchanged text) and upsert chunks; the heading path is embedded with the text
+  async upsertChunks(entries) {
+    if (entries.length === 0) return;
+    const store = await this.store();
+    const vectors = await embeddingService.embedMany(
+      entries.map(({ source, chunk }) => `${[source.title, chunk.section].filter(Boolean).join(' › ')}\n${chunk.text}`),
+      { model: EMBEDDING_MODEL }
+    );
+    const records = entries.map(({ source, chunk, sourceIds }, i) => ({
+      id: chunk.id,
+      values: vectors[i],
+      metadata: chunkMetadata(source, chunk, sourceIds)
+    }));
+    for (let i = 0; i < records.length; i += UPSERT_BATCH) {
+      await store.upsert(NAMESPACE, records.slice(i, i + UPSERT_BATCH));
+    }
+  }
+
+  // Chunks a source no longer has: deleted, or re-labelled when another source still shares them
+  async releaseChunks(ids, others, otherRefs) {
+    const orphaned = ids.filter((id) => !otherRefs.has(id));
+    const shared = [];
+    for (const id of ids.filter((id) => otherRefs.has(id))) {
+      const owner = others.find((s) => s.sourceId === otherRefs.get(id)[0]);
+      shared.push({ source: owner, chunk: owner.chunks.find((c) => c.id === id), sourceIds: otherRefs.get(id) });
+    }
+    await this.upsertChunks(shared);
+    if (orphaned.length > 0) await createVectorStore(INDEX_NAME).deleteMany(NAMESPACE, orphaned);
+  }
+}
+
+// chunk id -> ids of the sources containing it
+function referencesById(sources) {
+  const refs = new Map();
+  for (const source of sources) {
+    for (const chunk of source.chunks) {
+      if (!refs.has(chunk.id)) refs.set(chunk.id, []);
+      refs.get(chunk.id).push(source.sourceId);
+    }
+  }
+  return refs;
+}
+
+// Vector metadata for a chunk; text is the key rag/chatChain.mjs reads, title/section feed citations
+function chunkMetadata(source, chunk, sourceIds = [source.sourceId]) {
+  const metadata = {
+    contentType: 'document',
+    sourceId: source.sourceId,
+    sourceIds,
+    title: source.title,
+    section: chunk.section,
+    format: source.format,
+    grade: source.grade,
+    topic: source.topic,
+    page: chunk.page,
+    text: chunk.text
+  };
+  // Drop nulls, which vector store metadata cannot hold
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== null && value !== undefined));
+}
+
+// Create singleton instance
+const documentIngestor = new DocumentIngestor();
+
+module.exports = {
+  DocumentIngestor,
+  documentIngestor
+};
@@ -40,7 +40,8 @@ const generateDynamicLesson = async (req, res) => {
       }
     };
 
-    const response = await aiOrchestrator.processRequest(orchestratorRequest);
+    // Stop generating (and paying for) the lesson if the learner navigates away
+    const response = await aiOrchestrator.processRequest(orchestratorRequest, { signal: req.abortSignal });
 
     res.status(200).json({
       success: true,
@@ -51,6 +52,10 @@ const generateDynamicLesson = async (req, res) => {
     });
 
   } catch (error) {
+    if (req.abortSignal?.aborted) {
+      console.log('🔌 Dynamic lesson generation aborted by client');
+      return;
+    }
     console.error('❌ Error generating dynamic lesson:', error);
     res.status(500).json({
       error: 'Failed to generate dynamic lesson',
@@ -270,7 +275,7 @@ const generateCustomLesson = async (req, res) => {
       creativeElements: customRequest.creativeElements || []
     };
 
-    const generatedLesson = await dynamicLessonGenerator.generateDynamicLesson(user.id, lessonRequest);
+    const generatedLesson = await dynamicLessonGenerator.generateDynamicLesson(user.id, lessonRequest, { signal: req.abortSignal });
 
     res.status(200).json({
       success: true,
@@ -285,6 +290,10 @@ const generateCustomLesson = async (req, res) => {
     });
 
   } catch (error) {
+    if (req.abortSignal?.aborted) {
+      console.log('🔌 Custom lesson generation aborted by client');
+      return;
+    }
     console.error('❌ Error generating custom lesson:', error);
     res.status(500).json({
       error: 'Failed to generate custom lesson',
@@ -1,5 +1,7 @@
 const { aiProviderManager } = require('./aiProviders');
 const { persistentMemory } = require('./persistentMemory');
+const { contentCache } = require('./contentCache');
+const { runWithAbortSignal, isAborted } = require('../utils/requestAbort');
 const { parseAIJSONResponse, fixCommonJSONIssues } = require('../utils/jsonParser');
 const fs = require('fs').promises;
 const path = require('path');
@@ -69,16 +71,33 @@ class DynamicLessonGenerator {
         };
       }
 
-      // Use specialized prompts for narration, quiz, reflection
-      let prompt;
-      if (type === 'quiz') {
-        prompt = prompts.generateQuizPrompt({ topic, step, userProfile });
-      } else if (type === 'reflection') {
-        prompt = prompts.generateReflectionPrompt({ topic, step, userProfile });
-      } else {
-        prompt = prompts.generateNarrationPrompt({ topic, step, userProfile });
+      const difficulty = learningAnalysis?.currentLevel || userProfile?.learning?.comprehensionLevel || 'beginner';
+
+      // Shared blocks are generated from the cache key inputs alone (no name or per-learner
+      // context), so one generation can serve every learner at that level
+      if (contentCache.isEnabled('lesson.block')) {
+        const inputs = {
+          topic,
+          type,
+          stepId: step.id,
+          title: step.title,
+          objective: step.objective,
+          difficulty,
+          learningStyle: userProfile?.learning?.preferredStyle || userProfile?.learningStyle || 'multimodal'
+        };
+        const block = await contentCache.getOrCreate('lesson.block', inputs, () =>
+          this.generateStepBlock(this.buildStepPrompt(type, {
+            topic,
+            step: { id: inputs.stepId, title: inputs.title, objective: inputs.objective },
+            userProfile: { learningStyle: inputs.learningStyle },
+            level: difficulty
+          }))
+        );
+        return { ...block, block_id: step.id, title: step.title };
       }
 
+      let prompt = this.buildStepPrompt(type, { topic, step, userProfile, level: difficulty });
+
       // Append active context to steer generation without changing expected JSON keys
       const contextLines = [];
       try {
@@ -102,15 +121,9 @@ class DynamicLessonGenerator {
         prompt += `\n\nACTIVE USER CONTEXT (for better personalization, do not echo):\n${contextLines.join('\n')}`;
       }
 
-      const response = await aiProviderManager.generateResponse(prompt, 'gemini');
-      try {
-        const parsed = parseAIJSONResponse(response);
-        return parsed;
-      } catch (e) {
-        const cleaned = fixCommonJSONIssues(String(response));
-        return JSON.parse(cleaned);
-      }
+      return await this.generateStepBlock(prompt);
     } catch (error) {
+      if (isAborted()) throw error; // Client went away - stop instead of filling in fallbacks
       console.error('Content generation error for step', step?.id, error.message);
       // Fallback minimal block
       return {
@@ -126,13 +139,36 @@ class DynamicLessonGenerator {
     }
   }
 
+  // Specialized prompts for narration, quiz, reflection
+  buildStepPrompt(type, { topic, step, userProfile, level }) {
+    if (type === 'quiz') return prompts.generateQuizPrompt({ topic, step, userProfile, level });
+    if (type === 'reflection') return prompts.generateReflectionPrompt({ topic, step, userProfile, level });
+    return prompts.generateNarrationPrompt({ topic, step, userProfile, level });
+  }
+
+  async generateStepBlock(prompt) {
+    const response = await aiProviderManager.generateResponse(prompt, 'lesson.block');
+    try {
+      return parseAIJSONResponse(response);
+    } catch (e) {
+      const cleaned = fixCommonJSONIssues(String(response));
+      return JSON.parse(cleaned);
+    }
+  }
+
   /**
    * Generate a dynamic lesson tailored to the user's profile and learning needs
    * @param {string} userId - User identifier
    * @param {Object} lessonRequest - Lesson generation parameters
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels outstanding AI calls (defaults to the current request's signal)
    * @returns {Promise<Object>} Generated lesson with blocks
    */
-  async generateDynamicLesson(userId, lessonRequest) {
+  async generateDynamicLesson(userId, lessonRequest, options = {}) {
+    return runWithAbortSignal(options.signal, () => this.buildDynamicLesson(userId, lessonRequest));
+  }
+
+  async buildDynamicLesson(userId, lessonRequest) {
     const {
       baseTopicOrLesson,
       learningObjectives = [],
@@ -185,6 +221,7 @@ class DynamicLessonGenerator {
       return enhancedLesson;
 
     } catch (error) {
+      if (isAborted()) throw error;
       console.error('❌ Error generating dynamic lesson:', error);
       throw new Error('Failed to generate dynamic lesson: ' + error.message);
     }
@@ -225,7 +262,7 @@ Provide a JSON response with:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(analysisPrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(analysisPrompt, 'lesson.analyze');
       return parseAIJSONResponse(response);
     } catch (error) {
       console.error('Error analyzing learning state:', error);
@@ -286,7 +323,7 @@ Provide a JSON response with:
   const structurePrompt = `CRITICAL: You must return ONLY valid JSON. No markdown, no extra text, no comments.\n\nGenerate a personalized lesson structure for this space science lesson.\n${baseTemplateSection}\n\nUSER CONTEXT:\n- Learning Level: ${learningAnalysis.currentLevel}\n- Learning Style: ${learningAnalysis.learningStyle}\n- Preferred Pacing: ${learningAnalysis.preferredPacing}\n- Struggling Areas: ${learningAnalysis.strugglingAreas.join(', ')}\n- Strong Areas: ${learningAnalysis.strongAreas.join(', ')}\n- Recommended Approach: ${learningAnalysis.recommendedApproach}\n\nLESSON REQUIREMENTS:\n- Duration: ${estimatedDuration} minutes\n- Difficulty: ${difficultyLevel}\n- Focus Areas: ${focusAreas.join(', ')}\n- Address Weaknesses: ${weaknessesToAddress.join(', ')}\n- Leverage Strengths: ${strengthsToLeverage.join(', ')}\n- Learning Objectives: ${learningObjectives.join(', ')}\n- Must have at least ${baseLessonTemplate?.total_blocks || 8} blocks to match original lesson depth\n\nReturn ONLY this JSON structure:\n{\n  "mission_id": "dynamic_lesson_${Date.now()}",\n  "title": "Engaging space mission title",\n  "description": "Brief description targeting user's interests",\n  "total_blocks": 8,\n  "estimated_duration": ${estimatedDuration},\n  "difficulty_level": "adaptive",\n  "learning_objectives": ["objective1", "objective2", "objective3"],\n  "personalization_strategy": "brief strategy explanation",\n  "tutoring_approach": "guided",\n  "block_structure": [\n    {\n      "block_id": "intro_1",\n      "type": "narration",\n      "title": "Mission Briefing",\n      "learning_focus": "specific concept",\n      "personalization_notes": "how this addresses user needs",\n      "estimated_minutes": 2,\n      "difficulty_progression": "building",\n      "tutoring_strategy": "direct instruction"\n    },\n    {\n      "block_id": "exploration_2", \n      "type": "choice",\n      "title": "Decision Point",\n      "learning_focus": "concept application",\n      "personalization_notes": "choice structure suits user",\n      "estimated_minutes": 3,\n      "difficulty_progression": "building",\n      "tutoring_strategy": "guided practice"\n    }\n  ]\n}\n\nENSURE: \n- All property names are in quotes\n- All arrays end properly with commas between elements \n- All objects are properly closed\n- No trailing commas\n- Exactly ${estimatedDuration} total minutes across all blocks`;
 
     try {
-      const response = await aiProviderManager.generateResponse(structurePrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(structurePrompt, 'lesson.plan');
       return parseAIJSONResponse(response);
     } catch (error) {
       console.error('Error generating lesson structure:', error);
@@ -421,7 +458,7 @@ If the block type is "choice", you MUST include an additional property "choices"
 Ensure: all keys quoted, no trailing commas, and overall JSON is valid.`;
 
     try {
-      const response = await aiProviderManager.generateResponse(blockPrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(blockPrompt, 'lesson.block');
       try {
         return parseAIJSONResponse(response);
       } catch (e) {
@@ -504,7 +541,7 @@ Ensure: all keys quoted, no trailing commas, and overall JSON is valid.`;
     const prompt = `CRITICAL: Return ONLY a JSON array. No markdown, no extra text.\n\nGenerate 3-4 Socratic questions for this lesson block that encourage critical thinking and discovery.\n\nBlock Content: ${block.content}\nLearning Goal: ${block.learning_goal}\nUser Learning Style: ${learningAnalysis.learningStyle}\nUser Level: ${learningAnalysis.currentLevel}\n\nGenerate questions that:\n- Lead students to discover concepts themselves\n- Build on prior knowledge\n- Encourage deeper thinking\n- Are appropriate for ${learningAnalysis.currentLevel} level\n\nReturn as JSON array: [\"question1\", \"question2\", \"question3\"]`;
 
     try {
-      const response = await aiProviderManager.generateResponse(prompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(prompt, 'lesson.block');
       return parseAIJSONResponse(response);
     } catch (error) {
       console.error('Error generating Socratic questions:', error);
@@ -657,6 +694,7 @@ Ensure: all keys quoted, no trailing commas, and overall JSON is valid.`;
             blocks.slice(0, globalIndex) // only previous blocks for context
           );
         } catch (error) {
+          if (isAborted()) throw error;
           console.error(`Error generating block ${blockTemplate.block_id}:`, error);
           // Return fallback block instead of failing
           return this.generateFallbackBlock(blockTemplate, globalIndex);
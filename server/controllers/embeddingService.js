@@ -0,0 +1,191 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Embedding Service
+ * The one place text becomes vectors, for semantic memory, user profiles, lesson
+ * retrieval and the ingest scripts. Each model loads once per process; texts are
+ * embedded in batches; every vector is cached on disk under data/cache/embeddings,
+ * keyed on a hash of provider, model and text, so identical text (lesson chunks on
+ * re-ingest, repeated probes and queries) is never embedded twice.
+ *
+ * EMBEDDING_PROVIDER selects 'local' (@xenova/transformers, default) or 'openai';
+ * EMBEDDING_MODEL sets the default model, and callers may ask for a specific one.
+ */
+
+const PROVIDER = String(process.env.EMBEDDING_PROVIDER || process.env.RAG_EMBED_PROVIDER || 'local').toLowerCase();
+const DEFAULT_MODELS = {
+  local: 'Xenova/bge-large-en-v1.5',
+  openai: 'text-embedding-3-large',
+};
+const BATCH_SIZE = Number(process.env.EMBEDDING_BATCH_SIZE || 16);
+const MEMORY_CACHE_SIZE = 1000;
+
+// Models the server's memory and retrieval modules embed with; warmUp() loads each once
+const CONFIGURED_MODEL_ENVS = ['CONVERSATIONS_EMBED_MODEL', 'USER_PROFILE_EMBED_MODEL', 'RAG_EMBED_MODEL'];
+
+class EmbeddingService {
+  constructor(dataDir = null) {
+    this.dataDir = dataDir || path.join(__dirname, '..', 'data', 'cache', 'embeddings');
+    this.provider = PROVIDER === 'openai' ? 'openai' : 'local';
+    this.defaultModel = process.env.EMBEDDING_MODEL || process.env.RAG_EMBED_MODEL || DEFAULT_MODELS[this.provider];
+    this.models = new Map();     // model -> Promise<(texts) => number[][]>
+    this.dimensions = new Map(); // model -> vector length
+    this.memory = new Map();     // cache key -> vector, oldest evicted first
+    this.stats = { hits: 0, misses: 0, embedded: 0, batches: 0 };
+  }
+
+  /**
+   * Batch embedder for a model, loaded on first use
+   * @returns {Promise<Function>} async (texts) => number[][]
+   */
+  loadModel(model) {
+    if (!this.models.has(model)) {
+      const loading = this.provider === 'openai' ? this.loadOpenAI(model) : this.loadLocal(model);
+      // A failed load is retried by the next caller instead of being cached
+      loading.catch(() => this.models.delete(model));
+      this.models.set(model, loading);
+    }
+    return this.models.get(model);
+  }
+
+  async loadLocal(model) {
+    const started = Date.now();
+    const { pipeline } = await import('@xenova/transformers');
+    const extractor = await pipeline('feature-extraction', model);
+    console.log(`🧬 Embedding model loaded: ${model} (${Date.now() - started}ms)`);
+    return async (texts) => {
+      const output = await extractor(texts, { pooling: 'mean', normalize: true });
+      return output.tolist();
+    };
+  }
+
+  async loadOpenAI(model) {
+    if (!process.env.OPENAI_API_KEY) throw new Error('OPENAI_API_KEY is required when EMBEDDING_PROVIDER=openai');
+    const OpenAI = require('openai');
+    const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    return async (texts) => {
+      const res = await client.embeddings.create({ model, input: texts });
+      return res.data.sort((a, b) => a.index - b.index).map((d) => d.embedding);
+    };
+  }
+
+  keyFor(model, text) {
+    return crypto.createHash('sha256').update(`${this.provider}:${model}:${text}`).digest('hex').substring(0, 32);
+  }
+
+  fileFor(model, key) {
+    return path.join(this.dataDir, model.replace(/[^a-z0-9._-]/gi, '_'), `${key}.json`);
+  }
+
+  remember(key, vector) {
+    this.memory.delete(key);
+    this.memory.set(key, vector);
+    if (this.memory.size > MEMORY_CACHE_SIZE) this.memory.delete(this.memory.keys().next().value);
+  }
+
+  async readCached(model, key) {
+    if (this.memory.has(key)) return this.memory.get(key);
+    try {
+      const entry = JSON.parse(await fs.readFile(this.fileFor(model, key), 'utf8'));
+      const buf = Buffer.from(entry.vector, 'base64');
+      const vector = Array.from(new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength)));
+      this.remember(key, vector);
+      return vector;
+    } catch (_) {
+      return null; // Missing or unreadable entry counts as a miss
+    }
+  }
+
+  async writeCached(model, key, vector) {
+    this.remember(key, vector);
+    const file = this.fileFor(model, key);
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const encoded = Buffer.from(Float32Array.from(vector).buffer).toString('base64');
+      await fs.writeFile(file, JSON.stringify({ provider: this.provider, model, dimension: vector.length, vector: encoded }));
+    } catch (error) {
+      console.warn('⚠️ Failed to write embedding cache entry:', error.message);
+    }
+  }
+
+  /**
+   * Embed many texts; cached vectors are reused and the rest run in batches
+   * @param {string[]} texts
+   * @param {Object} [options]
+   * @param {string} [options.model] - Defaults to EMBEDDING_MODEL
+   * @returns {Promise<number[][]>} One normalized vector per text, in order
+   */
+  async embedMany(texts, { model = this.defaultModel } = {}) {
+    const keys = texts.map((text) => this.keyFor(model, text));
+    const vectors = await Promise.all(keys.map((key) => this.readCached(model, key)));
+    const missing = keys.map((_, i) => i).filter((i) => !vectors[i]);
+    this.stats.hits += texts.length - missing.length;
+    this.stats.misses += missing.length;
+
+    if (missing.length > 0) {
+      const embedBatch = await this.loadModel(model);
+      for (let start = 0; start < missing.length; start += BATCH_SIZE) {
+        const batch = missing.slice(start, start + BATCH_SIZE);
+        const embedded = await embedBatch(batch.map((i) => texts[i]));
+        this.stats.batches += 1;
+        this.stats.embedded += batch.length;
+        await Promise.all(batch.map((i, j) => {
+          vectors[i] = embedded[j];
+          return this.writeCached(model, keys[i], embedded[j]);
+        }));
+      }
+    }
+
+    if (vectors.length > 0) this.dimensions.set(model, vectors[0].length);
+    return vectors;
+  }
+
+  /**
+   * Embed one text
+   * @returns {Promise<number[]>}
+   */
+  async embed(text, options = {}) {
+    const [vector] = await this.embedMany([String(text ?? '')], options);
+    return vector;
+  }
+
+  /**
+   * Vector length a model produces (probed once, then cached)
+   */
+  async dimension({ model = this.defaultModel } = {}) {
+    if (!this.dimensions.has(model)) await this.embed('dimension_probe', { model });
+    return this.dimensions.get(model);
+  }
+
+  /**
+   * Load the configured models and probe their dimensions so the first chat after
+   * boot does not wait on a model download or load
+   */
+  async warmUp() {
+    const models = new Set([this.defaultModel, ...CONFIGURED_MODEL_ENVS.map((name) => process.env[name]).filter(Boolean)]);
+    for (const model of models) {
+      const started = Date.now();
+      try {
+        await this.loadModel(model);
+        const dimension = await this.dimension({ model });
+        console.log(`🔥 Embedding model warm: ${model} (dim=${dimension}, ${Date.now() - started}ms)`);
+      } catch (error) {
+        console.warn(`⚠️ Embedding warm-up failed for ${model}:`, error.message);
+      }
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, provider: this.provider, defaultModel: this.defaultModel, loadedModels: [...this.models.keys()], memoryEntries: this.memory.size };
+  }
+}
+
+// Create singleton instance
+const embeddingService = new EmbeddingService();
+
+module.exports = {
+  EmbeddingService,
+  embeddingService
+};
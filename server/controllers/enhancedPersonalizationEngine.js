@@ -169,7 +169,7 @@ Analyze and provide detailed JSON insights:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(analysisPrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(analysisPrompt, 'personalization.analyze');
       return parseAIJSONResponse(response);
     } catch (error) {
       console.error('Error analyzing learning patterns:', error);
@@ -234,7 +234,7 @@ Generate a comprehensive knowledge mapping as valid JSON:
 ENSURE: All arrays end with proper commas, all objects are properly closed, no trailing commas.`;
 
     try {
-      const response = await aiProviderManager.generateResponse(mappingPrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(mappingPrompt, 'personalization.analyze');
       return parseAIJSONResponse(response);
     } catch (error) {
       console.error('Error mapping knowledge state:', error);
@@ -298,7 +298,7 @@ Generate comprehensive cognitive profile:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(cognitivePrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(cognitivePrompt, 'personalization.analyze');
       try {
         return parseAIJSONResponse(response);
       } catch (parseErr) {
@@ -399,7 +399,7 @@ Generate adaptive strategies:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(strategiesPrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(strategiesPrompt, 'personalization.analyze');
       try {
         return parseAIJSONResponse(response);
       } catch (parseErr) {
@@ -0,0 +1,223 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { BM25, tokenize } = require('../utils/bm25');
+const { toSource } = require('../utils/citations');
+const { withSpan, addSpanAttributes } = require('../utils/tracing');
+const pineconeRetriever = require('./pineconeRetriever');
+const { documentIngestor } = require('./documentIngestor');
+const { packSentences } = require('../utils/documentChunker');
+
+/**
+ * Hybrid Retriever
+ * Lesson retrieval that fuses two rankings: BM25 over lesson block chunks (exact terms
+ * like "spaghettification" or "Ares-X") and vector similarity from the lesson index
+ * (paraphrases). Rankings merge with reciprocal-rank fusion; with RAG_RERANK=true a local
+ * cross-encoder then reorders the fused candidates. Every query returns diagnostics
+ * saying which ranking (and which terms) put each chunk in the result.
+ *
+ * Results from both rankings are matched per lesson block (lessonId + blockId), the
+ * granularity citations link to.
+ */
+
+const LESSONS_DIR = path.join(__dirname, '../../client/public/lessons');
+
+const CANDIDATES = Number(process.env.RAG_HYBRID_CANDIDATES || 10);
+const RRF_K = Number(process.env.RAG_RRF_K || 60);
+const RERANK_ENABLED = String(process.env.RAG_RERANK || 'false').toLowerCase() === 'true';
+const RERANK_MODEL = process.env.RAG_RERANK_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2';
+
+const blockKey = (source) => (source.lessonId ? `${source.lessonId}:${source.blockId || ''}` : `text:${source.text.slice(0, 80)}`);
+
+class HybridRetriever {
+  constructor(lessonsDir = LESSONS_DIR) {
+    this.lessonsDir = lessonsDir;
+    this.index = null;       // { bm25, chunks: Map<id, chunk>, documentsVersion }
+    this.loading = null;
+    this.reranker = null;    // Promise<{ tokenizer, model }>
+  }
+
+  /**
+   * Lesson and document chunks and their BM25 index, built from the lesson JSON files
+   * and the documents ingested through controllers/documentIngestor.js; rebuilt when
+   * a document is added or removed. Chunk text mirrors the RAG ingest; titles, learning
+   * goals, choices and document headings are indexed as keywords too.
+   */
+  async loadIndex() {
+    const documentsVersion = await documentIngestor.catalogVersion();
+    if (this.index && this.index.documentsVersion === documentsVersion) return this.index;
+    if (!this.loading) {
+      this.loading = (async () => {
+        const chunks = new Map();
+        const files = (await fs.readdir(this.lessonsDir)).filter((file) => file.endsWith('.json'));
+        for (const file of files) {
+          try {
+            const lesson = JSON.parse(await fs.readFile(path.join(this.lessonsDir, file), 'utf8'));
+            const lessonId = lesson.mission_id || lesson.id || path.basename(file, '.json');
+            for (const block of lesson.blocks || []) {
+              const text = [block.content, block.prompt, block.question, block.text].filter(Boolean).join('\n').trim();
+              if (!text) continue;
+              const metadata = { lessonId, lessonTitle: lesson.title || lessonId, blockId: block.block_id || block.id || 'unknown', type: block.type || 'unknown' };
+              const keywords = [lesson.title, metadata.blockId, block.learning_goal, ...(block.choices || []).map((c) => c.text)].filter(Boolean).join(' ');
+              packSentences(text).forEach((chunk, n) => {
+                const id = `${lessonId}:${metadata.blockId}:${n}`;
+                chunks.set(id, { id, metadata, text: chunk, keywords });
+              });
+            }
+          } catch (error) {
+            console.warn(`⚠️ Skipping unreadable lesson ${file}:`, error.message);
+          }
+        }
+        const lessonChunks = chunks.size;
+        for (const chunk of await documentIngestor.loadChunks()) {
+          const { title, section, topic } = chunk.metadata;
+          chunks.set(chunk.id, { ...chunk, keywords: [title, section, topic].filter(Boolean).join(' ') });
+        }
+        const bm25 = new BM25([...chunks.values()].map((c) => ({ id: c.id, text: `${c.text} ${c.keywords}` })));
+        console.log(`🔤 Hybrid retriever indexed ${lessonChunks} lesson and ${chunks.size - lessonChunks} document chunks for keyword search`);
+        this.index = { bm25, chunks, documentsVersion };
+        return this.index;
+      })().finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  async keywordSearch(query, { limit, lessonId }) {
+    const { bm25, chunks } = await this.loadIndex();
+    const where = lessonId ? (id) => chunks.get(id).metadata.lessonId === lessonId : null;
+    return bm25.search(query, { limit, where }).map((hit) => {
+      const chunk = chunks.get(hit.id);
+      return { ...toSource(chunk.metadata, chunk.text), score: hit.score, matchedTerms: hit.matchedTerms };
+    });
+  }
+
+  async getReranker() {
+    if (!this.reranker) {
+      this.reranker = (async () => {
+        const { AutoTokenizer, AutoModelForSequenceClassification } = await import('@xenova/transformers');
+        const [tokenizer, model] = await Promise.all([
+          AutoTokenizer.from_pretrained(RERANK_MODEL),
+          AutoModelForSequenceClassification.from_pretrained(RERANK_MODEL)
+        ]);
+        console.log(`🎯 Cross-encoder reranker ready → ${RERANK_MODEL}`);
+        return { tokenizer, model };
+      })();
+      this.reranker.catch(() => { this.reranker = null; });
+    }
+    return this.reranker;
+  }
+
+  // Relevance logit per (query, chunk) pair from the cross-encoder
+  async rerankScores(query, texts) {
+    const { tokenizer, model } = await this.getReranker();
+    const inputs = tokenizer(new Array(texts.length).fill(query), { text_pair: texts, padding: true, truncation: true });
+    const { logits } = await model(inputs);
+    return Array.from(logits.data);
+  }
+
+  /**
+   * Retrieve lesson chunks for a query as numbered sources (see utils/citations.js)
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.topK=3]
+   * @param {string} [options.lessonId] - Only chunks from this lesson
+   * @param {Function} [options.vectorSearch] - async (query, limit) => sources with a score;
+   *   defaults to the lesson index behind pineconeRetriever
+   * @param {boolean} [options.rerank] - Overrides RAG_RERANK
+   * @returns {Promise<{ sources: Object[], diagnostics: Object }>}
+   */
+  retrieve(query, options = {}) {
+    return withSpan('rag.hybrid', {}, () => this.runRetrieval(query, options));
+  }
+
+  async runRetrieval(query, { topK = 3, lessonId = null, vectorSearch = null, rerank = RERANK_ENABLED } = {}) {
+    const started = Date.now();
+    const search = vectorSearch || ((q, limit) => pineconeRetriever.getRelevantSources(q, limit));
+    const diagnostics = {
+      query,
+      terms: [...new Set(tokenize(query))],
+      lessonId,
+      candidates: { keyword: 0, vector: 0 },
+      rerank: { enabled: Boolean(rerank), model: rerank ? RERANK_MODEL : null, applied: false },
+      results: [],
+      errors: []
+    };
+    if (!query) return { sources: [], diagnostics };
+
+    const [keywordHits, vectorHits] = await Promise.all([
+      this.keywordSearch(query, { limit: CANDIDATES, lessonId }).catch((error) => {
+        diagnostics.errors.push(`keyword: ${error.message}`);
+        return [];
+      }),
+      Promise.resolve()
+        .then(() => search(query, CANDIDATES))
+        .then((hits) => (lessonId ? hits.filter((hit) => !hit.lessonId || hit.lessonId === lessonId) : hits))
+        .catch((error) => {
+          diagnostics.errors.push(`vector: ${error.message}`);
+          return [];
+        })
+    ]);
+    diagnostics.candidates = { keyword: keywordHits.length, vector: vectorHits.length };
+
+    // Reciprocal-rank fusion: each ranking adds 1 / (k + rank) for the blocks it returned
+    const fused = new Map();
+    const addRanking = (hits, leg) => {
+      hits.forEach((hit, i) => {
+        const key = blockKey(hit);
+        const entry = fused.get(key) || { source: hit, rrf: 0, keyword: null, vector: null };
+        if (entry[leg]) return; // Later chunks of a block already ranked in this leg add nothing
+        entry[leg] = { rank: i + 1, score: round(hit.score), ...(hit.matchedTerms ? { matchedTerms: hit.matchedTerms } : {}) };
+        entry.rrf += 1 / (RRF_K + i + 1);
+        fused.set(key, entry);
+      });
+    };
+    addRanking(keywordHits, 'keyword');
+    addRanking(vectorHits, 'vector');
+    let ranked = [...fused.values()].sort((a, b) => b.rrf - a.rrf).slice(0, CANDIDATES);
+
+    if (rerank && ranked.length > 1) {
+      try {
+        const scores = await this.rerankScores(query, ranked.map((entry) => entry.source.text));
+        ranked.forEach((entry, i) => { entry.rerank = { score: round(scores[i]) }; });
+        ranked = ranked.sort((a, b) => b.rerank.score - a.rerank.score);
+        ranked.forEach((entry, i) => { entry.rerank.rank = i + 1; });
+        diagnostics.rerank.applied = true;
+      } catch (error) {
+        diagnostics.errors.push(`rerank: ${error.message}`);
+      }
+    }
+
+    const top = ranked.slice(0, topK);
+    const sources = top.map(({ source }, i) => toSource(source, source.text, i + 1));
+    diagnostics.results = top.map((entry, i) => ({
+      index: i + 1,
+      lessonId: entry.source.lessonId,
+      blockId: entry.source.blockId,
+      rrf: round(entry.rrf),
+      keyword: entry.keyword,
+      vector: entry.vector,
+      rerank: entry.rerank || null,
+      reason: explain(entry)
+    }));
+    diagnostics.ms = Date.now() - started;
+    addSpanAttributes({ topK, keyword: keywordHits.length, vector: vectorHits.length, reranked: diagnostics.rerank.applied });
+    return { sources, diagnostics };
+  }
+}
+
+const round = (n) => (typeof n === 'number' ? Math.round(n * 10000) / 10000 : null);
+
+// One-line account of why a chunk was chosen, for debug panels and the admin endpoint
+function explain({ keyword, vector, rerank }) {
+  const parts = [];
+  if (keyword) parts.push(`keyword #${keyword.rank} (${keyword.matchedTerms.map((t) => `"${t}"`).join(', ')})`);
+  if (vector) parts.push(`vector #${vector.rank}${vector.score !== null ? ` (similarity ${vector.score})` : ''}`);
+  if (rerank) parts.push(`reranked #${rerank.rank}`);
+  return parts.join(' + ');
+}
+
+const hybridRetriever = new HybridRetriever();
+
+module.exports = {
+  HybridRetriever,
+  hybridRetriever,
+};
@@ -3,6 +3,7 @@ const { enhancedPersonalizationEngine } = require('./enhancedPersonalizationEngi
 const { userAssessmentTracker } = require('./userAssessmentTracker');
 const { persistentMemory } = require('./persistentMemory');
 const { parseAIJSONResponse, fixCommonJSONIssues } = require('../utils/jsonParser');
+const { conceptDependencyMapSchema } = require('../prompts/schemas');
 
 // Remove local helpers; using shared utils/jsonParser
 
@@ -128,7 +129,7 @@ Analyze learning pace and provide pacing profile:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(pacingPrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(pacingPrompt, 'curriculum.sequence');
       const pacingAnalysis = parseAIJSONResponse(response);
       
       // Cache pacing profile
@@ -212,8 +213,9 @@ Generate a detailed concept map with prerequisites and relationships:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(domainPrompt, 'gemini');
-      const dependencyMap = parseAIJSONResponse(response);
+      const dependencyMap = await aiProviderManager.generateStructured(domainPrompt, conceptDependencyMapSchema, {
+        task: 'curriculum.sequence'
+      });
       
       // Cache dependency map
       this.conceptDependencies.set(domain, dependencyMap);
@@ -307,7 +309,7 @@ Generate personalized learning sequence:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(sequencePrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(sequencePrompt, 'curriculum.sequence');
       return parseAIJSONResponse(response);
     } catch (error) {
       console.error('Error generating optimal sequence:', error);
@@ -394,7 +396,7 @@ Provide sequence adaptation:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(adaptationPrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(adaptationPrompt, 'curriculum.sequence');
       const adaptation = parseAIJSONResponse(response);
       
       if (adaptation.adaptation_needed) {
@@ -0,0 +1,144 @@
+const { aiProviderManager } = require('../aiProviders');
+const { enhancedPersonalizationEngine } = require('../enhancedPersonalizationEngine');
+const { advancedTutoringStrategy } = require('../advancedTutoringStrategy');
+const { UNTRUSTED_INPUT_RULES, untrusted } = require('../../prompts/untrusted');
+
+/**
+ * Adaptive lesson delivery: responds inside a running lesson, adapting the
+ * current block's content when the tutoring strategy calls for it.
+ */
+
+/**
+ * Adapt lesson content based on personalization insights
+ */
+async function adaptLessonContent(currentBlock, personalizationInsights, tutoringStrategy) {
+  if (!currentBlock) return null;
+
+  const adaptationPrompt = `Adapt this lesson content for optimal personalization.
+
+ORIGINAL CONTENT:
+${currentBlock.content}
+
+PERSONALIZATION INSIGHTS:
+Learning Style: ${personalizationInsights.learningAnalysis?.learningStyle?.primary}
+Cognitive Load Preference: ${personalizationInsights.cognitiveProfile?.optimal_conditions?.cognitive_load}
+Motivational Factors: ${JSON.stringify(personalizationInsights.learningAnalysis?.motivationalFactors?.intrinsicMotivators)}
+
+TUTORING STRATEGY:
+Recommended Approach: ${tutoringStrategy.methodology?.primary_methodology?.approach}
+Scaffolding Level: ${tutoringStrategy.actions?.strategic_actions?.concept_development?.progression_steps?.[0]}
+
+ADAPTATION REQUIREMENTS:
+1. Adjust complexity for cognitive load preference
+2. Incorporate preferred learning style elements
+3. Add motivational hooks from learner profile
+4. Apply recommended scaffolding level
+5. Maintain space exploration theme
+6. Keep core learning objectives intact
+
+Return adapted content that is optimally personalized for this learner while preserving the essential learning goals.`;
+
+  try {
+    const adaptedContent = await aiProviderManager.generateResponse(adaptationPrompt, 'lesson.adapt');
+    return adaptedContent;
+  } catch (error) {
+    console.error('Error adapting lesson content:', error);
+    return currentBlock.content; // Fallback to original
+  }
+}
+
+module.exports = {
+  type: 'adaptive_lesson_delivery',
+  requestType: 'lesson_generation',
+  lane: 'lesson',
+  context: [],
+
+  // Build adaptive lesson delivery prompt
+  buildPrompt(context, personalizationInsights, tutoringStrategy, adaptedContent) {
+    const { user, prompt, context: requestContext } = context;
+    
+    return `You are Spacey, delivering an adaptive lesson that adjusts in real-time to the learner's needs.
+
+PERSONALIZATION INSIGHTS:
+Learning Analysis: ${JSON.stringify(personalizationInsights.learningAnalysis?.learningStyle)}
+Cognitive Profile: ${JSON.stringify(personalizationInsights.cognitiveProfile?.optimal_conditions)}
+Knowledge Mapping: Critical gaps: ${personalizationInsights.knowledgeMapping?.critical_gaps?.join(', ') || 'none'}
+
+CURRENT LESSON CONTEXT:
+${requestContext.currentLesson ? `Lesson: ${requestContext.currentLesson.title}` : 'No lesson context'}
+${requestContext.currentBlock ? `Block: ${requestContext.currentBlock.block_id}` : 'No block context'}
+${adaptedContent ? `Adapted Content: ${adaptedContent}` : 'Using original content'}
+
+TUTORING STRATEGY:
+Approach: ${tutoringStrategy.methodology?.primary_methodology?.approach}
+Scaffolding Level: ${tutoringStrategy.actions?.strategic_actions?.concept_development?.progression_steps?.[0]}
+Next Steps: ${tutoringStrategy.sequencing?.optimal_next_steps?.join(', ') || 'Continue current path'}
+
+USER MESSAGE:
+${untrusted('user_message', prompt)}
+${UNTRUSTED_INPUT_RULES}
+
+ADAPTIVE INSTRUCTIONS:
+1. Respond to the user's message in the context of their current lesson
+2. Use the identified optimal tutoring approach
+3. Adjust complexity based on cognitive profile
+4. Apply personalized engagement strategies
+5. Guide toward the optimal next learning steps
+6. Maintain the space mission narrative and excitement
+
+Deliver a response that feels perfectly tailored to this specific learner at this specific moment in their learning journey.`;
+  },
+
+  async handle(context) {
+    console.log('📚 Handling adaptive lesson delivery');
+    
+    const { user, prompt, context: requestContext } = context;
+    const userId = user.id;
+
+    try {
+      // Get current lesson context
+      const currentLesson = requestContext.currentLesson;
+      const currentBlock = requestContext.currentBlock;
+      const userResponse = requestContext.userResponse;
+
+      // Generate personalization insights with current context
+      const personalizationInsights = await enhancedPersonalizationEngine.generatePersonalizationInsights(
+        userId, 
+        { currentLesson, currentBlock, userResponse }
+      );
+
+      // Generate tutoring strategy for this specific moment
+      const tutoringStrategy = await advancedTutoringStrategy.generateTutoringStrategy(userId, {
+        ...requestContext,
+        personalizationInsights
+      });
+
+      // Adapt the current lesson content if needed
+      let adaptedContent = currentBlock?.content;
+      if (tutoringStrategy.actions?.immediate_actions?.primary_action?.type === 'adaptation') {
+        adaptedContent = await adaptLessonContent(currentBlock, personalizationInsights, tutoringStrategy);
+      }
+
+      // Generate contextual response
+      const adaptivePrompt = this.buildPrompt(context, personalizationInsights, tutoringStrategy, adaptedContent);
+      const aiResponse = await aiProviderManager.generateResponse(adaptivePrompt, 'tutoring.reply');
+
+      return {
+        message: aiResponse,
+        type: 'adaptive_lesson_delivery',
+        adaptedContent,
+        strategy: tutoringStrategy,
+        personalization: personalizationInsights,
+        metadata: {
+          adaptation_applied: !!adaptedContent,
+          tutoring_approach: tutoringStrategy.methodology?.primary_methodology?.approach,
+          next_recommendations: tutoringStrategy.sequencing?.optimal_next_steps
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Error in adaptive lesson delivery:', error);
+      throw error;
+    }
+  }
+};
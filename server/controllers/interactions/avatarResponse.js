@@ -0,0 +1,38 @@
+const prompts = require('../../prompts');
+
+/**
+ * Avatar response: short contextual remark triggered by the UI (idle, emotion
+ * change, greeting) rather than by a learner message.
+ */
+module.exports = {
+  type: 'avatar_response',
+  requestType: 'chat',
+  context: ['profile', 'summary'],
+  fallbackMessage: 'My sensors are recalibrating - give me just a moment.',
+
+  buildPrompt(context) {
+    const { context: { trigger, visualContext }, userProfile, conversationSummary } = context;
+    return prompts.composeAvatarPrompt({
+      trigger,
+      visualContext,
+      userProfile,
+      conversationSummary
+    });
+  },
+
+  async handle(context, orchestrator) {
+    const { context: { trigger, visualContext } } = context;
+
+    const response = await orchestrator.generateReply(this.buildPrompt(context), 'chat.reply', context.onToken);
+
+    return {
+      message: response,
+      type: 'avatar_response',
+      trigger,
+      metadata: {
+        hasVisualContext: !!visualContext,
+        trigger
+      }
+    };
+  }
+};
@@ -0,0 +1,180 @@
+const { persistentMemory } = require('../persistentMemory');
+const { toolRegistry } = require('../tools');
+const { enableChatTools } = require('../../utils/config');
+const prompts = require('../../prompts');
+const { extractCitations } = require('../../utils/citations');
+
+// Optional RAG chain (LangChain). Loaded lazily to avoid hard dependency at boot.
+let ragChatChain = null;
+async function getRagChatChain() {
+  if (ragChatChain) return ragChatChain;
+  if (process.env.RAG_ENABLED !== 'true') return null;
+  try {
+    // Dynamic import to keep CommonJS compatibility
+    const { createRagChatChain } = await import('../../rag/chatChain.mjs');
+    ragChatChain = await createRagChatChain();
+    return ragChatChain;
+  } catch (e) {
+    console.error('Failed to initialize RAG chat chain:', e);
+    return null;
+  }
+}
+
+/**
+ * General chat. Casual messages take the orchestrator's fast path; everything
+ * else tries the RAG chain first and falls back to the full Spacey chat prompt,
+ * which runs through the orchestrator's tool loop (calculator, lessons, quizzes).
+ */
+module.exports = {
+  type: 'chat',
+  requestType: 'chat',
+  context: ['profile', 'summary', 'emotion', 'rag', 'knowledgeGraph', 'semanticMemory', 'identity'],
+  fallbackMessage: "Oops, my circuits got a bit tangled there! Give me a moment to recalibrate my stellar wit.",
+
+  fastPath: {
+    when: (request, orchestrator) => orchestrator.shouldUseFastPath(request),
+    handle: (request, options, orchestrator) => orchestrator.handleFastChatInteraction(request, options)
+  },
+
+  buildPrompt(context, strategy = null) {
+    const { prompt, userProfile, conversationSummary, emotionalState, retrievedContext, knowledgeGraph, semanticMemory } = context;
+    return prompts.composeChatPrompt({
+      userPrompt: prompt,
+      userProfile,
+      conversationSummary,
+      emotionalState,
+      retrievedContext,
+      knowledgeGraph,
+      rawContext: context.context,
+      semanticMemory,
+      identity: context.identity || {},
+      strategy
+    });
+  },
+
+  async handle(context, orchestrator) {
+    const { prompt, userProfile, conversationSummary, emotionalState, retrievedContext, retrievedSources, knowledgeGraph, semanticMemory } = context;
+    const hasHistory = Array.isArray(context?.context?.conversationHistory) && context.context.conversationHistory.length > 0;
+
+    // Try RAG path first if enabled; questions a tool can answer go straight to the tool loop
+    const wantsTools = enableChatTools && toolRegistry.matchesHints(prompt);
+    const chain = wantsTools ? null : await getRagChatChain();
+    if (chain) {
+      try {
+        const filters = {};
+        // If lesson context exists within enhanced context, pass metadata
+        if (context?.context?.lessonContext?.mission_id) {
+          filters.lessonId = context.context.lessonContext.mission_id;
+        }
+        // Use knowledge graph hints as concept tags
+        if (knowledgeGraph && Object.keys(knowledgeGraph.nodes || {}).length > 0) {
+          filters.concepts = Object.keys(knowledgeGraph.nodes);
+        }
+
+        // Build long-term facts string from persistent profile + durable identity
+        let longTermFacts = '';
+        try {
+          const profile = await persistentMemory.getUserProfile(userProfile.id);
+          const facts = [];
+          if (profile?.userId) facts.push(`User ID: ${profile.userId}`);
+          if (profile?.learning?.preferredStyle && profile.learning.preferredStyle !== 'unknown') facts.push(`Prefers ${profile.learning.preferredStyle} explanations`);
+          if (Array.isArray(profile?.learning?.preferredTopics) && profile.learning.preferredTopics.length > 0) facts.push(`Interested in: ${profile.learning.preferredTopics.slice(0,5).join(', ')}`);
+          if (Array.isArray(profile?.learning?.strugglingTopics) && profile.learning.strugglingTopics.length > 0) facts.push(`Needs help with: ${profile.learning.strugglingTopics.slice(-5).join(', ')}`);
+          if (Array.isArray(profile?.learning?.masteredConcepts) && profile.learning.masteredConcepts.length > 0) facts.push(`Understands: ${profile.learning.masteredConcepts.slice(-5).join(', ')}`);
+          if (profile?.visual?.age) facts.push(`Approx. age: ${profile.visual.age}`);
+          if (profile?.visual?.gender) facts.push(`Gender: ${profile.visual.gender}`);
+          const ident = context.identity || profile.identity || {};
+          if (ident?.name) facts.push(`Name: ${ident.name}`);
+          if (ident?.email) facts.push(`Email: ${ident.email}`);
+          if (ident?.nationality) facts.push(`Nationality: ${ident.nationality}`);
+          if (ident?.age) facts.push(`Age: ${ident.age}`);
+          if (ident?.timezone) facts.push(`Timezone: ${ident.timezone}`);
+          if (Array.isArray(ident?.languages) && ident.languages.length) facts.push(`Languages: ${ident.languages.join(', ')}`);
+          longTermFacts = facts.join('\n');
+        } catch (_) {} // Ignore errors during fact generation
+
+        const ragResult = await chain.invoke({
+          input: prompt,
+          userProfile,
+          conversationSummary,
+          emotionalState,
+          filters,
+          longTermFacts,
+          semanticMemory
+        });
+
+        if ((ragResult?.retrievedCount || 0) === 0) {
+          // Skip generation path entirely; fall back to non-RAG prompt once
+          throw new Error('RAG_EMPTY');
+        }
+
+        let message = ragResult?.output || ragResult?.text || ragResult;
+        message = orchestrator.stripGreeting(message, hasHistory);
+        const citations = ragResult?.citations || [];
+
+        await orchestrator.updateKnowledgeFromInteraction(userProfile.id, prompt, message);
+
+        // If RAG found no documents, fall back to general Spacey prompt for broad Q&A
+        // if we reached here, we had docs and produced a RAG answer
+
+        return {
+          message,
+          type: 'chat_response',
+          metadata: { emotionalState, hasRetrievedContext: true, citations, retrieval: ragResult.retrieval }
+        };
+      } catch (err) {
+        if (err && err.message === 'RAG_EMPTY') {
+          console.log('ℹ️ RAG returned 0 docs — skipping generation and falling back');
+        } else {
+          console.error('RAG chain failed, falling back to legacy prompt:', err.message);
+        }
+      }
+    }
+
+    // Legacy non-RAG path
+    let strategy = null;
+    try {
+      const { decideTutoringStrategy } = require('../tutoringStrategy');
+      strategy = await decideTutoringStrategy(userProfile.id, {
+        prompt,
+        userProfile: {
+          learningStyle: userProfile.learningStyle,
+          traits: userProfile.traits,
+          preferredTopics: context?.enhancedContext?.preferredTopics || []
+        },
+        emotionalState,
+        rawContext: context.context,
+        enhancedContext: context.enhancedContext || {},
+        identity: context.identity || {}
+      });
+    } catch {} // Ignore errors during strategy decision
+
+    const chatPrompt = this.buildPrompt(context, strategy);
+
+    let responseRaw;
+    let toolMetadata = {};
+    if (enableChatTools) {
+      const { message, toolCalls, actions } = await orchestrator.runToolLoop(chatPrompt, {
+        task: 'chat.reply',
+        onToken: context.onToken,
+        userId: userProfile.id
+      });
+      responseRaw = message;
+      toolMetadata = { toolCalls, actions };
+    } else {
+      responseRaw = await orchestrator.generateReply(chatPrompt, 'chat.reply', context.onToken);
+    }
+    const response = orchestrator.stripGreeting(responseRaw, hasHistory);
+    await orchestrator.updateKnowledgeFromInteraction(userProfile.id, prompt, response);
+    return {
+      message: response,
+      type: 'chat_response',
+      metadata: {
+        emotionalState,
+        hasRetrievedContext: !!retrievedContext,
+        citations: extractCitations(response, retrievedSources),
+        ...toolMetadata
+      }
+    };
+  }
+};
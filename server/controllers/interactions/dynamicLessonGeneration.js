@@ -0,0 +1,81 @@
+const { persistentMemory } = require('../persistentMemory');
+const { lessonPlanner } = require('../lessonPlanner');
+const { enhancedPersonalizationEngine } = require('../enhancedPersonalizationEngine');
+const { dynamicLessonGenerator } = require('../dynamicLessonGenerator');
+
+/**
+ * Dynamic lesson generation: planner/worker pipeline that plans the lesson
+ * steps and generates a slide per step. Loads its own full profile, so it
+ * needs none of the unified context sources.
+ */
+module.exports = {
+  type: 'dynamic_lesson_generation',
+  requestType: 'lesson_generation',
+  lane: 'lesson',
+  context: [],
+
+  async handle(context) {
+    console.log('🎯 Handling dynamic lesson generation');
+    const { user, context: requestContext } = context;
+    const userId = user.id;
+
+    try {
+      const topic = requestContext.baseLesson || requestContext.topic || 'space_exploration';
+
+      // 1) Plan
+      const fullProfile = await persistentMemory.getUserProfile(userId).catch(() => (context.userProfile || {}));
+      const planSteps = await lessonPlanner.createPlan(topic, fullProfile);
+
+      // 2) Personalization insights
+      const personalizationInsights = await enhancedPersonalizationEngine.generatePersonalizationInsights(
+        userId,
+        { currentLesson: { topic, planSteps }, forceRefresh: false }
+      );
+
+      // 3) Generate slides per step (sequential to preserve branching points)
+      const blocks = [];
+      for (const step of planSteps) {
+        const block = await dynamicLessonGenerator.generateContentForStep(step, {
+          topic,
+          userProfile: fullProfile,
+          learningAnalysis: personalizationInsights.learningAnalysis || null,
+          previousBlocks: blocks,
+        });
+        blocks.push(block);
+      }
+
+      // 4) Assemble lesson
+      const missionId = `dynamic_lesson_${Date.now()}`;
+      const estimated_duration = planSteps.reduce((sum, s) => sum + (Number(s.estimated_minutes) || 2), 0);
+      const generatedLesson = {
+        mission_id: missionId,
+        title: `Mission: ${topic}`,
+        description: 'Personalized, interactive lesson with branching choices.',
+        total_blocks: blocks.length,
+        estimated_duration,
+        difficulty_level: requestContext.difficultyLevel || 'adaptive',
+        learning_objectives: requestContext.learningObjectives || [],
+        block_structure: planSteps.map(s => ({ block_id: s.id, type: s.type, title: s.title })),
+        blocks,
+        generated_at: new Date().toISOString(),
+        user_id: userId,
+        personalization_applied: true,
+      };
+
+      return {
+        message: `I've created a personalized multi-step lesson on "${topic}" with ${blocks.length} slides.`,
+        type: 'dynamic_lesson_generation',
+        lesson: generatedLesson,
+        personalization: personalizationInsights,
+        metadata: {
+          generation_method: 'planner_worker_pipeline',
+          personalization_confidence: personalizationInsights.confidence,
+          total_blocks: generatedLesson.blocks.length,
+        }
+      };
+    } catch (error) {
+      console.error('❌ Error in dynamic lesson generation (planner pipeline):', error);
+      throw error;
+    }
+  }
+};
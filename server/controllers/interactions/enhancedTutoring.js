@@ -0,0 +1,82 @@
+const { aiProviderManager } = require('../aiProviders');
+const { advancedTutoringStrategy } = require('../advancedTutoringStrategy');
+const { UNTRUSTED_INPUT_RULES, untrusted } = require('../../prompts/untrusted');
+
+/**
+ * Enhanced tutoring: builds a full tutoring strategy (methodology, Socratic
+ * questioning, scaffolding) and answers according to it.
+ */
+module.exports = {
+  type: 'enhanced_tutoring',
+  requestType: 'tutoring_strategy',
+  context: ['profile', 'emotion'],
+
+  // Build enhanced tutoring prompt using advanced strategies
+  buildPrompt(context, tutoringStrategy) {
+    const { user, prompt, enhancedContext, emotionalState } = context;
+    
+    return `You are Spacey, an advanced AI tutor with sophisticated pedagogical capabilities. Use the provided tutoring strategy to deliver an optimal learning experience.
+
+TUTORING STRATEGY:
+Methodology: ${tutoringStrategy.methodology?.primary_methodology?.approach}
+Immediate Action: ${JSON.stringify(tutoringStrategy.actions?.immediate_actions?.primary_action)}
+Questioning Strategy: ${JSON.stringify(tutoringStrategy.questioning?.questioning_sequence?.opening_questions)}
+
+LEARNER CONTEXT:
+User: ${user.name || 'Explorer'}
+Current Understanding: ${enhancedContext?.masteredConcepts?.join(', ') || 'Assessing...'}
+Knowledge Gaps: ${enhancedContext?.strugglingTopics?.join(', ') || 'None identified'}
+Learning Style: ${tutoringStrategy.personalization?.learningAnalysis?.learningStyle?.primary || 'Adaptive'}
+Emotional State: ${emotionalState?.emotion || 'Engaged'}
+
+USER MESSAGE:
+${untrusted('user_message', prompt)}
+${UNTRUSTED_INPUT_RULES}
+
+TUTORING INSTRUCTIONS:
+1. Apply the ${tutoringStrategy.methodology?.primary_methodology?.approach} methodology
+2. Use the immediate action: ${tutoringStrategy.actions?.immediate_actions?.primary_action?.type}
+3. Incorporate Socratic questioning where appropriate
+4. Adapt to the learner's cognitive state and emotional needs
+5. Maintain engagement through space exploration narratives
+6. Provide scaffolding at level: ${tutoringStrategy.actions?.strategic_actions?.concept_development?.progression_steps?.[0] || 'foundational'}
+
+Respond as Spacey with sophisticated tutoring that feels natural and engaging while implementing the advanced pedagogical strategies.`;
+  },
+
+  async handle(context) {
+    console.log('🎓 Handling enhanced tutoring');
+    
+    const { user, prompt, context: requestContext } = context;
+    const userId = user.id;
+
+    try {
+      // Generate comprehensive tutoring strategy
+      const tutoringStrategy = await advancedTutoringStrategy.generateTutoringStrategy(userId, {
+        ...requestContext,
+        userPrompt: prompt,
+        currentContext: context
+      });
+
+      // Generate personalized response based on strategy
+      const tutoringPrompt = this.buildPrompt(context, tutoringStrategy);
+      const aiResponse = await aiProviderManager.generateResponse(tutoringPrompt, 'tutoring.reply');
+
+      return {
+        message: aiResponse,
+        type: 'enhanced_tutoring',
+        strategy: tutoringStrategy,
+        metadata: {
+          tutoring_methodology: tutoringStrategy.methodology?.primary_methodology?.approach,
+          socratic_elements: tutoringStrategy.questioning?.socratic_principles,
+          personalization_confidence: tutoringStrategy.confidence,
+          adaptive_actions: tutoringStrategy.actions?.immediate_actions
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Error in enhanced tutoring:', error);
+      throw error;
+    }
+  }
+};
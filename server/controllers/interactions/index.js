@@ -0,0 +1,18 @@
+const { InteractionRegistry, CONTEXT_SOURCES } = require('./registry');
+
+// Built-in interaction types. Register new modes (quiz generation, flashcards, ...)
+// here, or call interactionRegistry.register() from your own module at startup.
+const interactionRegistry = new InteractionRegistry()
+  .register(require('./chat'))
+  .register(require('./lessonAnalysis'))
+  .register(require('./avatarResponse'))
+  .register(require('./tutoring'))
+  .register(require('./dynamicLessonGeneration'))
+  .register(require('./enhancedTutoring'))
+  .register(require('./adaptiveLessonDelivery'));
+
+module.exports = {
+  interactionRegistry,
+  InteractionRegistry,
+  CONTEXT_SOURCES,
+};
@@ -0,0 +1,69 @@
+const { aiProviderManager } = require('../aiProviders');
+const { traitAnalyzer } = require('../traitAnalyzer');
+const prompts = require('../../prompts');
+
+/**
+ * Lesson analysis: narrates the consequences of a learner's choice in a lesson
+ * block and reports the trait changes it implies.
+ */
+module.exports = {
+  type: 'lesson_analysis',
+  requestType: 'lesson_analysis',
+  lane: 'lesson',
+  context: ['emotion', 'traits'],
+  fallbackMessage: "I'm processing your choice, Commander. The implications are vast - let me analyze further.",
+
+  // Build a conversational prompt (merged from conversationalGenerator.js)
+  buildPrompt(context, analysis) {
+    const { context: { lessonData, currentBlock, userResponse }, userProfile, emotionalState } = context;
+    return prompts.composeConversationalLessonPrompt({
+      lessonData,
+      currentBlock,
+      userResponse,
+      userTags: userProfile?.traits || [],
+      analysis,
+      emotionContext: emotionalState,
+      visualInfo: context?.context?.visualContext,
+      eventType: 'interaction',
+      decisionHistory: []
+    });
+  },
+
+  async handle(context) {
+    const { 
+      context: { lessonData, currentBlock, userResponse }, 
+      userProfile, 
+      traitAnalysis, 
+      prompt
+    } = context;
+
+    // Ensure we have a trait analysis object (fallback if not provided)
+    const effectiveTraitAnalysis = traitAnalysis || await traitAnalyzer.analyzeTraits(
+      userResponse?.ai_reaction || userResponse?.text || prompt || '',
+      lessonData?.title || 'general',
+      userProfile?.traits || []
+    );
+
+    const conversationalPrompt = this.buildPrompt(context, effectiveTraitAnalysis);
+
+    let response = await aiProviderManager.generateResponse(conversationalPrompt, 'chat.lesson');
+    if (typeof response === 'string') {
+      // Clean any code fences if model returns them
+      response = response.replace(/```[a-zA-Z]*\n?/g, '').replace(/```/g, '').trim();
+    }
+
+    return {
+      message: response,
+      type: 'lesson_analysis',
+      addedTraits: effectiveTraitAnalysis?.traits_to_add || [],
+      removedTraits: effectiveTraitAnalysis?.traits_to_remove || [],
+      reasoning: effectiveTraitAnalysis?.reasoning,
+      metadata: {
+        blockId: currentBlock.block_id,
+        blockType: currentBlock.type,
+        confidence: effectiveTraitAnalysis?.confidence || 0,
+        analysis: effectiveTraitAnalysis
+      }
+    };
+  }
+};
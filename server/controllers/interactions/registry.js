@@ -0,0 +1,88 @@
+/**
+ * Interaction Handler Registry
+ * Each orchestrator request type (chat, tutoring, lesson_analysis, ...) is a
+ * handler module registered here. A handler declares which context sources it
+ * needs so the orchestrator only fetches those, how it builds its prompt, and
+ * how it produces and post-processes its response. New modes (quiz generation,
+ * flashcards, ...) are added as their own module and registered in ./index.js.
+ *
+ * Handler shape:
+ *   type            - request.type served by the handler (required)
+ *   context         - context sources to load, see CONTEXT_SOURCES (default: none)
+ *   requestType     - usage ledger request type (default: type)
+ *   lane            - request scheduler lane: interactive | lesson | background (default: interactive)
+ *   task            - AI task route for the reply when no handle() is given (default: chat.reply)
+ *   responseType    - response type when no handle() is given (default: <type>_response)
+ *   buildPrompt     - (context, ...extras) => prompt string
+ *   handle          - async (context, orchestrator) => { message, type, metadata }
+ *                     (default: generate a reply from buildPrompt(context))
+ *   postProcess     - async (userId, request, response, orchestrator); default stores the turn in memory,
+ *                     false skips post-processing
+ *   fastPath        - { when(request, orchestrator), handle(request, options, orchestrator) }
+ *                     answers without building the unified context
+ *   fallbackMessage - message returned when the handler throws
+ */
+
+// Context sources buildUnifiedContext knows how to load
+const CONTEXT_SOURCES = [
+  'profile',        // enhancedContext + learning fields of userProfile (persistent memory)
+  'summary',        // conversationSummary
+  'emotion',        // emotionalState detected from the prompt
+  'traits',         // traitAnalysis (lesson interactions with a prompt)
+  'rag',            // retrievedSources (numbered lesson chunks), retrievedContext and retrievalDiagnostics from the hybrid retriever
+  'knowledgeGraph', // per-user concept mastery graph
+  'rollingSummary', // LLM-maintained rolling summary of past turns
+  'semanticMemory', // relevant past turns and facts from conversation memory
+  'identity'        // durable identity facts (name, email, ...)
+];
+
+const LANES = ['interactive', 'lesson', 'background'];
+
+class InteractionRegistry {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register a handler (replaces any existing handler for the same type)
+   * @param {Object} handler - See the handler shape above
+   */
+  register(handler) {
+    if (!handler || typeof handler.type !== 'string' || !handler.type) {
+      throw new Error('Interaction handler needs a type');
+    }
+    if (typeof handler.handle !== 'function' && typeof handler.buildPrompt !== 'function') {
+      throw new Error(`Interaction handler "${handler.type}" needs handle() or buildPrompt()`);
+    }
+    const unknown = (handler.context || []).filter((source) => !CONTEXT_SOURCES.includes(source));
+    if (unknown.length > 0) {
+      throw new Error(`Interaction handler "${handler.type}" requests unknown context: ${unknown.join(', ')}`);
+    }
+    if (handler.lane && !LANES.includes(handler.lane)) {
+      throw new Error(`Interaction handler "${handler.type}" has unknown lane: ${handler.lane}`);
+    }
+
+    if (this.handlers.has(handler.type)) {
+      console.warn(`⚠️ Replacing interaction handler for ${handler.type}`);
+    }
+    this.handlers.set(handler.type, { context: [], lane: 'interactive', requestType: handler.type, ...handler });
+    return this;
+  }
+
+  get(type) {
+    return this.handlers.get(type) || null;
+  }
+
+  has(type) {
+    return this.handlers.has(type);
+  }
+
+  types() {
+    return [...this.handlers.keys()];
+  }
+}
+
+module.exports = {
+  InteractionRegistry,
+  CONTEXT_SOURCES,
+};
@@ -0,0 +1,92 @@
+const prompts = require('../../prompts');
+const { extractCitations } = require('../../utils/citations');
+
+/**
+ * Tutoring: pedagogical reply to a learner question, with difficulty, knowledge
+ * gap and next-step metadata for the UI.
+ */
+
+/**
+ * Calculates adaptive difficulty based on user performance
+ */
+function calculateAdaptiveDifficulty(userProfile, enhancedContext) {
+  const mastered = Array.isArray(userProfile.masteredConcepts) ? userProfile.masteredConcepts : [];
+  const struggling = Array.isArray(userProfile.strugglingTopics) ? userProfile.strugglingTopics : [];
+  const masteryRatio = mastered.length / (mastered.length + struggling.length + 1);
+  const interactionLevel = Number(enhancedContext.totalInteractions || 0);
+  
+  if (masteryRatio > 0.7 && interactionLevel > 50) return 'advanced';
+  if (masteryRatio > 0.4 && interactionLevel > 20) return 'intermediate';
+  return 'beginner';
+}
+
+/**
+ * Identifies knowledge gaps from user input
+ */
+function identifyKnowledgeGaps(userProfile, prompt) {
+  // Simple keyword-based gap identification (could be enhanced with ML)
+  const gaps = [];
+  const text = String(prompt || '').toLowerCase();
+  if (text.includes('confused') || text.includes("don't understand")) {
+    gaps.push('conceptual_understanding');
+  }
+  if (text.includes('how') || text.includes('why')) {
+    gaps.push('procedural_knowledge');
+  }
+  return gaps;
+}
+
+/**
+ * Generates learning recommendations
+ */
+function generateRecommendations(userProfile, enhancedContext) {
+  const recommendations = [];
+  
+  if (userProfile.strugglingTopics.length > 2) {
+    recommendations.push('review_fundamentals');
+  }
+  if (enhancedContext.sessionInteractions > 10) {
+    recommendations.push('take_break');
+  }
+  if (userProfile.masteredConcepts.length > 5) {
+    recommendations.push('advanced_concepts');
+  }
+  
+  return recommendations;
+}
+
+module.exports = {
+  type: 'tutoring',
+  requestType: 'chat',
+  context: ['profile', 'emotion', 'rag'],
+  fallbackMessage: 'Let me reorganize my teaching algorithms and get back to you with a proper explanation.',
+
+  buildPrompt(context) {
+    const { prompt, userProfile, enhancedContext, emotionalState, retrievedContext, context: { lessonContext } } = context;
+    return prompts.composeTutoringPrompt({
+      userPrompt: prompt,
+      userProfile,
+      enhancedContext,
+      emotionalState,
+      retrievedContext,
+      lessonContext
+    });
+  },
+
+  async handle(context, orchestrator) {
+    const { prompt, userProfile, enhancedContext, retrievedSources } = context;
+
+    const response = await orchestrator.generateReply(this.buildPrompt(context), 'tutoring.reply', context.onToken);
+
+    return {
+      message: response,
+      type: 'tutoring_response',
+      metadata: {
+        adaptiveDifficulty: calculateAdaptiveDifficulty(userProfile, enhancedContext),
+        knowledgeGaps: identifyKnowledgeGaps(userProfile, prompt),
+        recommendedActions: generateRecommendations(userProfile, enhancedContext),
+        citations: extractCitations(response, retrievedSources)
+      }
+    };
+  }
+};
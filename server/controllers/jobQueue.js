@@ -0,0 +1,281 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
+const { runWithUsageContext } = require('./usageLedger');
+const { runWithPriority } = require('./requestScheduler');
+
+/**
+ * Job Queue
+ * Durable queue for work that happens after a reply has been sent (semantic memory
+ * upserts, personalization ingestion, rolling summaries, fast-path analytics).
+ * Each job is a JSON file under data/jobs/pending, so work queued before a restart
+ * runs after it. Failed jobs retry with exponential backoff; jobs that run out of
+ * attempts move to data/jobs/dead-letter, where the admin API can list and retry them.
+ *
+ * Modules register a handler per job type at load time and enqueue serializable
+ * payloads; the worker starts with the server (jobQueue.start()). Handlers run in
+ * the scheduler's background lane, charged to payload.userId in the usage ledger.
+ * Delivery is at-least-once: a job interrupted by a crash runs again.
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 5000;    // First retry delay; doubles per attempt
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+
+class JobQueue {
+  constructor(dataDir = null) {
+    this.dataDir = dataDir || path.join(__dirname, '..', 'data', 'jobs');
+    this.pendingDir = path.join(this.dataDir, 'pending');
+    this.deadLetterDir = path.join(this.dataDir, 'dead-letter');
+    this.concurrency = Number(process.env.JOB_QUEUE_CONCURRENCY || 2);
+
+    this.handlers = new Map(); // type -> { handler, maxAttempts, backoffMs, requestType }
+    this.jobs = new Map();     // id -> pending or running job
+    this.running = 0;
+    this.timer = null;
+    this.started = false;
+    this.stats = { enqueued: 0, completed: 0, retried: 0, deadLettered: 0 };
+    // Jobs run outside the enqueuing request's async context (its abort signal, trace, usage scope)
+    this.detachedScope = new AsyncResource('JobQueue');
+
+    this.ensureDirectories();
+  }
+
+  ensureDirectories() {
+    try {
+      fsSync.mkdirSync(this.pendingDir, { recursive: true });
+      fsSync.mkdirSync(this.deadLetterDir, { recursive: true });
+    } catch (error) {
+      console.error('❌ Error creating job queue directories:', error);
+    }
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - e.g. 'memory.upsertTurn'
+   * @param {Function} handler - async (payload, job); throw to retry
+   * @param {Object} [options] - maxAttempts, backoffMs, requestType (usage ledger)
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, {
+      handler,
+      maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      backoffMs: options.backoffMs || DEFAULT_BACKOFF_MS,
+      requestType: options.requestType || type
+    });
+    return this;
+  }
+
+  /**
+   * Persist a job and schedule it. Resolves once the job is on disk.
+   * @param {string} type - Registered job type
+   * @param {Object} payload - JSON-serializable input for the handler (include userId)
+   * @param {Object} [options] - delayMs, maxAttempts
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const now = Date.now();
+    const job = {
+      id: `${now.toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+      type,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: options.maxAttempts || this.handlers.get(type)?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      runAt: now + (options.delayMs || 0),
+      createdAt: new Date(now).toISOString(),
+      lastError: null
+    };
+
+    try {
+      await this.writeJob(this.pendingDir, job);
+    } catch (error) {
+      // Still runs in this process; only durability across a restart is lost
+      console.error(`❌ Failed to persist job ${job.type}:`, error.message);
+    }
+    // Visible to the worker only once written, so run() never races this write
+    this.jobs.set(job.id, job);
+    this.stats.enqueued += 1;
+    this.schedule();
+    return job;
+  }
+
+  // Load jobs left from the previous run and start the worker
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    let recovered = 0;
+    for (const file of await fs.readdir(this.pendingDir).catch(() => [])) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const job = JSON.parse(await fs.readFile(path.join(this.pendingDir, file), 'utf8'));
+        if (this.jobs.has(job.id)) continue;
+        job.status = 'pending'; // Interrupted mid-run: run it again
+        this.jobs.set(job.id, job);
+        recovered += 1;
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable job file ${file}:`, error.message);
+      }
+    }
+
+    console.log(`📬 Job queue started (${recovered} job(s) recovered, concurrency ${this.concurrency})`);
+    this.schedule();
+  }
+
+  // Wake the worker when the earliest pending job is due
+  schedule() {
+    if (!this.started) return;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+
+    let nextRunAt = Infinity;
+    for (const job of this.jobs.values()) {
+      if (job.status === 'pending' && job.runAt < nextRunAt) nextRunAt = job.runAt;
+    }
+    if (nextRunAt === Infinity) return;
+
+    this.timer = setTimeout(this.detachedScope.bind(() => this.drain()), Math.max(0, nextRunAt - Date.now()));
+    this.timer.unref?.(); // Never keep the process alive just for queued work
+  }
+
+  drain() {
+    const due = [...this.jobs.values()]
+      .filter((job) => job.status === 'pending' && job.runAt <= Date.now())
+      .sort((a, b) => a.runAt - b.runAt);
+
+    for (const job of due) {
+      if (this.running >= this.concurrency) break;
+      this.run(job);
+    }
+    this.schedule();
+  }
+
+  async run(job) {
+    const entry = this.handlers.get(job.type);
+    job.status = 'running';
+    job.attempts += 1;
+    this.running += 1;
+
+    try {
+      if (!entry) throw new Error(`No handler registered for job type ${job.type}`);
+      await this.writeJob(this.pendingDir, job);
+      const usage = { userId: job.payload?.userId || 'system', requestType: entry.requestType };
+      await runWithUsageContext(usage, () => runWithPriority('background', () => entry.handler(job.payload, job)));
+      await this.complete(job);
+    } catch (error) {
+      await this.fail(job, error, entry);
+    } finally {
+      this.running -= 1;
+      this.drain();
+    }
+  }
+
+  async complete(job) {
+    this.jobs.delete(job.id);
+    this.stats.completed += 1;
+    await fs.unlink(this.jobFile(this.pendingDir, job.id)).catch(() => {});
+  }
+
+  async fail(job, error, entry) {
+    job.lastError = error?.message || String(error);
+    job.failedAt = new Date().toISOString();
+
+    if (!entry || job.attempts >= job.maxAttempts) {
+      job.status = 'dead';
+      this.jobs.delete(job.id);
+      this.stats.deadLettered += 1;
+      console.error(`💀 Job ${job.type} (${job.id}) dead-lettered after ${job.attempts} attempt(s): ${job.lastError}`);
+      try {
+        await this.writeJob(this.deadLetterDir, job);
+        await fs.unlink(this.jobFile(this.pendingDir, job.id));
+      } catch (writeError) {
+        console.error(`❌ Failed to dead-letter job ${job.id}:`, writeError.message);
+      }
+      return;
+    }
+
+    const delay = Math.min(entry.backoffMs * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+    job.status = 'pending';
+    job.runAt = Date.now() + delay;
+    this.stats.retried += 1;
+    console.warn(`🔁 Job ${job.type} (${job.id}) failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${job.lastError}`);
+    await this.writeJob(this.pendingDir, job).catch((writeError) =>
+      console.error(`❌ Failed to persist job ${job.id}:`, writeError.message));
+  }
+
+  jobFile(dir, id) {
+    return path.join(dir, `${id}.json`);
+  }
+
+  // Write to a temp file and rename so a crash never leaves half a job on disk
+  async writeJob(dir, job) {
+    const file = this.jobFile(dir, job.id);
+    const tmp = `${file}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(job, null, 2), 'utf8');
+    await fs.rename(tmp, file);
+  }
+
+  async readDeadLetters() {
+    const jobs = [];
+    for (const file of await fs.readdir(this.deadLetterDir).catch(() => [])) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        jobs.push(JSON.parse(await fs.readFile(path.join(this.deadLetterDir, file), 'utf8')));
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable dead-letter file ${file}:`, error.message);
+      }
+    }
+    return jobs;
+  }
+
+  /**
+   * Jobs for the admin API
+   * @param {Object} [options]
+   * @param {string} [options.status] - 'pending' (includes running) or 'failed' (dead-lettered); default both
+   * @param {string} [options.type] - Only this job type
+   */
+  async listJobs({ status = null, type = null } = {}) {
+    const pending = status === 'failed' ? [] : [...this.jobs.values()];
+    const failed = status === 'pending' ? [] : await this.readDeadLetters();
+    const byType = (job) => !type || job.type === type;
+    return {
+      pending: pending.filter(byType).sort((a, b) => a.runAt - b.runAt),
+      failed: failed.filter(byType).sort((a, b) => String(b.failedAt).localeCompare(String(a.failedAt)))
+    };
+  }
+
+  // Move a dead-lettered job back to the queue with fresh attempts; null when not found
+  async retryJob(jobId) {
+    const file = this.jobFile(this.deadLetterDir, path.basename(jobId));
+    let job;
+    try {
+      job = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+      return null;
+    }
+
+    Object.assign(job, { status: 'pending', attempts: 0, runAt: Date.now() });
+    this.jobs.set(job.id, job);
+    await this.writeJob(this.pendingDir, job);
+    await fs.unlink(file).catch(() => {});
+    console.log(`🔁 Dead-lettered job ${job.type} (${job.id}) requeued`);
+    this.schedule();
+    return job;
+  }
+
+  getStats() {
+    const counts = { pending: 0, running: 0 };
+    for (const job of this.jobs.values()) counts[job.status] = (counts[job.status] || 0) + 1;
+    return { ...counts, ...this.stats, handlers: [...this.handlers.keys()] };
+  }
+}
+
+// Create a singleton instance
+const jobQueue = new JobQueue();
+
+module.exports = {
+  JobQueue,
+  jobQueue,
+};
@@ -1,32 +1,46 @@
 const { aiProviderManager } = require('./aiProviders');
-const { parseAIJSONResponse, fixCommonJSONIssues } = require('../utils/jsonParser');
 const prompts = require('../prompts');
+const { lessonPlanSchema } = require('../prompts/schemas');
+const { contentCache } = require('./contentCache');
+const { isAborted } = require('../utils/requestAbort');
+
+// Age bands the plan prompt tailors to; exact ages would split the shared plan cache per year
+const AGE_GROUPS = [[9, 'under 10'], [12, '10-12'], [15, '13-15'], [18, '16-18']];
 
 class LessonPlanner {
+  /**
+   * What a plan is tailored to. Used as both the cache key and the prompt's learner
+   * profile, so a cached plan is exactly the plan this learner would have been given.
+   */
+  learnerFor(userProfile) {
+    const interests = userProfile?.learning?.preferredTopics || userProfile?.interests || [];
+    const age = Number(userProfile?.identity?.age || userProfile?.visual?.age) || null;
+    return {
+      learningStyle: userProfile?.learning?.preferredStyle || userProfile?.learningStyle || 'multimodal',
+      level: userProfile?.learning?.comprehensionLevel || 'beginner',
+      interests: [...new Set(interests.map((topic) => String(topic).toLowerCase().trim()))].slice(0, 5).sort(),
+      ageGroup: age ? (AGE_GROUPS.find(([max]) => age <= max)?.[1] || 'adult') : null
+    };
+  }
+
   async createPlan(topic, userProfile) {
-    const plannerPrompt = prompts.createLessonPlanPrompt({ topic, userProfile });
     try {
-      const raw = await aiProviderManager.generateResponse(plannerPrompt, 'gemini');
-      try {
-        const parsed = parseAIJSONResponse(raw);
-        if (!Array.isArray(parsed)) throw new Error('Planner must return a JSON array');
-        // Basic normalization
-        const steps = parsed.map((step, idx) => ({
-          id: step.id || `step_${idx + 1}`,
-          type: String(step.type || 'narration').toLowerCase(),
-          title: step.title || `Step ${idx + 1}`,
-          objective: step.objective || 'Learn a key concept',
-          estimated_minutes: Number(step.estimated_minutes || 2),
-          options: Array.isArray(step.options) ? step.options : undefined,
-        }));
-        return steps;
-      } catch (e) {
-        const cleaned = fixCommonJSONIssues(String(raw));
-        const parsed = JSON.parse(cleaned);
-        if (!Array.isArray(parsed)) throw e;
-        return parsed;
-      }
+      const learner = this.learnerFor(userProfile);
+      const parsed = contentCache.isEnabled('lesson.plan')
+        ? await contentCache.getOrCreate('lesson.plan', { topic, ...learner }, () => this.generatePlan(topic, learner))
+        : await this.generatePlan(topic, learner);
+      // Basic normalization
+      return parsed.map((step, idx) => ({
+        id: step.id || `step_${idx + 1}`,
+        type: step.type,
+        title: step.title || `Step ${idx + 1}`,
+        objective: step.objective || 'Learn a key concept',
+        estimated_minutes: Number(step.estimated_minutes || 2),
+        options: Array.isArray(step.options) ? step.options : undefined,
+      }));
     } catch (error) {
+      if (isAborted()) throw error; // Nobody is waiting for a fallback plan
+      console.error('Error creating lesson plan:', error.message);
       // Fallback deterministic plan (8 steps)
       const total = 8;
       return Array.from({ length: total }, (_, i) => {
@@ -46,6 +60,12 @@ class LessonPlanner {
       });
     }
   }
+
+  async generatePlan(topic, learner) {
+    const plannerPrompt = prompts.createLessonPlanPrompt({ topic, learner });
+    const { steps } = await aiProviderManager.generateStructured(plannerPrompt, lessonPlanSchema, { task: 'lesson.plan' });
+    return steps;
+  }
 }
 
 const lessonPlanner = new LessonPlanner();
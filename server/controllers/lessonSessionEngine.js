@@ -6,6 +6,7 @@ const { userAssessmentTracker } = require('./userAssessmentTracker');
 const { parseAIJSONResponse } = require('../utils/jsonParser');
 const { lessonPlanner } = require('./lessonPlanner');
 const { persistentMemory } = require('./persistentMemory');
+const { UNTRUSTED_INPUT_RULES, untrusted } = require('../prompts/untrusted');
 
 /**
  * LessonSessionEngine orchestrates a live tutoring session with:
@@ -199,7 +200,9 @@ CONTEXT:
 Lesson Title: ${state.lesson.title}
 Block Title: ${block.title}
 Learning Goal: ${block.learning_goal}
-User Response: ${typeof userResponse === 'string' ? userResponse : JSON.stringify(userResponse)}
+User Response:
+${untrusted('student_response', userResponse)}
+${UNTRUSTED_INPUT_RULES}
 
 Return ONLY JSON:
 {
@@ -211,7 +214,7 @@ Return ONLY JSON:
 
     let feedback = { feedback: 'Thanks for sharing!', next_action: 'question', follow_up_question: null, confidence: 0.6 };
     try {
-      const resp = await aiProviderManager.generateResponse(feedbackPrompt, 'gemini');
+      const resp = await aiProviderManager.generateResponse(feedbackPrompt, 'assessment.feedback');
       feedback = parseAIJSONResponse(resp);
     } catch (_) {}
 
@@ -0,0 +1,229 @@
+const { persistentMemory } = require('./persistentMemory');
+const userProfileMemory = require('./userProfileMemory');
+const { listFacts, deleteFacts } = require('./conversationMemory');
+const { syncIdentityVectors } = require('./personalizationController');
+const { resolveUserId, isAnonymous } = require('../utils/requestUser');
+
+// "What Spacey remembers": the identity facts, preferences and topics personalization
+// extracted from a student's chats, gathered from the on-disk profile and the vector
+// stores so the student can correct or remove them. Item ids are "<kind>:<key>", e.g.
+// "identity:name", "preference:learning_style" or "struggling:Orbital mechanics".
+
+const MAX_VALUE_LENGTH = 200;
+
+// Single-valued profile fields; `empty` is what a removed field goes back to
+const FIELDS = {
+    'identity:name': { label: 'Name', path: ['identity', 'name'] },
+    'identity:email': { label: 'Email', path: ['identity', 'email'] },
+    'identity:pronouns': { label: 'Pronouns', path: ['identity', 'pronouns'] },
+    'identity:age': { label: 'Age', path: ['identity', 'age'] },
+    'identity:nationality': { label: 'Nationality', path: ['identity', 'nationality'] },
+    'identity:timezone': { label: 'Time zone', path: ['identity', 'timezone'] },
+    'identity:locale': { label: 'Locale', path: ['identity', 'locale'] },
+    'preference:learning_style': { label: 'Learning style', path: ['learning', 'preferredStyle'], empty: 'unknown' },
+    'preference:explanation_depth': { label: 'Explanation depth', path: ['communication', 'preferredExplanationDepth'], empty: 'medium' },
+    'session:current_subject': { label: 'Current subject', path: ['sessions', 'currentSubject'] },
+    'session:current_task': { label: 'Current task', path: ['sessions', 'currentTask'] },
+    'appearance:age': { label: 'Age (camera estimate)', path: ['visual', 'age'], readOnly: true },
+    'appearance:gender': { label: 'Gender (camera estimate)', path: ['visual', 'gender'], readOnly: true },
+};
+
+// List-valued profile fields; every entry is its own item
+const LISTS = {
+    language: { label: 'Speaks', path: ['identity', 'languages'] },
+    interest: { label: 'Interested in', path: ['learning', 'preferredTopics'] },
+    struggling: { label: 'Needs help with', path: ['learning', 'strugglingTopics'] },
+    mastered: { label: 'Has mastered', path: ['learning', 'masteredConcepts'] },
+};
+
+const getPath = (profile, [section, key]) => profile[section]?.[key];
+const setPath = (profile, [section, key], value) => {
+    profile[section] = profile[section] || {};
+    profile[section][key] = value;
+};
+const isEmpty = (value, empty = null) => value === undefined || value === null || value === '' || value === empty;
+const sameTopic = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// "user_name=Ada" → "Ada"
+const factValue = (fact) => String(fact.text || '').replace(/^[^=]*=/, '');
+
+// Vector facts listing failures leave the on-disk items visible
+async function loadFacts(userId) {
+    try {
+        return await listFacts(userId);
+    } catch (error) {
+        console.warn('⚠️ Could not list vector facts:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Everything remembered about a user, one entry per item
+ * @returns {Promise<{ id: string, kind: string, label: string, value: string, editable: boolean, sources: string[] }[]>}
+ */
+async function collectItems(userId) {
+    const profile = await persistentMemory.getUserProfile(userId);
+    const [vectorIdentity, facts] = await Promise.all([userProfileMemory.fetchIdentity(userId), loadFacts(userId)]);
+    const items = [];
+
+    const ephemeralsExpired = profile.sessions?._ephemeralExpiry && profile.sessions._ephemeralExpiry <= Date.now();
+    for (const [id, field] of Object.entries(FIELDS)) {
+        const [kind, key] = id.split(':');
+        if (kind === 'session' && ephemeralsExpired) continue;
+        const stored = getPath(profile, field.path);
+        const sources = isEmpty(stored, field.empty) ? [] : ['profile'];
+        let value = sources.length ? stored : null;
+        if (kind === 'identity') {
+            const keyFacts = facts.filter((fact) => fact.key === key);
+            if (!isEmpty(vectorIdentity[key]) || keyFacts.length) sources.push('vector');
+            if (value === null) value = vectorIdentity[key] ?? (keyFacts[0] && factValue(keyFacts[0]));
+        }
+        if (sources.length === 0 || isEmpty(value)) continue;
+        items.push({ id, kind, label: field.label, value: String(value), editable: !field.readOnly, sources });
+    }
+
+    for (const [kind, list] of Object.entries(LISTS)) {
+        const stored = getPath(profile, list.path) || [];
+        const values = [...stored];
+        if (kind === 'language') {
+            for (const lang of vectorIdentity.languages || []) if (!values.some((v) => sameTopic(v, lang))) values.push(lang);
+        }
+        for (const value of values.filter((v) => !isEmpty(v))) {
+            const sources = stored.includes(value) ? ['profile'] : [];
+            if (kind === 'language' && (vectorIdentity.languages || []).some((v) => sameTopic(v, value))) sources.push('vector');
+            items.push({ id: `${kind}:${value}`, kind, label: list.label, value: String(value), editable: true, sources });
+        }
+    }
+
+    // Facts stored under keys the profile has no field for (identity facts were merged above)
+    const factKeys = new Set(facts.map((fact) => fact.key).filter((key) => !FIELDS[`identity:${key}`]));
+    for (const key of factKeys) {
+        const latest = facts.find((fact) => fact.key === key);
+        items.push({ id: `fact:${key}`, kind: 'fact', label: 'Remembered fact', value: latest.text, editable: false, sources: ['vector'] });
+    }
+    return items;
+}
+
+// Remove an item from the vector stores, then from the profile
+async function forgetItem(userId, { id, kind, value }) {
+    const key = id.slice(kind.length + 1);
+    if (kind === 'fact') {
+        await deleteFacts(userId, (await listFacts(userId, { key })).map((fact) => fact.id));
+        return;
+    }
+    const profile = await persistentMemory.getUserProfile(userId);
+    if (FIELDS[id]) {
+        if (kind === 'identity') {
+            await userProfileMemory.deleteIdentity(userId, [key]);
+            await deleteFacts(userId, (await listFacts(userId, { key })).map((fact) => fact.id));
+        }
+        setPath(profile, FIELDS[id].path, FIELDS[id].empty ?? null);
+    } else {
+        if (kind === 'language') await userProfileMemory.deleteIdentity(userId, [`language:${value.toLowerCase()}`]);
+        const list = getPath(profile, LISTS[kind].path) || [];
+        setPath(profile, LISTS[kind].path, list.filter((entry) => !sameTopic(entry, value)));
+    }
+    await persistentMemory.saveUserProfile(userId, profile);
+}
+
+/**
+ * Correct an item in the vector stores and the profile. List entries are renamed in
+ * place, so their id changes.
+ * @returns {Promise<string>} The item's new id
+ */
+async function editItem(userId, { id, kind, value: previous }, value) {
+    const profile = await persistentMemory.getUserProfile(userId);
+    if (FIELDS[id]) {
+        let stored = value;
+        if (kind === 'identity') {
+            const key = id.slice(kind.length + 1);
+            if (key === 'age' && Number.isFinite(Number(value))) stored = Number(value);
+            await syncIdentityVectors(userId, { [key]: stored }, { replaceFacts: true });
+        }
+        setPath(profile, FIELDS[id].path, stored);
+        await persistentMemory.saveUserProfile(userId, profile);
+        return id;
+    }
+
+    if (kind === 'language') {
+        await userProfileMemory.deleteIdentity(userId, [`language:${previous.toLowerCase()}`]);
+        await userProfileMemory.upsertIdentity(userId, { languages: [value] });
+    }
+    const list = getPath(profile, LISTS[kind].path) || [];
+    const position = list.findIndex((entry) => sameTopic(entry, previous));
+    const next = list.filter((entry) => !sameTopic(entry, previous) && !sameTopic(entry, value));
+    next.splice(position === -1 ? next.length : Math.min(position, next.length), 0, value);
+    setPath(profile, LISTS[kind].path, next);
+    await persistentMemory.saveUserProfile(userId, profile);
+    return `${kind}:${value}`;
+}
+
+// Resolve the memory owner, answering 401 for anonymous callers
+const memoryOwner = (req, res) => {
+    const userId = resolveUserId(req, res);
+    if (isAnonymous(userId)) {
+        res.status(401).json({ error: 'Sign in to see what Spacey remembers' });
+        return null;
+    }
+    return userId;
+};
+
+const listMemory = async (req, res) => {
+    try {
+        const userId = memoryOwner(req, res);
+        if (!userId) return;
+        res.json({ items: await collectItems(userId) });
+    } catch (error) {
+        console.error('❌ Error listing remembered items:', error);
+        res.status(500).json({ error: 'Failed to load what Spacey remembers' });
+    }
+};
+
+const updateMemoryItem = async (req, res) => {
+    try {
+        const userId = memoryOwner(req, res);
+        if (!userId) return;
+        const { itemId } = req.params;
+        const value = typeof req.body?.value === 'string' ? req.body.value.trim() : '';
+        if (!value || value.length > MAX_VALUE_LENGTH) {
+            return res.status(400).json({ error: `value must be a non-empty string of at most ${MAX_VALUE_LENGTH} characters` });
+        }
+        const item = (await collectItems(userId)).find((entry) => entry.id === itemId);
+        if (!item) {
+            return res.status(404).json({ error: 'Remembered item not found' });
+        }
+        if (!item.editable) {
+            return res.status(400).json({ error: 'This item can only be removed' });
+        }
+        const id = await editItem(userId, item, value);
+        console.log(`✏️ Memory item ${itemId} corrected for user ${userId}`);
+        res.json({ item: (await collectItems(userId)).find((entry) => entry.id === id) || null });
+    } catch (error) {
+        console.error('❌ Error updating remembered item:', error);
+        res.status(500).json({ error: 'Failed to update remembered item' });
+    }
+};
+
+const forgetMemoryItem = async (req, res) => {
+    try {
+        const userId = memoryOwner(req, res);
+        if (!userId) return;
+        const { itemId } = req.params;
+        const item = (await collectItems(userId)).find((entry) => entry.id === itemId);
+        if (!item) {
+            return res.status(404).json({ error: 'Remembered item not found' });
+        }
+        await forgetItem(userId, item);
+        console.log(`🧽 Memory item ${itemId} forgotten for user ${userId}`);
+        res.json({ forgotten: itemId });
+    } catch (error) {
+        console.error('❌ Error forgetting remembered item:', error);
+        res.status(500).json({ error: 'Failed to forget remembered item' });
+    }
+};
+
+module.exports = {
+    listMemory,
+    updateMemoryItem,
+    forgetMemoryItem,
+};
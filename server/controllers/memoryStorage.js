@@ -0,0 +1,429 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+/**
+ * Memory Storage
+ * Where PersistentMemoryManager keeps profiles, interactions, conversation threads and
+ * rolling summaries. MEMORY_STORE selects the backend: 'json' (default, one file per
+ * user and kind under data/memory) or 'sqlite' (data/memory/memory.sqlite, with
+ * missions and knowledge-graph nodes in their own tables so a mastery update or a
+ * saved choice rewrites one row instead of the whole profile).
+ *
+ * Both backends implement the same async interface; scripts/migrateMemoryStore.js
+ * copies data from one to the other.
+ */
+
+function memoryStorageBackend() {
+  return String(process.env.MEMORY_STORE || 'json').toLowerCase() === 'sqlite' ? 'sqlite' : 'json';
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function readText(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return '';
+    throw error;
+  }
+}
+
+/**
+ * Pretty-printed JSON files: profiles/<user>.json, conversations/<user>.json,
+ * threads/<user>.json and analytics/<user>.summary(.latest).txt
+ */
+class JsonFileMemoryStorage {
+  constructor(dataDir) {
+    this.backend = 'json';
+    this.dataDir = dataDir;
+    this.profilesDir = path.join(dataDir, 'profiles');
+    this.conversationsDir = path.join(dataDir, 'conversations');
+    this.analyticsDir = path.join(dataDir, 'analytics');
+    this.threadsDir = path.join(dataDir, 'threads');
+  }
+
+  async init() {
+    for (const dir of [this.dataDir, this.profilesDir, this.conversationsDir, this.analyticsDir, this.threadsDir]) {
+      await fs.mkdir(dir, { recursive: true });
+    }
+    console.log(`📁 Memory directories created/verified at ${this.dataDir}`);
+  }
+
+  async loadProfile(userId) {
+    return readJson(path.join(this.profilesDir, `${userId}.json`));
+  }
+
+  async saveProfile(userId, profile) {
+    await fs.writeFile(path.join(this.profilesDir, `${userId}.json`), JSON.stringify(profile, null, 2), 'utf8');
+  }
+
+  // Appends and drops the oldest interactions beyond `keep`
+  async appendInteractions(userId, interactions, keep = Infinity) {
+    const file = path.join(this.conversationsDir, `${userId}.json`);
+    const stored = (await readJson(file)) || [];
+    stored.push(...interactions);
+    if (stored.length > keep) stored.splice(0, stored.length - keep);
+    await fs.writeFile(file, JSON.stringify(stored, null, 2), 'utf8');
+  }
+
+  // Oldest first; the last `limit` when given
+  async loadInteractions(userId, limit) {
+    const stored = (await readJson(path.join(this.conversationsDir, `${userId}.json`))) || [];
+    return limit ? stored.slice(-limit) : stored;
+  }
+
+  async loadThreads(userId) {
+    return (await readJson(path.join(this.threadsDir, `${userId}.json`)))?.threads || [];
+  }
+
+  async saveThreads(userId, threads) {
+    await fs.writeFile(path.join(this.threadsDir, `${userId}.json`), JSON.stringify({ threads }, null, 2), 'utf8');
+  }
+
+  async appendSummary(userId, summary, createdAt = new Date().toISOString()) {
+    await fs.appendFile(path.join(this.analyticsDir, `${userId}.summary.txt`), `# ${createdAt}\n${summary}\n\n`, 'utf8');
+    // Also keep last snapshot for quick read
+    await fs.writeFile(path.join(this.analyticsDir, `${userId}.summary.latest.txt`), summary, 'utf8');
+  }
+
+  async loadLatestSummary(userId) {
+    return readText(path.join(this.analyticsDir, `${userId}.summary.latest.txt`));
+  }
+
+  // Summary history, oldest first, parsed back out of the "# <timestamp>" log
+  async loadSummaries(userId) {
+    const log = await readText(path.join(this.analyticsDir, `${userId}.summary.txt`));
+    return log.split(/^# (?=\d{4}-\d{2}-\d{2}T[^\n]*\n)/m).filter(Boolean).map((entry) => {
+      const newline = entry.indexOf('\n');
+      return { createdAt: entry.slice(0, newline), summary: entry.slice(newline + 1).replace(/\n\n$/, '') };
+    });
+  }
+
+  async listUserIds() {
+    const ids = new Set();
+    for (const dir of [this.profilesDir, this.conversationsDir, this.threadsDir, this.analyticsDir]) {
+      let files = [];
+      try {
+        files = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      for (const file of files) {
+        const match = file.match(/^(.+?)(\.summary(\.latest)?\.txt|\.json)$/);
+        if (match) ids.add(match[1]);
+      }
+    }
+    return [...ids].sort();
+  }
+
+  async deleteUser(userId) {
+    const files = [
+      path.join(this.profilesDir, `${userId}.json`),
+      path.join(this.conversationsDir, `${userId}.json`),
+      path.join(this.threadsDir, `${userId}.json`),
+      path.join(this.analyticsDir, `${userId}.summary.txt`),
+      path.join(this.analyticsDir, `${userId}.summary.latest.txt`)
+    ];
+    await Promise.all(files.map((file) => fs.rm(file, { force: true })));
+  }
+}
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS profiles (
+    user_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS missions (
+    user_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    mission_id TEXT,
+    completed_at TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (user_id, position)
+  );
+  CREATE TABLE IF NOT EXISTS knowledge_nodes (
+    user_id TEXT NOT NULL,
+    concept TEXT NOT NULL,
+    mastery REAL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (user_id, concept)
+  );
+  CREATE TABLE IF NOT EXISTS knowledge_edges (
+    user_id TEXT NOT NULL,
+    source TEXT NOT NULL,
+    target TEXT NOT NULL,
+    type TEXT NOT NULL,
+    PRIMARY KEY (user_id, source, target, type)
+  );
+  CREATE TABLE IF NOT EXISTS interactions (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    id TEXT,
+    timestamp TEXT,
+    user_message TEXT,
+    ai_response TEXT,
+    metadata TEXT
+  );
+  CREATE INDEX IF NOT EXISTS interactions_user ON interactions (user_id, seq);
+  CREATE TABLE IF NOT EXISTS threads (
+    user_id TEXT NOT NULL,
+    thread_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (user_id, thread_id)
+  );
+  CREATE TABLE IF NOT EXISTS summaries (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    summary TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS summaries_user ON summaries (user_id, seq);
+`;
+
+// A profile as table rows: missions and knowledge-graph nodes/edges are stored apart
+// from the rest of the profile, which stays one JSON document
+function splitProfile(profile) {
+  const { missions_completed: missions, knowledgeGraph: graph, ...core } = profile;
+  return {
+    core: JSON.stringify({ ...core, knowledgeGraph: graph ? { userId: graph.userId, lastUpdated: graph.lastUpdated } : null }),
+    missions: (missions || []).map((mission) => JSON.stringify(mission)),
+    nodes: new Map(Object.entries(graph?.nodes || {}).map(([concept, node]) => [concept, JSON.stringify(node)])),
+    edges: new Set((graph?.edges || []).map((edge) => JSON.stringify([edge.source, edge.target, edge.type])))
+  };
+}
+
+/**
+ * SQLite database (better-sqlite3). Saves compare each row with what was last read or
+ * written for the user and only touch the rows that changed.
+ */
+class SqliteMemoryStorage {
+  constructor(dataDir, file = null) {
+    this.backend = 'sqlite';
+    this.dataDir = dataDir;
+    this.file = file || path.join(dataDir, 'memory.sqlite');
+    this.db = null;
+    this.statements = new Map();
+    this.written = new Map(); // userId -> profile rows as last read/written
+    this.writtenThreads = new Map(); // userId -> Map<threadId, JSON> as last read/written
+  }
+
+  open() {
+    if (this.db) return this.db;
+    const Database = require('better-sqlite3');
+    fsSync.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+    return this.db;
+  }
+
+  stmt(sql) {
+    if (!this.statements.has(sql)) this.statements.set(sql, this.open().prepare(sql));
+    return this.statements.get(sql);
+  }
+
+  async init() {
+    this.open();
+    console.log(`🗄️ Memory database ready at ${this.file}`);
+  }
+
+  close() {
+    if (!this.db) return;
+    this.db.close();
+    this.db = null;
+    this.statements.clear();
+  }
+
+  async loadProfile(userId) {
+    const row = this.stmt('SELECT data FROM profiles WHERE user_id = ?').get(userId);
+    if (!row) return null;
+    const profile = JSON.parse(row.data);
+    profile.missions_completed = this.stmt('SELECT data FROM missions WHERE user_id = ? ORDER BY position')
+      .all(userId).map((mission) => JSON.parse(mission.data));
+    if (profile.knowledgeGraph) {
+      const nodes = {};
+      for (const node of this.stmt('SELECT concept, data FROM knowledge_nodes WHERE user_id = ?').all(userId)) {
+        nodes[node.concept] = JSON.parse(node.data);
+      }
+      const edges = this.stmt('SELECT source, target, type FROM knowledge_edges WHERE user_id = ?').all(userId);
+      profile.knowledgeGraph = { ...profile.knowledgeGraph, nodes, edges };
+    }
+    this.written.set(userId, splitProfile(profile));
+    return profile;
+  }
+
+  async saveProfile(userId, profile) {
+    const next = splitProfile(profile);
+    const previous = this.written.get(userId);
+    this.open().transaction(() => {
+      if (!previous) {
+        // Nothing read for this user yet: replace whatever the tables hold
+        for (const table of ['missions', 'knowledge_nodes', 'knowledge_edges']) {
+          this.stmt(`DELETE FROM ${table} WHERE user_id = ?`).run(userId);
+        }
+      }
+      if (previous?.core !== next.core) {
+        this.stmt('INSERT INTO profiles (user_id, data, updated_at) VALUES (?, ?, ?) ON CONFLICT (user_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at')
+          .run(userId, next.core, new Date().toISOString());
+      }
+
+      next.missions.forEach((json, position) => {
+        if (previous?.missions[position] === json) return;
+        const mission = JSON.parse(json);
+        this.stmt('INSERT OR REPLACE INTO missions (user_id, position, mission_id, completed_at, data) VALUES (?, ?, ?, ?, ?)')
+          .run(userId, position, mission?.mission_id == null ? null : String(mission.mission_id), mission?.completed_at || null, json);
+      });
+      if (previous && previous.missions.length > next.missions.length) {
+        this.stmt('DELETE FROM missions WHERE user_id = ? AND position >= ?').run(userId, next.missions.length);
+      }
+
+      for (const [concept, json] of next.nodes) {
+        if (previous?.nodes.get(concept) === json) continue;
+        const mastery = Number(JSON.parse(json)?.mastery);
+        this.stmt('INSERT OR REPLACE INTO knowledge_nodes (user_id, concept, mastery, data) VALUES (?, ?, ?, ?)')
+          .run(userId, concept, Number.isFinite(mastery) ? mastery : null, json);
+      }
+      for (const concept of previous?.nodes.keys() || []) {
+        if (!next.nodes.has(concept)) this.stmt('DELETE FROM knowledge_nodes WHERE user_id = ? AND concept = ?').run(userId, concept);
+      }
+
+      for (const edge of next.edges) {
+        if (!previous?.edges.has(edge)) this.stmt('INSERT OR IGNORE INTO knowledge_edges (user_id, source, target, type) VALUES (?, ?, ?, ?)').run(userId, ...JSON.parse(edge).map(String));
+      }
+      for (const edge of previous?.edges || []) {
+        if (!next.edges.has(edge)) this.stmt('DELETE FROM knowledge_edges WHERE user_id = ? AND source = ? AND target = ? AND type = ?').run(userId, ...JSON.parse(edge).map(String));
+      }
+    })();
+    this.written.set(userId, next);
+  }
+
+  async appendInteractions(userId, interactions, keep = Infinity) {
+    this.open().transaction(() => {
+      for (const interaction of interactions) {
+        this.stmt('INSERT INTO interactions (user_id, id, timestamp, user_message, ai_response, metadata) VALUES (?, ?, ?, ?, ?, ?)')
+          .run(userId, interaction.id || null, interaction.timestamp || null, interaction.userMessage ?? null, interaction.aiResponse ?? null, JSON.stringify(interaction.metadata || {}));
+      }
+      if (Number.isFinite(keep)) {
+        this.stmt('DELETE FROM interactions WHERE user_id = ? AND seq NOT IN (SELECT seq FROM interactions WHERE user_id = ? ORDER BY seq DESC LIMIT ?)')
+          .run(userId, userId, keep);
+      }
+    })();
+  }
+
+  async loadInteractions(userId, limit) {
+    const rows = this.stmt('SELECT id, timestamp, user_message, ai_response, metadata FROM interactions WHERE user_id = ? ORDER BY seq DESC LIMIT ?')
+      .all(userId, limit || -1);
+    return rows.reverse().map((row) => ({
+      id: row.id,
+      timestamp: row.timestamp,
+      userMessage: row.user_message,
+      aiResponse: row.ai_response,
+      metadata: JSON.parse(row.metadata || '{}')
+    }));
+  }
+
+  async loadThreads(userId) {
+    const rows = this.stmt('SELECT thread_id, data FROM threads WHERE user_id = ? ORDER BY position').all(userId);
+    this.writtenThreads.set(userId, new Map(rows.map((row) => [row.thread_id, row.data])));
+    return rows.map((row) => JSON.parse(row.data));
+  }
+
+  async saveThreads(userId, threads) {
+    const previous = this.writtenThreads.get(userId);
+    const next = new Map(threads.map((thread) => [thread.id, JSON.stringify(thread)]));
+    this.open().transaction(() => {
+      if (!previous) this.stmt('DELETE FROM threads WHERE user_id = ?').run(userId);
+      threads.forEach((thread, position) => {
+        if (previous?.get(thread.id) === next.get(thread.id)) return;
+        this.stmt('INSERT OR REPLACE INTO threads (user_id, thread_id, position, data) VALUES (?, ?, ?, ?)').run(userId, thread.id, position, next.get(thread.id));
+      });
+      for (const threadId of previous?.keys() || []) {
+        if (!next.has(threadId)) this.stmt('DELETE FROM threads WHERE user_id = ? AND thread_id = ?').run(userId, threadId);
+      }
+    })();
+    this.writtenThreads.set(userId, next);
+  }
+
+  async appendSummary(userId, summary, createdAt = new Date().toISOString()) {
+    this.stmt('INSERT INTO summaries (user_id, created_at, summary) VALUES (?, ?, ?)').run(userId, createdAt, summary);
+  }
+
+  async loadLatestSummary(userId) {
+    return this.stmt('SELECT summary FROM summaries WHERE user_id = ? ORDER BY seq DESC LIMIT 1').get(userId)?.summary || '';
+  }
+
+  async loadSummaries(userId) {
+    return this.stmt('SELECT created_at, summary FROM summaries WHERE user_id = ? ORDER BY seq').all(userId)
+      .map((row) => ({ createdAt: row.created_at, summary: row.summary }));
+  }
+
+  async listUserIds() {
+    return this.stmt(`SELECT user_id FROM profiles UNION SELECT user_id FROM interactions
+      UNION SELECT user_id FROM threads UNION SELECT user_id FROM summaries ORDER BY user_id`).all().map((row) => row.user_id);
+  }
+
+  async deleteUser(userId) {
+    this.open().transaction(() => {
+      for (const table of ['profiles', 'missions', 'knowledge_nodes', 'knowledge_edges', 'interactions', 'threads', 'summaries']) {
+        this.stmt(`DELETE FROM ${table} WHERE user_id = ?`).run(userId);
+      }
+    })();
+    this.written.delete(userId);
+    this.writtenThreads.delete(userId);
+  }
+}
+
+/**
+ * Memory storage on the configured backend
+ * @param {string} dataDir - Memory root (server/data/memory by default)
+ * @param {string} [backend] - 'json' or 'sqlite'; MEMORY_STORE when omitted
+ * @returns {JsonFileMemoryStorage|SqliteMemoryStorage}
+ */
+function createMemoryStorage(dataDir, backend = memoryStorageBackend()) {
+  return backend === 'sqlite' ? new SqliteMemoryStorage(dataDir) : new JsonFileMemoryStorage(dataDir);
+}
+
+/**
+ * Copy everything stored for one user from one backend to another, replacing what
+ * the target held for them
+ * @returns {Promise<{ profile: boolean, missions: number, knowledgeNodes: number, interactions: number, threads: number, summaries: number }>}
+ */
+async function copyUser(source, target, userId) {
+  const [profile, interactions, threads, summaries] = await Promise.all([
+    source.loadProfile(userId),
+    source.loadInteractions(userId),
+    source.loadThreads(userId),
+    source.loadSummaries(userId)
+  ]);
+  await target.deleteUser(userId);
+  if (profile) await target.saveProfile(userId, profile);
+  if (interactions.length) await target.appendInteractions(userId, interactions);
+  if (threads.length) await target.saveThreads(userId, threads);
+  for (const { createdAt, summary } of summaries) await target.appendSummary(userId, summary, createdAt);
+  return {
+    profile: Boolean(profile),
+    missions: profile?.missions_completed?.length || 0,
+    knowledgeNodes: Object.keys(profile?.knowledgeGraph?.nodes || {}).length,
+    interactions: interactions.length,
+    threads: threads.length,
+    summaries: summaries.length
+  };
+}
+
+module.exports = {
+  memoryStorageBackend,
+  createMemoryStorage,
+  copyUser,
+  JsonFileMemoryStorage,
+  SqliteMemoryStorage
+};
@@ -1,46 +1,61 @@
-const fs = require('fs').promises;
 const path = require('path');
 const { knowledgeGraphManager } = require('./knowledgeGraphManager');
+const { createMemoryStorage } = require('./memoryStorage');
 
 class PersistentMemoryManager {
-  constructor(dataDir = null) {
+  /**
+   * @param {string} [dataDir] - Memory root (server/data/memory by default)
+   * @param {Object} [storage] - Storage backend; controllers/memoryStorage.js picks one from MEMORY_STORE
+   */
+  constructor(dataDir = null, storage = null) {
     // Anchor to server/data/memory so we don't write to repository root
     this.dataDir = dataDir || path.join(__dirname, '..', 'data', 'memory');
-    this.userProfilesDir = path.join(this.dataDir, 'profiles');
-    this.conversationsDir = path.join(this.dataDir, 'conversations');
-    this.analyticsDir = path.join(this.dataDir, 'analytics');
+    this.storage = storage || createMemoryStorage(this.dataDir);
     
     // Memory cache for performance
     this.userProfiles = new Map(); // userId -> profile data
     this.sessionCache = new Map(); // userId -> recent interactions
+    this.threadCache = new Map(); // userId -> conversation threads
+    this.threadWrites = new Map(); // userId -> pending thread write
     
     // Configuration
     this.maxSessionInteractions = 20; // Keep more in session
     this.maxStoredInteractions = 500; // Store much more long-term
     this.profileUpdateInterval = 5; // Update profile every 5 interactions
-    
-    this.ensureDirectories();
+    this.maxThreadMessages = 200; // Oldest messages of a long thread are dropped
 
     //Initialize immediatedly
     this.init();
   }
 
   async init() {
-    await this.ensureDirectories();
+    try {
+      await this.storage.init();
+    } catch (error) {
+      console.error(`❌ Error initializing ${this.storage.backend} memory storage:`, error);
+      return false;
+    }
     console.log('🚀 Persistent Memory System initialized')
     return true;
   }
 
-  async ensureDirectories() {
-    try {
-      await fs.mkdir(this.dataDir, { recursive: true });
-      await fs.mkdir(this.userProfilesDir, { recursive: true });
-      await fs.mkdir(this.conversationsDir, { recursive: true });
-      await fs.mkdir(this.analyticsDir, { recursive: true });
-  console.log(`📁 Memory directories created/verified at ${this.dataDir}`);
-    } catch (error) {
-      console.error('❌ Error creating memory directories:', error);
-    }
+  /**
+   * Point this manager at another memory directory, e.g. a scratch one for an
+   * evaluation run. Pending thread writes finish first, the old storage is closed
+   * and everything cached from it is dropped.
+   * @param {string} dataDir
+   * @param {Object} [storage] - Defaults to the MEMORY_STORE backend in dataDir
+   */
+  async useDataDir(dataDir, storage = null) {
+    await Promise.allSettled(this.threadWrites.values());
+    this.storage.close?.();
+    this.dataDir = dataDir;
+    this.storage = storage || createMemoryStorage(dataDir);
+    this.userProfiles.clear();
+    this.sessionCache.clear();
+    this.threadCache.clear();
+    this.threadWrites.clear();
+    return this.init();
   }
 
   // === USER PROFILE MANAGEMENT ===
@@ -51,27 +66,26 @@ class PersistentMemoryManager {
       return this.userProfiles.get(userId);
     }
 
-    // Load from disk
+    // Load from storage
+    let profile;
     try {
-      const profilePath = path.join(this.userProfilesDir, `${userId}.json`);
-      const data = await fs.readFile(profilePath, 'utf8');
-      const profile = JSON.parse(data);
-      
-      // Update cache
-      this.userProfiles.set(userId, profile);
-      return profile;
+      profile = await this.storage.loadProfile(userId);
     } catch (error) {
-      // Create new profile if doesn't exist
-      if (error.code === 'ENOENT') {
-        const newProfile = this.createNewUserProfile(userId);
-        // Initialize the knowledge graph for the new user
-        newProfile.knowledgeGraph = knowledgeGraphManager.initializeGraph(userId);
-        await this.saveUserProfile(userId, newProfile);
-        return newProfile;
-      }
       console.error(`❌ Error loading profile for ${userId}:`, error);
       return this.createNewUserProfile(userId);
     }
+    if (profile) {
+      // Update cache
+      this.userProfiles.set(userId, profile);
+      return profile;
+    }
+
+    // Create new profile if doesn't exist
+    const newProfile = this.createNewUserProfile(userId);
+    // Initialize the knowledge graph for the new user
+    newProfile.knowledgeGraph = knowledgeGraphManager.initializeGraph(userId);
+    await this.saveUserProfile(userId, newProfile);
+    return newProfile;
   }
 
   createNewUserProfile(userId) {
@@ -165,9 +179,8 @@ class PersistentMemoryManager {
       // Update cache
       this.userProfiles.set(userId, profile);
       
-      // Save to disk
-      const profilePath = path.join(this.userProfilesDir, `${userId}.json`);
-      await fs.writeFile(profilePath, JSON.stringify(profile, null, 2), 'utf8');
+      // Save to storage
+      await this.storage.saveProfile(userId, profile);
       
       console.log(`💾 Profile saved for user ${userId}`);
     } catch (error) {
@@ -282,7 +295,7 @@ class PersistentMemoryManager {
       }
 
       // Save to persistent storage
-      await this.saveInteractionToDisk(userId, interaction);
+      await this.saveInteraction(userId, interaction);
 
       // Update user profile with analytics
       await this.updateUserAnalytics(userId, interaction);
@@ -295,31 +308,12 @@ class PersistentMemoryManager {
     }
   }
 
-  async saveInteractionToDisk(userId, interaction) {
+  async saveInteraction(userId, interaction) {
     try {
-      const conversationFile = path.join(this.conversationsDir, `${userId}.json`);
-      
-      let conversations = [];
-      try {
-        const data = await fs.readFile(conversationFile, 'utf8');
-        conversations = JSON.parse(data);
-      } catch (error) {
-        // File doesn't exist, start with empty array
-        if (error.code !== 'ENOENT') {
-          console.error('Error reading conversation file:', error);
-        }
-      }
-
-      conversations.push(interaction);
-
-      // Maintain storage limit
-      if (conversations.length > this.maxStoredInteractions) {
-        conversations.splice(0, conversations.length - this.maxStoredInteractions);
-      }
-
-      await fs.writeFile(conversationFile, JSON.stringify(conversations, null, 2), 'utf8');
+      // Storage keeps the most recent maxStoredInteractions
+      await this.storage.appendInteractions(userId, [interaction], this.maxStoredInteractions);
     } catch (error) {
-      console.error('Error saving interaction to disk:', error);
+      console.error('Error saving interaction:', error);
     }
   }
 
@@ -331,19 +325,15 @@ class PersistentMemoryManager {
       return cachedInteractions.slice(-count);
     }
 
-    // Load more from disk if needed
+    // Load more from storage if needed
     try {
-      const conversationFile = path.join(this.conversationsDir, `${userId}.json`);
-      const data = await fs.readFile(conversationFile, 'utf8');
-      const allInteractions = JSON.parse(data);
+      const storedInteractions = await this.storage.loadInteractions(userId, count);
       
       // Combine with cache and return recent
-      const combined = [...allInteractions, ...cachedInteractions];
+      const combined = [...storedInteractions, ...cachedInteractions];
       return combined.slice(-count);
     } catch (error) {
-      if (error.code !== 'ENOENT') {
-        console.error('Error loading interactions:', error);
-      }
+      console.error('Error loading interactions:', error);
       return cachedInteractions;
     }
   }
@@ -351,12 +341,7 @@ class PersistentMemoryManager {
   // Rolling conversation summary persisted across sessions
   async saveRollingSummary(userId, summary) {
     try {
-      const file = path.join(this.analyticsDir, `${userId}.summary.txt`);
-      const stamped = `# ${new Date().toISOString()}\n${summary}\n\n`;
-      await fs.appendFile(file, stamped, 'utf8');
-      // Also keep last snapshot for quick read
-      const latestFile = path.join(this.analyticsDir, `${userId}.summary.latest.txt`);
-      await fs.writeFile(latestFile, summary, 'utf8');
+      await this.storage.appendSummary(userId, summary);
     } catch (error) {
       console.error('Error saving rolling summary:', error);
     }
@@ -364,17 +349,146 @@ class PersistentMemoryManager {
 
   async loadLatestSummary(userId) {
     try {
-      const latestFile = path.join(this.analyticsDir, `${userId}.summary.latest.txt`);
-      const data = await fs.readFile(latestFile, 'utf8');
-      return data;
+      return await this.storage.loadLatestSummary(userId);
     } catch (error) {
-      if (error.code !== 'ENOENT') {
-        console.error('Error loading latest summary:', error);
-      }
+      console.error('Error loading latest summary:', error);
       return '';
     }
   }
 
+  // === CONVERSATION THREADS ===
+  // Chat history is owned by the server: the client sends a thread id and its new
+  // message, and the thread supplies the recent conversation for the prompt.
+
+  async loadThreads(userId) {
+    if (this.threadCache.has(userId)) {
+      return this.threadCache.get(userId);
+    }
+
+    let threads = [];
+    try {
+      threads = await this.storage.loadThreads(userId);
+    } catch (error) {
+      console.error('Error reading threads:', error);
+    }
+    this.threadCache.set(userId, threads);
+    return threads;
+  }
+
+  // Run a change against the user's threads and save them (mutate returns null to skip
+  // the write). Changes for one user run one at a time so two turns finishing
+  // together cannot drop each other's messages
+  async updateThreads(userId, mutate) {
+    const previous = this.threadWrites.get(userId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const threads = await this.loadThreads(userId);
+      const result = mutate(threads);
+      if (result === null) return null; // Nothing changed (e.g. unknown thread)
+      await this.storage.saveThreads(userId, threads);
+      return result;
+    });
+    this.threadWrites.set(userId, next);
+    next.catch(() => {}).finally(() => {
+      if (this.threadWrites.get(userId) === next) this.threadWrites.delete(userId);
+    });
+    return next;
+  }
+
+  // Thread metadata without the message list
+  summarizeThread(thread) {
+    const last = thread.messages[thread.messages.length - 1];
+    return {
+      id: thread.id,
+      title: thread.title,
+      status: thread.status,
+      createdAt: thread.createdAt,
+      updatedAt: thread.updatedAt,
+      messageCount: thread.messages.length,
+      lastMessage: last ? { type: last.type, content: last.content.substring(0, 120), timestamp: last.timestamp } : null
+    };
+  }
+
+  async createThread(userId, { title = null } = {}) {
+    const now = new Date().toISOString();
+    const thread = {
+      id: `thread-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      title: title ? String(title).substring(0, 80) : null,
+      status: 'active',
+      createdAt: now,
+      updatedAt: now,
+      messages: []
+    };
+    await this.updateThreads(userId, (threads) => threads.push(thread));
+    console.log(`🧵 Thread ${thread.id} created for user ${userId}`);
+    return this.summarizeThread(thread);
+  }
+
+  async listThreads(userId, { includeArchived = false } = {}) {
+    const threads = await this.loadThreads(userId);
+    return threads
+      .filter((thread) => includeArchived || thread.status !== 'archived')
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map((thread) => this.summarizeThread(thread));
+  }
+
+  async getThread(userId, threadId) {
+    const threads = await this.loadThreads(userId);
+    const thread = threads.find((t) => t.id === threadId);
+    return thread ? { ...this.summarizeThread(thread), messages: [...thread.messages] } : null;
+  }
+
+  // Recent messages of a thread in the { type, content, timestamp } shape prompts expect
+  async getThreadHistory(userId, threadId, count = 20) {
+    const thread = await this.getThread(userId, threadId);
+    return thread ? thread.messages.slice(-count) : [];
+  }
+
+  /**
+   * Append messages to a thread; continuing an archived thread makes it active again.
+   * The first user message titles an untitled thread.
+   * @param {Array<{type: 'user'|'spacey', content: string}>} messages
+   * @returns {Promise<Object|null>} Thread summary, or null when the thread does not exist
+   */
+  async appendThreadMessages(userId, threadId, messages) {
+    return this.updateThreads(userId, (threads) => {
+      const thread = threads.find((t) => t.id === threadId);
+      if (!thread) return null;
+
+      const now = new Date().toISOString();
+      for (const message of messages) {
+        if (!message.content) continue;
+        thread.messages.push({
+          id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+          type: message.type,
+          content: String(message.content),
+          ...(message.actions?.length ? { actions: message.actions } : {}), // Chat tool actions, replayed by the UI
+          ...(message.citations?.length ? { citations: message.citations } : {}), // Lesson sources behind [n] markers
+          timestamp: now
+        });
+      }
+      if (thread.messages.length > this.maxThreadMessages) {
+        thread.messages.splice(0, thread.messages.length - this.maxThreadMessages);
+      }
+      if (!thread.title) {
+        const firstUserMessage = thread.messages.find((m) => m.type === 'user');
+        if (firstUserMessage) thread.title = firstUserMessage.content.substring(0, 60);
+      }
+      thread.status = 'active';
+      thread.updatedAt = now;
+      return this.summarizeThread(thread);
+    });
+  }
+
+  async archiveThread(userId, threadId) {
+    return this.updateThreads(userId, (threads) => {
+      const thread = threads.find((t) => t.id === threadId);
+      if (!thread) return null;
+      thread.status = 'archived';
+      thread.updatedAt = new Date().toISOString();
+      return this.summarizeThread(thread);
+    });
+  }
+
   // === ANALYTICS & PROFILE UPDATES ===
 
   async updateUserAnalytics(userId, interaction) {
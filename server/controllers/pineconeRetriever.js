@@ -1,95 +1,101 @@
-const { Pinecone } = require('@pinecone-database/pinecone');
+const { createVectorStore, isVectorStoreConfigured } = require('./vectorStore');
+const { embeddingService } = require('./embeddingService');
+const { traced, addSpanAttributes } = require('../utils/tracing');
+const { toSource, formatSources } = require('../utils/citations');
 
 // CONFIGURATION
 const PINECONE_INDEX_NAME = process.env.PINECONE_INDEX_NAME;
-const EMBEDDING_MODEL = 'Xenova/bge-large-en-v1.5';
+const EMBEDDING_MODEL = process.env.RAG_EMBED_MODEL; // Unset: the embedding service default
 
-let embedder;
 let index;
 
 /**
- * Initializes the Pinecone client, index, and the embedding model.
+ * Initializes the lesson vector index (Pinecone or local, see vectorStore.js) and loads the embedding model.
  */
 const initialize = async () => {
-    if (embedder && index) {
-        console.log("Pinecone and embedder already initialized.");
+    if (index) {
+        console.log("Lesson index already initialized.");
         return;
     }
 
-    // Check if Pinecone is configured
-    if (!PINECONE_INDEX_NAME) {
-        console.log('Pinecone not configured, skipping initialization');
+    // Check if the vector store is configured
+    if (!PINECONE_INDEX_NAME || !isVectorStoreConfigured()) {
+        console.log('Vector store not configured, skipping initialization');
         return;
     }
     
     try {
-        console.log('Initializing Pinecone retriever...');
+        console.log('Initializing lesson retriever...');
 
-        // Initialize Pinecone client
-        const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-        index = pinecone.index(PINECONE_INDEX_NAME);
+        // Load the embedding model before the index is used
+        await embeddingService.dimension({ model: EMBEDDING_MODEL });
+        index = createVectorStore(PINECONE_INDEX_NAME);
 
-        // Initialize the embedding model
-        const { pipeline } = await import('@xenova/transformers');
-        embedder = await pipeline('feature-extraction', EMBEDDING_MODEL);
-
-        console.log("Pinecone retriever initialized successfully.");
+        console.log(`Lesson retriever initialized successfully (${index.backend}).`);
     } catch (error) {
-        console.error("Error initializing Pinecone retriever:", error);
+        console.error("Error initializing lesson retriever:", error);
         throw error;
     }
 };
 
 /**
- * Queries the Pinecone index to find the most relevant lesson context for a given user query.
+ * Queries the lesson index for the lesson chunks most relevant to a user query.
+ * Each result is a numbered source carrying its lesson and block (see utils/citations.js)
+ * and its similarity score. This is the vector half of controllers/hybridRetriever.js.
  */
-const getRelevantContext = async (userQuery, topK = 3) => {
-    // Check if Pinecone is configured
-    if (!PINECONE_INDEX_NAME) {
-        console.log('Pinecone not configured, skipping context retrieval');
-        return "";
+const getRelevantSources = traced('rag.retrieve', async (userQuery, topK = 3) => {
+    // Check if the vector store is configured
+    if (!PINECONE_INDEX_NAME || !isVectorStoreConfigured()) {
+        console.log('Vector store not configured, skipping context retrieval');
+        return [];
     }
 
-    if (!embedder || !index) {
+    if (!index) {
         await initialize();
     }
 
     try {
         console.log(`Generating embedding for query: "${userQuery}"`);
-        const queryEmbedding = await embedder(userQuery, { pooling: 'mean', normalize: true });
+        const queryEmbedding = await embeddingService.embed(userQuery, { model: EMBEDDING_MODEL });
 
-        console.log(`Querying Pinecone index "${PINECONE_INDEX_NAME}"...`);
-        const queryResponse = await index.query({
-            vector: Array.from(queryEmbedding.data),
+        console.log(`Querying ${index.backend} index "${PINECONE_INDEX_NAME}"...`);
+        const queryResponse = await index.query('', {
+            vector: queryEmbedding,
             topK,
             includeMetadata: true,
         });
 
+        addSpanAttributes({ topK, matches: queryResponse.matches?.length || 0 });
         if (queryResponse.matches && queryResponse.matches.length > 0) {
-            const context = queryResponse.matches
-                .map(match => {
-                    const metadata = match.metadata;
-                    // Reconstruct the context from metadata for clarity
-                    if (metadata.contentType === 'choice_option') {
-                        return `Regarding the choice "${metadata.originalText}", the AI noted: "${metadata.ai_reaction}".`;
-                    }
-                    return metadata.originalText;
-                })
-                .join('\n\n---\n\n'); // Separate contexts for clarity
+            const sources = queryResponse.matches.map((match, i) => {
+                const metadata = match.metadata || {};
+                // Reconstruct the context from metadata for clarity
+                const text = metadata.contentType === 'choice_option'
+                    ? `Regarding the choice "${metadata.originalText}", the AI noted: "${metadata.ai_reaction}".`
+                    : metadata.originalText || metadata.text || '';
+                return { ...toSource(metadata, text, i + 1), score: match.score };
+            });
 
-            console.log(`Found ${queryResponse.matches.length} relevant contexts.`);
-            return context;
+            console.log(`Found ${sources.length} relevant contexts.`);
+            return sources;
         } else {
-            console.log("No relevant context found in Pinecone.");
-            return "";
+            console.log("No relevant context found in the lesson index.");
+            return [];
         }
     } catch (error) {
-        console.error("Error querying Pinecone:", error);
-        return "";
+        console.error("Error querying lesson index:", error);
+        return [];
     }
-};
+});
+
+/**
+ * Relevant lesson context as a numbered prompt block ("" when nothing matched).
+ * Dense similarity only; chat and tutoring retrieve through hybridRetriever.
+ */
+const getRelevantContext = async (userQuery, topK = 3) => formatSources(await getRelevantSources(userQuery, topK));
 
 module.exports = {
     initialize, 
     getRelevantContext,
+    getRelevantSources,
 };
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * Provider Health Tracker
+ * Keeps a rolling window of outcomes per AI provider and runs a circuit breaker
+ * (closed → open → half_open → closed) so degraded providers are skipped instead
+ * of costing every request a full timeout.
+ */
+class ProviderHealthTracker {
+  constructor(options = {}) {
+    this.windowSize = options.windowSize || Number(process.env.PROVIDER_HEALTH_WINDOW || 50);
+    this.minSamples = options.minSamples || Number(process.env.PROVIDER_BREAKER_MIN_SAMPLES || 5);
+    this.errorRateThreshold = options.errorRateThreshold || Number(process.env.PROVIDER_BREAKER_ERROR_RATE || 0.5);
+    this.consecutiveFailureThreshold = options.consecutiveFailureThreshold || Number(process.env.PROVIDER_BREAKER_CONSECUTIVE_FAILURES || 3);
+    this.cooldownMs = options.cooldownMs || Number(process.env.PROVIDER_BREAKER_COOLDOWN_MS || 30000);
+
+    this.providers = new Map();
+  }
+
+  getState(key) {
+    if (!this.providers.has(key)) {
+      this.providers.set(key, {
+        state: 'closed',
+        samples: [], // { ok, latencyMs, at }
+        totalRequests: 0,
+        totalFailures: 0,
+        consecutiveFailures: 0,
+        openedAt: null,
+        trialInFlight: false,
+        lastError: null,
+        lastSuccessAt: null,
+        lastFailureAt: null
+      });
+    }
+    return this.providers.get(key);
+  }
+
+  /**
+   * Whether a request may be sent to this provider right now.
+   * An open breaker moves to half_open once the cooldown has passed and lets a single trial through.
+   */
+  canRequest(key) {
+    const entry = this.getState(key);
+    if (entry.state === 'closed') return true;
+
+    if (entry.state === 'open') {
+      if (Date.now() - entry.openedAt < this.cooldownMs) return false;
+      entry.state = 'half_open';
+      entry.trialInFlight = false;
+      console.log(`🟡 Circuit half-open for ${key} - allowing a trial request`);
+    }
+
+    // half_open: one trial at a time
+    if (entry.trialInFlight) return false;
+    entry.trialInFlight = true;
+    return true;
+  }
+
+  recordSuccess(key, latencyMs) {
+    const entry = this.getState(key);
+
+    if (entry.state !== 'closed') {
+      console.log(`🟢 Circuit closed for ${key} - provider recovered`);
+      entry.state = 'closed';
+      entry.openedAt = null;
+      entry.trialInFlight = false;
+      entry.samples = []; // Start a fresh window so pre-outage errors don't re-trip it
+    }
+
+    this.pushSample(entry, true, latencyMs);
+    entry.consecutiveFailures = 0;
+    entry.lastSuccessAt = new Date().toISOString();
+  }
+
+  recordFailure(key, latencyMs, error) {
+    const entry = this.getState(key);
+    this.pushSample(entry, false, latencyMs);
+    entry.totalFailures += 1;
+    entry.consecutiveFailures += 1;
+    entry.lastFailureAt = new Date().toISOString();
+    entry.lastError = error && error.message ? error.message : String(error || 'unknown error');
+
+    if (entry.state === 'half_open') {
+      this.trip(key, entry, 'trial request failed');
+      return;
+    }
+
+    const errorRate = this.errorRate(entry);
+    if (entry.consecutiveFailures >= this.consecutiveFailureThreshold) {
+      this.trip(key, entry, `${entry.consecutiveFailures} consecutive failures`);
+    } else if (entry.samples.length >= this.minSamples && errorRate >= this.errorRateThreshold) {
+      this.trip(key, entry, `error rate ${(errorRate * 100).toFixed(0)}%`);
+    }
+  }
+
+  // A granted half-open trial that never reached the provider (e.g. cancelled while queued)
+  releaseTrial(key) {
+    this.getState(key).trialInFlight = false;
+  }
+
+  trip(key, entry, reason) {
+    if (entry.state !== 'open') {
+      console.warn(`🔴 Circuit opened for ${key}: ${reason}`);
+    }
+    entry.state = 'open';
+    entry.openedAt = Date.now();
+    entry.trialInFlight = false;
+  }
+
+  pushSample(entry, ok, latencyMs) {
+    entry.totalRequests += 1;
+    entry.samples.push({ ok, latencyMs: Number(latencyMs) || 0, at: Date.now() });
+    if (entry.samples.length > this.windowSize) {
+      entry.samples.shift();
+    }
+  }
+
+  errorRate(entry) {
+    if (entry.samples.length === 0) return 0;
+    const failures = entry.samples.filter((s) => !s.ok).length;
+    return failures / entry.samples.length;
+  }
+
+  percentile(sortedValues, p) {
+    if (sortedValues.length === 0) return null;
+    const idx = Math.min(sortedValues.length - 1, Math.ceil((p / 100) * sortedValues.length) - 1);
+    return sortedValues[Math.max(0, idx)];
+  }
+
+  /**
+   * Health summary for one provider
+   */
+  getProviderHealth(key) {
+    const entry = this.getState(key);
+    const latencies = entry.samples.filter((s) => s.ok).map((s) => s.latencyMs).sort((a, b) => a - b);
+
+    return {
+      state: entry.state,
+      error_rate: Number(this.errorRate(entry).toFixed(3)),
+      window_size: entry.samples.length,
+      total_requests: entry.totalRequests,
+      total_failures: entry.totalFailures,
+      consecutive_failures: entry.consecutiveFailures,
+      latency_ms: {
+        p50: this.percentile(latencies, 50),
+        p90: this.percentile(latencies, 90),
+        p99: this.percentile(latencies, 99)
+      },
+      last_error: entry.lastError,
+      last_success_at: entry.lastSuccessAt,
+      last_failure_at: entry.lastFailureAt,
+      opened_at: entry.openedAt ? new Date(entry.openedAt).toISOString() : null,
+      retry_at: entry.state === 'open' ? new Date(entry.openedAt + this.cooldownMs).toISOString() : null
+    };
+  }
+
+  /**
+   * Health summary for every provider seen so far
+   */
+  getSnapshot() {
+    const snapshot = {};
+    for (const key of this.providers.keys()) {
+      snapshot[key] = this.getProviderHealth(key);
+    }
+    return snapshot;
+  }
+
+  reset(key) {
+    if (key) {
+      this.providers.delete(key);
+    } else {
+      this.providers.clear();
+    }
+  }
+}
+
+// Create singleton instance
+const providerHealth = new ProviderHealthTracker();
+
+module.exports = {
+  ProviderHealthTracker,
+  providerHealth
+};
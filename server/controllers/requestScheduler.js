@@ -0,0 +1,242 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Request Scheduler
+ * Sits in front of every provider call made by AIProviderManager. Each provider
+ * gets a concurrency limit and a priority queue with three lanes:
+ *   interactive (chat, tutoring replies) > lesson (generation) > background (analytics).
+ *
+ * - 429 responses pause the provider until Retry-After (or an exponential backoff);
+ *   interactive calls fail fast so the manager falls back to another provider,
+ *   everything else waits in the queue.
+ * - Background work that waited longer than AI_BACKGROUND_MAX_WAIT_MS, or that
+ *   overflows the background queue, is cancelled instead of running late.
+ * - Queued calls whose request was aborted (client disconnected) leave the queue.
+ *
+ * The lane comes from the async context (runWithPriority) when one is set,
+ * otherwise from the task route's `priority`.
+ */
+
+const LANES = ['interactive', 'lesson', 'background'];
+
+const priorityContext = new AsyncLocalStorage();
+
+function runWithPriority(lane, fn) {
+  return priorityContext.run(lane, fn);
+}
+
+// Thrown for queued work that was dropped (stale, queue overflow, aborted) or refused (provider rate limited)
+class SchedulerRejectedError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'SchedulerRejectedError';
+    this.reason = reason;
+  }
+}
+
+function isRateLimitError(error) {
+  if (!error) return false;
+  const status = error.response?.status ?? error.status ?? error.code;
+  if (status === 429) return true;
+  return /\b429\b|rate.?limit|RESOURCE_EXHAUSTED/i.test(String(error.message || ''));
+}
+
+class RequestScheduler {
+  constructor(options = {}) {
+    this.defaultConcurrency = options.defaultConcurrency || Number(process.env.AI_MAX_CONCURRENCY_PER_PROVIDER || 4);
+    this.concurrency = options.concurrency || this.parseConcurrency();
+    this.backgroundMaxWaitMs = options.backgroundMaxWaitMs || Number(process.env.AI_BACKGROUND_MAX_WAIT_MS || 30000);
+    this.maxBackgroundQueue = options.maxBackgroundQueue || Number(process.env.AI_BACKGROUND_MAX_QUEUE || 100);
+    this.maxRateLimitPauseMs = 60000;
+
+    this.providers = new Map();
+  }
+
+  parseConcurrency() {
+    try {
+      return JSON.parse(process.env.AI_PROVIDER_CONCURRENCY || '{}');
+    } catch (error) {
+      console.warn('⚠️ Invalid AI_PROVIDER_CONCURRENCY, using defaults:', error.message);
+      return {};
+    }
+  }
+
+  getState(key) {
+    if (!this.providers.has(key)) {
+      this.providers.set(key, {
+        active: 0,
+        queue: [], // { lane, enqueuedAt, fn, resolve, reject, release }
+        pausedUntil: 0,
+        rateLimitHits: 0,
+        resumeTimer: null,
+        completed: 0,
+        cancelled: 0
+      });
+    }
+    return this.providers.get(key);
+  }
+
+  limitFor(key) {
+    return Number(this.concurrency[key]) || this.defaultConcurrency;
+  }
+
+  /**
+   * Lane for a call: the async context wins (so background jobs stay background
+   * whatever task they call), then the route's priority, then 'interactive'.
+   */
+  laneFor(options = {}) {
+    const lane = priorityContext.getStore() || options.priority;
+    return LANES.includes(lane) ? lane : 'interactive';
+  }
+
+  /**
+   * Run fn against a provider once a slot in its lane is free
+   * @param {string} key - Provider key
+   * @param {string} lane - interactive | lesson | background
+   * @param {Function} fn - Async function performing the provider call
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Drops the call from the queue when aborted
+   */
+  run(key, lane, fn, { signal = null } = {}) {
+    const state = this.getState(key);
+
+    if (signal && signal.aborted) {
+      return Promise.reject(new SchedulerRejectedError(`${key} call aborted before it was queued`, 'aborted'));
+    }
+    if (lane === 'interactive' && state.pausedUntil > Date.now()) {
+      return Promise.reject(new SchedulerRejectedError(`${key} is rate limited`, 'rate_limited'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { lane, enqueuedAt: Date.now(), fn, resolve, reject, release: () => {} };
+      if (signal) {
+        const onAbort = () => {
+          if (state.queue.includes(entry)) this.cancel(key, state, entry, 'aborted');
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        entry.release = () => signal.removeEventListener('abort', onAbort);
+      }
+      state.queue.push(entry);
+      if (lane === 'background') this.trimBackgroundQueue(key, state);
+      this.pump(key);
+    });
+  }
+
+  // Drop the oldest background entries when the lane grows past its cap
+  trimBackgroundQueue(key, state) {
+    const background = state.queue.filter((entry) => entry.lane === 'background');
+    const overflow = background.length - this.maxBackgroundQueue;
+    for (const entry of background.slice(0, Math.max(0, overflow))) {
+      this.cancel(key, state, entry, 'queue_overflow');
+    }
+  }
+
+  cancel(key, state, entry, reason) {
+    state.queue.splice(state.queue.indexOf(entry), 1);
+    entry.release();
+    state.cancelled += 1;
+    console.log(`🗑️ Cancelled ${entry.lane} AI call for ${key} (${reason})`);
+    entry.reject(new SchedulerRejectedError(`Queued ${entry.lane} AI call cancelled (${reason})`, reason));
+  }
+
+  // Next entry to run: highest-priority lane first, FIFO within a lane
+  nextEntry(state) {
+    for (const lane of LANES) {
+      const entry = state.queue.find((e) => e.lane === lane);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  pump(key) {
+    const state = this.getState(key);
+    const now = Date.now();
+
+    if (state.pausedUntil > now) {
+      if (!state.resumeTimer && state.queue.length > 0) {
+        state.resumeTimer = setTimeout(() => {
+          state.resumeTimer = null;
+          this.pump(key);
+        }, state.pausedUntil - now);
+      }
+      return;
+    }
+
+    while (state.active < this.limitFor(key)) {
+      const entry = this.nextEntry(state);
+      if (!entry) return;
+
+      if (entry.lane === 'background' && now - entry.enqueuedAt > this.backgroundMaxWaitMs) {
+        this.cancel(key, state, entry, 'stale');
+        continue;
+      }
+
+      state.queue.splice(state.queue.indexOf(entry), 1);
+      entry.release();
+      state.active += 1;
+      this.execute(key, state, entry);
+    }
+  }
+
+  async execute(key, state, entry) {
+    try {
+      const result = await entry.fn();
+      state.rateLimitHits = 0;
+      entry.resolve(result);
+    } catch (error) {
+      if (isRateLimitError(error)) this.noteRateLimit(key, error);
+      entry.reject(error);
+    } finally {
+      state.active -= 1;
+      state.completed += 1;
+      this.pump(key);
+    }
+  }
+
+  /**
+   * Pause a provider after a 429, honouring Retry-After when the provider sends one
+   */
+  noteRateLimit(key, error) {
+    const state = this.getState(key);
+    state.rateLimitHits += 1;
+
+    const retryAfter = Number(error?.response?.headers?.['retry-after']);
+    const pauseMs = Number.isFinite(retryAfter) && retryAfter > 0
+      ? retryAfter * 1000
+      : Math.min(this.maxRateLimitPauseMs, 1000 * 2 ** state.rateLimitHits);
+
+    state.pausedUntil = Math.max(state.pausedUntil, Date.now() + pauseMs);
+    console.warn(`⏸️ ${key} rate limited - pausing for ${Math.round(pauseMs / 1000)}s`);
+  }
+
+  /**
+   * Queue depth, in-flight calls and rate-limit state per provider
+   */
+  getSnapshot() {
+    const snapshot = {};
+    for (const [key, state] of this.providers.entries()) {
+      const queued = {};
+      for (const lane of LANES) queued[lane] = state.queue.filter((e) => e.lane === lane).length;
+      snapshot[key] = {
+        active: state.active,
+        limit: this.limitFor(key),
+        queued,
+        completed: state.completed,
+        cancelled: state.cancelled,
+        paused_until: state.pausedUntil > Date.now() ? new Date(state.pausedUntil).toISOString() : null
+      };
+    }
+    return snapshot;
+  }
+}
+
+// Create singleton instance
+const requestScheduler = new RequestScheduler();
+
+module.exports = {
+  RequestScheduler,
+  requestScheduler,
+  runWithPriority,
+  SchedulerRejectedError,
+  isRateLimitError
+};
@@ -2,6 +2,16 @@
 const { persistentMemory } = require('./persistentMemory');
 const { traitAnalyzer } = require('./traitAnalyzer');
 const { aiOrchestrator } = require('./aiOrchestrator'); // Add unified orchestrator
+const { getTrace } = require('../utils/tracing');
+const { resolveUserId, isAnonymous } = require('../utils/requestUser');
+
+// A chat request named a thread that does not exist (or belongs to someone else)
+class ThreadNotFoundError extends Error {
+    constructor(threadId) {
+        super(`Conversation thread not found: ${threadId}`);
+        this.name = 'ThreadNotFoundError';
+    }
+}
 
 console.log('🔧 SpaceyController loaded');
 console.log('💾 Persistent memory loaded:', !!persistentMemory);
@@ -15,135 +25,163 @@ console.log('🎭 AI Orchestrator loaded:', !!aiOrchestrator);
 // Build avatar-specific prompts for contextual responses
 // Removed legacy avatar prompt; handled by aiOrchestrator
 
-// Unified chat handler for all request types
-const chatWithAI = async (req, res) => {
-    try {
-        console.log('🎯 Unified chat request received via orchestrator:', req.body);
-        
-        const { prompt, user, type = 'unified_chat', visualContext, trigger, ...requestBody } = req.body;
-        // Canonicalize user id to avoid fragmentation (anonymous vs real)
-        const parseCookies = (cookieHeader = '') => {
-            try {
-                const entries = cookieHeader.split(';').map(c => c.trim()).filter(Boolean).map(kv => {
-                    const idx = kv.indexOf('=');
-                    if (idx === -1) return [kv, ''];
-                    return [decodeURIComponent(kv.slice(0, idx)), decodeURIComponent(kv.slice(idx + 1))];
-                });
-                return Object.fromEntries(entries);
-            } catch { return {}; }
+// Resolve the canonical user and map the incoming body onto an orchestrator request.
+// Shared by the JSON and streaming chat handlers. Chat and tutoring turns belong to a
+// server-side conversation thread: the body's threadId continues one, otherwise a new
+// thread is started, and the thread (not the client) supplies the recent history.
+const buildOrchestratorRequest = async (req, res) => {
+    const { prompt, user, type = 'unified_chat', visualContext, trigger, threadId, ...requestBody } = req.body;
+    const userId = resolveUserId(req, res);
+    console.log('👤 User ID:', userId);
+    console.log('🎭 Request type:', type);
+
+    // Anonymous users share one id, so their turns are not kept in threads
+    const isThreaded = type !== 'avatar_response' && type !== 'personalized_compliment' && !isAnonymous(userId);
+    let thread = null;
+    if (isThreaded && threadId) {
+        thread = await persistentMemory.getThread(userId, threadId);
+        if (!thread) throw new ThreadNotFoundError(threadId);
+    }
+    const conversationHistory = thread ? thread.messages.slice(-8) : [];
+
+    // Map request types to orchestrator types
+    let orchestratorType;
+    let context = {};
+
+    if (type === 'avatar_response' || type === 'personalized_compliment') {
+        orchestratorType = 'avatar_response';
+        context = {
+            trigger: type === 'personalized_compliment' ? 'compliment' : trigger,
+            visualContext: type === 'personalized_compliment' ? requestBody.visualAnalysis : visualContext
+        };
+    } else if (type === 'tutoring') {
+        orchestratorType = 'tutoring';
+        context = {
+            visualContext,
+            conversationHistory,
+            emotionContext: requestBody.emotionContext,
+            userActivity: requestBody.userActivity || 'active',
+            currentTopic: requestBody.currentTopic,
+            userMood: requestBody.userMood,
+            timeSinceLastInteraction: requestBody.timeSinceLastInteraction || 0,
+            // Pass through lesson context if provided by client
+            lessonContext: requestBody.lessonContext || null
         };
+    } else {
+        orchestratorType = 'chat';
+        context = {
+            visualContext,
+            conversationHistory,
+            emotionContext: requestBody.emotionContext,
+            userActivity: requestBody.userActivity || 'active',
+            currentTopic: requestBody.currentTopic,
+            userMood: requestBody.userMood,
+            timeSinceLastInteraction: requestBody.timeSinceLastInteraction || 0
+        };
+    }
 
-        const cookieHeader = req.headers['cookie'] || '';
-        const cookies = parseCookies(cookieHeader);
-        const cookieUserId = cookies['spacey_uid'];
-
-        const headerUserId = req.headers['x-user-id'];
-        const headerEmail = req.headers['x-user-email'] || user?.email;
-        const bodyUserId = user?.id;
-
-        let userId = 'anonymous';
-        if (headerUserId && typeof headerUserId === 'string') {
-            userId = headerUserId;
-        } else if (bodyUserId && !String(bodyUserId).startsWith('anonymous')) {
-            userId = bodyUserId;
-        } else if (cookieUserId && typeof cookieUserId === 'string') {
-            userId = cookieUserId;
-        } else if (headerEmail && typeof headerEmail === 'string' && headerEmail.toLowerCase() !== 'anonymous@example.com') {
-            userId = `email:${headerEmail.toLowerCase()}`;
-        }
+    if (isThreaded) {
+        context.threadId = thread?.id || null; // null: the reply starts a new thread
+    }
 
-        // Persist canonical id in cookie for cross-request continuity
-        if (userId && !String(userId).startsWith('anonymous')) {
-            const isSecure = (process.env.NODE_ENV || 'development') !== 'development';
-            const cookie = `spacey_uid=${encodeURIComponent(userId)}; Path=/; HttpOnly; SameSite=Lax${isSecure ? '; Secure' : ''}`;
-            res.setHeader('Set-Cookie', cookie);
-        }
-        console.log('👤 User ID:', userId);
-        console.log('🎭 Request type:', type);
-
-        // Map request types to orchestrator types
-        let orchestratorType;
-        let context = {};
-
-        if (type === 'avatar_response' || type === 'personalized_compliment') {
-            orchestratorType = 'avatar_response';
-            context = {
-                trigger: type === 'personalized_compliment' ? 'compliment' : trigger,
-                visualContext: type === 'personalized_compliment' ? requestBody.visualAnalysis : visualContext
-            };
-        } else if (type === 'tutoring') {
-            orchestratorType = 'tutoring';
-            context = {
-                visualContext,
-                conversationHistory: requestBody.conversationHistory || [],
-                emotionContext: requestBody.emotionContext,
-                userActivity: requestBody.userActivity || 'active',
-                currentTopic: requestBody.currentTopic,
-                userMood: requestBody.userMood,
-                timeSinceLastInteraction: requestBody.timeSinceLastInteraction || 0,
-                // Pass through lesson context if provided by client
-                lessonContext: requestBody.lessonContext || null
-            };
-        } else {
-            orchestratorType = 'chat';
-            context = {
-                visualContext,
-                conversationHistory: requestBody.conversationHistory || [],
-                emotionContext: requestBody.emotionContext,
-                userActivity: requestBody.userActivity || 'active',
-                currentTopic: requestBody.currentTopic,
-                userMood: requestBody.userMood,
-                timeSinceLastInteraction: requestBody.timeSinceLastInteraction || 0
-            };
+    // Route through unified orchestrator
+    const orchestratorRequest = {
+        type: orchestratorType,
+        user: {
+            id: userId,
+            name: user?.name || user?.displayName || 'Explorer',
+            email: user?.email || 'anonymous@example.com',
+            traits: [] // Will be populated by orchestrator from persistent memory
+        },
+        prompt,
+        context
+    };
+
+    return { orchestratorRequest, orchestratorType, context, visualContext, userId, isThreaded, threadId: thread?.id || null };
+};
+
+// Store a finished turn in its thread (starting one when the request had none)
+const recordThreadTurn = async (built, prompt, response) => {
+    if (!built.isThreaded) return null;
+    const threadId = built.threadId || (await persistentMemory.createThread(built.userId)).id;
+    await persistentMemory.appendThreadMessages(built.userId, threadId, [
+        // Personal details the safety filter masked stay masked in the thread
+        { type: 'user', content: response.metadata?.redactedPrompt || prompt },
+        { type: 'spacey', content: response.message, actions: response.metadata?.actions, citations: response.metadata?.citations }
+    ]);
+    return threadId;
+};
+
+// Format an orchestrator response for existing API consumers
+const formatApiResponse = (response, { orchestratorType, context, visualContext }, threadId = null) => {
+    const apiResponse = {
+        response: response.message,
+        type: response.type,
+        threadId,
+        // UI actions from chat tools, e.g. { type: 'open_lesson', lessonId } or { type: 'start_quiz', questions }
+        actions: response.metadata?.actions || [],
+        // Lesson sources cited with [n] markers in the reply: { index, lessonId, lessonTitle, blockId, path, snippet }
+        citations: response.metadata?.citations || [],
+        debug: {
+            provider: 'orchestrator',
+            timestamp: new Date().toISOString(),
+            orchestrator: true,
+            emotionalState: response.metadata?.emotionalState,
+            learningStyle: response.metadata?.learningStyle,
+            hasVisualContext: !!visualContext,
+            retrievedContext: !!response.metadata?.retrievedContext,
+            // Hybrid retrieval: why each lesson chunk was chosen (keyword terms, vector rank, rerank)
+            retrieval: response.metadata?.retrieval || null,
+            toolCalls: response.metadata?.toolCalls || [],
+            // Child-safety filter outcome when the prompt or reply was flagged
+            moderation: response.metadata?.moderation || null
         }
+    };
 
-        // Route through unified orchestrator
-        const orchestratorRequest = {
-            type: orchestratorType,
-            user: {
-                id: userId,
-                name: user?.name || user?.displayName || 'Explorer',
-                email: user?.email || 'anonymous@example.com',
-                traits: [] // Will be populated by orchestrator from persistent memory
-            },
-            prompt,
-            context
-        };
+    // Span timeline for clients that sent X-Spacey-Debug (see utils/tracing.js)
+    const trace = getTrace();
+    if (trace) {
+        apiResponse.debug.trace = trace.toJSON();
+    }
+
+    // Include additional metadata for avatar responses
+    if (orchestratorType === 'avatar_response') {
+        apiResponse.trigger = context.trigger;
+    }
+
+    return apiResponse;
+};
+
+// Unified chat handler for all request types
+const chatWithAI = async (req, res) => {
+    try {
+        console.log('🎯 Unified chat request received via orchestrator:', req.body);
 
-        console.log('🚀 Routing to AI Orchestrator:', orchestratorType);
+        const built = await buildOrchestratorRequest(req, res);
+        console.log('🚀 Routing to AI Orchestrator:', built.orchestratorType);
         
         // Add timeout protection to prevent connection resets
         const response = await Promise.race([
-            aiOrchestrator.processRequest(orchestratorRequest),
+            aiOrchestrator.processRequest(built.orchestratorRequest, { signal: req.abortSignal }),
             new Promise((_, reject) => 
                 setTimeout(() => reject(new Error('Request timeout - taking too long to process')), 30000) // 30 second timeout
             )
         ]);
 
-        // Format response for existing API consumers
-        const apiResponse = {
-            response: response.message,
-            type: response.type,
-            debug: {
-                provider: 'orchestrator',
-                timestamp: new Date().toISOString(),
-                orchestrator: true,
-                emotionalState: response.metadata?.emotionalState,
-                learningStyle: response.metadata?.learningStyle,
-                hasVisualContext: !!visualContext,
-                retrievedContext: !!response.metadata?.retrievedContext
-            }
-        };
-
-        // Include additional metadata for avatar responses
-        if (orchestratorType === 'avatar_response') {
-            apiResponse.trigger = context.trigger;
-        }
+        const threadId = await recordThreadTurn(built, built.orchestratorRequest.prompt, response);
+        const apiResponse = formatApiResponse(response, built, threadId);
 
         console.log('✅ Orchestrator response generated:', response.message.substring(0, 100) + '...');
         return res.json(apiResponse);
 
     } catch (error) {
+        if (req.abortSignal?.aborted) {
+            console.log('🔌 Chat request aborted by client');
+            return;
+        }
+        if (error instanceof ThreadNotFoundError) {
+            return res.status(404).json({ error: error.message });
+        }
         console.error('❌ Orchestrator error:', error);
         
         // Handle timeout errors specifically
@@ -169,6 +207,73 @@ const chatWithAI = async (req, res) => {
     }
 };
 
+// Streaming variant of chatWithAI: emits Server-Sent Events as the reply is generated.
+// Events: `token` ({ text }) for each partial chunk, then `done` with the same payload
+// chatWithAI returns, or `error` if generation failed.
+const streamChatWithAI = async (req, res) => {
+    const sendEvent = (event, data) => {
+        if (res.writableEnded) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+        console.log('🎯 Streaming chat request received via orchestrator:', req.body);
+
+        // Build first so the identity cookie is set before headers are flushed
+        const built = await buildOrchestratorRequest(req, res);
+
+        res.status(200);
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache, no-transform');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering
+        res.flushHeaders();
+
+        console.log('🚀 Streaming from AI Orchestrator:', built.orchestratorType);
+
+        let streamed = false;
+        const response = await aiOrchestrator.processRequest(built.orchestratorRequest, {
+            signal: req.abortSignal,
+            onToken: (text) => {
+                streamed = true;
+                sendEvent('token', { text });
+            }
+        });
+
+        // Handlers without streaming support (RAG, lesson analysis) deliver the reply in one piece
+        if (!streamed && response.message) {
+            sendEvent('token', { text: response.message });
+        }
+
+        const threadId = await recordThreadTurn(built, built.orchestratorRequest.prompt, response);
+        const apiResponse = formatApiResponse(response, built, threadId);
+        apiResponse.debug.streamed = streamed;
+        sendEvent('done', apiResponse);
+        console.log('✅ Orchestrator stream completed:', String(response.message || '').substring(0, 100) + '...');
+    } catch (error) {
+        if (req.abortSignal?.aborted) {
+            console.log('🔌 Chat stream aborted by client');
+            return;
+        }
+        if (error instanceof ThreadNotFoundError && !res.headersSent) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('❌ Orchestrator stream error:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({
+                error: "I encountered a cosmic anomaly while processing your request. Let me recalibrate...",
+                debug: { error: error.message, timestamp: new Date().toISOString(), orchestrator: true }
+            });
+        }
+        sendEvent('error', {
+            error: "I encountered a cosmic anomaly while processing your request. Let me recalibrate...",
+            debug: { error: error.message, timestamp: new Date().toISOString(), orchestrator: true }
+        });
+    } finally {
+        if (!res.writableEnded) res.end();
+    }
+};
+
 // Add new API endpoints for fetching user data
 const getUserTraits = async (req, res) => {
     try {
@@ -313,6 +418,7 @@ const canUnlock = async (req, res) => {
 
 module.exports = {
     chatWithAI,
+    streamChatWithAI,
     getUserTraits,
     getContextSummary,
     saveChoice,
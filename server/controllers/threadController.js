@@ -0,0 +1,78 @@
+const { persistentMemory } = require('./persistentMemory');
+const { resolveUserId, isAnonymous } = require('../utils/requestUser');
+
+// Conversation thread endpoints. Threads belong to the requesting user; chat turns
+// are added by POSTing to /api/chat/spacey with a threadId.
+
+// Resolve the thread owner, answering 401 for anonymous callers
+const threadOwner = (req, res) => {
+    const userId = resolveUserId(req, res);
+    if (isAnonymous(userId)) {
+        res.status(401).json({ error: 'Sign in to keep conversation threads' });
+        return null;
+    }
+    return userId;
+};
+
+const createThread = async (req, res) => {
+    try {
+        const userId = threadOwner(req, res);
+        if (!userId) return;
+        const thread = await persistentMemory.createThread(userId, { title: req.body?.title });
+        res.status(201).json({ thread });
+    } catch (error) {
+        console.error('❌ Error creating thread:', error);
+        res.status(500).json({ error: 'Failed to create conversation thread' });
+    }
+};
+
+const listThreads = async (req, res) => {
+    try {
+        const userId = threadOwner(req, res);
+        if (!userId) return;
+        const includeArchived = req.query.includeArchived === 'true';
+        const threads = await persistentMemory.listThreads(userId, { includeArchived });
+        res.json({ threads });
+    } catch (error) {
+        console.error('❌ Error listing threads:', error);
+        res.status(500).json({ error: 'Failed to list conversation threads' });
+    }
+};
+
+const getThread = async (req, res) => {
+    try {
+        const userId = threadOwner(req, res);
+        if (!userId) return;
+        const thread = await persistentMemory.getThread(userId, req.params.threadId);
+        if (!thread) {
+            return res.status(404).json({ error: 'Conversation thread not found' });
+        }
+        res.json({ thread });
+    } catch (error) {
+        console.error('❌ Error fetching thread:', error);
+        res.status(500).json({ error: 'Failed to fetch conversation thread' });
+    }
+};
+
+const archiveThread = async (req, res) => {
+    try {
+        const userId = threadOwner(req, res);
+        if (!userId) return;
+        const thread = await persistentMemory.archiveThread(userId, req.params.threadId);
+        if (!thread) {
+            return res.status(404).json({ error: 'Conversation thread not found' });
+        }
+        console.log(`🗄️ Thread ${thread.id} archived for user ${userId}`);
+        res.json({ thread });
+    } catch (error) {
+        console.error('❌ Error archiving thread:', error);
+        res.status(500).json({ error: 'Failed to archive conversation thread' });
+    }
+};
+
+module.exports = {
+    createThread,
+    listThreads,
+    getThread,
+    archiveThread,
+};
@@ -0,0 +1,15 @@
+const { ToolRegistry, ToolError } = require('./registry');
+
+// Built-in chat tools. Register new tools here, or call toolRegistry.register()
+// from your own module at startup.
+const toolRegistry = new ToolRegistry()
+  .register(require('./physicsCalculator'))
+  .register(require('./lessonSearch'))
+  .register(require('./startQuiz'))
+  .register(require('./knowledgeLookup'));
+
+module.exports = {
+  toolRegistry,
+  ToolRegistry,
+  ToolError,
+};
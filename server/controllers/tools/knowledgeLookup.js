@@ -0,0 +1,58 @@
+const { persistentMemory } = require('../persistentMemory');
+const { knowledgeGraphManager } = require('../knowledgeGraphManager');
+
+// Reads the student's knowledge graph: mastery for one concept (with its prerequisites
+// and follow-ups), or an overview of mastered and struggling concepts.
+
+const round = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+  name: 'lookup_knowledge',
+  description: "Look up what this student has already learned: mastery (0-1) for a concept and related concepts, or an overview of their strongest and weakest concepts when no concept is given.",
+  parameters: {
+    type: 'object',
+    properties: {
+      concept: { type: 'string' }
+    }
+  },
+  hints: /\b(what (have|did) i (learn|learned|study|studied)|my (progress|knowledge|mastery)|how (am i|well) doing|do i know|mastered|struggling with)\b/i,
+
+  async run({ concept }, { userId }) {
+    const graph = await persistentMemory.getUserKnowledgeGraph(userId);
+    const names = Object.keys(graph.nodes || {});
+    if (names.length === 0) {
+      return { result: { concepts: [], note: 'No concepts tracked yet for this student' } };
+    }
+
+    if (concept) {
+      const needle = concept.toLowerCase();
+      const matches = names.filter((name) => name.toLowerCase().includes(needle) || needle.includes(name.toLowerCase()));
+      return {
+        result: {
+          concept,
+          matches: matches.slice(0, 5).map((name) => ({
+            concept: name,
+            mastery: round(graph.nodes[name].mastery),
+            lastChange: graph.nodes[name].history?.at(-1)?.change || null,
+            ...knowledgeGraphManager.getRelatedConcepts(graph, name)
+          })),
+          note: matches.length === 0 ? `"${concept}" has not come up in this student's learning yet` : undefined
+        }
+      };
+    }
+
+    const byMastery = names
+      .map((name) => ({ concept: name, mastery: round(graph.nodes[name].mastery) }))
+      .sort((a, b) => b.mastery - a.mastery);
+    const { mastered, struggling } = knowledgeGraphManager.getKnowledgeGaps(graph);
+    return {
+      result: {
+        totalConcepts: names.length,
+        strongest: byMastery.slice(0, 5),
+        weakest: byMastery.slice(-5).reverse(),
+        mastered,
+        struggling
+      }
+    };
+  }
+};
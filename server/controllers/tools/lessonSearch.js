@@ -0,0 +1,76 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Searches the lesson catalogue (the mission JSON files the client serves) by title and
+// learning goals. The best match comes back as an open_lesson action for the chat UI.
+
+const LESSONS_DIR = path.join(__dirname, '../../../client/public/lessons');
+const MAX_RESULTS = 3;
+
+let catalogue = null;
+
+async function loadCatalogue() {
+  if (catalogue) return catalogue;
+  const files = (await fs.readdir(LESSONS_DIR)).filter((file) => file.endsWith('.json'));
+  const lessons = [];
+  for (const file of files) {
+    try {
+      const lesson = JSON.parse(await fs.readFile(path.join(LESSONS_DIR, file), 'utf8'));
+      const goals = (lesson.blocks || []).map((block) => block.learning_goal).filter(Boolean);
+      lessons.push({
+        lessonId: lesson.mission_id || path.basename(file, '.json'),
+        title: lesson.title || path.basename(file, '.json'),
+        summary: goals[0] || '',
+        titleText: `${lesson.title || ''} ${lesson.mission_id || ''}`.toLowerCase(),
+        bodyText: [...goals, ...(lesson.blocks || []).map((block) => block.content || '')].join(' ').toLowerCase()
+      });
+    } catch (error) {
+      console.warn(`⚠️ Skipping unreadable lesson ${file}:`, error.message);
+    }
+  }
+  catalogue = lessons;
+  console.log(`📚 Lesson search indexed ${lessons.length} lessons`);
+  return catalogue;
+}
+
+const tokenize = (text) => String(text).toLowerCase().match(/[a-z0-9]{3,}/g) || [];
+
+module.exports = {
+  name: 'search_lessons',
+  description: 'Find lessons in the Spacey catalogue about a topic. Returns matching lessons; the best one is offered to the student as an "open lesson" button.',
+  parameters: {
+    type: 'object',
+    required: ['query'],
+    properties: {
+      query: { type: 'string', minLength: 2 }
+    }
+  },
+  hints: /\b(lessons?|missions?|course|teach me|learn about|where can i learn)\b/i,
+
+  async run({ query }) {
+    const terms = tokenize(query);
+    const lessons = await loadCatalogue();
+
+    const matches = lessons
+      .map((lesson) => ({
+        lesson,
+        // Title hits count more than hits in the lesson body
+        score: terms.reduce((sum, term) =>
+          sum + (lesson.titleText.includes(term) ? 3 : 0) + (lesson.bodyText.includes(term) ? 1 : 0), 0)
+      }))
+      .filter((match) => match.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RESULTS)
+      .map(({ lesson, score }) => ({ lessonId: lesson.lessonId, title: lesson.title, summary: lesson.summary, score }));
+
+    if (matches.length === 0) {
+      return { result: { query, matches: [], note: 'No lesson covers this topic yet' } };
+    }
+
+    const best = matches[0];
+    return {
+      result: { query, matches },
+      action: { type: 'open_lesson', lessonId: best.lessonId, title: best.title, path: `/lesson/${best.lessonId}` }
+    };
+  }
+};
@@ -0,0 +1,180 @@
+const { ToolError } = require('./registry');
+
+// Unit-aware calculator for the orbital mechanics and gravity questions students ask
+// in chat. Quantities arrive as strings ("400 km", "7.8 km/s"), are converted to SI,
+// and results come back in SI plus the units a student would expect.
+
+const G = 6.674e-11; // m^3 kg^-1 s^-2
+const STANDARD_GRAVITY = 9.80665; // m/s^2
+
+const UNITS = {
+  length: { m: 1, km: 1e3, cm: 1e-2, mi: 1609.344, au: 1.495978707e11, ly: 9.4607e15 },
+  mass: { kg: 1, g: 1e-3, t: 1e3, earth_mass: 5.972e24, solar_mass: 1.989e30 },
+  time: { s: 1, min: 60, h: 3600, day: 86400, yr: 31557600 },
+  velocity: { 'm/s': 1, 'km/s': 1e3, 'km/h': 1 / 3.6, mph: 0.44704 },
+  acceleration: { 'm/s2': 1, gee: STANDARD_GRAVITY },
+  force: { n: 1, kn: 1e3 },
+  energy: { j: 1, kj: 1e3, mj: 1e6, gj: 1e9 }
+};
+
+const UNIT_ALIASES = {
+  meter: 'm', meters: 'm', metre: 'm', metres: 'm',
+  kilometer: 'km', kilometers: 'km', kilometre: 'km', kilometres: 'km',
+  mile: 'mi', miles: 'mi', 'light-year': 'ly', 'light-years': 'ly',
+  kilogram: 'kg', kilograms: 'kg', gram: 'g', grams: 'g', tonne: 't', tonnes: 't', tons: 't',
+  sec: 's', second: 's', seconds: 's', minute: 'min', minutes: 'min', hr: 'h', hour: 'h', hours: 'h',
+  days: 'day', year: 'yr', years: 'yr',
+  'm/s^2': 'm/s2', 'm/s²': 'm/s2', kph: 'km/h', newton: 'n', newtons: 'n', joule: 'j', joules: 'j'
+};
+
+const BODIES = {
+  mercury: { mass: 3.301e23, radius: 2.4397e6 },
+  venus: { mass: 4.867e24, radius: 6.0518e6 },
+  earth: { mass: 5.972e24, radius: 6.371e6 },
+  moon: { mass: 7.342e22, radius: 1.7374e6 },
+  mars: { mass: 6.417e23, radius: 3.3895e6 },
+  jupiter: { mass: 1.898e27, radius: 6.9911e7 },
+  sun: { mass: 1.989e30, radius: 6.957e8 }
+};
+
+// Display units per result dimension, first one is the headline
+const DISPLAY = {
+  velocity: ['km/s', 'km/h'],
+  time: ['min', 'h', 'day'],
+  acceleration: ['m/s2', 'gee'],
+  force: ['n'],
+  energy: ['j', 'mj'],
+  length: ['km', 'm'],
+  mass: ['kg']
+};
+
+function lookupUnit(rawUnit) {
+  const key = UNIT_ALIASES[rawUnit.toLowerCase()] || rawUnit.toLowerCase();
+  for (const [dimension, table] of Object.entries(UNITS)) {
+    if (table[key] !== undefined) return { dimension, unit: key, factor: table[key] };
+  }
+  throw new ToolError(`Unknown unit "${rawUnit}"`);
+}
+
+// "400 km" -> 400000 (SI), checked against the expected dimension
+function parseQuantity(text, dimension, label) {
+  const match = String(text).trim().match(/^([-+]?\d[\d,]*\.?\d*(?:e[-+]?\d+)?)\s*(.*)$/i);
+  if (!match) throw new ToolError(`${label} must look like "400 km" (got "${text}")`);
+  const value = Number(match[1].replace(/,/g, ''));
+  if (!match[2].trim()) throw new ToolError(`${label} needs a unit (got "${text}")`);
+  const unit = lookupUnit(match[2].trim());
+  if (unit.dimension !== dimension) {
+    throw new ToolError(`${label} needs a ${dimension} unit (got "${match[2]}")`);
+  }
+  return value * unit.factor;
+}
+
+function formatNumber(value) {
+  if (value !== 0 && (Math.abs(value) >= 1e7 || Math.abs(value) < 1e-3)) return value.toExponential(3);
+  return Number(value.toPrecision(4)).toLocaleString('en-US');
+}
+
+const UNIT_LABELS = { 'm/s2': 'm/s²', gee: 'g', n: 'N', kn: 'kN', j: 'J', kj: 'kJ', mj: 'MJ', gj: 'GJ' };
+
+function formatResult(siValue, dimension) {
+  return DISPLAY[dimension]
+    .map((unit) => `${formatNumber(siValue / UNITS[dimension][unit])} ${UNIT_LABELS[unit] || unit}`)
+    .join(' = ');
+}
+
+function resolveBody(args) {
+  if (!args.body) return null;
+  const body = BODIES[args.body];
+  if (!body) throw new ToolError(`Unknown body "${args.body}"`);
+  return body;
+}
+
+// Central mass and distance from the body's centre, from body/altitude or explicit values
+function centralMassAndRadius(args) {
+  const body = resolveBody(args);
+  const mass = args.mass ? parseQuantity(args.mass, 'mass', 'mass') : body?.mass;
+  if (!mass) throw new ToolError('Give a body or a mass');
+
+  let radius;
+  if (args.radius) {
+    radius = parseQuantity(args.radius, 'length', 'radius');
+  } else if (body) {
+    radius = body.radius + (args.altitude ? parseQuantity(args.altitude, 'length', 'altitude') : 0);
+  } else {
+    throw new ToolError('Give a radius (distance from the centre) when no body is named');
+  }
+  return { mass, radius };
+}
+
+const FORMULAS = {
+  orbital_velocity: (args) => {
+    const { mass, radius } = centralMassAndRadius(args);
+    return { value: Math.sqrt(G * mass / radius), dimension: 'velocity', equation: 'v = √(GM / r)' };
+  },
+  escape_velocity: (args) => {
+    const { mass, radius } = centralMassAndRadius(args);
+    return { value: Math.sqrt(2 * G * mass / radius), dimension: 'velocity', equation: 'v = √(2GM / r)' };
+  },
+  orbital_period: (args) => {
+    const { mass, radius } = centralMassAndRadius(args);
+    return { value: 2 * Math.PI * Math.sqrt(radius ** 3 / (G * mass)), dimension: 'time', equation: 'T = 2π √(r³ / GM)' };
+  },
+  surface_gravity: (args) => {
+    const { mass, radius } = centralMassAndRadius(args);
+    return { value: G * mass / radius ** 2, dimension: 'acceleration', equation: 'g = GM / r²' };
+  },
+  gravitational_force: (args) => {
+    const { mass, radius } = centralMassAndRadius({ ...args, radius: args.distance || args.radius });
+    if (!args.mass2) throw new ToolError('gravitational_force needs mass2 (the second object)');
+    const mass2 = parseQuantity(args.mass2, 'mass', 'mass2');
+    return { value: G * mass * mass2 / radius ** 2, dimension: 'force', equation: 'F = G m₁ m₂ / d²' };
+  },
+  kinetic_energy: (args) => {
+    if (!args.mass || !args.velocity) throw new ToolError('kinetic_energy needs mass and velocity');
+    const mass = parseQuantity(args.mass, 'mass', 'mass');
+    const velocity = parseQuantity(args.velocity, 'velocity', 'velocity');
+    return { value: 0.5 * mass * velocity ** 2, dimension: 'energy', equation: 'E = ½ m v²' };
+  },
+  convert: (args) => {
+    if (!args.value || !args.to) throw new ToolError('convert needs value and to');
+    const target = lookupUnit(args.to);
+    const siValue = parseQuantity(args.value, target.dimension, 'value');
+    return { value: siValue, dimension: target.dimension, display: `${formatNumber(siValue / target.factor)} ${UNIT_LABELS[target.unit] || target.unit}` };
+  }
+};
+
+module.exports = {
+  name: 'physics_calculator',
+  description: 'Exact physics arithmetic with units: orbital/escape velocity, orbital period, surface gravity, gravitational force, kinetic energy, unit conversion. Use it instead of doing the maths yourself.',
+  parameters: {
+    type: 'object',
+    required: ['formula'],
+    properties: {
+      formula: { type: 'string', enum: Object.keys(FORMULAS) },
+      body: { type: 'string', enum: Object.keys(BODIES) },
+      altitude: { type: 'string' },  // above the body's surface, e.g. "400 km"
+      radius: { type: 'string' },    // from the centre of the body
+      mass: { type: 'string' },
+      mass2: { type: 'string' },
+      distance: { type: 'string' },
+      velocity: { type: 'string' },
+      value: { type: 'string' },     // convert: quantity to convert
+      to: { type: 'string' }         // convert: target unit
+    }
+  },
+  hints: /\b(calculate|compute|how (fast|far|long|heavy|strong)|velocity|speed|orbit(al)?|escape|gravity|weigh|convert)\b|\d\s*(km|m\/s|km\/s|kg|mph|au)\b/i,
+
+  async run(args) {
+    const { value, dimension, equation, display } = FORMULAS[args.formula](args);
+    const siUnit = Object.keys(UNITS[dimension])[0];
+    return {
+      result: {
+        formula: args.formula,
+        equation,
+        value,
+        unit: UNIT_LABELS[siUnit] || siUnit,
+        display: display || formatResult(value, dimension)
+      }
+    };
+  }
+};
@@ -0,0 +1,86 @@
+const { validateAgainstSchema } = require('../../utils/jsonSchema');
+
+/**
+ * Chat Tool Registry
+ * Server-side tools Spacey can call from chat (see AIOrchestrator.runToolLoop).
+ * The model sees each tool's name, description and argument schema; the orchestrator
+ * validates the arguments, runs the tool and feeds the result back before the final
+ * answer. Tools that want the UI to do something (open a lesson, start a quiz) also
+ * return an action, which reaches the client under the response's `actions`.
+ *
+ * Tool shape:
+ *   name        - identifier the model calls (required)
+ *   description - one line telling the model when to use it (required)
+ *   parameters  - JSON Schema (type: object) for the arguments
+ *   hints       - RegExp; prompts matching it skip the chat fast path so the tool is on offer
+ *   run         - async (args, { userId, request }) => { result, action? } (required)
+ *                 result is shown to the model; action is a { type, ... } object for the client
+ */
+
+class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool (replaces any existing tool with the same name)
+   * @param {Object} tool - See the tool shape above
+   */
+  register(tool) {
+    if (!tool || typeof tool.name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(tool.name)) {
+      throw new Error('Chat tool needs a snake_case name');
+    }
+    if (typeof tool.run !== 'function' || !tool.description) {
+      throw new Error(`Chat tool "${tool.name}" needs a description and run()`);
+    }
+
+    if (this.tools.has(tool.name)) {
+      console.warn(`⚠️ Replacing chat tool ${tool.name}`);
+    }
+    this.tools.set(tool.name, { parameters: { type: 'object', properties: {} }, ...tool });
+    return this;
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  list() {
+    return [...this.tools.values()];
+  }
+
+  // True when the prompt looks like something a tool can answer
+  matchesHints(prompt = '') {
+    return this.list().some((tool) => tool.hints instanceof RegExp && tool.hints.test(prompt));
+  }
+
+  /**
+   * Validate arguments and run a tool
+   * @returns {Promise<{ result: *, action: Object|null }>}
+   * @throws {ToolError} Unknown tool, invalid arguments, or a failure the tool reported
+   */
+  async call(name, args, toolContext) {
+    const tool = this.get(name);
+    if (!tool) throw new ToolError(`Unknown tool: ${name}`);
+
+    const errors = validateAgainstSchema(args, tool.parameters);
+    if (errors.length > 0) {
+      throw new ToolError(`Invalid arguments for ${name}: ${errors.slice(0, 3).join('; ')}`);
+    }
+
+    const output = await tool.run(args, toolContext);
+    return { result: output?.result ?? null, action: output?.action || null };
+  }
+}
+
+module.exports = {
+  ToolRegistry,
+  ToolError,
+};
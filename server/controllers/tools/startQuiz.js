@@ -0,0 +1,45 @@
+const { aiProviderManager } = require('../aiProviders');
+const { persistentMemory } = require('../persistentMemory');
+const prompts = require('../../prompts');
+const { miniQuizSchema } = require('../../prompts/schemas');
+const { ToolError } = require('./registry');
+
+// Writes a short multiple-choice quiz on one concept and hands it to the chat UI as a
+// start_quiz action; the questions are shown by the client, not spoken by Spacey.
+
+module.exports = {
+  name: 'start_quiz',
+  description: 'Start a short multiple-choice mini-quiz on one concept when the student asks to be quizzed or tested. The quiz appears below your reply; do not repeat its questions.',
+  parameters: {
+    type: 'object',
+    required: ['concept'],
+    properties: {
+      concept: { type: 'string', minLength: 2 },
+      questionCount: { type: 'integer', minimum: 1, maximum: 5 }
+    }
+  },
+  hints: /\b(quiz|test me|check my understanding|practice questions?)\b/i,
+
+  async run({ concept, questionCount = 3 }, { userId }) {
+    // Pitch the questions at the student's current mastery when the graph knows the concept
+    let level = null;
+    try {
+      const graph = await persistentMemory.getUserKnowledgeGraph(userId);
+      const mastery = graph.nodes?.[concept]?.mastery;
+      if (typeof mastery === 'number') level = mastery.toFixed(2);
+    } catch {} // Quiz still works without the graph
+
+    const quizPrompt = prompts.createMiniQuizPrompt({ concept, questionCount, level });
+    const { questions: generated } = await aiProviderManager.generateStructured(quizPrompt, miniQuizSchema, { task: 'quiz.generate' });
+    const questions = generated
+      .filter((q) => q.answerIndex < q.options.length)
+      .slice(0, questionCount);
+    if (questions.length === 0) throw new ToolError(`Could not write a quiz on ${concept}`);
+
+    console.log(`📝 Mini-quiz on "${concept}" ready (${questions.length} questions) for user ${userId}`);
+    return {
+      result: { concept, questionCount: questions.length, status: 'Quiz shown to the student' },
+      action: { type: 'start_quiz', concept, questions }
+    };
+  }
+};
@@ -1,4 +1,5 @@
 const { aiProviderManager } = require('./aiProviders');
+const { UNTRUSTED_INPUT_RULES, detectInjection, untrusted } = require('../prompts/untrusted');
 
 class TraitAnalyzer {
   constructor() {
@@ -174,11 +175,28 @@ class TraitAnalyzer {
 
   // LLM-based personality analysis
   async analyzeWithLLM(message, context = 'general_chat', currentTraits = []) {
+    // Messages that try to steer the analysis change no traits
+    const injection = detectInjection(message);
+    if (injection.suspicious) {
+      console.warn(`🛡️ Possible prompt injection in trait analysis input (${injection.patterns.join(', ')}); skipping`);
+      return {
+        traits_to_add: [],
+        traits_to_remove: [],
+        confidence: 0,
+        reasoning: 'Message looked like an attempt to steer the analysis',
+        method: 'injection_blocked',
+        injection_patterns: injection.patterns
+      };
+    }
+
     try {
       const analysisPrompt = `
 You are a personality analyst. Analyze this message for personality traits.
 
-Message: "${message}"
+${UNTRUSTED_INPUT_RULES}
+
+Message:
+${untrusted('student_message', message)}
 Context: ${context}
 Current Traits: ${currentTraits.join(', ') || 'none'}
 
@@ -211,7 +229,7 @@ Example responses:
 `;
 
       // Use AI provider to analyze
-      const response = await aiProviderManager.generateResponse(analysisPrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(analysisPrompt, 'traits.llm');
       
       // Try to parse JSON response
       try {
@@ -221,8 +239,12 @@ Example responses:
           const analysis = JSON.parse(jsonMatch[0]);
           analysis.method = 'llm_analysis';
           
-          // Validate the response structure
+          // Validate the response structure; only known traits are accepted
           if (analysis.traits_to_add && analysis.traits_to_remove && typeof analysis.confidence === 'number') {
+            const known = (traits) => (Array.isArray(traits) ? traits.filter((t) => t in this.enhancedKeywords) : []);
+            analysis.traits_to_add = known(analysis.traits_to_add);
+            analysis.traits_to_remove = known(analysis.traits_to_remove);
+            analysis.confidence = Math.min(Math.max(analysis.confidence, 0), 1);
             return analysis;
           }
         }
@@ -259,6 +281,9 @@ Example responses:
       
       // Try LLM analysis first
       const llmAnalysis = await this.analyzeWithLLM(message, context, currentTraits);
+      if (llmAnalysis.method === 'injection_blocked') {
+        return llmAnalysis;
+      }
       
       // If LLM analysis is successful and confident, use it
       if (llmAnalysis.confidence > 0.3 && llmAnalysis.method === 'llm_analysis') {
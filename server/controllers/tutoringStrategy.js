@@ -48,7 +48,7 @@ async function decideTutoringStrategy(userId, { prompt, userProfile = {}, emotio
 
     const strategyPrompt = `You are a tutoring strategy planner. Given a short snapshot of the learner and their recent state, output a JSON with an immediate coaching strategy to improve learning flow.\n\nReturn ONLY compact JSON with fields: {\"action\":\"none|hint|analogy|encourage|checkpoint|scaffold\",\"topicHint\":string?,\"interestWeave\":string?,\"tone\":\"supportive|energetic|reassuring|clarifying\",\"why\":string}\n\nSignals:\n${JSON.stringify(signals)}\n\nGuidelines:\n- If the learner shows confusion/frustration, prefer scaffold or analogy with a gentle tone.\n- If inactive/hesitant, consider a small hint or an inviting checkpoint question.\n- Use interestWeave when relevant (pick one interest to connect).\n- Keep it minimal and actionable.`;
 
-    const raw = await aiProviderManager.generateResponse(strategyPrompt, 'gemini');
+    const raw = await aiProviderManager.generateResponse(strategyPrompt, 'tutoring.strategy');
     let parsed = { action: 'none' };
     try { parsed = JSON.parse(raw); } catch (_) {
       const m = raw && raw.match && raw.match(/\{[\s\S]*\}/);
@@ -0,0 +1,294 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Usage Ledger
+ * Records every LLM call with the user, request type and provider it belongs to,
+ * enforces per-user daily token budgets and produces admin usage reports.
+ *
+ * Attribution flows through an async context: routes and the orchestrator open a
+ * scope with runWithUsageContext(), and every aiProviderManager call made inside
+ * it (however deep) is charged to that user.
+ */
+
+const usageContext = new AsyncLocalStorage();
+
+function runWithUsageContext(context, fn) {
+  const parent = usageContext.getStore() || {};
+  return usageContext.run({ ...parent, ...context }, fn);
+}
+
+function getUsageContext() {
+  return usageContext.getStore() || {};
+}
+
+// USD per 1M tokens (input / output). Estimates for the models each provider is configured with.
+const DEFAULT_PRICING = {
+  local: { input: 0, output: 0 },
+  huggingface: { input: 0, output: 0 },
+  openai_compatible: { input: 0, output: 0 },
+  gemini: { input: 0.10, output: 0.40 },
+  groq: { input: 0.05, output: 0.08 },
+  together: { input: 0.06, output: 0.06 },
+  openai: { input: 0.15, output: 0.60 },
+};
+
+class UsageLedger {
+  constructor(dataDir = null) {
+    this.dataDir = dataDir || path.join(__dirname, '..', 'data', 'usage');
+    this.budgetsFile = path.join(this.dataDir, 'budgets.json');
+    this.pricing = { ...DEFAULT_PRICING, ...this.loadPricingOverrides() };
+    this.defaultDailyTokenBudget = Number(process.env.USAGE_DAILY_TOKEN_BUDGET || 0); // 0 = unlimited
+
+    this.currentDay = null;
+    this.dailyTotals = new Map(); // userId -> { tokens, costUsd, calls }
+    this.budgets = {};
+
+    this.ensureDirectories();
+    this.loadBudgets();
+    this.loadDay(this.today());
+  }
+
+  ensureDirectories() {
+    try {
+      fsSync.mkdirSync(this.dataDir, { recursive: true });
+    } catch (error) {
+      console.error('❌ Error creating usage directories:', error);
+    }
+  }
+
+  loadPricingOverrides() {
+    if (!process.env.USAGE_PRICING_JSON) return {};
+    try {
+      return JSON.parse(process.env.USAGE_PRICING_JSON);
+    } catch (error) {
+      console.warn('⚠️ Invalid USAGE_PRICING_JSON, using default pricing:', error.message);
+      return {};
+    }
+  }
+
+  loadBudgets() {
+    try {
+      if (fsSync.existsSync(this.budgetsFile)) {
+        this.budgets = JSON.parse(fsSync.readFileSync(this.budgetsFile, 'utf8')) || {};
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load usage budgets:', error.message);
+      this.budgets = {};
+    }
+  }
+
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  ledgerFile(day) {
+    return path.join(this.dataDir, `ledger-${day}.jsonl`);
+  }
+
+  // Rebuild the in-memory daily totals from the day's ledger file (survives restarts)
+  loadDay(day) {
+    this.currentDay = day;
+    this.dailyTotals = new Map();
+    try {
+      const file = this.ledgerFile(day);
+      if (!fsSync.existsSync(file)) return;
+      for (const entry of this.parseLines(fsSync.readFileSync(file, 'utf8'))) {
+        this.addToTotals(entry);
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to load usage ledger:', error.message);
+    }
+  }
+
+  parseLines(content) {
+    return content.split('\n').filter(Boolean).map((line) => {
+      try { return JSON.parse(line); } catch { return null; }
+    }).filter(Boolean);
+  }
+
+  addToTotals(entry) {
+    const totals = this.dailyTotals.get(entry.userId) || { tokens: 0, costUsd: 0, calls: 0 };
+    totals.tokens += entry.inputTokens + entry.outputTokens;
+    totals.costUsd += entry.costUsd;
+    totals.calls += 1;
+    this.dailyTotals.set(entry.userId, totals);
+  }
+
+  rollDayIfNeeded() {
+    const day = this.today();
+    if (day !== this.currentDay) this.loadDay(day);
+  }
+
+  // Providers do not all report usage, so tokens are estimated at ~4 characters per token
+  estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  estimateCost(provider, inputTokens, outputTokens) {
+    const price = this.pricing[provider] || { input: 0, output: 0 };
+    return ((inputTokens * price.input) + (outputTokens * price.output)) / 1_000_000;
+  }
+
+  /**
+   * Record one completed LLM call
+   */
+  async record({ prompt, response, provider, requestType, task = null, cached = false }) {
+    this.rollDayIfNeeded();
+    const context = getUsageContext();
+
+    const inputTokens = cached ? 0 : this.estimateTokens(prompt);
+    const outputTokens = cached ? 0 : this.estimateTokens(response);
+    const entry = {
+      timestamp: new Date().toISOString(),
+      userId: context.userId || 'anonymous',
+      requestType: requestType || context.requestType || 'unknown',
+      task,
+      provider: cached ? 'cache' : provider,
+      inputTokens,
+      outputTokens,
+      costUsd: cached ? 0 : this.estimateCost(provider, inputTokens, outputTokens),
+      cached
+    };
+
+    this.addToTotals(entry);
+
+    try {
+      await fs.appendFile(this.ledgerFile(this.currentDay), JSON.stringify(entry) + '\n');
+    } catch (error) {
+      console.warn('⚠️ Failed to write usage ledger entry:', error.message);
+    }
+    return entry;
+  }
+
+  getDailyBudget(userId) {
+    const override = this.budgets[userId];
+    if (override && Number.isFinite(Number(override.dailyTokens))) {
+      return Number(override.dailyTokens);
+    }
+    return this.defaultDailyTokenBudget;
+  }
+
+  async setDailyBudget(userId, dailyTokens) {
+    if (dailyTokens === null || dailyTokens === undefined) {
+      delete this.budgets[userId];
+    } else {
+      this.budgets[userId] = { dailyTokens: Number(dailyTokens), updatedAt: new Date().toISOString() };
+    }
+    await fs.writeFile(this.budgetsFile, JSON.stringify(this.budgets, null, 2));
+    return this.getBudgetStatus(userId);
+  }
+
+  getBudgetStatus(userId) {
+    this.rollDayIfNeeded();
+    const totals = this.dailyTotals.get(userId) || { tokens: 0, costUsd: 0, calls: 0 };
+    const dailyTokens = this.getDailyBudget(userId);
+    return {
+      userId,
+      day: this.currentDay,
+      dailyTokens: dailyTokens || null,
+      usedTokens: totals.tokens,
+      usedCostUsd: Number(totals.costUsd.toFixed(6)),
+      calls: totals.calls,
+      exceeded: dailyTokens > 0 && totals.tokens >= dailyTokens
+    };
+  }
+
+  /**
+   * Whether the user in the current usage context has spent their daily budget
+   */
+  isOverBudget() {
+    const { userId } = getUsageContext();
+    if (!userId) return false;
+    return this.getBudgetStatus(userId).exceeded;
+  }
+
+  // Provider keys ordered cheapest first, used when a user is over budget
+  rankByCost(keys) {
+    const costOf = (key) => {
+      const price = this.pricing[key] || { input: Infinity, output: Infinity };
+      return price.input + price.output;
+    };
+    return [...keys].sort((a, b) => costOf(a) - costOf(b));
+  }
+
+  /**
+   * Aggregate ledger entries over a date range
+   * @param {Object} options
+   * @param {string} [options.from] - YYYY-MM-DD (defaults to today)
+   * @param {string} [options.to] - YYYY-MM-DD (defaults to from)
+   * @param {string} [options.userId] - Restrict to one user
+   */
+  async getReport({ from, to, userId } = {}) {
+    const start = from || this.today();
+    const end = to || start;
+
+    const files = (await fs.readdir(this.dataDir).catch(() => []))
+      .filter((f) => /^ledger-\d{4}-\d{2}-\d{2}\.jsonl$/.test(f))
+      .filter((f) => {
+        const day = f.slice(7, 17);
+        return day >= start && day <= end;
+      })
+      .sort();
+
+    const summary = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, cachedCalls: 0 });
+    const bucketFor = (group, key) => {
+      if (!group[key]) group[key] = summary();
+      return group[key];
+    };
+    const add = (bucket, entry) => {
+      bucket.calls += 1;
+      bucket.inputTokens += entry.inputTokens;
+      bucket.outputTokens += entry.outputTokens;
+      bucket.costUsd += entry.costUsd;
+      if (entry.cached) bucket.cachedCalls += 1;
+    };
+
+    const totals = summary();
+    const byUser = {};
+    const byRequestType = {};
+    const byProvider = {};
+    const byTask = {};
+
+    for (const file of files) {
+      const content = await fs.readFile(path.join(this.dataDir, file), 'utf8');
+      for (const entry of this.parseLines(content)) {
+        if (userId && entry.userId !== userId) continue;
+        add(totals, entry);
+        add(bucketFor(byUser, entry.userId), entry);
+        add(bucketFor(byRequestType, entry.requestType), entry);
+        add(bucketFor(byProvider, entry.provider), entry);
+        if (entry.task) add(bucketFor(byTask, entry.task), entry);
+      }
+    }
+
+    const round = (bucket) => { bucket.costUsd = Number(bucket.costUsd.toFixed(6)); };
+    [totals, ...Object.values(byUser), ...Object.values(byRequestType), ...Object.values(byProvider), ...Object.values(byTask)].forEach(round);
+
+    const budgets = Object.keys(byUser).map((id) => this.getBudgetStatus(id)).filter((b) => b.dailyTokens);
+
+    return {
+      from: start,
+      to: end,
+      tokensEstimated: true,
+      totals,
+      byUser,
+      byRequestType,
+      byProvider,
+      byTask,
+      budgets
+    };
+  }
+}
+
+// Create singleton instance
+const usageLedger = new UsageLedger();
+
+module.exports = {
+  UsageLedger,
+  usageLedger,
+  runWithUsageContext,
+  getUsageContext
+};
@@ -2,6 +2,8 @@ const { aiProviderManager } = require('./aiProviders');
 const { persistentMemory } = require('./persistentMemory');
 const { enhancedPersonalizationEngine } = require('./enhancedPersonalizationEngine');
 const { parseAIJSONResponse, fixCommonJSONIssues } = require('../utils/jsonParser');
+const { interactionAnalysisSchema } = require('../prompts/schemas');
+const { UNTRUSTED_INPUT_RULES, detectInjection, untrusted } = require('../prompts/untrusted');
 
 // Remove local helpers; using shared utils/jsonParser
 
@@ -78,10 +80,19 @@ class UserAssessmentTracker {
       hintUsage
     } = interactionData;
 
+    // A response that tries to grade itself gets the neutral heuristic analysis, not the model's
+    const injection = detectInjection(userResponse);
+    if (injection.suspicious) {
+      console.warn(`🛡️ Possible prompt injection in assessed response from user ${userId} (${injection.patterns.join(', ')}); using heuristic analysis`);
+      return { ...this.generateFallbackInteractionAnalysis(interactionData), injection_patterns: injection.patterns };
+    }
+
     const analysisPrompt = `Analyze this user interaction for understanding and knowledge signals.
+${UNTRUSTED_INPUT_RULES}
 
 USER INTERACTION:
-Response: "${userResponse}"
+Response:
+${untrusted('student_response', userResponse)}
 Response Time: ${responseTime}ms
 Question Type: ${questionType}
 Expected Answer: ${expectedAnswer ? `"${expectedAnswer}"` : 'Open-ended'}
@@ -131,8 +142,9 @@ Analyze and provide detailed assessment:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(analysisPrompt, 'gemini');
-      return parseAIJSONResponse(response);
+      return await aiProviderManager.generateStructured(analysisPrompt, interactionAnalysisSchema, {
+        task: 'assessment.analyze'
+      });
     } catch (error) {
       console.error('Error analyzing interaction:', error);
       return this.generateFallbackInteractionAnalysis(interactionData);
@@ -207,7 +219,7 @@ Generate updated knowledge state:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(updatePrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(updatePrompt, 'assessment.analyze');
       const updatedKnowledge = parseAIJSONResponse(response);
       
       // Update tracking
@@ -289,7 +301,7 @@ Provide comprehensive gap analysis:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(gapAnalysisPrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(gapAnalysisPrompt, 'assessment.analyze');
       const gapAnalysis = parseAIJSONResponse(response);
       
       // Update gap tracking
@@ -368,7 +380,7 @@ Generate personalized recommendations:
 }`;
 
     try {
-      const response = await aiProviderManager.generateResponse(recommendationsPrompt, 'gemini');
+      const response = await aiProviderManager.generateResponse(recommendationsPrompt, 'assessment.analyze');
       return parseAIJSONResponse(response);
     } catch (error) {
       console.error('Error generating adaptive recommendations:', error);
@@ -1,42 +1,29 @@
-const { Pinecone } = require('@pinecone-database/pinecone');
+const { createVectorStore, isVectorStoreConfigured } = require('./vectorStore');
+const { embeddingService } = require('./embeddingService');
 
 // Configuration
 const USER_PROFILE_INDEX_NAME = process.env.USER_PROFILE_INDEX_NAME || process.env.PINECONE_PROFILE_INDEX || 'user-profiles-v1';
 const USER_PROFILE_NAMESPACE = process.env.USER_PROFILE_NAMESPACE || 'user_profiles';
-const EMBEDDING_MODEL = process.env.USER_PROFILE_EMBED_MODEL || 'Xenova/bge-large-en-v1.5';
+const EMBEDDING_MODEL = process.env.USER_PROFILE_EMBED_MODEL; // Unset: the embedding service default
 
-let embedder;
 let index;
-let dimension;
+
+const isConfigured = () => Boolean(USER_PROFILE_INDEX_NAME && isVectorStoreConfigured());
 
 const ALLOWED_KEYS = ['name', 'email', 'pronouns', 'age', 'nationality', 'timezone', 'locale', 'language', 'languages'];
 
 async function initialize() {
-  if (embedder && index) return;
-  if (!process.env.PINECONE_API_KEY || !USER_PROFILE_INDEX_NAME) {
-    console.log('UserProfileMemory: Pinecone not configured, skipping initialization');
+  if (index) return;
+  if (!isConfigured()) {
+    console.log('UserProfileMemory: vector store not configured, skipping initialization');
     return;
   }
   try {
-    const { pipeline } = await import('@xenova/transformers');
-    embedder = await pipeline('feature-extraction', EMBEDDING_MODEL);
-    const probe = await embedder('dimension_probe', { pooling: 'mean', normalize: true });
-    dimension = Array.isArray(probe?.data) ? probe.data.length : (probe?.data?.length || 1024);
-
-    const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-    const list = await pinecone.listIndexes();
-    const exists = list.indexes?.some((i) => i.name === USER_PROFILE_INDEX_NAME);
-    if (!exists) {
-      console.log(`🌲 Creating Pinecone index for user profiles: ${USER_PROFILE_INDEX_NAME} (dim=${dimension})`);
-      await pinecone.createIndex({
-        name: USER_PROFILE_INDEX_NAME,
-        dimension,
-        metric: 'cosine',
-        spec: { serverless: { cloud: 'aws', region: 'us-east-1' } }
-      });
-    }
-    index = pinecone.index(USER_PROFILE_INDEX_NAME);
-    console.log(`🪪 User profile memory ready → index: ${USER_PROFILE_INDEX_NAME}, ns: ${USER_PROFILE_NAMESPACE}`);
+    const dimension = await embeddingService.dimension({ model: EMBEDDING_MODEL });
+    const store = createVectorStore(USER_PROFILE_INDEX_NAME);
+    await store.ensureIndex(dimension);
+    index = store;
+    console.log(`🪪 User profile memory ready → ${index.backend} index: ${USER_PROFILE_INDEX_NAME}, ns: ${USER_PROFILE_NAMESPACE}`);
   } catch (err) {
     console.error('Failed to initialize user profile memory:', err);
   }
@@ -46,55 +33,55 @@ function buildId(userId, key) {
   return `${userId}:identity:${key}`;
 }
 
+// Throws on failure so the personalization.syncIdentity job is retried
 async function upsertIdentity(userId, updates = {}) {
   try {
-    if (!USER_PROFILE_INDEX_NAME || !process.env.PINECONE_API_KEY) return;
-    if (!embedder || !index) await initialize();
+    if (!isConfigured()) return;
+    if (!index) await initialize();
+    if (!index) throw new Error('User profile index unavailable');
     const items = [];
     for (const [keyRaw, valueRaw] of Object.entries(updates)) {
       const key = String(keyRaw).toLowerCase();
       if (!ALLOWED_KEYS.includes(key)) continue;
       if (key === 'languages' && Array.isArray(valueRaw)) {
         for (const lang of valueRaw) {
-          const text = `language=${String(lang)}`;
-          const vec = await embedder(text, { pooling: 'mean', normalize: true });
-          items.push({ id: buildId(userId, `language:${String(lang).toLowerCase()}`), values: Array.from(vec.data), metadata: { userId, type: 'identity', key: 'language', value: String(lang) } });
+          items.push({ text: `language=${String(lang)}`, id: buildId(userId, `language:${String(lang).toLowerCase()}`), metadata: { userId, type: 'identity', key: 'language', value: String(lang) } });
         }
         continue;
       }
       const value = Array.isArray(valueRaw) ? valueRaw.join(',') : String(valueRaw);
-      const text = `${key}=${value}`;
-      const vec = await embedder(text, { pooling: 'mean', normalize: true });
-      items.push({ id: buildId(userId, key), values: Array.from(vec.data), metadata: { userId, type: 'identity', key, value } });
+      items.push({ text: `${key}=${value}`, id: buildId(userId, key), metadata: { userId, type: 'identity', key, value } });
     }
     if (items.length === 0) return;
-    await index.namespace(USER_PROFILE_NAMESPACE).upsert(items);
+    const vectors = await embeddingService.embedMany(items.map((item) => item.text), { model: EMBEDDING_MODEL });
+    await index.upsert(USER_PROFILE_NAMESPACE, items.map(({ id, metadata }, i) => ({ id, values: vectors[i], metadata })));
   } catch (err) {
     console.warn('UserProfileMemory upsertIdentity failed:', err.message);
+    throw err;
   }
 }
 
 async function fetchIdentity(userId) {
   try {
-    if (!USER_PROFILE_INDEX_NAME || !process.env.PINECONE_API_KEY) return {};
+    if (!isConfigured()) return {};
     if (!index) await initialize();
+    if (!index) return {};
     const ids = ['name', 'email', 'pronouns', 'age', 'nationality', 'timezone', 'locale'].map((k) => buildId(userId, k));
     // fetch supports up to 100 ids per call
-    const res = await index.namespace(USER_PROFILE_NAMESPACE).fetch(ids);
+    const { records } = await index.fetch(USER_PROFILE_NAMESPACE, ids);
     const out = {};
-    const vectors = res?.records || res?.vectors || {};
-    for (const [id, record] of Object.entries(vectors)) {
+    for (const record of Object.values(records)) {
       const key = record?.metadata?.key;
       const value = record?.metadata?.value;
       if (!key) continue;
       out[key] = value;
     }
     // Languages use per-language ids with prefix
-    // Pinecone fetch does not support wildcards; approximate by querying topK=5 for 'language='
+    // fetch does not support wildcards; approximate by querying topK=16 for 'language='
     try {
-      const probe = await embedder('language=', { pooling: 'mean', normalize: true });
-      const query = await index.namespace(USER_PROFILE_NAMESPACE).query({
-        vector: Array.from(probe.data),
+      const probe = await embeddingService.embed('language=', { model: EMBEDDING_MODEL });
+      const query = await index.query(USER_PROFILE_NAMESPACE, {
+        vector: probe,
         topK: 16,
         includeMetadata: true,
         filter: { userId, type: 'identity', key: 'language' }
@@ -109,6 +96,14 @@ async function fetchIdentity(userId) {
   }
 }
 
-module.exports = { initialize, upsertIdentity, fetchIdentity };
+// Remove identity records by key ("name", "language:<lang>"). Throws on failure.
+async function deleteIdentity(userId, keys = []) {
+  if (!isConfigured() || keys.length === 0) return;
+  if (!index) await initialize();
+  if (!index) throw new Error('User profile index unavailable');
+  await index.deleteMany(USER_PROFILE_NAMESPACE, keys.map((key) => buildId(userId, key)));
+}
+
+module.exports = { initialize, upsertIdentity, fetchIdentity, deleteIdentity };
 
 
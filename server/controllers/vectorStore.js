@@ -0,0 +1,310 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Vector Store
+ * One interface over the vector indexes used by semantic memory, user profiles and
+ * lesson RAG, so they run against Pinecone or against a local on-disk index.
+ * VECTOR_STORE selects the backend: 'pinecone' (default, needs PINECONE_API_KEY) or
+ * 'local' (data/vectors, no key or network needed).
+ *
+ * Both backends take Pinecone-style records ({ id, values, metadata }) and metadata
+ * filters ({ userId: 'u1', type: { $in: ['turn', 'fact'] } }) and group records by
+ * namespace within an index. '' is the default namespace.
+ */
+
+const DEFAULT_NAMESPACE_FILE = '__default__';
+
+function vectorStoreBackend() {
+  return String(process.env.VECTOR_STORE || 'pinecone').toLowerCase() === 'local' ? 'local' : 'pinecone';
+}
+
+// Local indexes need nothing; Pinecone needs its API key
+function isVectorStoreConfigured() {
+  return vectorStoreBackend() === 'local' || Boolean(process.env.PINECONE_API_KEY);
+}
+
+/**
+ * Pinecone serverless index
+ */
+class PineconeVectorStore {
+  constructor(indexName) {
+    this.backend = 'pinecone';
+    this.indexName = indexName;
+    this.client = null;
+    this.index = null;
+  }
+
+  getIndex() {
+    if (!this.index) {
+      const { Pinecone } = require('@pinecone-database/pinecone');
+      this.client = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+      this.index = this.client.index(this.indexName);
+    }
+    return this.index;
+  }
+
+  // Create the index on first use (cosine, serverless); an existing index must match the embedding dimension
+  async ensureIndex(dimension) {
+    this.getIndex();
+    const list = await this.client.listIndexes();
+    const existing = list.indexes?.find((i) => i.name === this.indexName);
+    if (existing) {
+      checkDimension(this.indexName, existing.dimension, dimension);
+      return;
+    }
+    console.log(`🌲 Creating Pinecone index: ${this.indexName} (dim=${dimension})`);
+    await this.client.createIndex({
+      name: this.indexName,
+      dimension,
+      metric: 'cosine',
+      spec: { serverless: { cloud: 'aws', region: 'us-east-1' } }
+    });
+  }
+
+  async upsert(namespace, records) {
+    if (!records.length) return;
+    await this.getIndex().namespace(namespace).upsert(records);
+  }
+
+  async query(namespace, { vector, topK = 10, filter, includeMetadata = true, includeValues = false }) {
+    const res = await this.getIndex().namespace(namespace).query({
+      vector,
+      topK,
+      includeMetadata,
+      includeValues,
+      ...(filter && Object.keys(filter).length ? { filter } : {})
+    });
+    return { matches: res?.matches || [] };
+  }
+
+  async fetch(namespace, ids) {
+    const res = await this.getIndex().namespace(namespace).fetch(ids);
+    return { records: res?.records || res?.vectors || {} };
+  }
+
+  async deleteMany(namespace, ids) {
+    if (!ids.length) return;
+    await this.getIndex().namespace(namespace).deleteMany(ids);
+  }
+}
+
+/**
+ * Flat (exact) cosine index on disk: data/vectors/<index>/<namespace>.json, vectors
+ * stored as base64 float32. A namespace is loaded on first use and reloaded when
+ * another process (e.g. the ingest script) rewrites its file.
+ */
+class LocalVectorStore {
+  constructor(indexName, dataDir = null) {
+    this.backend = 'local';
+    this.indexName = indexName;
+    this.indexDir = path.join(dataDir || path.join(__dirname, '..', 'data', 'vectors'), indexName);
+    this.dimension = null;
+    this.namespaces = new Map(); // namespace -> { records: Map<id, record>, mtimeMs }
+    this.writes = new Map();     // namespace -> tail of its write chain
+  }
+
+  namespaceFile(namespace) {
+    return path.join(this.indexDir, `${namespace ? encodeURIComponent(namespace) : DEFAULT_NAMESPACE_FILE}.json`);
+  }
+
+  async ensureIndex(dimension) {
+    const infoFile = path.join(this.indexDir, 'index.json');
+    let info = null;
+    try {
+      info = JSON.parse(await fs.readFile(infoFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    if (info) {
+      checkDimension(this.indexName, info.dimension, dimension);
+      this.dimension = info.dimension;
+      return;
+    }
+    await fs.mkdir(this.indexDir, { recursive: true });
+    await fs.writeFile(infoFile, JSON.stringify({ name: this.indexName, dimension, metric: 'cosine' }, null, 2));
+    this.dimension = dimension;
+    console.log(`📁 Created local vector index: ${this.indexName} (dim=${dimension})`);
+  }
+
+  async load(namespace) {
+    const file = this.namespaceFile(namespace);
+    let mtimeMs = 0;
+    try {
+      mtimeMs = (await fs.stat(file)).mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const cached = this.namespaces.get(namespace);
+    if (cached && cached.mtimeMs === mtimeMs) return cached;
+
+    const records = new Map();
+    if (mtimeMs) {
+      const stored = JSON.parse(await fs.readFile(file, 'utf8'));
+      for (const [id, record] of Object.entries(stored.records || {})) {
+        records.set(id, toRecord(id, decodeVector(record.values), record.metadata));
+      }
+    }
+    const loaded = { records, mtimeMs };
+    this.namespaces.set(namespace, loaded);
+    return loaded;
+  }
+
+  async save(namespace, loaded) {
+    const file = this.namespaceFile(namespace);
+    const records = {};
+    for (const [id, record] of loaded.records) {
+      records[id] = { values: encodeVector(record.values), metadata: record.metadata };
+    }
+    await fs.mkdir(this.indexDir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ namespace, records }));
+    await fs.rename(tmp, file);
+    loaded.mtimeMs = (await fs.stat(file)).mtimeMs;
+  }
+
+  // Serialize read-modify-write per namespace so concurrent upserts never drop records
+  mutate(namespace, change) {
+    const previous = this.writes.get(namespace) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const loaded = await this.load(namespace);
+      change(loaded.records);
+      await this.save(namespace, loaded);
+    });
+    this.writes.set(namespace, next);
+    return next;
+  }
+
+  async upsert(namespace, records) {
+    if (!records.length) return;
+    for (const record of records) {
+      if (this.dimension && record.values.length !== this.dimension) {
+        throw new Error(`Vector dimension ${record.values.length} does not match index ${this.indexName} (${this.dimension})`);
+      }
+    }
+    await this.mutate(namespace, (stored) => {
+      for (const record of records) {
+        stored.set(record.id, toRecord(record.id, Float32Array.from(record.values), record.metadata));
+      }
+    });
+  }
+
+  async query(namespace, { vector, topK = 10, filter, includeMetadata = true, includeValues = false }) {
+    const { records } = await this.load(namespace);
+    const queryNorm = norm(vector);
+    const matches = [];
+    for (const record of records.values()) {
+      if (filter && !matchesFilter(record.metadata, filter)) continue;
+      matches.push({ record, score: cosine(vector, queryNorm, record) });
+    }
+    matches.sort((a, b) => b.score - a.score);
+    return {
+      matches: matches.slice(0, topK).map(({ record, score }) => ({
+        id: record.id,
+        score,
+        ...(includeValues ? { values: Array.from(record.values) } : {}),
+        ...(includeMetadata ? { metadata: record.metadata } : {})
+      }))
+    };
+  }
+
+  async fetch(namespace, ids) {
+    const { records } = await this.load(namespace);
+    const found = {};
+    for (const id of ids) {
+      const record = records.get(id);
+      if (record) found[id] = { id, values: Array.from(record.values), metadata: record.metadata };
+    }
+    return { records: found };
+  }
+
+  async deleteMany(namespace, ids) {
+    if (!ids.length) return;
+    await this.mutate(namespace, (stored) => ids.forEach((id) => stored.delete(id)));
+  }
+}
+
+// Vectors from a different embedding model than the index was built with are meaningless to compare
+function checkDimension(indexName, indexDimension, dimension) {
+  if (indexDimension && dimension && indexDimension !== dimension) {
+    throw new Error(`Index ${indexName} has dimension ${indexDimension} but the embedding model produces ${dimension}; re-create the index or use the model it was built with`);
+  }
+}
+
+function toRecord(id, values, metadata = {}) {
+  return { id, values, norm: norm(values), metadata: metadata || {} };
+}
+
+function encodeVector(values) {
+  return Buffer.from(values.buffer, values.byteOffset, values.byteLength).toString('base64');
+}
+
+function decodeVector(encoded) {
+  const buf = Buffer.from(encoded, 'base64');
+  return new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+}
+
+function norm(values) {
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) sum += values[i] * values[i];
+  return Math.sqrt(sum);
+}
+
+function cosine(vector, vectorNorm, record) {
+  if (!vectorNorm || !record.norm || vector.length !== record.values.length) return 0;
+  let dot = 0;
+  for (let i = 0; i < vector.length; i++) dot += vector[i] * record.values[i];
+  return dot / (vectorNorm * record.norm);
+}
+
+// Pinecone filter semantics: list-valued metadata matches $eq/$in when any element does
+function matchesCondition(value, condition) {
+  const isOperator = condition && typeof condition === 'object' && !Array.isArray(condition);
+  const ops = isOperator ? condition : { $eq: condition };
+  const values = Array.isArray(value) ? value : [value];
+  return Object.entries(ops).every(([op, operand]) => {
+    switch (op) {
+      case '$eq': return values.includes(operand);
+      case '$ne': return !values.includes(operand);
+      case '$in': return values.some((v) => operand.includes(v));
+      case '$nin': return !values.some((v) => operand.includes(v));
+      case '$gt': return typeof value === 'number' && value > operand;
+      case '$gte': return typeof value === 'number' && value >= operand;
+      case '$lt': return typeof value === 'number' && value < operand;
+      case '$lte': return typeof value === 'number' && value <= operand;
+      case '$exists': return (value !== undefined) === Boolean(operand);
+      default: throw new Error(`Unsupported vector filter operator: ${op}`);
+    }
+  });
+}
+
+function matchesFilter(metadata, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every((sub) => matchesFilter(metadata, sub));
+    if (key === '$or') return condition.some((sub) => matchesFilter(metadata, sub));
+    return matchesCondition(metadata[key], condition);
+  });
+}
+
+// Local stores are shared per index so every caller sees the same cache and write chain
+const localStores = new Map();
+
+/**
+ * Vector store for an index on the configured backend
+ * @param {string} indexName
+ * @returns {PineconeVectorStore|LocalVectorStore}
+ */
+function createVectorStore(indexName) {
+  if (vectorStoreBackend() === 'pinecone') return new PineconeVectorStore(indexName);
+  if (!localStores.has(indexName)) localStores.set(indexName, new LocalVectorStore(indexName));
+  return localStores.get(indexName);
+}
+
+module.exports = {
+  PineconeVectorStore,
+  LocalVectorStore,
+  createVectorStore,
+  vectorStoreBackend,
+  isVectorStoreConfigured,
+  matchesFilter,
+};
@@ -2,10 +2,17 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 dotenv.config();
-const { nodeEnv, port, corsOrigins } = require('./utils/config');
+const { nodeEnv, port, corsOrigins, enableDebugTraces } = require('./utils/config');
 
 const chatRoutes = require('./routes/chatRoutes');
 const dynamicLessonsRoutes = require('./routes/dynamicLessons');
+const adminRoutes = require('./routes/adminRoutes');
+const { runWithUsageContext } = require('./controllers/usageLedger');
+const { jobQueue } = require('./controllers/jobQueue');
+const { embeddingService } = require('./controllers/embeddingService');
+const { isVectorStoreConfigured } = require('./controllers/vectorStore');
+const { abortSignalFor, runWithAbortSignal } = require('./utils/requestAbort');
+const { createTrace, runWithTrace } = require('./utils/tracing');
 
 
 const app = express();
@@ -35,6 +42,25 @@ app.use((err, req, res, next) => {
     next(err);
 });
 
+// Attribute LLM usage to the calling user for the lifetime of the request
+app.use((req, res, next) => {
+    const userId = req.headers['x-user-id'] || req.body?.userId || req.body?.user?.id || 'anonymous';
+    runWithUsageContext({ userId: String(userId) }, next);
+});
+
+// Cancel in-flight AI work when the client disconnects before the response is sent
+app.use((req, res, next) => {
+    req.abortSignal = abortSignalFor(res);
+    runWithAbortSignal(req.abortSignal, next);
+});
+
+// Collect a span timeline for requests that ask for one (returned under debug.trace)
+app.use((req, res, next) => {
+    if (!enableDebugTraces || !req.get('x-spacey-debug')) return next();
+    req.trace = createTrace(`${req.method} ${req.path}`);
+    runWithTrace(req.trace, next);
+});
+
 // Add some debug logging
 app.use((req, res, next) => {
     console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
@@ -53,6 +79,7 @@ app.get('/api/status', (req, res) => res.status(200).json({ ok: true, env: nodeE
 // Routes
 app.use('/api/chat', chatRoutes);
 app.use('/api/dynamic-lessons', dynamicLessonsRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -85,4 +112,10 @@ app.listen(port, () => {
     console.log(`🚀 Spacey Tutor server running on port ${port}`);
     console.log(`📡 Chat API available at http://localhost:${port}/api/chat`);
     console.log(`🎯 Dynamic Lessons API available at http://localhost:${port}/api/dynamic-lessons`);
+    // Background work queued before a restart resumes here
+    jobQueue.start().catch((error) => console.error('❌ Job queue failed to start:', error));
+    // Load embedding models now so the first chat does not wait on them
+    if (isVectorStoreConfigured() && process.env.EMBEDDING_WARMUP !== 'false') {
+        embeddingService.warmUp().catch((error) => console.warn('⚠️ Embedding warm-up failed:', error.message));
+    }
 });
\ No newline at end of file
@@ -0,0 +1,174 @@
+// JSON Schemas for structured LLM output (see aiProviderManager.generateStructured).
+// They pin down the fields downstream code reads; everything else in the prompt
+// templates is free-form and allowed through.
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+const tutoringMethodologySchema = {
+  type: 'object',
+  required: ['primary_methodology'],
+  properties: {
+    primary_methodology: {
+      type: 'object',
+      required: ['approach', 'reasoning'],
+      properties: {
+        approach: {
+          type: 'string',
+          enum: ['socratic', 'guided_discovery', 'direct_instruction', 'problem_based', 'inquiry_based', 'scaffolded', 'constructivist']
+        },
+        reasoning: { type: 'string', minLength: 1 },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        customizations: stringArray
+      }
+    },
+    secondary_approaches: { type: 'array', items: { type: 'object' } },
+    pedagogy_principles: { type: 'object' },
+    socratic_strategy: { type: 'object' },
+    adaptive_elements: { type: 'object' }
+  }
+};
+
+const interactionAnalysisSchema = {
+  type: 'object',
+  required: ['understanding_indicators', 'knowledge_state', 'engagement_assessment', 'learning_readiness'],
+  properties: {
+    understanding_indicators: {
+      type: 'object',
+      required: ['comprehension_level'],
+      properties: {
+        comprehension_level: { type: 'string', enum: ['none', 'partial', 'good', 'excellent'] }
+      }
+    },
+    cognitive_assessment: { type: 'object' },
+    knowledge_state: {
+      type: 'object',
+      properties: {
+        concepts_demonstrated: stringArray,
+        skills_shown: stringArray,
+        gaps_revealed: stringArray,
+        misconceptions_detected: stringArray
+      }
+    },
+    engagement_assessment: {
+      type: 'object',
+      properties: {
+        motivation_level: { type: 'string', enum: ['low', 'moderate', 'high'] },
+        frustration_level: { type: 'string', enum: ['none', 'mild', 'moderate', 'high'] }
+      }
+    },
+    learning_readiness: {
+      type: 'object',
+      properties: {
+        ready_for_next_concept: { type: 'boolean' },
+        needs_more_practice: { type: 'boolean' },
+        requires_remediation: { type: 'boolean' },
+        can_handle_challenge: { type: 'boolean' },
+        optimal_next_step: { type: 'string', enum: ['continue', 'practice', 'review', 'advance', 'redirect'] }
+      }
+    }
+  }
+};
+
+const conceptSchema = {
+  type: 'object',
+  required: ['concept_id', 'name', 'prerequisites'],
+  properties: {
+    concept_id: { type: 'string', minLength: 1 },
+    name: { type: 'string' },
+    prerequisites: stringArray,
+    enables: stringArray,
+    difficulty_level: { type: 'string', enum: ['beginner', 'intermediate', 'advanced'] }
+  }
+};
+
+const conceptDependencyMapSchema = {
+  type: 'object',
+  required: ['concept_hierarchy', 'learning_pathways'],
+  properties: {
+    domain: { type: 'string' },
+    concept_hierarchy: {
+      type: 'object',
+      required: ['foundational_concepts'],
+      properties: {
+        foundational_concepts: { type: 'array', minItems: 1, items: conceptSchema },
+        intermediate_concepts: { type: 'array', items: conceptSchema },
+        advanced_concepts: { type: 'array', items: conceptSchema }
+      }
+    },
+    learning_pathways: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['pathway_id', 'sequence'],
+        properties: {
+          pathway_id: { type: 'string' },
+          name: { type: 'string' },
+          sequence: stringArray
+        }
+      }
+    },
+    prerequisite_matrix: { type: 'object', additionalProperties: stringArray },
+    mastery_criteria: { type: 'object' }
+  }
+};
+
+// Lists are wrapped in an object: OpenAI-style JSON mode only returns top-level objects
+const lessonPlanSchema = {
+  type: 'object',
+  required: ['steps'],
+  properties: {
+    steps: {
+      type: 'array',
+      minItems: 3,
+      items: {
+        type: 'object',
+        required: ['id', 'type', 'title', 'objective'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          type: { type: 'string', enum: ['narration', 'quiz', 'image', 'reflection', 'choice'] },
+          title: { type: 'string' },
+          objective: { type: 'string' },
+          estimated_minutes: { type: 'number', minimum: 1, maximum: 10 },
+          options: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['text', 'next'],
+              properties: { text: { type: 'string' }, next: { type: 'string' } }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const miniQuizSchema = {
+  type: 'object',
+  required: ['questions'],
+  properties: {
+    questions: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 5,
+      items: {
+        type: 'object',
+        required: ['question', 'options', 'answerIndex'],
+        properties: {
+          question: { type: 'string', minLength: 1 },
+          options: { type: 'array', minItems: 2, maxItems: 4, items: { type: 'string' } },
+          answerIndex: { type: 'integer', minimum: 0, maximum: 3 },
+          explanation: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  tutoringMethodologySchema,
+  interactionAnalysisSchema,
+  conceptDependencyMapSchema,
+  lessonPlanSchema,
+  miniQuizSchema,
+};
@@ -2,64 +2,37 @@ import 'dotenv/config';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { Pinecone } from '@pinecone-database/pinecone';
-import { PineconeStore } from '@langchain/pinecone';
 import { GoogleGenAI } from '@google/genai';
-// Using Xenova transformers directly to avoid local ONNX parse issues seen with the new HF wrapper
 import { PromptTemplate } from '@langchain/core/prompts';
+import citationUtils from '../utils/citations.js';
+import vectorStoreModule from '../controllers/vectorStore.js';
+import hybridRetrieverModule from '../controllers/hybridRetriever.js';
+import embeddingServiceModule from '../controllers/embeddingService.js';
+
+const { CITATION_RULES, toSource, formatSources, extractCitations } = citationUtils;
+const { createVectorStore, isVectorStoreConfigured } = vectorStoreModule;
+const { hybridRetriever } = hybridRetrieverModule;
+const { embeddingService } = embeddingServiceModule;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Minimal Embeddings adapter backed by @xenova/transformers
-class XenovaEmbeddings {
-  constructor(modelName) {
-    this.modelName = modelName || 'Xenova/bge-large-en-v1.5';
-    this._pipelinePromise = null;
-  }
-  async _getPipeline() {
-    if (!this._pipelinePromise) {
-      const { pipeline } = await import('@xenova/transformers');
-      this._pipelinePromise = pipeline('feature-extraction', this.modelName);
-    }
-    return this._pipelinePromise;
-  }
-  async embedQuery(text) {
-    const pipe = await this._getPipeline();
-    const output = await pipe(text, { pooling: 'mean', normalize: true });
-    return Array.from(output.data);
-  }
-  async embedDocuments(texts) {
-    const pipe = await this._getPipeline();
-    const vectors = [];
-    for (const t of texts) {
-      const output = await pipe(t, { pooling: 'mean', normalize: true });
-      vectors.push(Array.from(output.data));
-    }
-    return vectors;
-  }
-}
-
-// Build Pinecone retriever - local embeddings only (per your environment)
-function getEmbeddings() {
-  return new XenovaEmbeddings(process.env.RAG_EMBED_MODEL || 'Xenova/bge-large-en-v1.5');
-}
-
+// Chunk text lives in metadata.text, the key the ingest script writes (and PineconeStore used)
 async function createRetriever() {
   const indexName = process.env.RAG_INDEX_NAME || process.env.PINECONE_INDEX_NAME || 'lessons-v1';
-  const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-  const index = pinecone.index(indexName);
-  const embeddings = getEmbeddings();
+  const namespace = process.env.RAG_NAMESPACE || 'lessons';
+  const store = createVectorStore(indexName);
 
-  const vectorStore = await PineconeStore.fromExistingIndex(embeddings, {
-    pineconeIndex: index,
-    textKey: 'text',
-    namespace: process.env.RAG_NAMESPACE || 'lessons',
-  });
+  console.log(`🧭 RAG retriever ready → ${store.backend} index: ${indexName}, namespace: ${namespace}`);
 
-  console.log(`🧭 RAG retriever ready → index: ${indexName}, namespace: ${process.env.RAG_NAMESPACE || 'lessons'}`);
-
-  return vectorStore;
+  // Vector half of the hybrid retrieval: scored lesson sources
+  return {
+    async search(query, k, filter) {
+      const vector = await embeddingService.embed(query, { model: process.env.RAG_EMBED_MODEL });
+      const { matches } = await store.query(namespace, { vector, topK: k, filter, includeMetadata: true });
+      return matches.map(({ metadata = {}, score }, i) => ({ ...toSource(metadata, metadata.text || '', i + 1), score }));
+    }
+  };
 }
 
 function buildSystemPrompt() {
@@ -75,7 +48,7 @@ USER PROFILE:
 CONVERSATION SUMMARY:
 {conversationSummary}
 
-RETRIEVED CONTEXT:
+RETRIEVED CONTEXT (numbered lesson sources):
 {context}
 
 USER FACTS (long-term memory):
@@ -86,31 +59,23 @@ SEMANTIC CONVERSATION MEMORY:
 
 Guidelines:
 - Ground your answer in the retrieved context when relevant.
+- {citationRules}
 - Keep 2–5 sentences unless the question needs more depth.
 - Avoid template-like openers; continue naturally without greetings if there is prior context.
 - If unsure, ask a concise clarifying question.
 `);
 }
 
-function formatDocs(docs) {
-  if (!docs || docs.length === 0) return { context: 'No relevant context found.', citations: [] };
-  const lines = [];
-  const citations = [];
-  for (const d of docs) {
-    const meta = d.metadata || {};
-    const lessonId = meta.lessonId || meta.mission_id || 'unknown';
-    const blockId = meta.blockId || meta.block_id || 'unknown';
-    const type = meta.type || 'unknown';
-    const snippet = (d.pageContent || d.text || '').slice(0, 600);
-    lines.push(`[${lessonId}#${blockId} | ${type}] ${snippet}`);
-    citations.push({ lessonId, blockId, type, snippet: snippet.slice(0, 200) });
-  }
-  return { context: lines.join('\n---\n'), citations };
+// Retrieved sources as a numbered prompt block (see utils/citations.js), chunk text capped
+function formatRetrieved(sources) {
+  if (!sources || sources.length === 0) return { context: 'No relevant context found.', sources: [] };
+  const capped = sources.map((s) => ({ ...s, text: s.text.slice(0, 600) }));
+  return { context: formatSources(capped), sources: capped };
 }
 
 export async function createRagChatChain() {
-  if (!process.env.PINECONE_API_KEY) {
-    throw new Error('RAG requires PINECONE_API_KEY');
+  if (!isVectorStoreConfigured()) {
+    throw new Error('RAG requires PINECONE_API_KEY or VECTOR_STORE=local');
   }
   if (!process.env.GEMINI_API_KEY) {
     throw new Error('RAG generation requires GEMINI_API_KEY');
@@ -126,37 +91,40 @@ export async function createRagChatChain() {
     // 1) Condense question (simple heuristic using summary)
     const question = input;
 
-    // 2) Retrieve relevant docs with optional metadata filters (robust two-pass)
+    // 2) Retrieve relevant lesson chunks: keyword + vector hybrid within the current lesson
     const k = Number(process.env.RAG_TOP_K || 6);
-    let retrievedDocs = [];
-    let vectorFilter = {};
+    let retrieval = { sources: [], diagnostics: null };
+    let vectorFilter = null;
     if (filters && filters.lessonId) {
-      vectorFilter.lessonId = filters.lessonId;
       // Backward-compat: some ingests might store mission_id instead
-      vectorFilter.mission_id = filters.lessonId;
+      vectorFilter = { $or: [{ lessonId: filters.lessonId }, { mission_id: filters.lessonId }] };
     }
 
-    if (Object.keys(vectorFilter).length > 0) {
+    if (vectorFilter) {
       try {
-        console.log('🔎 RAG similaritySearch with filter:', vectorFilter);
-        retrievedDocs = await retrieverStore.similaritySearch(question, k, vectorFilter);
+        console.log('🔎 RAG hybrid search in lesson:', filters.lessonId);
+        retrieval = await hybridRetriever.retrieve(question, {
+          topK: k,
+          lessonId: filters.lessonId,
+          vectorSearch: (query, limit) => retrieverStore.search(query, limit, vectorFilter)
+        });
       } catch (e) {
         console.log('⚠️ RAG filtered search errored, skipping unfiltered fallback for now:', e.message);
       }
     }
 
-    console.log(`🔎 RAG retrieved ${retrievedDocs.length} docs for: "${question}"`);
-    if (retrievedDocs && retrievedDocs[0]) {
-      console.log('📄 Top doc metadata:', retrievedDocs[0].metadata);
+    console.log(`🔎 RAG retrieved ${retrieval.sources.length} chunks for: "${question}"`);
+    if (retrieval.diagnostics?.results?.[0]) {
+      console.log('📄 Top chunk:', retrieval.diagnostics.results[0].reason);
     }
 
     // 3) If nothing retrieved, skip generation so caller can fall back
-    if (!retrievedDocs || retrievedDocs.length === 0) {
-      return { output: '', citations: [], retrievedCount: 0, skippedGeneration: true };
+    if (retrieval.sources.length === 0) {
+      return { output: '', citations: [], retrievedCount: 0, skippedGeneration: true, retrieval: retrieval.diagnostics };
     }
 
     // 4) Build prompt and generate answer
-    const { context, citations } = formatDocs(retrievedDocs);
+    const { context, sources } = formatRetrieved(retrieval.sources);
 
     const prompt = await systemPrompt.format({
       userName: userProfile?.name || 'Explorer',
@@ -166,7 +134,8 @@ export async function createRagChatChain() {
       conversationSummary: conversationSummary || 'New user - no previous interactions.',
       context,
       userFacts: longTermFacts || 'No long-term user facts available.',
-      semanticMemory
+      semanticMemory,
+      citationRules: CITATION_RULES
     });
 
     const fullPrompt = `${prompt}\n\nUSER QUESTION: ${question}`;
@@ -181,7 +150,8 @@ export async function createRagChatChain() {
       console.warn('Gemini generation failed in RAG chain:', e.message);
       output = '';
     }
-    return { output, citations, retrievedCount: retrievedDocs.length };
+    // Only the sources the answer cites are returned for the chat UI
+    return { output, citations: extractCitations(output, sources), retrievedCount: sources.length, retrieval: retrieval.diagnostics };
   }
 
   return { invoke };
@@ -0,0 +1,238 @@
+const express = require('express');
+const { usageLedger } = require('../controllers/usageLedger');
+const { contentCache } = require('../controllers/contentCache');
+const { jobQueue } = require('../controllers/jobQueue');
+const { contentSafety, CATEGORY_ORDER } = require('../controllers/contentSafety');
+const { hybridRetriever } = require('../controllers/hybridRetriever');
+const { embeddingService } = require('../controllers/embeddingService');
+const { documentIngestor } = require('../controllers/documentIngestor');
+const { nodeEnv, adminApiKey } = require('../utils/config');
+
+const router = express.Router();
+
+/**
+ * Admin Routes
+ * Operational endpoints for staff. Requires the `x-admin-key` header to match
+ * ADMIN_API_KEY; without a configured key they are only served in development.
+ */
+router.use((req, res, next) => {
+  if (adminApiKey) {
+    if (req.headers['x-admin-key'] === adminApiKey) return next();
+    return res.status(401).json({ error: 'Admin key required' });
+  }
+  if (nodeEnv === 'development') return next();
+  return res.status(403).json({ error: 'Admin API disabled (set ADMIN_API_KEY)' });
+});
+
+/**
+ * @route GET /api/admin/usage
+ * @desc LLM usage report (calls, estimated tokens and cost) by user, request type and provider
+ * @query from, to - YYYY-MM-DD range (defaults to today); userId - restrict to one user
+ * @access Admin
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const { from, to, userId } = req.query;
+    const report = await usageLedger.getReport({ from, to, userId });
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    console.error('❌ Error building usage report:', error);
+    res.status(500).json({ error: 'Failed to build usage report', details: error.message });
+  }
+});
+
+/**
+ * @route GET /api/admin/usage/budgets/:userId
+ * @desc Today's usage against the user's daily token budget
+ * @access Admin
+ */
+router.get('/usage/budgets/:userId', (req, res) => {
+  res.status(200).json({ success: true, budget: usageLedger.getBudgetStatus(req.params.userId) });
+});
+
+/**
+ * @route PUT /api/admin/usage/budgets/:userId
+ * @desc Set a user's daily token budget ({ dailyTokens: number }, null restores the default)
+ * @access Admin
+ */
+router.put('/usage/budgets/:userId', async (req, res) => {
+  try {
+    const { dailyTokens } = req.body || {};
+    if (dailyTokens !== null && dailyTokens !== undefined && !(Number(dailyTokens) >= 0)) {
+      return res.status(400).json({ error: 'dailyTokens must be a non-negative number or null' });
+    }
+    const budget = await usageLedger.setDailyBudget(req.params.userId, dailyTokens);
+    res.status(200).json({ success: true, budget });
+  } catch (error) {
+    console.error('❌ Error updating usage budget:', error);
+    res.status(500).json({ error: 'Failed to update usage budget', details: error.message });
+  }
+});
+
+/**
+ * @route GET /api/admin/cache
+ * @desc Shared content cache statistics (hits, misses, TTL per task) and embedding cache statistics
+ * @access Admin
+ */
+router.get('/cache', (req, res) => {
+  res.status(200).json({ success: true, cache: contentCache.getStats(), embeddings: embeddingService.getStats() });
+});
+
+/**
+ * @route DELETE /api/admin/cache
+ * @desc Clear cached content, optionally for one task (?task=lesson.block)
+ * @access Admin
+ */
+router.delete('/cache', async (req, res) => {
+  try {
+    const removed = await contentCache.clear(req.query.task || null);
+    res.status(200).json({ success: true, removed });
+  } catch (error) {
+    console.error('❌ Error clearing content cache:', error);
+    res.status(500).json({ error: 'Failed to clear content cache', details: error.message });
+  }
+});
+
+/**
+ * @route GET /api/admin/jobs
+ * @desc Background job queue: pending (incl. running) and failed (dead-lettered) jobs with queue stats
+ * @query status - pending | failed (default both); type - one job type (e.g. memory.upsertTurn)
+ * @access Admin
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    if (status && !['pending', 'failed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be pending or failed' });
+    }
+    const jobs = await jobQueue.listJobs({ status, type });
+    res.status(200).json({ success: true, stats: jobQueue.getStats(), ...jobs });
+  } catch (error) {
+    console.error('❌ Error listing jobs:', error);
+    res.status(500).json({ error: 'Failed to list jobs', details: error.message });
+  }
+});
+
+/**
+ * @route POST /api/admin/jobs/:jobId/retry
+ * @desc Requeue a dead-lettered job with fresh attempts
+ * @access Admin
+ */
+router.post('/jobs/:jobId/retry', async (req, res) => {
+  try {
+    const job = await jobQueue.retryJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Failed job not found' });
+    }
+    res.status(200).json({ success: true, job });
+  } catch (error) {
+    console.error('❌ Error retrying job:', error);
+    res.status(500).json({ error: 'Failed to retry job', details: error.message });
+  }
+});
+
+/**
+ * @route GET /api/admin/moderation
+ * @desc Turns flagged by the child-safety filter, newest first, for teacher review
+ * @query from, to - YYYY-MM-DD range (defaults to today); userId; category - self_harm | violence | sexual | personal_info; limit (default 200)
+ * @access Admin
+ */
+router.get('/moderation', async (req, res) => {
+  try {
+    const { from, to, userId, category, limit } = req.query;
+    if (category && !CATEGORY_ORDER.includes(category)) {
+      return res.status(400).json({ error: `category must be one of ${CATEGORY_ORDER.join(', ')}` });
+    }
+    const events = await contentSafety.getEvents({ from, to, userId, category, limit: Number(limit) || 200 });
+    res.status(200).json({ success: true, count: events.length, events });
+  } catch (error) {
+    console.error('❌ Error listing moderation events:', error);
+    res.status(500).json({ error: 'Failed to list moderation events', details: error.message });
+  }
+});
+
+/**
+ * @route GET /api/admin/retrieval
+ * @desc Run a lesson retrieval and explain it: keyword terms matched, vector rank, fused and reranked order per chunk
+ * @query q - query text (required); topK (default 3); lessonId - restrict to one lesson; rerank - true | false (defaults to RAG_RERANK)
+ * @access Admin
+ */
+router.get('/retrieval', async (req, res) => {
+  try {
+    const { q, topK, lessonId, rerank } = req.query;
+    if (!q) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+    const options = { topK: Number(topK) || 3, lessonId: lessonId || null };
+    if (rerank !== undefined) options.rerank = rerank === 'true';
+    const { sources, diagnostics } = await hybridRetriever.retrieve(String(q), options);
+    res.status(200).json({ success: true, sources, diagnostics });
+  } catch (error) {
+    console.error('❌ Error running retrieval diagnostics:', error);
+    res.status(500).json({ error: 'Failed to run retrieval', details: error.message });
+  }
+});
+
+/**
+ * @route GET /api/admin/documents
+ * @desc Teacher documents in the RAG corpus with their grade, topic and chunk counts
+ * @access Admin
+ */
+router.get('/documents', async (req, res) => {
+  try {
+    const documents = await documentIngestor.listSources();
+    res.status(200).json({ success: true, count: documents.length, documents });
+  } catch (error) {
+    console.error('❌ Error listing documents:', error);
+    res.status(500).json({ error: 'Failed to list documents', details: error.message });
+  }
+});
+
+/**
+ * @route POST /api/admin/documents
+ * @desc Ingest or re-ingest documents (markdown, text, html, or pdf as extracted text) and report chunk counts per document; unchanged ones are skipped.
+ *       Body: { documents: [{ sourceId, filename, content, format, title, grade, topic }], force } or a single document
+ * @access Admin
+ */
+router.post('/documents', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const documents = Array.isArray(body.documents) ? body.documents : [body];
+    if (documents.length === 0 || documents.some((d) => !d || typeof d.content !== 'string')) {
+      return res.status(400).json({ error: 'Each document needs content (string) and a sourceId or filename' });
+    }
+    const reports = [];
+    for (const document of documents) {
+      try {
+        reports.push(await documentIngestor.ingest(document, { force: body.force === true }));
+      } catch (error) {
+        reports.push({ sourceId: document.sourceId || document.filename || null, status: 'failed', error: error.message });
+      }
+    }
+    const failed = reports.filter((r) => r.status === 'failed').length;
+    res.status(failed === reports.length ? 400 : 200).json({ success: failed === 0, failed, reports });
+  } catch (error) {
+    console.error('❌ Error ingesting documents:', error);
+    res.status(500).json({ error: 'Failed to ingest documents', details: error.message });
+  }
+});
+
+/**
+ * @route DELETE /api/admin/documents/:sourceId
+ * @desc Remove a document and the chunks no other document shares (URL-encode "/" in source ids)
+ * @access Admin
+ */
+router.delete('/documents/:sourceId', async (req, res) => {
+  try {
+    const result = await documentIngestor.deleteSource(req.params.sourceId);
+    if (!result) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Error deleting document:', error);
+    res.status(500).json({ error: 'Failed to delete document', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
-const { chatWithAI, getUserTraits, getContextSummary, saveChoice, getUserTraitCounts, getMissionHistory, saveFinalSummary, canUnlock } = require('../controllers/spaceyController');
+const { chatWithAI, streamChatWithAI, getUserTraits, getContextSummary, saveChoice, getUserTraitCounts, getMissionHistory, saveFinalSummary, canUnlock } = require('../controllers/spaceyController');
 const { handleLessonInteraction } = require('../controllers/lessonController');
+const { createThread, listThreads, getThread, archiveThread } = require('../controllers/threadController');
+const { listMemory, updateMemoryItem, forgetMemoryItem } = require('../controllers/memoryController');
 const { aiOrchestrator } = require('../controllers/aiOrchestrator');
 const { enableOrchestratorTest } = require('../utils/config');
 
@@ -9,6 +11,9 @@ const router = express.Router();
 // POST route for chat functionality (handles all chat types)
 router.post('/spacey', chatWithAI);
 
+// POST route for streaming chat replies as Server-Sent Events
+router.post('/spacey/stream', streamChatWithAI);
+
 // GET route to provide helpful info when someone visits the API URL directly
 router.get('/spacey', (req, res) => {
   res.json({
@@ -21,13 +26,27 @@ router.get('/spacey', (req, res) => {
         prompt: "Your message here (required for chat)",
         user: { id: "user-id", email: "user@example.com" },
         type: "unified_chat (default) | avatar_response | personalized_compliment",
-        trigger: "(required for avatar_response)"
+        trigger: "(required for avatar_response)",
+        threadId: "(optional) conversation thread to continue; a new one is started otherwise"
       }
     },
     status: "Server is running and ready for chat requests!"
   });
 });
 
+// Conversation threads (chat history kept on the server; continue one by sending its
+// threadId to /spacey)
+router.post('/threads', createThread);
+router.get('/threads', listThreads);
+router.get('/threads/:threadId', getThread);
+router.post('/threads/:threadId/archive', archiveThread);
+
+// What Spacey remembers about the requesting user (profile + vector stores); students
+// correct an item with { value } or remove it
+router.get('/memory', listMemory);
+router.patch('/memory/:itemId', updateMemoryItem);
+router.delete('/memory/:itemId', forgetMemoryItem);
+
 // Health check endpoint
 router.get('/status', (req, res) => {
   res.json({
@@ -14,12 +14,20 @@ const {
 } = require('../controllers/dynamicLessonController');
 const { userAssessmentTracker } = require('../controllers/userAssessmentTracker');
 const { intelligentCurriculumSequencer } = require('../controllers/intelligentCurriculumSequencer');
+const { aiProviderManager } = require('../controllers/aiProviders');
+const { getUsageContext } = require('../controllers/usageLedger');
 
 /**
  * Dynamic Lesson Generation Routes
  * Provides endpoints for AI-powered, personalized lesson generation and adaptive tutoring
  */
 
+// Charge LLM usage on /:userId routes to that user (the request-level usage context is shared)
+router.param('userId', (req, res, next, userId) => {
+  Object.assign(getUsageContext(), { userId });
+  next();
+});
+
 /**
  * @route POST /api/dynamic-lessons/generate
  * @desc Generate a completely new dynamic lesson based on user preferences
@@ -298,6 +306,30 @@ router.get('/status', (req, res) => {
   });
 });
 
+/**
+ * @route GET /api/dynamic-lessons/status/providers
+ * @desc Get AI provider health: circuit breaker state, error rate and latency percentiles
+ * @access Public
+ */
+router.get('/status/providers', (req, res) => {
+  const health = aiProviderManager.getProviderHealth();
+  const states = Object.values(health.providers).map((p) => p.state);
+
+  let system_status = 'operational';
+  if (states.length === 0 || states.every((state) => state === 'open')) {
+    system_status = 'unavailable';
+  } else if (states.some((state) => state !== 'closed')) {
+    system_status = 'degraded';
+  }
+
+  res.status(200).json({
+    success: true,
+    system_status,
+    ...health,
+    last_updated: new Date().toISOString()
+  });
+});
+
 /**
  * @route POST /api/dynamic-lessons/demo
  * @desc Demo endpoint to test the complete system
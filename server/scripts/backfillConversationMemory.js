@@ -1,42 +1,37 @@
 require('dotenv').config();
-const fs = require('fs').promises;
 const path = require('path');
-const { conversationMemory } = require('../controllers/conversationMemory');
-
-async function readUserConversationFiles(dir) {
-  try {
-    const files = await fs.readdir(dir);
-    return files.filter(f => f.endsWith('.json')).map(f => path.join(dir, f));
-  } catch (e) {
-    if (e.code === 'ENOENT') return [];
-    throw e;
-  }
-}
+const { conversationMemory, storeTurn } = require('../controllers/conversationMemory');
+const { createMemoryStorage } = require('../controllers/memoryStorage');
 
 async function backfill() {
-  const convDir = path.resolve(__dirname, '..', 'data', 'memory', 'conversations');
-  console.log('📂 Backfilling conversation memory from', convDir);
+  // Stored interactions on the configured backend (MEMORY_STORE)
+  const storage = createMemoryStorage(path.resolve(__dirname, '..', 'data', 'memory'));
+  console.log(`📂 Backfilling conversation memory from ${storage.backend} memory storage at`, storage.dataDir);
   await conversationMemory.initialize();
 
-  const files = await readUserConversationFiles(convDir);
-  if (files.length === 0) {
-    console.log('No conversation files found. Nothing to backfill.');
+  const userIds = await storage.listUserIds();
+  if (userIds.length === 0) {
+    console.log('No stored conversations found. Nothing to backfill.');
     return;
   }
 
   let total = 0;
-  for (const file of files) {
-    const userId = path.basename(file, '.json');
+  for (const userId of userIds) {
     try {
-      const raw = await fs.readFile(file, 'utf8');
-      const interactions = JSON.parse(raw);
+      const interactions = await storage.loadInteractions(userId);
+      if (interactions.length === 0) continue;
       console.log(`👤 ${userId}: ${interactions.length} interactions`);
       for (const i of interactions) {
-        await conversationMemory.upsertTurn(userId, i.userMessage || '', i.aiResponse || '', { sessionId: i.metadata?.sessionId });
-        total += 1;
+        // Write directly rather than through the job queue, which only runs inside the server
+        try {
+          await storeTurn(userId, i.userMessage || '', i.aiResponse || '', { sessionId: i.metadata?.sessionId, timestamp: i.timestamp });
+          total += 1;
+        } catch (e) {
+          console.warn(`Turn skipped for ${userId}:`, e.message);
+        }
       }
     } catch (e) {
-      console.warn(`Skipping ${file}:`, e.message);
+      console.warn(`Skipping ${userId}:`, e.message);
     }
   }
   console.log(`✅ Backfill complete. Upserted ${total} turns.`);
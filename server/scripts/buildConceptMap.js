@@ -1,7 +1,8 @@
 require('dotenv').config();
 const fs = require('fs').promises;
 const path = require('path');
-const { Pinecone } = require('@pinecone-database/pinecone');
+const { createVectorStore, vectorStoreBackend } = require('../controllers/vectorStore');
+const { embeddingService } = require('../controllers/embeddingService');
 
 // --- CONFIGURATION ---
 const LESSONS_DIR = path.resolve(__dirname, '../../client/public/lessons');
@@ -12,35 +13,17 @@ const PINECONE_INDEX_NAME = process.env.RAG_INDEX_NAME || 'lessons-v1';
 async function main() {
     console.log("🚀 Starting Master Concept Map Builder");
 
-    // 1. Initialize Pinecone
-    const pinecone = new Pinecone({
-        apiKey: process.env.PINECONE_API_KEY,        
-    });
-
-    // 2. Check if the index exists, create if not
-    const indexList = await pinecone.listIndexes();
-    if (!indexList.indexes?.some((index) => index.name === PINECONE_INDEX_NAME)) {
-        console.log(`🌲 Creating new Pinecone index: ${PINECONE_INDEX_NAME}`);
-        await pinecone.createIndex({
-            name: PINECONE_INDEX_NAME,
-            dimension: 1024, // Dimension for 'all-MiniLM-L6-v2' model
-            metric: 'cosine',
-            spec: {
-                serverless: {
-                    cloud: 'aws',
-                    region: 'us-east-1'
-                }
-            }
-        });
+    // 1. Pinecone or local vector index (VECTOR_STORE)
+    if (vectorStoreBackend() === 'pinecone' && !process.env.PINECONE_API_KEY) {
+        throw new Error('PINECONE_API_KEY is required (or set VECTOR_STORE=local)');
     }
-    const index = pinecone.index(PINECONE_INDEX_NAME);
+    const index = createVectorStore(PINECONE_INDEX_NAME);
 
-    // 3. Initialize the feature extraction pipeline
-    console.log("🤖 Loading feature extraction model...");
-    const { pipeline } = await import('@xenova/transformers');
-    const extractor = await pipeline('feature-extraction', 'Xenova/bge-large-en-v1.5');
+    // 2. Load the embedding model and check it against the index (created if needed)
+    console.log(`🤖 Loading embedding model ${embeddingService.defaultModel}...`);
+    await index.ensureIndex(await embeddingService.dimension());
 
-    // 4. Scan lesson files and extract concepts
+    // 3. Scan lesson files and extract concepts
     console.log(`📂 Scanning lessons in: ${LESSONS_DIR}`);
     const lessonFiles = await fs.readdir(LESSONS_DIR);
     const allConcepts = new Map();
@@ -60,24 +43,26 @@ async function main() {
         }
     }
 
-    // 5. Generate embeddings and prepare for upsert
-    console.log(`🧠 Found ${allConcepts.size} unique concepts. Generating embeddings...`);
-    const vectors = [];
-    for (const [conceptName, metadata] of allConcepts.entries()) {
-        const embedding = await extractor(conceptName, { pooling: 'mean', normalize: true });
-        vectors.push({
-            id: conceptName,
-            values: Array.from(embedding.data),
-            metadata: {
-                concept: conceptName,
-                ...metadata
-            }
-        });
+    // 4. Generate embeddings (cached concepts are reused) and prepare for upsert
+    if (allConcepts.size === 0) {
+        console.log("No concepts found. Nothing to upsert.");
+        return;
     }
+    console.log(`🧠 Found ${allConcepts.size} unique concepts. Generating embeddings...`);
+    const concepts = [...allConcepts.entries()];
+    const embeddings = await embeddingService.embedMany(concepts.map(([conceptName]) => conceptName));
+    const vectors = concepts.map(([conceptName, metadata], i) => ({
+        id: conceptName,
+        values: embeddings[i],
+        metadata: {
+            concept: conceptName,
+            ...metadata
+        }
+    }));
 
-    // 6. Upsert vectors to Pinecone
-    console.log(`🌲 Upserting ${vectors.length} concept vectors to Pinecone...`);
-    await index.upsert(vectors);
+    // 5. Upsert the concept vectors
+    console.log(`🌲 Upserting ${vectors.length} concept vectors to ${index.backend} index "${PINECONE_INDEX_NAME}"...`);
+    await index.upsert('', vectors);
 
     console.log("✅ Master Concept Map build complete!");
 }
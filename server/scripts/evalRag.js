@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+require('dotenv').config();
+// Answers are scored per variant (the prompt, topK or embedding model under test): --answers live asks the
+// configured providers and records the answers to server/fixtures/eval/v<set>/<variant>.json, keyed on
+// question id; --answers replay re-scores a recorded variant offline.
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { persistentMemory } = require('../controllers/persistentMemory');
+const { aiOrchestrator } = require('../controllers/aiOrchestrator');
+const { interactionRegistry } = require('../controllers/interactions');
+const { hybridRetriever } = require('../controllers/hybridRetriever');
+const { embeddingService } = require('../controllers/embeddingService');
+const { vectorStoreBackend, isVectorStoreConfigured } = require('../controllers/vectorStore');
+const { sourceKey, matchesExpected, scoreRetrieval, scoreRubric, summarize, compareReports, formatComparison } = require('../utils/evalMetrics');
+
+const DEFAULT_SET = path.join(__dirname, 'evalGoldenSet.v1.json');
+const REPORTS_DIR = path.join(__dirname, '..', 'data', 'eval');
+const ANSWERS_DIR = path.join(__dirname, '..', 'fixtures', 'eval');
+const ANSWER_MODES = ['live', 'replay'];
+const PROMPTS_FILE = path.join(__dirname, '..', 'prompts', 'index.js');
+
+const HELP = `Spacey RAG Evaluation
+
+Usage: node scripts/evalRag.js [options]
+
+Runs a golden question set through the lesson retriever and reports recall@k and
+MRR. With --answers it also scores answers against each question's rubric:
+  live    asks the chat handler on the configured providers and records the
+          answers to server/fixtures/eval/v<set>/<variant>.json
+  replay  re-scores the answers recorded for --variant, without a provider
+Reports (answers included) are written to server/data/eval/<label>.json.
+
+Options:
+  --set <file>          Golden set (default: scripts/evalGoldenSet.v1.json)
+  --label <name>        Report name (default: v<version>-<timestamp>)
+  --k <list>            Recall cut-offs (default: 1,3,5)
+  --only <ids>          Comma-separated question ids
+  --answers <mode>      Also score answers: live or replay
+  --variant <name>      What this run measures, e.g. topk8 (default: baseline)
+  --baseline <report>   Compare this run against a previous report (path or label)
+  --compare <a> <b>     Compare two existing reports without running
+  --help, -h            Show this help message`;
+
+function parseArgs(argv) {
+  const options = { set: DEFAULT_SET, ks: [1, 3, 5], variant: 'baseline' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (argv[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--set') options.set = path.resolve(value());
+    else if (arg === '--label') options.label = value();
+    else if (arg === '--k') options.ks = value().split(',').map(Number).filter((k) => k > 0).sort((a, b) => a - b);
+    else if (arg === '--only') options.only = new Set(value().split(','));
+    else if (arg === '--answers') options.answers = value();
+    else if (arg === '--variant') options.variant = value();
+    else if (arg === '--baseline') options.baseline = value();
+    else if (arg === '--compare') options.compare = [value(), value()];
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  if (options.ks.length === 0) throw new Error('--k needs at least one positive number');
+  if (options.answers && !ANSWER_MODES.includes(options.answers)) throw new Error(`--answers must be ${ANSWER_MODES.join(' or ')}`);
+  if (!/^[a-z0-9._-]+$/i.test(options.variant)) throw new Error('--variant may only use letters, digits, ".", "_" and "-"');
+  return options;
+}
+
+// A report by path, or by label under data/eval
+async function readReport(ref) {
+  const file = ref.endsWith('.json') ? path.resolve(ref) : path.join(REPORTS_DIR, `${ref}.json`);
+  return JSON.parse(await fs.readFile(file, 'utf8'));
+}
+
+async function writeComparison(base, head) {
+  const markdown = formatComparison(compareReports(base, head));
+  const file = path.join(REPORTS_DIR, `${head.label}-vs-${base.label}.md`);
+  await fs.mkdir(REPORTS_DIR, { recursive: true });
+  await fs.writeFile(file, markdown);
+  console.log(`\n${markdown}`);
+  console.log(`📝 Comparison written to ${path.relative(process.cwd(), file)}`);
+}
+
+// What the run was measured against, so two reports show why their numbers differ
+async function describeConfig(goldenSet, options) {
+  const prompts = await fs.readFile(PROMPTS_FILE, 'utf8');
+  return {
+    goldenSetVersion: goldenSet.version,
+    promptsHash: crypto.createHash('sha256').update(prompts).digest('hex').substring(0, 12),
+    embedding: `${embeddingService.provider}:${process.env.RAG_EMBED_MODEL || embeddingService.defaultModel}`,
+    vectorStore: isVectorStoreConfigured() ? vectorStoreBackend() : 'none',
+    ragChain: process.env.RAG_ENABLED === 'true',
+    rerank: String(process.env.RAG_RERANK || 'false').toLowerCase() === 'true',
+    answers: options.answers || null,
+    variant: options.variant,
+    aiMode: process.env.LOCAL_AI_MODE || null
+  };
+}
+
+async function evaluateRetrieval(item, ks) {
+  const { sources } = await hybridRetriever.retrieve(item.question, { topK: Math.max(...ks), lessonId: item.lessonId || null });
+  const ranked = [...new Set(sources.map(sourceKey))];
+  return { ranked, ...scoreRetrieval(ranked, item.expected, ks) };
+}
+
+// Recorded answers for one variant of a golden set: { goldenSetVersion, variant, answers: { [questionId]: { answer, citations } } }
+const answersFile = (goldenSet, variant) => path.join(ANSWERS_DIR, `v${goldenSet.version}`, `${variant}.json`);
+
+async function readAnswers(goldenSet, variant) {
+  try {
+    return JSON.parse(await fs.readFile(answersFile(goldenSet, variant), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return { goldenSetVersion: goldenSet.version, variant, answers: {} };
+  }
+}
+
+// The chat handler on the full (non fast-path) route, without post-processing or memory writes
+async function askChat(item) {
+  const handler = interactionRegistry.get('chat');
+  const request = {
+    type: 'chat',
+    user: { id: `eval_${item.id}`, name: 'Explorer', traits: [] },
+    prompt: item.question,
+    context: item.lessonId ? { lessonContext: { mission_id: item.lessonId } } : {}
+  };
+  const context = await aiOrchestrator.buildUnifiedContext(request.user.id, request, handler.context);
+  const response = await handler.handle(context, aiOrchestrator);
+  return { answer: String(response?.message || ''), citations: (response?.metadata?.citations || []).map(sourceKey) };
+}
+
+// Live answers come from the chat handler; replayed ones from the variant's recording (a miss when absent)
+async function evaluateAnswer(item, mode, recorded) {
+  const entry = mode === 'live' ? await askChat(item) : recorded.answers[item.id];
+  const answer = entry?.answer || '';
+  const citations = entry?.citations || [];
+  return {
+    ...scoreRubric(answer, item.rubric),
+    citations,
+    citedExpected: citations.some((key) => item.expected.some((e) => matchesExpected(key, e))),
+    offlineMiss: !entry || answer.startsWith('[local:'),
+    text: answer
+  };
+}
+
+async function run(options) {
+  const goldenSet = JSON.parse(await fs.readFile(options.set, 'utf8'));
+  const items = goldenSet.questions.filter((q) => !options.only || options.only.has(q.id));
+  if (items.length === 0) throw new Error('No golden questions selected');
+  const recorded = options.answers ? await readAnswers(goldenSet, options.variant) : null;
+  const label = options.label || `v${goldenSet.version}-${options.variant}-${new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15)}`;
+
+  // Students' memory stays untouched and every question starts from an empty profile
+  const scratch = await fs.mkdtemp(path.join(os.tmpdir(), 'spacey-eval-'));
+  await persistentMemory.useDataDir(scratch);
+
+  const started = Date.now();
+  const questions = [];
+  try {
+    console.log(`🧪 Evaluating ${items.length} golden questions (set v${goldenSet.version})${options.answers ? `, ${options.answers} answers for ${options.variant}` : ''}`);
+    for (const item of items) {
+      const result = { id: item.id, question: item.question, expected: item.expected };
+      result.retrieval = await evaluateRetrieval(item, options.ks);
+      if (options.answers) result.answer = await evaluateAnswer(item, options.answers, recorded);
+      if (options.answers === 'live' && !result.answer.offlineMiss) {
+        recorded.answers[item.id] = { answer: result.answer.text, citations: result.answer.citations };
+      }
+      questions.push(result);
+      const answer = result.answer ? ` | rubric ${result.answer.score}${result.answer.offlineMiss ? ' (no recorded answer)' : ''}` : '';
+      console.log(`  ${result.retrieval.firstRelevantRank ? '✅' : '❌'} ${item.id}: first relevant #${result.retrieval.firstRelevantRank ?? '-'}${answer}`);
+    }
+  } finally {
+    await fs.rm(scratch, { recursive: true, force: true });
+  }
+
+  // Volatile fields (timestamps, timings) stay at the top so runs diff cleanly question by question
+  const report = {
+    label,
+    createdAt: new Date().toISOString(),
+    ms: Date.now() - started,
+    goldenSet: path.relative(path.join(__dirname, '..'), options.set),
+    config: await describeConfig(goldenSet, options),
+    ks: options.ks,
+    summary: summarize(questions, options.ks),
+    questions
+  };
+  await fs.mkdir(REPORTS_DIR, { recursive: true });
+  const file = path.join(REPORTS_DIR, `${label}.json`);
+  await fs.writeFile(file, `${JSON.stringify(report, null, 2)}\n`);
+  if (options.answers === 'live' && questions.some((q) => !q.answer.offlineMiss)) {
+    const fixture = answersFile(goldenSet, options.variant);
+    await fs.mkdir(path.dirname(fixture), { recursive: true });
+    await fs.writeFile(fixture, `${JSON.stringify({ ...recorded, recordedAt: report.createdAt, config: report.config }, null, 2)}\n`);
+    console.log(`🎙️ Answers recorded to ${path.relative(process.cwd(), fixture)}`);
+  }
+
+  const { retrieval, answers } = report.summary;
+  console.log(`\n📊 ${Object.entries(retrieval).map(([name, value]) => `${name} ${value}`).join(' | ')}`);
+  if (answers) {
+    console.log(`📝 rubric ${answers.rubric} | pass rate ${answers.passRate} | cites expected ${answers.citedExpected}${answers.offlineMisses ? ` | ${answers.offlineMisses} questions without an answer` : ''}`);
+    if (answers.offlineMisses) {
+      console.warn(options.answers === 'live'
+        ? '⚠️ Some answers were offline placeholders and were not recorded; check provider keys and LOCAL_AI_MODE.'
+        : `⚠️ Some questions have no recorded answer for ${options.variant}; record them with --answers live before trusting rubric and pass rate.`);
+    }
+  }
+  console.log(`💾 Report written to ${path.relative(process.cwd(), file)}`);
+  return report;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(HELP);
+    return;
+  }
+  if (options.compare) {
+    const [base, head] = await Promise.all(options.compare.map(readReport));
+    await writeComparison(base, head);
+    return;
+  }
+  const baseline = options.baseline ? await readReport(options.baseline) : null;
+  const report = await run(options);
+  if (baseline) await writeComparison(baseline, report);
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0)) // Memory and job timers would keep the process alive
+  .catch((error) => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exit(1);
+  });
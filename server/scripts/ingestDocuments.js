@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { documentIngestor } = require('../controllers/documentIngestor');
+const { detectFormat } = require('../utils/documentChunker');
+const { vectorStoreBackend, isVectorStoreConfigured } = require('../controllers/vectorStore');
+
+const HELP = `Spacey Document Ingestion
+
+Usage: node scripts/ingestDocuments.js [options] <file-or-directory>...
+
+Adds reading material (.md, .txt, .html, and PDFs converted with pdftotext to
+.pdf.txt) to the RAG corpus. Directories are read recursively; a document's
+source id is its path relative to the directory given (or its file name), so
+running the command again re-ingests changed files and skips unchanged ones.
+
+Options:
+  --grade <grade>     Grade level stored with every chunk (e.g. 5)
+  --topic <topic>     Topic stored with every chunk (e.g. "solar system")
+  --title <title>     Title (single file only; default: the document's own title)
+  --source <id>       Source id (single file only)
+  --format <format>   markdown, text, html or pdf (default: from the extension)
+  --force             Re-embed documents even when unchanged
+  --list              List ingested documents
+  --delete <id>       Remove an ingested document and its chunks
+  --help, -h          Show this help message`;
+
+function parseArgs(argv) {
+  const options = { paths: [] };
+  const valueFlags = { '--grade': 'grade', '--topic': 'topic', '--title': 'title', '--source': 'sourceId', '--format': 'format', '--delete': 'delete' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (valueFlags[arg]) {
+      if (argv[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      options[valueFlags[arg]] = argv[++i];
+    } else if (arg === '--force') options.force = true;
+    else if (arg === '--list') options.list = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+    else options.paths.push(arg);
+  }
+  return options;
+}
+
+// Supported files under a path, each with the source id it is ingested under
+async function collectFiles(target) {
+  const stat = await fs.stat(target);
+  if (!stat.isDirectory()) return [{ file: target, sourceId: path.basename(target) }];
+  const files = [];
+  const walk = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) await walk(full);
+      else if (detectFormat(entry.name)) files.push({ file: full, sourceId: path.relative(target, full).split(path.sep).join('/') });
+    }
+  };
+  await walk(target);
+  return files.sort((a, b) => a.sourceId.localeCompare(b.sourceId));
+}
+
+function printReport(report) {
+  const icon = { ingested: '✅', updated: '🔄', unchanged: '⏭️' }[report.status] || '•';
+  console.log(`${icon} ${report.sourceId} [${report.format}] "${report.title}": ${report.status}`);
+  if (report.status !== 'unchanged') {
+    console.log(`   ${report.chunks} chunks in ${report.sections} sections | ${report.added} new, ${report.duplicates} duplicate, ${report.shared} shared, ${report.removed} removed`);
+  } else {
+    console.log(`   ${report.chunks} chunks`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || (!options.list && !options.delete && options.paths.length === 0)) {
+    console.log(HELP);
+    return;
+  }
+
+  if (options.list) {
+    const sources = await documentIngestor.listSources();
+    if (sources.length === 0) console.log('No documents ingested yet.');
+    for (const s of sources) {
+      console.log(`📄 ${s.sourceId} [${s.format}] "${s.title}" — ${s.chunks} chunks${s.grade ? `, grade ${s.grade}` : ''}${s.topic ? `, ${s.topic}` : ''} (${s.ingestedAt})`);
+    }
+    return;
+  }
+
+  if (options.delete) {
+    const result = await documentIngestor.deleteSource(options.delete);
+    if (!result) {
+      console.error(`❌ No ingested document with source id "${options.delete}"`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`🗑️ Deleted ${result.sourceId}: ${result.removed} chunks removed, ${result.kept} kept (shared with other documents)`);
+    return;
+  }
+
+  if (!isVectorStoreConfigured()) {
+    console.log(`⚠️ ${vectorStoreBackend()} vector store not configured; documents are stored for keyword search only`);
+  }
+
+  const files = (await Promise.all(options.paths.map(collectFiles))).flat();
+  if ((options.sourceId || options.title) && files.length !== 1) {
+    throw new Error('--source and --title need exactly one file');
+  }
+
+  let failed = 0;
+  const totals = { documents: 0, chunks: 0, added: 0, removed: 0 };
+  for (const { file, sourceId } of files) {
+    try {
+      const report = await documentIngestor.ingest({
+        sourceId: options.sourceId || sourceId,
+        filename: file,
+        content: await fs.readFile(file, 'utf8'),
+        format: options.format,
+        title: options.title,
+        grade: options.grade,
+        topic: options.topic
+      }, { force: options.force });
+      printReport(report);
+      totals.documents += 1;
+      totals.chunks += report.chunks;
+      totals.added += report.added;
+      totals.removed += report.removed;
+    } catch (error) {
+      failed += 1;
+      console.error(`❌ ${sourceId}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n📚 ${totals.documents} documents, ${totals.chunks} chunks (${totals.added} new, ${totals.removed} removed)${failed ? `, ${failed} failed` : ''}`);
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error('❌ Document ingestion failed:', error.message);
+  process.exit(1);
+});
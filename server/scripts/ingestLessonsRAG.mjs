@@ -2,12 +2,13 @@ import 'dotenv/config';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { Pinecone } from '@pinecone-database/pinecone';
 import { Document } from 'langchain/document';
 import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
-import { OpenAIEmbeddings } from '@langchain/openai';
-import { HuggingFaceTransformersEmbeddings } from '@langchain/community/embeddings/hf_transformers';
-import { PineconeStore } from '@langchain/pinecone';
+import vectorStoreModule from '../controllers/vectorStore.js';
+import embeddingServiceModule from '../controllers/embeddingService.js';
+
+const { createVectorStore, vectorStoreBackend } = vectorStoreModule;
+const { embeddingService } = embeddingServiceModule;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -70,59 +71,54 @@ async function chunkDocuments(documents) {
   return chunks;
 }
 
-function getEmbeddings() {
-  const provider = (process.env.RAG_EMBED_PROVIDER || 'local').toLowerCase();
-  if (provider === 'local') {
-    return new HuggingFaceTransformersEmbeddings({
-      model: process.env.RAG_EMBED_MODEL || 'Xenova/bge-large-en-v1.5',
-    });
-  }
-  return new OpenAIEmbeddings({
-    apiKey: process.env.OPENAI_API_KEY,
-    model: process.env.RAG_EMBED_MODEL || 'text-embedding-3-large',
-  });
+// Drop nulls and non-scalar values, which vector store metadata cannot hold
+function cleanMetadata(metadata) {
+  return Object.fromEntries(Object.entries(metadata).filter(([, v]) => ['string', 'number', 'boolean'].includes(typeof v)));
 }
 
-async function upsertToPinecone(documents) {
+async function upsertToVectorStore(documents) {
   const indexName = process.env.RAG_INDEX_NAME || process.env.PINECONE_INDEX_NAME || 'lessons-v1';
   const namespace = process.env.RAG_NAMESPACE || 'lessons';
-  const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
-  // Ensure index exists (aligns with local Xenova bge-large-en-v1.5 → 1024 dims)
-  const expectedDim = (process.env.RAG_EMBED_PROVIDER || 'local').toLowerCase() === 'local'
-    ? 1024
-    : 3072; // OpenAI text-embedding-3-large
-
-  const existing = await pinecone.listIndexes();
-  const exists = existing.indexes?.some((idx) => idx.name === indexName);
-  if (!exists) {
-    console.log(`🌲 Creating Pinecone index: ${indexName} (dim=${expectedDim}, cosine)`);
-    await pinecone.createIndex({
-      name: indexName,
-      dimension: expectedDim,
-      metric: 'cosine',
-      spec: { serverless: { cloud: 'aws', region: 'us-east-1' } }
-    });
-  }
-  const index = pinecone.index(indexName);
-  const embeddings = getEmbeddings();
-
-  console.log(`🔧 Upserting ${documents.length} chunks into index "${indexName}" namespace "${namespace}"...`);
-  await PineconeStore.fromDocuments(documents, embeddings, {
-    pineconeIndex: index,
-    namespace,
-    textKey: 'text',
+  const store = createVectorStore(indexName);
+  const model = process.env.RAG_EMBED_MODEL || embeddingService.defaultModel;
+
+  // Index dimension follows the embedding model (bge-large-en-v1.5 → 1024, text-embedding-3-large → 3072);
+  // an existing index built with another model is rejected here rather than filled with mismatched vectors
+  await store.ensureIndex(await embeddingService.dimension({ model }));
+
+  // Unchanged chunks come from the embedding cache, so re-ingesting only embeds edited lessons
+  console.log(`🧠 Embedding ${documents.length} chunks with ${embeddingService.provider}:${model}...`);
+  const vectors = await embeddingService.embedMany(documents.map((d) => d.pageContent), { model });
+  const { hits, embedded } = embeddingService.getStats();
+  console.log(`💾 ${hits} cached, ${embedded} embedded`);
+
+  // Ids are stable per lesson block and chunk, so re-running the ingest overwrites instead of duplicating
+  const chunkCounts = new Map();
+  const records = documents.map((doc, i) => {
+    const blockKey = `${doc.metadata.lessonId}:${doc.metadata.blockId}`;
+    const n = chunkCounts.get(blockKey) || 0;
+    chunkCounts.set(blockKey, n + 1);
+    return {
+      id: `${blockKey}:${n}`,
+      values: vectors[i],
+      metadata: cleanMetadata({ ...doc.metadata, text: doc.pageContent }) // text key read by rag/chatChain.mjs
+    };
   });
+
+  console.log(`🔧 Upserting ${records.length} chunks into ${store.backend} index "${indexName}" namespace "${namespace}"...`);
+  for (let i = 0; i < records.length; i += 100) {
+    await store.upsert(namespace, records.slice(i, i + 100));
+  }
   console.log('✅ Upsert complete');
 }
 
 async function main() {
-  const provider = (process.env.RAG_EMBED_PROVIDER || 'local').toLowerCase();
-  if (!process.env.PINECONE_API_KEY) {
-    console.error('PINECONE_API_KEY is required');
+  if (vectorStoreBackend() === 'pinecone' && !process.env.PINECONE_API_KEY) {
+    console.error('PINECONE_API_KEY is required (or set VECTOR_STORE=local)');
     process.exit(1);
   }
-  if (provider === 'openai' && !process.env.OPENAI_API_KEY) {
-    console.error('OPENAI_API_KEY is required when RAG_EMBED_PROVIDER=openai');
+  if (embeddingService.provider === 'openai' && !process.env.OPENAI_API_KEY) {
+    console.error('OPENAI_API_KEY is required when EMBEDDING_PROVIDER=openai');
     process.exit(1);
   }
 
@@ -142,7 +138,7 @@ async function main() {
   const chunks = await chunkDocuments(docs);
   console.log(`🧩 Total chunks: ${chunks.length}`);
 
-  await upsertToPinecone(chunks);
+  await upsertToVectorStore(chunks);
 }
 
 main().catch(err => {
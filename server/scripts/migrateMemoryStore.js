@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const path = require('path');
+const { createMemoryStorage, copyUser } = require('../controllers/memoryStorage');
+
+const HELP = `Spacey Memory Store Migration
+
+Usage: node scripts/migrateMemoryStore.js [options]
+
+Copies profiles (with missions and knowledge graphs), interactions, conversation
+threads and rolling summaries from one memory storage backend to another, then
+reads every user back from the target to check nothing was lost. The source is
+left untouched. Stop the server first, then start it again with MEMORY_STORE set
+to the target backend.
+
+Options:
+  --from <backend>   json or sqlite (default: json)
+  --to <backend>     json or sqlite (default: sqlite)
+  --dir <path>       Memory directory (default: server/data/memory)
+  --users <ids>      Comma-separated user ids (default: every user)
+  --overwrite        Replace users the target already has (default: skip them)
+  --dry-run          List the users that would be copied
+  --help, -h         Show this help message`;
+
+const BACKENDS = ['json', 'sqlite'];
+
+function parseArgs(argv) {
+  const options = { from: 'json', to: 'sqlite', dir: path.join(__dirname, '..', 'data', 'memory') };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (argv[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--from') options.from = value();
+    else if (arg === '--to') options.to = value();
+    else if (arg === '--dir') options.dir = path.resolve(value());
+    else if (arg === '--users') options.users = value().split(',').filter(Boolean);
+    else if (arg === '--overwrite') options.overwrite = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  for (const backend of [options.from, options.to]) {
+    if (!BACKENDS.includes(backend)) throw new Error(`Unknown backend: ${backend} (use ${BACKENDS.join(' or ')})`);
+  }
+  if (options.from === options.to) throw new Error('--from and --to must be different backends');
+  return options;
+}
+
+// What a user's data should look like on the target after the copy
+async function countUser(storage, userId) {
+  const profile = await storage.loadProfile(userId);
+  return {
+    profile: Boolean(profile),
+    missions: profile?.missions_completed?.length || 0,
+    knowledgeNodes: Object.keys(profile?.knowledgeGraph?.nodes || {}).length,
+    interactions: (await storage.loadInteractions(userId)).length,
+    threads: (await storage.loadThreads(userId)).length,
+    summaries: (await storage.loadSummaries(userId)).length
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(HELP);
+    return;
+  }
+
+  const source = createMemoryStorage(options.dir, options.from);
+  const target = createMemoryStorage(options.dir, options.to);
+  await source.init();
+  await target.init();
+
+  const userIds = options.users || await source.listUserIds();
+  const existing = new Set(await target.listUserIds());
+  console.log(`🚚 ${userIds.length} users in ${options.from} storage → ${options.to} (${options.dir})`);
+
+  const totals = { copied: 0, skipped: 0, failed: 0, interactions: 0, missions: 0, knowledgeNodes: 0, threads: 0 };
+  for (const userId of userIds) {
+    if (existing.has(userId) && !options.overwrite) {
+      console.log(`⏭️ ${userId}: already in ${options.to} storage (use --overwrite to replace)`);
+      totals.skipped += 1;
+      continue;
+    }
+    if (options.dryRun) {
+      console.log(`• ${userId}`);
+      continue;
+    }
+    try {
+      const copied = await copyUser(source, target, userId);
+      const stored = await countUser(target, userId);
+      const mismatched = Object.keys(copied).filter((key) => copied[key] !== stored[key]);
+      if (mismatched.length) throw new Error(`target differs after copy: ${mismatched.map((key) => `${key} ${copied[key]} → ${stored[key]}`).join(', ')}`);
+      console.log(`✅ ${userId}: ${copied.interactions} interactions, ${copied.missions} missions, ${copied.knowledgeNodes} concepts, ${copied.threads} threads, ${copied.summaries} summaries`);
+      totals.copied += 1;
+      for (const key of ['interactions', 'missions', 'knowledgeNodes', 'threads']) totals[key] += copied[key];
+    } catch (error) {
+      console.error(`❌ ${userId}: ${error.message}`);
+      totals.failed += 1;
+    }
+  }
+
+  if (options.dryRun) return;
+  console.log(`\n📊 ${totals.copied} copied, ${totals.skipped} skipped, ${totals.failed} failed | ${totals.interactions} interactions, ${totals.missions} missions, ${totals.knowledgeNodes} concepts, ${totals.threads} threads`);
+  if (totals.failed) process.exitCode = 1;
+  else if (totals.copied) console.log(`🎯 Set MEMORY_STORE=${options.to} and restart the server to use the migrated data.`);
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,79 @@
+// Runs the child-safety corpus (scripts/contentSafetyCorpus.json) through the content safety
+// filter: benign astronomy text must pass in both directions, every rule must fire for each
+// direction it acts on, and the stream gate must only release whole, checked sentences.
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ContentSafetyFilter } = require('../controllers/contentSafety');
+const corpus = require('./contentSafetyCorpus.json');
+
+let failures = 0;
+function check(label, ok, detail = '') {
+  if (!ok) failures += 1;
+  console.log(`  ${ok ? 'OK: ' : 'ERR:'} ${label}${detail ? ` (${detail})` : ''}`);
+}
+
+// Feed a reply through a stream gate in the given fragments
+function stream(filter, fragments) {
+  const released = [];
+  const gate = filter.createStreamGate((text) => released.push(text));
+  fragments.forEach((fragment) => gate.push(fragment));
+  gate.flush();
+  return released;
+}
+
+(async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'spacey-safety-'));
+  const filter = new ContentSafetyFilter(tmp);
+
+  try {
+    console.log('Benign astronomy:');
+    for (const direction of ['input', 'output']) {
+      const flagged = corpus.benign.filter((text) => filter.classify(text, direction).action !== 'allow');
+      check(`${flagged.length}/${corpus.benign.length} benign ${direction}s flagged`, flagged.length === 0, flagged.join(' | '));
+    }
+    const rewritten = corpus.benign.filter((text) => filter.moderateOutput(text).text !== text);
+    check('benign replies reach the student unchanged', rewritten.length === 0, rewritten.join(' | '));
+
+    console.log('\nHarmful:');
+    const fired = new Set();
+    for (const sample of corpus.harmful) {
+      const { action, categories, matches } = filter.classify(sample.text, sample.direction);
+      matches.forEach((m) => fired.add(`${filter.rules.indexOf(m.rule)}:${sample.direction}`));
+      check(`${sample.direction} "${sample.text.slice(0, 40)}" → ${sample.category} ${sample.action}`,
+        action === sample.action && categories[0] === sample.category, `${action} ${categories.join(',')}`);
+
+      if (sample.action === 'redact') {
+        const { text } = filter.moderateInput(sample.text);
+        check('  redacted in place', text === sample.redacted, text);
+      } else if (sample.action === 'rewrite') {
+        const { action: applied, text } = filter.moderateOutput(sample.text);
+        check('  offending sentence dropped', applied === 'rewrite' && filter.classify(text, 'output').action === 'allow' && text.length < sample.text.length, text);
+      } else if (sample.direction === 'input') {
+        check('  answered with a redirection', Boolean(filter.moderateInput(sample.text).message));
+      } else {
+        check('  reply held back', filter.moderateOutput(sample.text).text !== sample.text);
+      }
+    }
+    const uncovered = filter.rules.flatMap((rule, i) => Object.keys(rule.actions).map((direction) => `${i}:${direction}`))
+      .filter((key) => !fired.has(key));
+    check('every rule fires in every direction it acts on', uncovered.length === 0, `rule:direction ${uncovered.join(', ')}`);
+
+    console.log('\nStream gate:');
+    let released = stream(filter, ['Mars is 1.', '5 AU from the Sun', '. It has two moons.', ' Phobos is the bigger one']);
+    check('decimals are not sentence ends', released[0] === 'Mars is 1.5 AU from the Sun.', JSON.stringify(released));
+    check('everything released for a clean reply', released.join('') === 'Mars is 1.5 AU from the Sun. It has two moons. Phobos is the bigger one', JSON.stringify(released));
+    released = stream(filter, ['Stars form in nebulae. Long ago rebels were behead', 'ed for treason. ', 'Then the star ignites.']);
+    check('phrase split across fragments is caught', !released.join('').includes('behead'), JSON.stringify(released));
+    check('nothing streamed after a flagged sentence', released.join('') === 'Stars form in nebulae.', JSON.stringify(released));
+    released = stream(filter, ['The rover could drive 4', '0 meters a day.']);
+    check('numbers mid-sentence are released', released.join('') === 'The rover could drive 40 meters a day.', JSON.stringify(released));
+  } finally {
+    // Let the review log appends finish before removing the directory
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await fs.rm(tmp, { recursive: true, force: true });
+  }
+
+  console.log(failures === 0 ? '\nAll content safety checks passed' : `\n${failures} check(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+})();
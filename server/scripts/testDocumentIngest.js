@@ -0,0 +1,87 @@
+// Exercises heading-aware chunking, content-hash dedup, re-ingest and delete of teacher documents
+// against a throwaway local vector index and a fake embedding model.
+process.env.VECTOR_STORE = 'local';
+process.env.RAG_INDEX_NAME = `test-documents-${process.pid}`;
+process.env.RAG_NAMESPACE = 'lessons';
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { chunkDocument } = require('../utils/documentChunker');
+const { DocumentIngestor } = require('../controllers/documentIngestor');
+const { createVectorStore } = require('../controllers/vectorStore');
+const { embeddingService } = require('../controllers/embeddingService');
+
+let failures = 0;
+function check(label, ok, detail = '') {
+  if (!ok) failures += 1;
+  console.log(`  ${ok ? 'OK' : 'ERR'}: ${label}${detail ? ` (${detail})` : ''}`);
+}
+
+const MARS = `# Mars Field Guide
+
+Mars is the fourth planet from the Sun.
+
+## Moons
+
+Mars has two small moons, Phobos and Deimos.
+
+### Phobos
+
+Phobos orbits closer to its planet than any other moon in the solar system.
+
+## Classroom note
+
+Always check the night sky forecast before observing.
+`;
+const JUPITER = `<html><head><title>Jupiter</title></head><body>
+<h1>Jupiter</h1><p>Jupiter is the largest planet.</p>
+<h2>Classroom note</h2><p>Always check the night sky forecast before observing.</p>
+</body></html>`;
+
+(async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'spacey-docs-'));
+  embeddingService.dataDir = path.join(tmp, 'embeddings');
+  embeddingService.loadModel = async () => async (texts) => texts.map((t) => [t.length, 1, 0.5]);
+  const ingestor = new DocumentIngestor(path.join(tmp, 'documents'));
+  const store = createVectorStore(process.env.RAG_INDEX_NAME);
+  const count = async () => (await store.load('lessons')).records.size;
+
+  try {
+    console.log('Chunking:');
+    const { title, chunks } = chunkDocument(MARS);
+    check('title from the H1', title === 'Mars Field Guide', title);
+    check('chunks follow headings', chunks.map((c) => c.section).join(' | ') === 'Mars Field Guide | Mars Field Guide › Moons | Mars Field Guide › Moons › Phobos | Mars Field Guide › Classroom note');
+    const pdf = chunkDocument('ORBITS\n\nA satellite in orbit is always\nfalling. Gravi-\ntational pull bends its path.\f2.1 Escape Velocity\n\nFast enough to leave.', { format: 'pdf' });
+    check('pdf lines rejoined', pdf.chunks[0].text === 'A satellite in orbit is always falling. Gravitational pull bends its path.', pdf.chunks[0].text);
+    check('pdf pages recorded', pdf.chunks[1].page === 2 && pdf.chunks[1].section === 'ORBITS › 2.1 Escape Velocity', JSON.stringify(pdf.chunks[1]));
+
+    console.log('\nIngest:');
+    let report = await ingestor.ingest({ sourceId: 'mars.md', content: MARS, grade: 5, topic: 'planets' });
+    check('new document ingested', report.status === 'ingested' && report.chunks === 4 && report.added === 4, JSON.stringify(report));
+    report = await ingestor.ingest({ sourceId: 'jupiter.html', content: JUPITER });
+    check('shared paragraph detected', report.shared === 1 && report.format === 'html' && report.title === 'Jupiter', JSON.stringify(report));
+    check('shared chunk stored once', (await count()) === 5, String(await count()));
+    const shared = (await ingestor.loadChunks()).find((c) => c.text.startsWith('Always check'));
+    check('shared chunk lists both sources', JSON.stringify(shared.metadata.sourceIds) === '["jupiter.html","mars.md"]', JSON.stringify(shared.metadata.sourceIds));
+
+    report = await ingestor.ingest({ sourceId: 'mars.md', content: MARS, grade: 5, topic: 'planets' });
+    check('unchanged re-ingest skipped', report.status === 'unchanged', report.status);
+    report = await ingestor.ingest({ sourceId: 'mars.md', content: MARS.replace(/### Phobos[\s\S]*?(?=## Classroom)/, ''), grade: 5, topic: 'planets' });
+    check('edited re-ingest drops the removed chunk', report.status === 'updated' && report.removed === 1 && (await count()) === 4, JSON.stringify(report));
+
+    console.log('\nDelete:');
+    const deleted = await ingestor.deleteSource('mars.md');
+    check('shared chunk kept for the other source', deleted.kept === 1 && (await count()) === 2, JSON.stringify(deleted));
+    const relabelled = (await store.fetch('lessons', [shared.id])).records[shared.id];
+    check('kept chunk now belongs to the remaining source', JSON.stringify(relabelled.metadata.sourceIds) === '["jupiter.html"]', JSON.stringify(relabelled.metadata.sourceIds));
+    check('unknown source returns null', (await ingestor.deleteSource('nope.md')) === null);
+    check('listing', (await ingestor.listSources()).map((s) => `${s.sourceId}:${s.chunks}`).join(',') === 'jupiter.html:2');
+  } finally {
+    await fs.rm(tmp, { recursive: true, force: true });
+    await fs.rm(store.indexDir, { recursive: true, force: true });
+  }
+
+  console.log(failures ? `\n${failures} document ingestion check(s) failed` : '\nAll document ingestion checks passed');
+  process.exit(failures ? 1 : 0);
+})();
@@ -0,0 +1,105 @@
+// Exercises the "What Spacey remembers" endpoints: listing, correcting and forgetting items
+// across a scratch on-disk profile and throwaway local vector indexes with a fake embedding model.
+process.env.VECTOR_STORE = 'local';
+process.env.USER_PROFILE_INDEX_NAME = `test-memory-profiles-${process.pid}`;
+process.env.CONVERSATIONS_INDEX_NAME = `test-memory-conversations-${process.pid}`;
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { persistentMemory } = require('../controllers/persistentMemory');
+const { embeddingService } = require('../controllers/embeddingService');
+const { createVectorStore } = require('../controllers/vectorStore');
+const userProfileMemory = require('../controllers/userProfileMemory');
+const { storeFact } = require('../controllers/conversationMemory');
+const { listMemory, updateMemoryItem, forgetMemoryItem } = require('../controllers/memoryController');
+
+let failures = 0;
+function check(label, ok, detail = '') {
+  if (!ok) failures += 1;
+  console.log(`  ${ok ? 'OK' : 'ERR'}: ${label}${detail ? ` (${detail})` : ''}`);
+}
+
+// Minimal Express request/response pair for calling a handler directly
+async function call(handler, { userId = 'student_memory', params = {}, body = {} } = {}) {
+  const req = { headers: userId ? { 'x-user-id': userId } : {}, params, body, query: {} };
+  const res = {
+    statusCode: 200,
+    setHeader() {},
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.body = data; return this; }
+  };
+  await handler(req, res);
+  return res;
+}
+
+const USER = 'student_memory';
+
+(async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'spacey-memory-'));
+  await persistentMemory.useDataDir(tmp);
+  embeddingService.dataDir = path.join(tmp, 'embeddings');
+  embeddingService.loadModel = async () => async (texts) => texts.map((t) => [t.length, 1, 0.5]);
+  const profileStore = createVectorStore(process.env.USER_PROFILE_INDEX_NAME);
+  const conversationStore = createVectorStore(process.env.CONVERSATIONS_INDEX_NAME);
+  const ids = async (store, namespace) => [...(await store.load(namespace)).records.keys()].sort();
+
+  try {
+    // What personalization would have stored after a few chats
+    await persistentMemory.updateUserIdentity(USER, { name: 'Ada', age: 12, languages: ['English'] });
+    const profile = await persistentMemory.getUserProfile(USER);
+    profile.learning.preferredStyle = 'visual_learner';
+    profile.learning.strugglingTopics = ['Orbital mechanics', 'Tides'];
+    profile.visual.age = 30;
+    await persistentMemory.saveUserProfile(USER, profile);
+    await userProfileMemory.upsertIdentity(USER, { name: 'Ada', age: 12, languages: ['English', 'French'] });
+    await storeFact(USER, 'user_name=Ada', { factType: 'identity', key: 'name' });
+    await storeFact(USER, 'likes=comets', { factType: 'preference', key: 'likes' });
+    await storeFact('someone_else', 'user_name=Bob', { factType: 'identity', key: 'name' });
+
+    console.log('List:');
+    check('anonymous callers are refused', (await call(listMemory, { userId: null })).statusCode === 401);
+    let res = await call(listMemory);
+    const byId = new Map(res.body.items.map((item) => [item.id, item]));
+    check('identity merged across stores', JSON.stringify(byId.get('identity:name')?.sources) === '["profile","vector"]', JSON.stringify(byId.get('identity:name')));
+    check('vector-only language listed', byId.get('language:French')?.sources.join() === 'vector');
+    check('struggling topics listed', byId.has('struggling:Orbital mechanics') && byId.has('struggling:Tides'));
+    check('default preferences hidden', !byId.has('preference:explanation_depth') && byId.get('preference:learning_style')?.value === 'visual_learner');
+    check('camera estimates are read-only', byId.get('appearance:age')?.editable === false);
+    check('other facts listed', byId.get('fact:likes')?.value === 'likes=comets');
+    check('other users\' facts not listed', !res.body.items.some((item) => item.value === 'Bob'));
+
+    console.log('\nEdit:');
+    res = await call(updateMemoryItem, { params: { itemId: 'identity:name' }, body: { value: 'Ada Lovelace' } });
+    check('name corrected', res.statusCode === 200 && res.body.item.value === 'Ada Lovelace', JSON.stringify(res.body));
+    check('vector identity updated', (await userProfileMemory.fetchIdentity(USER)).name === 'Ada Lovelace');
+    const nameFacts = (await conversationStore.query('conversations', { vector: [1, 1, 1], topK: 10, filter: { userId: USER, key: 'name' } })).matches;
+    check('old name fact replaced', nameFacts.length === 1 && nameFacts[0].metadata.originalText === 'user_name=Ada Lovelace', nameFacts.map((m) => m.metadata.originalText).join());
+    res = await call(updateMemoryItem, { params: { itemId: 'struggling:Tides' }, body: { value: 'Ocean tides' } });
+    check('topic renamed in place', res.body.item?.id === 'struggling:Ocean tides'
+      && JSON.stringify((await persistentMemory.getUserProfile(USER)).learning.strugglingTopics) === '["Orbital mechanics","Ocean tides"]');
+    check('read-only item refused', (await call(updateMemoryItem, { params: { itemId: 'appearance:age' }, body: { value: '12' } })).statusCode === 400);
+    check('empty value refused', (await call(updateMemoryItem, { params: { itemId: 'identity:name' }, body: { value: ' ' } })).statusCode === 400);
+
+    console.log('\nForget:');
+    res = await call(forgetMemoryItem, { params: { itemId: 'identity:name' } });
+    check('name forgotten', res.statusCode === 200 && (await persistentMemory.getUserProfile(USER)).identity.name === null);
+    check('name gone from both vector indexes', !(await ids(profileStore, 'user_profiles')).includes(`${USER}:identity:name`)
+      && !(await ids(conversationStore, 'conversations')).some((id) => id.startsWith(`${USER}:fact:name:`)));
+    await call(forgetMemoryItem, { params: { itemId: 'language:French' } });
+    check('vector-only language forgotten', !(await ids(profileStore, 'user_profiles')).includes(`${USER}:identity:language:french`));
+    await call(forgetMemoryItem, { params: { itemId: 'struggling:Orbital mechanics' } });
+    check('topic forgotten', JSON.stringify((await persistentMemory.getUserProfile(USER)).learning.strugglingTopics) === '["Ocean tides"]');
+    await call(forgetMemoryItem, { params: { itemId: 'preference:learning_style' } });
+    check('preference reset to its default', (await persistentMemory.getUserProfile(USER)).learning.preferredStyle === 'unknown');
+    check('unknown item returns 404', (await call(forgetMemoryItem, { params: { itemId: 'identity:name' } })).statusCode === 404);
+    check('other users\' facts kept', (await ids(conversationStore, 'conversations')).some((id) => id.startsWith('someone_else:fact:name:')));
+  } finally {
+    await fs.rm(tmp, { recursive: true, force: true });
+    await fs.rm(profileStore.indexDir, { recursive: true, force: true });
+    await fs.rm(conversationStore.indexDir, { recursive: true, force: true });
+  }
+
+  console.log(failures ? `\n${failures} memory management check(s) failed` : '\nAll memory management checks passed');
+  process.exit(failures ? 1 : 0);
+})();
@@ -0,0 +1,104 @@
+// Runs the same profile, interaction, thread and summary checks against the JSON-file and
+// SQLite memory storage backends, then migrates a user from one to the other.
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PersistentMemoryManager } = require('../controllers/persistentMemory');
+const { createMemoryStorage, copyUser } = require('../controllers/memoryStorage');
+
+let failures = 0;
+function check(label, ok, detail = '') {
+  if (!ok) failures += 1;
+  console.log(`  ${ok ? 'OK' : 'ERR'}: ${label}${detail ? ` (${detail})` : ''}`);
+}
+
+// JSON with sorted keys, so profiles compare equal whatever order their fields were stored in
+const canonical = (value) => JSON.stringify(value, (key, v) => (v && typeof v === 'object' && !Array.isArray(v)
+  ? Object.fromEntries(Object.entries(v).sort(([a], [b]) => a.localeCompare(b)))
+  : v));
+
+const USER = 'student_storage';
+
+async function exerciseBackend(backend, dataDir) {
+  console.log(`\n${backend}:`);
+  const memory = new PersistentMemoryManager(dataDir, createMemoryStorage(dataDir, backend));
+  memory.maxStoredInteractions = 3;
+  await memory.init();
+
+  await memory.getUserProfile(USER);
+  await memory.saveChoice(USER, 'mars_energy', 'Initial Scan', 'Reroute power', 'bold');
+  await memory.saveFinalSummary(USER, 'mars_energy', 'Saved the base');
+  for (const concept of ['gravity', 'orbits', 'tides']) await memory.updateUserKnowledgeGraph(USER, concept, 0.3, 'quiz');
+  await memory.addKnowledgeGraphRelationship(USER, 'gravity', 'orbits', 'builds_upon');
+
+  if (backend === 'sqlite') {
+    // A mastery update rewrites one node row (a replaced row gets a new rowid), not the missions or other nodes
+    const rowids = () => Object.fromEntries([
+      ...memory.storage.db.prepare('SELECT concept AS k, rowid FROM knowledge_nodes').all(),
+      ...memory.storage.db.prepare("SELECT 'mission ' || position AS k, rowid FROM missions").all()
+    ].map((row) => [row.k, row.rowid]));
+    const before = rowids();
+    await memory.updateUserKnowledgeGraph(USER, 'tides', 0.2, 'quiz');
+    const after = rowids();
+    const rewritten = Object.keys(after).filter((k) => after[k] !== before[k]);
+    check('mastery update rewrites only its node', rewritten.join() === 'tides', rewritten.join());
+  } else {
+    await memory.updateUserKnowledgeGraph(USER, 'tides', 0.2, 'quiz');
+  }
+
+  for (let i = 1; i <= 5; i++) await memory.addInteraction(USER, `question ${i}`, `answer ${i}`);
+  const thread = await memory.createThread(USER, {});
+  await memory.appendThreadMessages(USER, thread.id, [{ type: 'user', content: 'What is a tide?' }, { type: 'spacey', content: 'The Moon pulls the oceans.' }]);
+  await memory.archiveThread(USER, thread.id);
+  await memory.saveRollingSummary(USER, 'Asked about tides.');
+  await memory.saveRollingSummary(USER, 'Asked about tides and orbits.');
+
+  // A second manager on the same storage reads everything back from disk
+  const reloaded = new PersistentMemoryManager(dataDir, createMemoryStorage(dataDir, backend));
+  const profile = await reloaded.getUserProfile(USER);
+  check('missions round-trip', profile.missions_completed.length === 1 && profile.missions_completed[0].final_summary === 'Saved the base'
+    && profile.missions_completed[0].choices[0].choice === 'Reroute power', JSON.stringify(profile.missions_completed));
+  check('traits round-trip', profile.traits.bold === 1);
+  check('knowledge graph round-trip', Object.keys(profile.knowledgeGraph.nodes).sort().join() === 'gravity,orbits,tides'
+    && profile.knowledgeGraph.nodes.tides.mastery === 0.5 && profile.knowledgeGraph.edges.length === 1, JSON.stringify(profile.knowledgeGraph.nodes.tides));
+  const stored = await reloaded.storage.loadInteractions(USER);
+  check('interactions trimmed to the newest', stored.map((i) => i.userMessage).join() === 'question 3,question 4,question 5', stored.map((i) => i.userMessage).join());
+  check('recent interactions', (await reloaded.getRecentInteractions(USER, 2)).map((i) => i.aiResponse).join() === 'answer 4,answer 5');
+  const threads = await reloaded.listThreads(USER, { includeArchived: true });
+  check('threads round-trip', threads.length === 1 && threads[0].status === 'archived' && threads[0].title === 'What is a tide?', JSON.stringify(threads));
+  check('latest summary', (await reloaded.loadLatestSummary(USER)) === 'Asked about tides and orbits.');
+  check('summary history', (await reloaded.storage.loadSummaries(USER)).map((s) => s.summary).join(' | ') === 'Asked about tides. | Asked about tides and orbits.');
+  check('user listed', (await reloaded.storage.listUserIds()).includes(USER));
+  return profile;
+}
+
+(async () => {
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'spacey-memory-store-'));
+  try {
+    const jsonProfile = await exerciseBackend('json', path.join(tmp, 'json'));
+    await exerciseBackend('sqlite', path.join(tmp, 'sqlite'));
+
+    console.log('\nMigration:');
+    const source = createMemoryStorage(path.join(tmp, 'json'), 'json');
+    const target = createMemoryStorage(path.join(tmp, 'json'), 'sqlite');
+    await target.init();
+    const copied = await copyUser(source, target, USER);
+    check('json → sqlite copy', copied.profile && copied.interactions === 3 && copied.missions === 1 && copied.knowledgeNodes === 3 && copied.threads === 1 && copied.summaries === 2, JSON.stringify(copied));
+    const migrated = await createMemoryStorage(path.join(tmp, 'json'), 'sqlite').loadProfile(USER);
+    check('profile identical after migration', canonical(migrated) === canonical(jsonProfile));
+    await copyUser(source, target, USER);
+    check('re-running replaces instead of duplicating', (await target.loadInteractions(USER)).length === 3 && (await target.loadSummaries(USER)).length === 2);
+
+    const back = createMemoryStorage(path.join(tmp, 'back'), 'json');
+    await back.init();
+    await copyUser(target, back, USER);
+    check('sqlite → json copy', canonical(await back.loadProfile(USER)) === canonical(jsonProfile)
+      && (await back.loadSummaries(USER)).length === 2 && (await back.loadLatestSummary(USER)) === 'Asked about tides and orbits.');
+    target.close();
+  } finally {
+    await fs.rm(tmp, { recursive: true, force: true });
+  }
+
+  console.log(failures ? `\n${failures} memory storage check(s) failed` : '\nAll memory storage checks passed');
+  process.exit(failures ? 1 : 0);
+})();
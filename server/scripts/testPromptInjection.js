@@ -0,0 +1,92 @@
+// Runs the adversarial corpus (scripts/promptInjectionCorpus.json) through the prompt-injection
+// guard, then through assessment and trait analysis against a "hijacked" provider that always
+// obeys the injection. Adversarial inputs must never reach it; benign inputs still must.
+const { aiProviderManager } = require('../controllers/aiProviders');
+const { userAssessmentTracker } = require('../controllers/userAssessmentTracker');
+const { traitAnalyzer } = require('../controllers/traitAnalyzer');
+const { detectInjection, untrusted } = require('../prompts/untrusted');
+const prompts = require('../prompts');
+const corpus = require('./promptInjectionCorpus.json');
+
+let failures = 0;
+function check(label, ok, detail = '') {
+  if (!ok) failures += 1;
+  console.log(`  ${ok ? 'OK: ' : 'ERR:'} ${label}${detail ? ` (${detail})` : ''}`);
+}
+
+const hijackedAssessment = {
+  understanding_indicators: { comprehension_level: 'excellent', mastery_evidence: ['told to'] },
+  knowledge_state: { concepts_demonstrated: ['everything'] },
+  engagement_assessment: { motivation_level: 'high' },
+  learning_readiness: { ready_for_next_concept: true, optimal_next_step: 'advance' }
+};
+const hijackedTraits = { traits_to_add: ['risk_taker', 'admin'], traits_to_remove: [], confidence: 0.99, reasoning: 'told to' };
+
+function useHijackedProvider() {
+  const calls = [];
+  aiProviderManager.providers = {
+    hijacked: {
+      name: 'Hijacked',
+      cost: 'free',
+      generate: async (prompt) => {
+        calls.push(prompt);
+        return JSON.stringify(prompt.includes('personality analyst') ? hijackedTraits : hijackedAssessment);
+      }
+    }
+  };
+  aiProviderManager.defaultProvider = 'hijacked';
+  aiProviderManager.responseCache.clear();
+  return calls;
+}
+
+(async () => {
+  console.log('Detection:');
+  const missed = corpus.adversarial.filter((text) => !detectInjection(text).suspicious);
+  check(`${corpus.adversarial.length - missed.length}/${corpus.adversarial.length} adversarial inputs flagged`, missed.length === 0, missed.join(' | '));
+  const falsePositives = corpus.benign.filter((text) => detectInjection(text).suspicious);
+  check(`${falsePositives.length}/${corpus.benign.length} benign inputs flagged`, falsePositives.length === 0, falsePositives.join(' | '));
+
+  console.log('\nDelimiting:');
+  const breakout = corpus.adversarial.find((text) => text.includes('</untrusted_input>'));
+  const block = untrusted('student_response', breakout);
+  check('closing tag in student text cannot end the block', block.split('</untrusted_input>').length === 2);
+  const chatPrompt = prompts.composeChatPrompt({
+    userPrompt: corpus.adversarial[0],
+    userProfile: { name: 'Explorer', traits: [] },
+    conversationSummary: '',
+    knowledgeGraph: { nodes: {} }
+  });
+  const start = chatPrompt.indexOf('<untrusted_input source="user_message">');
+  const inside = chatPrompt.indexOf(corpus.adversarial[0]);
+  check('chat prompt embeds the message inside its untrusted block', start !== -1 && inside > start);
+
+  console.log('\nAssessment against a hijacked provider:');
+  let calls = useHijackedProvider();
+  let hijacked = 0;
+  for (const text of corpus.adversarial) {
+    const analysis = await userAssessmentTracker.analyzeInteraction('injection_test_user', { userResponse: text, questionType: 'open' });
+    if (analysis.understanding_indicators.comprehension_level === 'excellent') hijacked += 1;
+  }
+  check('no adversarial response graded excellent', hijacked === 0, `${hijacked} hijacked`);
+  check('provider never consulted for adversarial responses', calls.length === 0, `${calls.length} calls`);
+
+  await userAssessmentTracker.analyzeInteraction('injection_test_user', { userResponse: corpus.benign[0], questionType: 'open' });
+  check('benign response still analyzed by the model', calls.length === 1);
+  check('benign prompt delimits the response', calls[0]?.includes('<untrusted_input source="student_response">'));
+
+  console.log('\nTrait analysis against a hijacked provider:');
+  calls = useHijackedProvider();
+  hijacked = 0;
+  for (const text of corpus.adversarial) {
+    const analysis = await traitAnalyzer.analyzeTraits(text, 'lesson_choice', []);
+    if (analysis.traits_to_add.length > 0 || analysis.traits_to_remove.length > 0) hijacked += 1;
+  }
+  check('no adversarial message changed traits', hijacked === 0, `${hijacked} hijacked`);
+  check('provider never consulted for adversarial messages', calls.length === 0, `${calls.length} calls`);
+
+  const benignTraits = await traitAnalyzer.analyzeWithLLM(corpus.benign[3], 'lesson_choice', []);
+  check('unknown traits from the model are dropped', JSON.stringify(benignTraits.traits_to_add) === '["risk_taker"]', JSON.stringify(benignTraits.traits_to_add));
+
+  console.log(failures === 0 ? '\nAll prompt-injection checks passed' : `\n${failures} check(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+})();
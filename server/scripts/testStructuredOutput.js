@@ -0,0 +1,70 @@
+// Exercises schema validation and the repair loop of generateStructured against a scripted provider.
+const { aiProviderManager, StructuredOutputError } = require('../controllers/aiProviders');
+const { validateAgainstSchema } = require('../utils/jsonSchema');
+const { lessonPlanSchema, miniQuizSchema } = require('../prompts/schemas');
+
+const validSteps = [
+  { id: 'intro', type: 'narration', title: 'Welcome', objective: 'Meet the topic', estimated_minutes: 2 },
+  { id: 'orbit_quiz', type: 'quiz', title: 'Quick check', objective: 'Recall orbits', estimated_minutes: 3 },
+  { id: 'path_choice_1', type: 'choice', title: 'Pick a path', objective: 'Choose', options: [{ text: 'Moon', next: 'intro' }] }
+];
+const validPlan = { steps: validSteps };
+
+console.log('Validator:');
+console.log('  valid plan ->', validateAgainstSchema(validPlan, lessonPlanSchema));
+console.log('  broken plan ->', validateAgainstSchema({ steps: [{ id: 'x', type: 'video' }] }, lessonPlanSchema));
+
+function useScriptedProvider(replies) {
+  const seenPrompts = [];
+  aiProviderManager.providers = {
+    scripted: {
+      name: 'Scripted',
+      cost: 'free',
+      generate: async (prompt, options) => {
+        seenPrompts.push({ prompt, json: options.json, responseFormat: aiProviderManager.completionOptions(options).response_format });
+        return replies.shift() || '';
+      }
+    }
+  };
+  aiProviderManager.defaultProvider = 'scripted';
+  aiProviderManager.responseCache.clear();
+  return seenPrompts;
+}
+
+(async () => {
+  console.log('\nRepair after a schema failure:');
+  let seen = useScriptedProvider([
+    '```json\n{"steps": [{"id": "intro", "type": "video", "title": "Hi"}]}\n```',
+    JSON.stringify(validPlan)
+  ]);
+  const plan = await aiProviderManager.generateStructured('Plan a lesson on orbits', lessonPlanSchema);
+  console.log('  steps:', plan.steps.length, '| calls:', seen.length, '| json mode:', seen.every((s) => s.json));
+  console.log('  repair prompt lists errors:', seen[1].prompt.includes('$.steps[0].type must be one of'));
+
+  console.log('\nGives up after maxRepairs:');
+  seen = useScriptedProvider(['not json', '{"still": "wrong"}']);
+  try {
+    await aiProviderManager.generateStructured('Plan a lesson on stars', lessonPlanSchema, { maxRepairs: 1 });
+    console.log('  ERR: expected a StructuredOutputError');
+  } catch (error) {
+    console.log('  ', error instanceof StructuredOutputError ? 'OK:' : 'ERR:', error.message, error.errors);
+  }
+
+  console.log('\nJSON mode and list schemas:');
+  const quiz = { questions: [{ question: 'What keeps the Moon in orbit?', options: ['Gravity', 'Wind'], answerIndex: 0 }] };
+  seen = useScriptedProvider([JSON.stringify(validPlan), JSON.stringify(quiz), JSON.stringify(validSteps)]);
+  await aiProviderManager.generateStructured('Plan a lesson on comets', lessonPlanSchema);
+  await aiProviderManager.generateStructured('Quiz me on orbits', miniQuizSchema);
+  console.log(' ', seen.slice(0, 2).every((s) => s.responseFormat?.type === 'json_object') ? 'OK:' : 'ERR:', 'plan and quiz schemas are objects, so they keep JSON object mode');
+  const steps = await aiProviderManager.generateStructured('List lesson steps on nebulae', lessonPlanSchema.properties.steps);
+  console.log(' ', steps.length === 3 && seen[2].json && !seen[2].responseFormat ? 'OK:' : 'ERR:', 'a top-level array schema is requested without json_object', JSON.stringify(seen[2].responseFormat));
+
+  console.log('\nResponse cache keeps JSON and prose replies apart:');
+  seen = useScriptedProvider(['{"answer": 1}', 'One.', 'Uno.']);
+  await aiProviderManager.generateResponse('Count to one', null, { json: true, temperature: 0.2 });
+  const prose = await aiProviderManager.generateResponse('Count to one');
+  const warmer = await aiProviderManager.generateResponse('Count to one', null, { temperature: 1 });
+  const again = await aiProviderManager.generateResponse('Count to one');
+  console.log(' ', prose === 'One.' && warmer === 'Uno.' && again === 'One.' && seen.length === 3 ? 'OK:' : 'ERR:',
+    'prose', JSON.stringify(prose), '| other temperature', JSON.stringify(warmer), '| calls', seen.length);
+})();
@@ -0,0 +1,68 @@
+const fs = require('fs');
+
+/**
+ * AI task routing table.
+ * Call sites name a logical task (e.g. 'lesson.plan') instead of a provider; the
+ * route decides provider, model, temperature and timeout. Fields left unset fall
+ * back to the provider defaults. requestType attributes the call in the usage ledger;
+ * priority picks the request scheduler lane (interactive | lesson | background).
+ *
+ * Override with AI_TASK_ROUTES (inline JSON) or AI_TASK_ROUTES_FILE (path to a JSON
+ * file); entries are merged per task, e.g.
+ *   {"traits.llm": {"provider": "groq", "temperature": 0.2, "timeoutMs": 8000}}
+ */
+const DEFAULT_TASK_ROUTES = {
+  'chat.fast': { provider: 'gemini', requestType: 'chat', priority: 'interactive' },
+  'chat.reply': { provider: null, requestType: 'chat', priority: 'interactive' },
+  'chat.lesson': { provider: null, requestType: 'chat', priority: 'interactive' },
+  'tutoring.reply': { provider: 'gemini', requestType: 'tutoring', priority: 'interactive' },
+  'tutoring.strategy': { provider: 'gemini', requestType: 'tutoring_strategy', priority: 'interactive' },
+  'memory.summary': { provider: null, requestType: 'memory_summary', priority: 'background' },
+  'lesson.plan': { provider: 'gemini', requestType: 'lesson_generation', priority: 'lesson' },
+  'lesson.block': { provider: 'gemini', requestType: 'lesson_generation', priority: 'lesson' },
+  'lesson.analyze': { provider: 'gemini', requestType: 'lesson_analysis', priority: 'lesson' },
+  'lesson.adapt': { provider: 'gemini', requestType: 'lesson_generation', priority: 'lesson' },
+  'quiz.generate': { provider: null, requestType: 'quiz', priority: 'interactive' },
+  'assessment.analyze': { provider: 'gemini', requestType: 'assessment', priority: 'background' },
+  'assessment.feedback': { provider: 'gemini', requestType: 'assessment', priority: 'interactive' },
+  'curriculum.sequence': { provider: 'gemini', requestType: 'curriculum', priority: 'lesson' },
+  'personalization.analyze': { provider: 'gemini', requestType: 'personalization', priority: 'background' },
+  'personalization.facts': { provider: process.env.FACTS_LLM_PROVIDER || 'gemini', requestType: 'personalization', priority: 'background' },
+  'traits.llm': { provider: 'gemini', requestType: 'trait_analysis', priority: 'background' },
+};
+
+function readOverrides() {
+  const overrides = {};
+  try {
+    if (process.env.AI_TASK_ROUTES_FILE) {
+      Object.assign(overrides, JSON.parse(fs.readFileSync(process.env.AI_TASK_ROUTES_FILE, 'utf8')));
+    }
+  } catch (error) {
+    console.warn('⚠️ Failed to load AI_TASK_ROUTES_FILE, ignoring it:', error.message);
+  }
+  try {
+    if (process.env.AI_TASK_ROUTES) {
+      Object.assign(overrides, JSON.parse(process.env.AI_TASK_ROUTES));
+    }
+  } catch (error) {
+    console.warn('⚠️ Invalid AI_TASK_ROUTES, ignoring it:', error.message);
+  }
+  return overrides;
+}
+
+/**
+ * Build the effective routing table (defaults merged with env/file overrides)
+ */
+function loadTaskRoutes() {
+  const routes = {};
+  const overrides = readOverrides();
+  for (const task of new Set([...Object.keys(DEFAULT_TASK_ROUTES), ...Object.keys(overrides)])) {
+    routes[task] = { ...(DEFAULT_TASK_ROUTES[task] || {}), ...(overrides[task] || {}) };
+  }
+  return routes;
+}
+
+module.exports = {
+  DEFAULT_TASK_ROUTES,
+  loadTaskRoutes,
+};
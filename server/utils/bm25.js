@@ -0,0 +1,94 @@
+// Okapi BM25 keyword index. Catches exact terms ("spaghettification", "Ares-X")
+// that dense embeddings can drift away from; see controllers/hybridRetriever.js.
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'than',
+  'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'what',
+  'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Plural folding only; enough for "orbits" to match "orbit" without a real stemmer
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+/**
+ * Lowercased, accent-free, stemmed terms. Hyphenated words index both whole and by part,
+ * so "Ares-X" matches "ares-x" and "ares".
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  const words = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[a-z0-9]+(?:-[a-z0-9]+)*/g) || [];
+  const terms = [];
+  for (const word of words) {
+    const parts = word.includes('-') ? [word, ...word.split('-')] : [word];
+    for (const part of parts) {
+      if (!STOPWORDS.has(part)) terms.push(stem(part));
+    }
+  }
+  return terms;
+}
+
+class BM25 {
+  /**
+   * @param {{ id: string, text: string }[]} docs
+   * @param {Object} [options] - k1 (term saturation), b (length normalization)
+   */
+  constructor(docs = [], { k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.docs = docs.map(({ id, text }) => {
+      const tf = new Map();
+      const terms = tokenize(text);
+      terms.forEach((term) => tf.set(term, (tf.get(term) || 0) + 1));
+      return { id, tf, length: terms.length };
+    });
+    this.avgLength = this.docs.reduce((sum, doc) => sum + doc.length, 0) / (this.docs.length || 1);
+    this.df = new Map();
+    for (const doc of this.docs) {
+      for (const term of doc.tf.keys()) this.df.set(term, (this.df.get(term) || 0) + 1);
+    }
+  }
+
+  idf(term) {
+    const df = this.df.get(term) || 0;
+    return Math.log(1 + (this.docs.length - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Best-scoring documents for a query, with the query terms each one matched
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @param {Function} [options.where] - (id) => boolean, restricts the candidates
+   * @returns {{ id: string, score: number, matchedTerms: string[] }[]}
+   */
+  search(query, { limit = 10, where = null } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    const results = [];
+    for (const doc of this.docs) {
+      if (where && !where(doc.id)) continue;
+      let score = 0;
+      const matchedTerms = [];
+      for (const term of terms) {
+        const freq = doc.tf.get(term);
+        if (!freq) continue;
+        matchedTerms.push(term);
+        const norm = freq + this.k1 * (1 - this.b + this.b * (doc.length / (this.avgLength || 1)));
+        score += this.idf(term) * ((freq * (this.k1 + 1)) / norm);
+      }
+      if (score > 0) results.push({ id: doc.id, score, matchedTerms });
+    }
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+module.exports = { BM25, tokenize };
@@ -0,0 +1,70 @@
+// Lesson sources for grounded chat replies. Retrieved chunks become numbered
+// sources ([1], [2], ...) in the prompt, the model cites them inline, and the
+// markers in its reply are resolved back to lesson blocks the chat UI links to.
+
+const CITATION_RULES = 'When a fact comes from the numbered sources, cite it inline with the source number in square brackets, e.g. "Mars has two moons [2]". Cite only sources you actually used and never invent source numbers.';
+
+const SNIPPET_LENGTH = 200;
+
+// Client route that opens a lesson at one block; null when the chunk has no lesson
+function lessonBlockPath(lessonId, blockId) {
+  if (!lessonId) return null;
+  const base = `/lesson/${encodeURIComponent(lessonId)}`;
+  return blockId ? `${base}?block=${encodeURIComponent(blockId)}` : base;
+}
+
+/**
+ * Normalize a retrieved chunk's metadata into a numbered source. Accepts both the
+ * RAG ingest keys (lessonId, blockId, lessonTitle) and older snake_case ones.
+ * @param {Object} metadata
+ * @param {string} text - Chunk text shown to the model
+ * @param {number} index - 1-based source number
+ */
+function toSource(metadata = {}, text = '', index = 1) {
+  const lessonId = metadata.lessonId || metadata.mission_id || metadata.lesson_id || null;
+  const blockId = metadata.blockId || metadata.block_id || null;
+  return {
+    index,
+    lessonId,
+    lessonTitle: metadata.lessonTitle || metadata.lesson_title || metadata.title || lessonId,
+    blockId,
+    sourceId: metadata.sourceId || null, // Ingested document (controllers/documentIngestor.js)
+    section: metadata.section || null, // Heading path of an ingested document chunk
+    type: metadata.type || metadata.contentType || null,
+    text: String(text || ''),
+    path: lessonBlockPath(lessonId, blockId)
+  };
+}
+
+// Prompt block listing each source under its number
+function formatSources(sources = []) {
+  return sources
+    .map((s) => {
+      const label = [s.lessonTitle, s.blockId || s.section].filter(Boolean).join(' › ') || 'Lesson notes';
+      return `[${s.index}] ${label}\n${s.text}`;
+    })
+    .join('\n---\n');
+}
+
+/**
+ * Sources the reply actually cites, in source order, without the full chunk text
+ * @param {string} message
+ * @param {Object[]} sources
+ */
+function extractCitations(message, sources = []) {
+  const cited = new Set();
+  for (const match of String(message || '').matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    match[1].split(',').forEach((n) => cited.add(Number(n)));
+  }
+  return sources
+    .filter((s) => cited.has(s.index))
+    .map(({ text, ...source }) => ({ ...source, snippet: text.slice(0, SNIPPET_LENGTH) }));
+}
+
+module.exports = {
+  CITATION_RULES,
+  lessonBlockPath,
+  toSource,
+  formatSources,
+  extractCitations,
+};
@@ -12,12 +12,22 @@ const nodeEnv = process.env.NODE_ENV || 'development';
 const port = Number(process.env.PORT || 5000);
 const corsOrigins = parseOrigins(process.env.CORS_ORIGINS);
 const enableOrchestratorTest = String(process.env.ENABLE_ORCHESTRATOR_TEST || '').toLowerCase() === 'true';
+const adminApiKey = process.env.ADMIN_API_KEY || '';
+// Per-request span timelines for clients sending X-Spacey-Debug (on by default outside production)
+const enableDebugTraces = process.env.ENABLE_DEBUG_TRACES
+  ? String(process.env.ENABLE_DEBUG_TRACES).toLowerCase() === 'true'
+  : nodeEnv !== 'production';
+// Server-side tools (calculator, lesson search, quizzes, knowledge lookup) in Spacey chat
+const enableChatTools = String(process.env.ENABLE_CHAT_TOOLS || 'true').toLowerCase() !== 'false';
 
 module.exports = {
   nodeEnv,
   port,
   corsOrigins,
   enableOrchestratorTest,
+  adminApiKey,
+  enableDebugTraces,
+  enableChatTools,
 };
 
 
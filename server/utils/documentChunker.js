@@ -0,0 +1,199 @@
+// Turns teacher reading material (markdown, plain text, HTML, text extracted from PDFs)
+// into retrieval chunks. Splitting follows the document's headings, so a chunk never
+// straddles two sections and carries its heading path ("Mars › Moons") for citations.
+
+const CHUNK_SIZE = 700; // Same budget as scripts/ingestLessonsRAG.mjs
+const MAX_HEADING_LENGTH = 80;
+
+const FORMATS = ['markdown', 'text', 'html', 'pdf'];
+const EXTENSIONS = {
+  '.md': 'markdown', '.markdown': 'markdown',
+  '.txt': 'text', '.text': 'text',
+  '.html': 'html', '.htm': 'html',
+  '.pdf': 'pdf'
+};
+
+/**
+ * Format for a file name; "notes.pdf.txt" (pdftotext output) counts as a PDF
+ * @param {string} filename
+ * @returns {string|null}
+ */
+function detectFormat(filename = '') {
+  const name = String(filename).toLowerCase();
+  if (/\.pdf\.txt$/.test(name)) return 'pdf';
+  const ext = name.match(/\.[a-z]+$/)?.[0];
+  return EXTENSIONS[ext] || null;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// HTML → markdown-ish text: headings become "#" lines, block elements become line breaks
+function htmlToText(html) {
+  const title = decodeEntities(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '').trim();
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|nav|footer|template)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, text) => `\n\n${'#'.repeat(Number(level))} ${text.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim()}\n\n`)
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|section|article|ul|ol|table|tr|blockquote|pre)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+  return { title, text: decodeEntities(body) };
+}
+
+// pdftotext output: pages split on form feeds, words hyphenated across lines, hard-wrapped paragraphs
+function pdfPages(text) {
+  return text.split('\f').map((page) => page
+    .replace(/(\w)-\n(\w)/g, '$1$2')
+    .replace(/([^\n])\n(?!\n)(?=\S)/g, '$1 '));
+}
+
+// Plain-text headings: ALL CAPS lines and numbered ones ("2.1 Orbits", "Chapter 3: Moons")
+function looksLikeHeading(line, prev, next) {
+  const text = line.trim();
+  if (!text || text.length > MAX_HEADING_LENGTH || prev.trim() || next.trim()) return false;
+  if (/[.,;:!?]$/.test(text) && !/^chapter\b/i.test(text)) return false;
+  if (/^(chapter|part|section|unit)\s+\d+\b/i.test(text)) return true;
+  if (/^\d+(\.\d+)*\.?\s+\p{Lu}/u.test(text)) return true;
+  return /\p{L}{2}/u.test(text) && text === text.toUpperCase() && /^\P{Ll}+$/u.test(text);
+}
+
+/**
+ * Sections of a document: heading path plus the paragraphs under it
+ * @param {string} text
+ * @param {string} format - One of FORMATS
+ * @returns {{ headings: string[], paragraphs: string[], page: number|null }[]}
+ */
+function splitSections(text, format) {
+  const sections = [];
+  const headings = [];
+  let current = null;
+  let paragraph = [];
+  let page = null;
+
+  const flushParagraph = () => {
+    const joined = paragraph.join('\n').trim();
+    paragraph = [];
+    if (!joined) return;
+    if (!current) {
+      current = { headings: [...headings], paragraphs: [], page };
+      sections.push(current);
+    }
+    current.paragraphs.push(joined);
+  };
+  const startSection = (level, title) => {
+    flushParagraph();
+    headings.length = Math.min(headings.length, level - 1);
+    headings[level - 1] = title.replace(/\s+#*\s*$/, '').trim();
+    current = null;
+  };
+
+  const pages = format === 'pdf' ? pdfPages(text) : [text];
+  const markdownHeadings = format === 'markdown' || format === 'html';
+  pages.forEach((pageText, p) => {
+    if (format === 'pdf') {
+      flushParagraph();
+      page = p + 1;
+      current = null; // A section continued on the next page keeps its headings but records the new page
+    }
+    const lines = pageText.replace(/\r\n?/g, '\n').split('\n');
+    let fenced = false;
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (markdownHeadings && /^\s*(```|~~~)/.test(line)) fenced = !fenced;
+      if (!fenced) {
+        const atx = markdownHeadings && line.match(/^\s{0,3}(#{1,6})\s+(.+)$/);
+        if (atx) { startSection(atx[1].length, atx[2]); continue; }
+        // Setext headings ("Title" underlined with === or ---)
+        const underline = lines[i + 1]?.match(/^\s*(=+|-+)\s*$/);
+        if (underline && line.trim() && !paragraph.length && line.trim().length <= MAX_HEADING_LENGTH) {
+          startSection(underline[1][0] === '=' ? 1 : 2, line);
+          i += 1;
+          continue;
+        }
+        if (!markdownHeadings && looksLikeHeading(line, lines[i - 1] || '', lines[i + 1] || '')) {
+          // Numbered headings nest by their depth ("2.1" under "2"); others sit at the top level
+          const depth = line.trim().match(/^(\d+(?:\.\d+)*)\.?\s/)?.[1].split('.').length || 1;
+          startSection(depth, line);
+          continue;
+        }
+      }
+      if (!line.trim() && !fenced) flushParagraph();
+      else paragraph.push(line);
+    }
+    flushParagraph();
+  });
+  return sections;
+}
+
+/**
+ * Split text at sentence boundaries and pack the sentences into pieces of at most
+ * CHUNK_SIZE characters (a single longer sentence stays whole). Also chunks lesson
+ * blocks in controllers/hybridRetriever.js.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function packSentences(text) {
+  if (text.length <= CHUNK_SIZE) return [text.trim()];
+  const sentences = text.match(/[^.!?\n]+[.!?]*\s*/g) || [text];
+  const pieces = [];
+  let current = '';
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length > CHUNK_SIZE) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+  }
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+}
+
+/**
+ * Chunk a document. Paragraphs of one section are packed into chunks of at most
+ * CHUNK_SIZE characters; chunks never cross a heading.
+ * @param {string} content - Raw document text
+ * @param {Object} [options]
+ * @param {string} [options.format] - markdown (default), text, html or pdf
+ * @returns {{ title: string|null, chunks: { text: string, section: string|null, page: number|null }[] }}
+ */
+function chunkDocument(content, { format = 'markdown' } = {}) {
+  if (!FORMATS.includes(format)) throw new Error(`Unsupported document format: ${format}`);
+  let text = String(content || '');
+  let title = null;
+  if (format === 'pdf' && text.startsWith('%PDF-')) {
+    throw new Error('Binary PDF given; extract its text first (e.g. pdftotext notes.pdf notes.pdf.txt)');
+  }
+  if (format === 'html') ({ title, text } = htmlToText(text));
+
+  const chunks = [];
+  for (const section of splitSections(text, format)) {
+    const sectionName = section.headings.filter(Boolean).join(' › ') || null;
+    let current = '';
+    const push = () => {
+      if (current.trim()) chunks.push({ text: current.trim(), section: sectionName, page: section.page });
+      current = '';
+    };
+    for (const paragraph of section.paragraphs.flatMap(packSentences)) {
+      if (current && current.length + paragraph.length + 2 > CHUNK_SIZE) push();
+      current += `${current ? '\n\n' : ''}${paragraph}`;
+    }
+    push();
+  }
+  // Markdown documents usually open with their title as the only H1; text and PDFs with a heading line
+  if (!title && format === 'markdown') title = text.match(/^\s{0,3}#\s+(.+)$/m)?.[1].trim() || null;
+  if (!title && (format === 'text' || format === 'pdf')) title = chunks[0]?.section?.split(' › ')[0] || null;
+  return { title, chunks };
+}
+
+module.exports = { chunkDocument, packSentences, detectFormat, FORMATS, CHUNK_SIZE };
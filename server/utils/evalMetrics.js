@@ -0,0 +1,158 @@
+// Scoring for the RAG evaluation harness (scripts/evalRag.js): retrieval recall@k and
+// reciprocal rank against expected lesson blocks, keyword-rubric answer scores, and the
+// comparison of two runs.
+const { tokenize } = require('./bm25');
+
+const PASS_SCORE = 0.6; // Rubric score an answer needs to count as a pass
+
+const round = (n) => Math.round(n * 1000) / 1000;
+const mean = (values) => (values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+// "lessonId:blockId" for lesson chunks, "doc:<sourceId>" for ingested documents
+function sourceKey(source = {}) {
+  if (source.lessonId) return `${source.lessonId}:${source.blockId || ''}`;
+  if (source.sourceId) return `doc:${source.sourceId}`;
+  return 'unknown';
+}
+
+// Expected entries name a block ("lesson:block"), a whole lesson ("lesson") or a document ("doc:id")
+function matchesExpected(key, expected) {
+  if (expected.startsWith('doc:')) return key === expected;
+  return expected.includes(':') ? key === expected : key.startsWith(`${expected}:`);
+}
+
+/**
+ * Rank of each expected source in a ranked list of source keys
+ * @param {string[]} ranked - Source keys, best first (one per block)
+ * @param {string[]} expected
+ * @param {number[]} ks
+ * @returns {{ firstRelevantRank: number|null, reciprocalRank: number, recall: Object }}
+ */
+function scoreRetrieval(ranked, expected, ks) {
+  const ranks = expected.map((e) => {
+    const index = ranked.findIndex((key) => matchesExpected(key, e));
+    return index === -1 ? null : index + 1;
+  });
+  const found = ranks.filter((r) => r !== null);
+  const firstRelevantRank = found.length ? Math.min(...found) : null;
+  const recall = {};
+  for (const k of ks) recall[`@${k}`] = round(found.filter((r) => r <= k).length / (expected.length || 1));
+  return { firstRelevantRank, reciprocalRank: firstRelevantRank ? round(1 / firstRelevantRank) : 0, recall };
+}
+
+/**
+ * Keyword rubric: a point is met when the answer contains every word of one of its
+ * phrases (any order; "stretch" also matches "stretching"). Score is the weighted
+ * share of points met.
+ * @param {string} answer
+ * @param {{ point: string, any: string[], weight?: number }[]} rubric
+ */
+function scoreRubric(answer, rubric = []) {
+  const words = new Set(tokenize(answer));
+  const has = (term) => words.has(term) || (term.length >= 4 && [...words].some((w) => w.startsWith(term)));
+  const points = rubric.map(({ point, any = [], weight = 1 }) => {
+    const matched = any.find((phrase) => {
+      const terms = tokenize(phrase);
+      return terms.length > 0 && terms.every(has);
+    });
+    return { point, weight, met: Boolean(matched), ...(matched ? { matched } : {}) };
+  });
+  const total = points.reduce((sum, p) => sum + p.weight, 0);
+  const score = total ? round(points.filter((p) => p.met).reduce((sum, p) => sum + p.weight, 0) / total) : 0;
+  return { score, pass: score >= PASS_SCORE, points };
+}
+
+/**
+ * Run-level averages over the per-question results
+ */
+function summarize(questions, ks) {
+  const retrieval = {};
+  for (const k of ks) retrieval[`recall@${k}`] = mean(questions.map((q) => q.retrieval.recall[`@${k}`]));
+  retrieval.mrr = mean(questions.map((q) => q.retrieval.reciprocalRank));
+
+  const answered = questions.filter((q) => q.answer);
+  const answers = answered.length === 0 ? null : {
+    rubric: mean(answered.map((q) => q.answer.score)),
+    passRate: mean(answered.map((q) => (q.answer.pass ? 1 : 0))),
+    citedExpected: mean(answered.map((q) => (q.answer.citedExpected ? 1 : 0))),
+    offlineMisses: answered.filter((q) => q.answer.offlineMiss).length
+  };
+  return { questions: questions.length, retrieval, answers };
+}
+
+const delta = (before, after) => (typeof before === 'number' && typeof after === 'number' ? round(after - before) : null);
+
+/**
+ * Metric deltas and per-question changes from a baseline run to a new one. Answer
+ * metrics are left out when either run has questions without an answer.
+ * @param {Object} base - Report written by scripts/evalRag.js
+ * @param {Object} head - Report written by scripts/evalRag.js
+ */
+function compareReports(base, head) {
+  const answerGaps = [base, head]
+    .filter((report) => report.summary.answers?.offlineMisses)
+    .map((report) => `${report.label} has ${report.summary.answers.offlineMisses} questions without an answer`);
+  const metrics = [];
+  for (const section of answerGaps.length ? ['retrieval'] : ['retrieval', 'answers']) {
+    const names = new Set([...Object.keys(base.summary[section] || {}), ...Object.keys(head.summary[section] || {})]);
+    for (const name of names) {
+      const before = base.summary[section]?.[name] ?? null;
+      const after = head.summary[section]?.[name] ?? null;
+      metrics.push({ metric: `${section}.${name}`, before, after, delta: delta(before, after) });
+    }
+  }
+
+  const baseById = new Map(base.questions.map((q) => [q.id, q]));
+  const headIds = new Set(head.questions.map((q) => q.id));
+  const changes = [];
+  for (const q of head.questions) {
+    const b = baseById.get(q.id);
+    if (!b) {
+      changes.push({ id: q.id, change: 'added' });
+      continue;
+    }
+    const notes = [];
+    if (b.retrieval.firstRelevantRank !== q.retrieval.firstRelevantRank) {
+      notes.push(`first relevant rank ${b.retrieval.firstRelevantRank ?? '-'} → ${q.retrieval.firstRelevantRank ?? '-'}`);
+    }
+    if (b.answer && q.answer && !answerGaps.length) {
+      if (b.answer.score !== q.answer.score) notes.push(`rubric ${b.answer.score} → ${q.answer.score}`);
+      const met = (answer) => new Set(answer.points.filter((p) => p.met).map((p) => p.point));
+      const [before, after] = [met(b.answer), met(q.answer)];
+      for (const point of after) if (!before.has(point)) notes.push(`+ ${point}`);
+      for (const point of before) if (!after.has(point)) notes.push(`- ${point}`);
+      if (b.answer.citedExpected !== q.answer.citedExpected) notes.push(q.answer.citedExpected ? 'now cites an expected source' : 'no longer cites an expected source');
+    }
+    if (notes.length) changes.push({ id: q.id, change: 'changed', notes });
+  }
+  for (const id of baseById.keys()) if (!headIds.has(id)) changes.push({ id, change: 'removed' });
+
+  return { base: base.label, head: head.label, metrics, changes, answerGaps };
+}
+
+// Markdown rendering of compareReports output, for terminals and review threads
+function formatComparison({ base, head, metrics, changes, answerGaps = [] }) {
+  const fmt = (n) => (n === null || n === undefined ? '-' : String(n));
+  const sign = (n) => (n === null ? '-' : n > 0 ? `+${n}` : String(n));
+  const lines = [`# Eval: ${head} vs ${base}`, ''];
+  if (changes.some((c) => c.change !== 'changed')) lines.push('_The runs cover different questions, so their averages are not directly comparable._', '');
+  if (answerGaps.length) lines.push(`_Answer metrics not compared: ${answerGaps.join('; ')}._`, '');
+  lines.push('| metric | base | head | Δ |', '| --- | --- | --- | --- |');
+  for (const m of metrics) lines.push(`| ${m.metric} | ${fmt(m.before)} | ${fmt(m.after)} | ${sign(m.delta)} |`);
+  lines.push('', changes.length ? '## Changed questions' : 'No per-question changes.');
+  for (const c of changes) {
+    lines.push(c.change === 'changed' ? `- **${c.id}**: ${c.notes.join('; ')}` : `- **${c.id}**: ${c.change}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  PASS_SCORE,
+  sourceKey,
+  matchesExpected,
+  scoreRetrieval,
+  scoreRubric,
+  summarize,
+  compareReports,
+  formatComparison
+};
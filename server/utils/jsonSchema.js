@@ -0,0 +1,90 @@
+/**
+ * Minimal JSON Schema validator for LLM structured output.
+ * Supports the subset our output schemas use: type (incl. arrays of types), enum,
+ * properties/required/additionalProperties, items/minItems/maxItems,
+ * minimum/maximum, minLength and anyOf.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function validateNode(value, schema, path, errors) {
+  if (!schema || typeof schema !== 'object') return;
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some((option) => validateAgainstSchema(value, option, path).length === 0);
+    if (!matched) errors.push(`${path} does not match any allowed shape`);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push(`${path} must be ${types.join(' or ')} (got ${typeOf(value)})`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  const kind = typeOf(value);
+
+  if (kind === 'number' || kind === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (kind === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path} must be at least ${schema.minLength} characters`);
+  }
+
+  if (kind === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, idx) => validateNode(item, schema.items, `${path}[${idx}]`, errors));
+    }
+  }
+
+  if (kind === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(child, properties[key], `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, `${path}.${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @returns {string[]} Human-readable errors (empty when valid), e.g. "$.steps[2].type is required"
+ */
+function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
+  validateNode(value, schema, path, errors);
+  return errors;
+}
+
+module.exports = {
+  validateAgainstSchema,
+};
@@ -0,0 +1,49 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Request cancellation.
+ * Every HTTP request gets an AbortSignal that fires when the client disconnects
+ * before the response has been sent (closed tab, navigated away, newer chat
+ * message). The signal rides the async context so provider calls deep inside
+ * the orchestrator or lesson generator stop without every intermediate function
+ * taking a signal argument; an explicit options.signal still wins.
+ */
+
+const abortContext = new AsyncLocalStorage();
+
+class RequestAbortedError extends Error {
+  constructor(message = 'Request aborted by client') {
+    super(message);
+    this.name = 'RequestAbortedError';
+  }
+}
+
+// Signal that aborts once the response closes without having finished
+function abortSignalFor(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort(new RequestAbortedError('Client disconnected'));
+  });
+  return controller.signal;
+}
+
+function runWithAbortSignal(signal, fn) {
+  return signal ? abortContext.run(signal, fn) : fn();
+}
+
+function getAbortSignal() {
+  return abortContext.getStore() || null;
+}
+
+// True when the current request (or the given signal) has been aborted
+function isAborted(signal = getAbortSignal()) {
+  return Boolean(signal && signal.aborted);
+}
+
+module.exports = {
+  RequestAbortedError,
+  abortSignalFor,
+  runWithAbortSignal,
+  getAbortSignal,
+  isAborted,
+};
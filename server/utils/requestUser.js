@@ -0,0 +1,49 @@
+// Canonical user id for a request, shared by the chat and thread endpoints.
+// Order: x-user-id header, non-anonymous body user id, spacey_uid cookie, email.
+
+const parseCookies = (cookieHeader = '') => {
+    try {
+        const entries = cookieHeader.split(';').map(c => c.trim()).filter(Boolean).map(kv => {
+            const idx = kv.indexOf('=');
+            if (idx === -1) return [kv, ''];
+            return [decodeURIComponent(kv.slice(0, idx)), decodeURIComponent(kv.slice(idx + 1))];
+        });
+        return Object.fromEntries(entries);
+    } catch { return {}; }
+};
+
+const resolveUserId = (req, res) => {
+    const user = req.body?.user;
+    const cookies = parseCookies(req.headers['cookie'] || '');
+    const cookieUserId = cookies['spacey_uid'];
+
+    const headerUserId = req.headers['x-user-id'];
+    const headerEmail = req.headers['x-user-email'] || user?.email;
+    const bodyUserId = user?.id;
+
+    let userId = 'anonymous';
+    if (headerUserId && typeof headerUserId === 'string') {
+        userId = headerUserId;
+    } else if (bodyUserId && !String(bodyUserId).startsWith('anonymous')) {
+        userId = bodyUserId;
+    } else if (cookieUserId && typeof cookieUserId === 'string') {
+        userId = cookieUserId;
+    } else if (headerEmail && typeof headerEmail === 'string' && headerEmail.toLowerCase() !== 'anonymous@example.com') {
+        userId = `email:${headerEmail.toLowerCase()}`;
+    }
+
+    // Persist canonical id in cookie for cross-request continuity
+    if (res && userId && !isAnonymous(userId)) {
+        const isSecure = (process.env.NODE_ENV || 'development') !== 'development';
+        const cookie = `spacey_uid=${encodeURIComponent(userId)}; Path=/; HttpOnly; SameSite=Lax${isSecure ? '; Secure' : ''}`;
+        res.setHeader('Set-Cookie', cookie);
+    }
+    return userId;
+};
+
+const isAnonymous = (userId) => !userId || String(userId).startsWith('anonymous');
+
+module.exports = {
+    resolveUserId,
+    isAnonymous,
+};
@@ -0,0 +1,133 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const crypto = require('crypto');
+
+/**
+ * Request tracing.
+ * Requests sent with the X-Spacey-Debug header collect a tree of timed spans
+ * (context loading, retrieval, provider attempts, memory writes) that is returned
+ * under the response's debug.trace field and drawn as a waterfall in the client
+ * DebugPanel. Like the abort signal, the active span rides the async context, so
+ * instrumented code never passes it around. Without an active trace every helper
+ * is a pass-through.
+ */
+
+const traceContext = new AsyncLocalStorage(); // { trace, span } - span is the parent for new spans
+const MAX_SPANS = 250; // Runaway loops should not grow a debug payload without bound
+
+class Trace {
+  constructor(name, attributes = {}) {
+    this.id = crypto.randomUUID().substring(0, 8);
+    this.origin = performance.now();
+    this.spanCount = 0;
+    this.root = this.createSpan(name, attributes);
+  }
+
+  createSpan(name, attributes = {}) {
+    this.spanCount += 1;
+    return { name, start: performance.now(), end: null, attributes: { ...attributes }, error: null, children: [] };
+  }
+
+  startChild(parent, name, attributes) {
+    if (this.spanCount >= MAX_SPANS) return null;
+    const span = this.createSpan(name, attributes);
+    parent.children.push(span);
+    return span;
+  }
+
+  // Serializable snapshot; spans still running (e.g. background upkeep) have durationMs null
+  toJSON() {
+    const round = (ms) => Math.round(ms * 10) / 10;
+    const serialize = (span) => ({
+      name: span.name,
+      startMs: round(span.start - this.origin),
+      durationMs: span.end === null ? null : round(span.end - span.start),
+      attributes: span.attributes,
+      error: span.error,
+      children: span.children.map(serialize)
+    });
+    const totalMs = round(performance.now() - this.origin);
+    return { id: this.id, totalMs, ...serialize(this.root), durationMs: totalMs };
+  }
+}
+
+function createTrace(name, attributes = {}) {
+  return new Trace(name, attributes);
+}
+
+function runWithTrace(trace, fn) {
+  return trace ? traceContext.run({ trace, span: trace.root }, fn) : fn();
+}
+
+function getTrace() {
+  return traceContext.getStore()?.trace || null;
+}
+
+/**
+ * Run fn inside a child span of the current one. Spans opened inside fn nest under it.
+ * @param {string} name - Span name, dotted by area ('context.rag', 'ai.generate', ...)
+ * @param {Object} attributes - Values shown alongside the span (provider, sizes, cache hits)
+ * @param {Function} fn - Sync or async work to time
+ */
+async function withSpan(name, attributes, fn) {
+  const store = traceContext.getStore();
+  const span = store ? store.trace.startChild(store.span, name, attributes) : null;
+  if (!span) return fn();
+
+  try {
+    return await traceContext.run({ trace: store.trace, span }, fn);
+  } catch (error) {
+    span.error = error.message;
+    throw error;
+  } finally {
+    span.end = performance.now();
+  }
+}
+
+// Wrap an async function so every call runs in its own span
+function traced(name, fn) {
+  return function tracedCall(...args) {
+    return withSpan(name, {}, () => fn.apply(this, args));
+  };
+}
+
+const NOOP_SPAN = { set() {}, end() {} };
+
+/**
+ * Open a leaf span by hand, for work that is not one function call (e.g. a provider
+ * attempt inside a retry loop). Call end() exactly once, optionally with more attributes.
+ */
+function startSpan(name, attributes = {}) {
+  const store = traceContext.getStore();
+  const span = store ? store.trace.startChild(store.span, name, attributes) : null;
+  if (!span) return NOOP_SPAN;
+
+  return {
+    set(more) {
+      Object.assign(span.attributes, more);
+    },
+    end(more = {}) {
+      const { error, ...rest } = more;
+      Object.assign(span.attributes, rest);
+      if (error) span.error = error.message || String(error);
+      span.end = performance.now();
+    }
+  };
+}
+
+// Add attributes to the innermost open span
+function addSpanAttributes(attributes) {
+  const store = traceContext.getStore();
+  if (store) Object.assign(store.span.attributes, attributes);
+}
+
+module.exports = {
+  Trace,
+  createTrace,
+  runWithTrace,
+  getTrace,
+  withSpan,
+  traced,
+  startSpan,
+  addSpanAttributes,
+};